@@ -1,91 +1,550 @@
 // AI-powered recommendation and enrichment logic
 
+import { createHash } from 'crypto'
+import { applyEnrichment, ENRICHED_FIELDS } from './data.js'
+import { getCachedPlaceDetails, toPriceLevel } from './placeDetails.js'
+import { completeJSON, isLLMConfigured } from './llm.js'
+import { parseCategory, parseCuisine, parseIntent, parseVibe } from './intentParser.js'
+import { ENRICH_LIMIT, MAX_ORIGINS, ORIGIN_STRATEGIES, rankPlaces, rankPlacesForGroup } from './ranking.js'
+import { getLocalTime, getMealPeriod, isValidTimeZone } from './utils.js'
+import { normalizeOpenAt } from '../shared/openingHours.js'
+
+// Results per page of POST /api/recommend
+const DEFAULT_RECOMMENDATION_LIMIT = 10
+const MAX_RECOMMENDATION_LIMIT = 50
+// Results a group votes on
+const GROUP_RESULT_LIMIT = 5
+// Price slot values a group participant can state
+const GROUP_PRICES = ['cheap', 'mid', 'any']
+
+const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string')
+// Numbers may arrive as strings from form posts
+const toNumber = value => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value)
+
+const isLatLng = (lat, lng) => Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180
+
+// Rounded to 10 m, null kept
+const roundKm = distanceKm => (distanceKm === null ? null : Math.round(distanceKm * 100) / 100)
+
+/**
+ * Validate and normalize the body of POST /api/recommend
+ * @param {Object} body - { location: { lat, lng } (or userLat/userLng), timeZone, time, timeOfDay,
+ *   openNow, openAt, priceRange: { min, max } (or priceLevel), categories (or category), tags,
+ *   vibe, minRating, maxDistanceKm, excludeIds, listName, limit, offset }
+ * @returns {Object} - { context, error } with error set (and context null) when invalid
+ */
+export function parseRecommendationContext(body = {}) {
+	const fail = error => ({ context: null, error })
+
+	const lat = toNumber(body.location?.lat ?? body.userLat)
+	const lng = toNumber(body.location?.lng ?? body.userLng)
+	let userLocation = null
+	if (lat !== undefined || lng !== undefined) {
+		if (!isLatLng(lat, lng)) {
+			return fail('location must have numeric lat (-90 to 90) and lng (-180 to 180)')
+		}
+		userLocation = { lat, lng }
+	}
+
+	// Meeting point between several people: { label, lat, lng } each
+	if (body.origins !== undefined && body.origins !== null && !Array.isArray(body.origins)) {
+		return fail('origins must be an array of { label, lat, lng }')
+	}
+	const origins = []
+	for (const [index, origin] of (body.origins || []).entries()) {
+		const originLat = toNumber(origin?.lat)
+		const originLng = toNumber(origin?.lng)
+		if (!isLatLng(originLat, originLng)) {
+			return fail(`origins[${index}] must have numeric lat (-90 to 90) and lng (-180 to 180)`)
+		}
+		if (origin.label !== undefined && origin.label !== null && typeof origin.label !== 'string') {
+			return fail(`origins[${index}].label must be a string`)
+		}
+		origins.push({ label: origin.label || `Origin ${index + 1}`, lat: originLat, lng: originLng })
+	}
+	if (origins.length > MAX_ORIGINS) {
+		return fail(`origins can have at most ${MAX_ORIGINS} locations`)
+	}
+	const originStrategy = body.originStrategy ?? 'minimax'
+	if (!ORIGIN_STRATEGIES.includes(originStrategy)) {
+		return fail(`originStrategy must be one of: ${ORIGIN_STRATEGIES.join(', ')}`)
+	}
+
+	if (body.timeZone && !isValidTimeZone(body.timeZone)) {
+		return fail(`Unknown timeZone "${body.timeZone}"`)
+	}
+	const timeZone = body.timeZone || undefined
+
+	const time = body.time ? new Date(body.time) : new Date()
+	if (Number.isNaN(time.getTime())) {
+		return fail('time must be an ISO date')
+	}
+
+	let priceRange = null
+	if (body.priceRange !== undefined && body.priceRange !== null) {
+		priceRange = { min: toNumber(body.priceRange.min ?? 0), max: toNumber(body.priceRange.max ?? 4) }
+	} else if (body.priceLevel !== undefined && body.priceLevel !== null) {
+		priceRange = { min: toNumber(body.priceLevel), max: toNumber(body.priceLevel) }
+	}
+	if (
+		priceRange &&
+		!(
+			Number.isInteger(priceRange.min) &&
+			Number.isInteger(priceRange.max) &&
+			priceRange.min >= 0 &&
+			priceRange.max <= 4 &&
+			priceRange.min <= priceRange.max
+		)
+	) {
+		return fail('priceRange must have integer min and max from 0 to 4, min <= max')
+	}
+
+	const categories = body.categories ?? (body.category ? [body.category] : [])
+	if (!isStringArray(categories)) return fail('categories must be an array of strings')
+	const tags = body.tags ?? []
+	if (!isStringArray(tags)) return fail('tags must be an array of strings')
+	const excludeIds = body.excludeIds ?? []
+	if (!isStringArray(excludeIds)) return fail('excludeIds must be an array of strings')
+	if (body.vibe !== undefined && body.vibe !== null && typeof body.vibe !== 'string') {
+		return fail('vibe must be a string')
+	}
+	if (body.openNow !== undefined && typeof body.openNow !== 'boolean') {
+		return fail('openNow must be a boolean')
+	}
+
+	const minRating = toNumber(body.minRating ?? null)
+	if (minRating !== null && !(Number.isFinite(minRating) && minRating >= 1 && minRating <= 5)) {
+		return fail('minRating must be a number from 1 to 5')
+	}
+
+	const maxDistanceKm = toNumber(body.maxDistanceKm ?? null)
+	if (maxDistanceKm !== null) {
+		if (!(Number.isFinite(maxDistanceKm) && maxDistanceKm > 0)) {
+			return fail('maxDistanceKm must be a positive number')
+		}
+		if (!userLocation && origins.length === 0) return fail('maxDistanceKm requires a location or origins')
+	}
+
+	let openAt = null
+	if (body.openAt !== undefined && body.openAt !== null) {
+		openAt = normalizeOpenAt(body.openAt, { time, timeZone })
+		if (!openAt) return fail('openAt must be a phrase like "saturday 11pm" or { day, time, durationMinutes }')
+	} else if (body.openNow === true && body.time) {
+		// Open at the requested time rather than right now
+		openAt = { ...getLocalTime(time, timeZone), durationMinutes: 0 }
+	}
+
+	const limit = toNumber(body.limit ?? DEFAULT_RECOMMENDATION_LIMIT)
+	const offset = toNumber(body.offset ?? 0)
+	if (!(Number.isInteger(limit) && limit >= 1 && limit <= MAX_RECOMMENDATION_LIMIT)) {
+		return fail(`limit must be an integer from 1 to ${MAX_RECOMMENDATION_LIMIT}`)
+	}
+	if (!(Number.isInteger(offset) && offset >= 0)) {
+		return fail('offset must be a non-negative integer')
+	}
+
+	return {
+		context: {
+			userLocation,
+			timeZone,
+			time,
+			timeOfDay: body.timeOfDay || null,
+			openNow: openAt ? undefined : body.openNow,
+			openAt,
+			priceRange,
+			categories,
+			tags,
+			vibe: body.vibe || null,
+			minRating,
+			maxDistanceKm,
+			excludeIds,
+			origins,
+			originStrategy,
+			listName: body.listName || null,
+			limit,
+			offset,
+		},
+		error: null,
+	}
+}
+
 /**
- * Generate recommendations based on context
- * TODO: Integrate with AI service (OpenAI, Anthropic, etc.) for smart recommendations
+ * Rank saved places for a recommendation request with the same pipeline as chat (see ranking.js)
+ * plus a time-of-day boost
+ * @param {Array} places - Places to rank
+ * @param {Object} context - From parseRecommendationContext
+ * @returns {Promise<Object>} - { interpreted, total, offset, limit, results } where each result is
+ *   the place plus { score, boosts: [{ reason, points }], distanceKm, originDistancesKm,
+ *   meetingCostKm, rating, openNow }
  */
 export async function getRecommendations(places, context) {
-	// Stub implementation
-	// TODO: Use AI to interpret user context and generate smart recommendations
-	// Context may include: time of day, weather, user preferences, etc.
+	const { userLocation, timeZone, time, limit, offset } = context
+
+	// Meal period from the requested timeOfDay, or from the request time in the user's timezone
+	const mealPeriod = getMealPeriod({ timeOfDay: context.timeOfDay, time, timeZone })
 
-	const interpreted = {
-		timeOfDay: context.timeOfDay || 'any',
-		category: context.category || null,
-		priceLevel: context.priceLevel || null,
-		vibe: context.vibe || null,
-		userLocation: context.userLat && context.userLng
-			? { lat: context.userLat, lng: context.userLng }
-			: null,
+	const criteria = {
+		categories: context.categories,
+		tags: context.tags,
+		priceRange: context.priceRange,
+		openNow: context.openNow,
+		openAt: context.openAt,
+		minRating: context.minRating,
+		maxDistanceKm: context.maxDistanceKm,
+		vibe: context.vibe,
+		excludeIds: context.excludeIds,
+		origins: context.origins,
+		originStrategy: context.originStrategy,
+		mealPeriod,
 	}
 
-	// For now, return filtered and sorted places
-	// TODO: Replace with AI-powered recommendation logic
-	let results = [...places]
+	// Every candidate is scored; fresh Place Details are fetched for at least the requested page
+	const ranked = await rankPlaces(places, criteria, {
+		listName: context.listName,
+		userLocation,
+		time,
+		timeZone,
+		maxCandidates: Infinity,
+		enrichLimit: Math.min(Math.max(ENRICH_LIMIT, offset + limit), MAX_RECOMMENDATION_LIMIT),
+	})
 
-	// Filter by category if provided
-	if (interpreted.category) {
-		results = results.filter(p => p.type === interpreted.category)
+	return {
+		interpreted: {
+			...criteria,
+			mealPeriod: undefined,
+			timeOfDay: mealPeriod ? mealPeriod.period : 'any',
+			timeZone: timeZone || null,
+			time: time.toISOString(),
+			userLocation,
+			listName: context.listName,
+		},
+		total: ranked.length,
+		offset,
+		limit,
+		results: ranked
+			.slice(offset, offset + limit)
+			.map(({ place, enrichedData, score, boosts, distanceKm, originDistancesKm, meetingCostKm }) => ({
+				...place,
+				score,
+				boosts,
+				distanceKm: roundKm(distanceKm),
+				// With origins: the trip from each origin, in order, and the longest or total trip
+				originDistancesKm: originDistancesKm ? originDistancesKm.map(roundKm) : null,
+				meetingCostKm: roundKm(meetingCostKm),
+				rating: enrichedData?.rating ?? null,
+				openNow: enrichedData?.openingHours?.openNow ?? null,
+			})),
 	}
+}
 
-	// Filter by price level if provided
-	if (interpreted.priceLevel !== undefined) {
-		results = results.filter(p => p.priceLevel === interpreted.priceLevel)
+/**
+ * Validate a group participant's preferences
+ * A free-text message ("cheap ramen, nothing too far") is parsed like a chat message; the
+ * structured fields override whatever it says.
+ * @param {Object} body - { message, category, cuisine, price, vibe, maxDistanceKm, location: { lat, lng } }
+ * @param {Object} options - { vocabulary } cuisine words (list tags)
+ * @returns {Object} - { preferences, error }
+ */
+export function parseGroupPreferences(body = {}, { vocabulary = [] } = {}) {
+	const fail = error => ({ preferences: null, error })
+
+	if (body.message !== undefined && body.message !== null && typeof body.message !== 'string') {
+		return fail('message must be a string')
+	}
+	for (const field of ['category', 'cuisine', 'vibe']) {
+		if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+			return fail(`${field} must be a string`)
+		}
+	}
+	if (body.price !== undefined && body.price !== null && !GROUP_PRICES.includes(body.price)) {
+		return fail(`price must be one of: ${GROUP_PRICES.join(', ')}`)
 	}
 
-	// Filter by vibe if provided
-	if (interpreted.vibe) {
-		results = results.filter(p => p.vibe === interpreted.vibe)
+	let location = null
+	if (body.location !== undefined && body.location !== null) {
+		const lat = toNumber(body.location.lat)
+		const lng = toNumber(body.location.lng)
+		if (!isLatLng(lat, lng)) {
+			return fail('location must have numeric lat (-90 to 90) and lng (-180 to 180)')
+		}
+		location = { lat, lng }
 	}
 
-	// Sort by distance if user location provided
-	if (interpreted.userLocation) {
-		results.sort((a, b) => {
-			const distA = Math.sqrt(
-				Math.pow(a.lat - interpreted.userLocation.lat, 2) +
-				Math.pow(a.lng - interpreted.userLocation.lng, 2)
-			)
-			const distB = Math.sqrt(
-				Math.pow(b.lat - interpreted.userLocation.lat, 2) +
-				Math.pow(b.lng - interpreted.userLocation.lng, 2)
-			)
-			return distA - distB
-		})
+	const slots = body.message?.trim() ? parseIntent(body.message, {}, { vocabulary }).slots : {}
+
+	const maxDistanceKm = toNumber(body.maxDistanceKm ?? slots.distanceKm ?? null)
+	if (maxDistanceKm !== null) {
+		if (!(Number.isFinite(maxDistanceKm) && maxDistanceKm > 0)) {
+			return fail('maxDistanceKm must be a positive number')
+		}
+		if (!location) return fail('maxDistanceKm requires a location')
+	}
+
+	const pick = field => (typeof body[field] === 'string' ? body[field].trim().toLowerCase() || null : null)
+	// "coffee" -> "cafe", as in chat
+	const category = pick('category') && (parseCategory(pick('category')) || pick('category'))
+	const preferences = {
+		category: category || slots.category || null,
+		cuisine: pick('cuisine') || slots.cuisine || null,
+		price: body.price || slots.price || null,
+		vibe: pick('vibe') || slots.vibe || null,
+		maxDistanceKm,
+		location,
 	}
+	if (body.message?.trim()) preferences.message = body.message.trim()
+
+	return { preferences, error: null }
+}
+
+/**
+ * Top places for a group, ranked with everyone's preferences and locations
+ * @param {Array} places - The host's places
+ * @param {Array} members - [{ userId, preferences }] from parseGroupPreferences
+ * @param {Object} options - { listName, timeZone }
+ * @returns {Promise<Object>} - { criteria, results } where each result is a place summary plus
+ *   { score, boosts, distances: [{ userId, distanceKm }] }
+ */
+export async function getGroupRecommendations(places, members, { listName = null, timeZone } = {}) {
+	const time = new Date()
+	const { criteria, results } = await rankPlacesForGroup(places, members, { listName, time, timeZone })
 
 	return {
-		interpreted,
-		results: results.slice(0, 10), // Return top 10 for now
+		criteria: {
+			...criteria,
+			maxDistanceKm: members
+				.filter(({ preferences }) => preferences.maxDistanceKm)
+				.map(({ preferences }) => preferences.maxDistanceKm),
+		},
+		results: results
+			.slice(0, GROUP_RESULT_LIMIT)
+			.map(({ place, enrichedData, score, boosts, memberDistances }) => ({
+				placeId: place.id,
+				name: place.name,
+				address: place.address || null,
+				lat: place.lat ?? null,
+				lng: place.lng ?? null,
+				type: place.type || null,
+				rating: enrichedData?.rating ?? null,
+				openNow: enrichedData?.openingHours?.openNow ?? null,
+				score,
+				boosts,
+				distances: memberDistances.map(({ userId, distanceKm }) => ({
+					userId,
+					distanceKm: roundKm(distanceKm),
+				})),
+			})),
 	}
 }
 
+// Places re-enriched after this long even if nothing changed (default 30 days); read when used,
+// so the environment is read after dotenv has loaded it
+const getEnrichmentTtlMs = () => Number(process.env.ENRICHMENT_TTL_DAYS || 30) * 24 * 60 * 60 * 1000
+// Places sent to the LLM per request
+const LLM_BATCH_SIZE = 20
+// Inferred tags kept per place
+const MAX_INFERRED_TAGS = 5
+
+// Price hints in notes and tags, checked in order
+const PRICE_HINTS = [
+	{ pattern: /\$\$\$\$|\b(very expensive|tasting menu|michelin)\b/, level: 4 },
+	{ pattern: /\$\$\$|\b(expensive|pricey|upscale|fine dining|splurge)\b/, level: 3 },
+	{ pattern: /\$\$|\b(mid-?range|moderately priced)\b/, level: 2 },
+	{ pattern: /\b(cheap|cheap eats|budget|inexpensive|affordable)\b/, level: 1 },
+]
+
+// What a place's enrichment is inferred from (user-entered text plus cached Place Details)
+function getEnrichmentInput(place) {
+	const details = getCachedPlaceDetails(place.placeId)
+	return {
+		name: place.name,
+		address: place.address,
+		notes: place.notes,
+		comment: place.comment,
+		tags: place.tags || [],
+		googleType: details?.categories?.primary || null,
+		googleTypeName: details?.categories?.primaryDisplayName || null,
+		googlePriceLevel: toPriceLevel(details?.priceLevel),
+		summary: details?.about || null,
+	}
+}
+
+function hashInput(input) {
+	return createHash('sha1').update(JSON.stringify(input)).digest('hex')
+}
+
 /**
- * Enrich places with AI-generated metadata
- * TODO: Use AI to infer type, vibe, price level, tags from place data
+ * Whether a place has never been enriched, its inputs changed since, or its enrichment expired
  */
-export async function enrichPlaces(places) {
-	// Stub implementation
-	// TODO: Use AI to analyze place names, addresses, notes
-	// and infer: type, vibe, priceLevel, tags
-
-	let enrichedCount = 0
-
-	// Example enrichment logic (to be replaced with AI):
-	// for (const place of places) {
-	//   if (!place.type || !place.vibe) {
-	//     const enriched = await aiEnrichPlace(place)
-	//     place.type = enriched.type
-	//     place.vibe = enriched.vibe
-	//     place.priceLevel = enriched.priceLevel
-	//     place.tags = enriched.tags
-	//     enrichedCount++
-	//   }
-	// }
-
-	// Placeholder to avoid linter error (will be used in actual implementation)
-	if (!places || places.length === 0) {
-		return 0
-	}
-
-	return enrichedCount
+export function needsEnrichment(place, now = Date.now()) {
+	const { enrichment } = place
+	if (!enrichment?.enrichedAt) return true
+	if (enrichment.inputHash !== hashInput(getEnrichmentInput(place))) return true
+	return now - new Date(enrichment.enrichedAt).getTime() > getEnrichmentTtlMs()
+}
+
+// Tags inferred by rules or the LLM, without ones the place already has
+function cleanTags(tags, place) {
+	const existing = new Set((place.tags || []).map(tag => tag.toLowerCase()))
+	return [
+		...new Set(
+			(Array.isArray(tags) ? tags : [])
+				.filter(tag => typeof tag === 'string')
+				.map(tag => tag.trim().toLowerCase())
+				.filter(tag => tag && !existing.has(tag))
+		),
+	].slice(0, MAX_INFERRED_TAGS)
+}
+
+// Keyword inference from the name, notes and tags
+function inferWithRules(place, input) {
+	const text = [input.name, input.notes, input.comment, input.tags.join(', '), input.summary]
+		.filter(Boolean)
+		.join('\n')
+		.toLowerCase()
+	const category = parseCategory(text)
+	const cuisine = parseCuisine(text, [], category)
+	return {
+		type: category,
+		vibe: parseVibe(text),
+		priceLevel: PRICE_HINTS.find(({ pattern }) => pattern.test(text))?.level ?? null,
+		inferredTags: cleanTags([cuisine], place),
+	}
+}
+
+// Ask the LLM for type, vibe, price level and tags of a batch of places
+async function inferWithLLM(batch) {
+	const placesInfo = batch
+		.map(({ input }, index) => `${index + 1}. ${JSON.stringify(input)}`)
+		.join('\n')
+
+	const prompt = `Infer metadata for each of these saved places from their name, notes, tags and Google data.
+
+Places:
+${placesInfo}
+
+For each place return an object:
+{
+  "type": Google Places type in snake_case (e.g. "cafe", "bar", "ramen_restaurant", "museum") or null,
+  "vibe": short phrase for the atmosphere or occasion (e.g. "cozy date spot", "lively group dinner") or null,
+  "priceLevel": 0-4 (0 free, 1 cheap, 2 moderate, 3 expensive, 4 very expensive) or null,
+  "tags": up to ${MAX_INFERRED_TAGS} short lower-case tags (cuisine, specialties, features)
+}
+Use null when the data doesn't say. Return a JSON array with exactly ${batch.length} objects, in the same order.
+
+Only return the JSON array, no other text.`
+
+	const results = await completeJSON(prompt, { shape: 'array', temperature: 0 })
+	if (!Array.isArray(results) || results.length !== batch.length) {
+		throw new Error(`Expected ${batch.length} enrichment results, got ${Array.isArray(results) ? results.length : 'none'}`)
+	}
+	return results.map((result, index) => ({
+		type: typeof result?.type === 'string' && result.type.trim() ? result.type.trim() : null,
+		vibe: typeof result?.vibe === 'string' && result.vibe.trim() ? result.vibe.trim() : null,
+		priceLevel: toPriceLevel(result?.priceLevel),
+		inferredTags: cleanTags(result?.tags, batch[index].place),
+	}))
+}
+
+// Stored types use the chat categories (see parseCategory), so ?type=restaurant finds a Google
+// "ramen_restaurant" as well as a place the rules called a restaurant; types outside those
+// categories keep Google's name
+function toPlaceType(type) {
+	if (!type) return null
+	const name = type.trim().toLowerCase()
+	return parseCategory(name.replace(/_/g, ' ')) || name.replace(/\s+/g, '_')
+}
+
+/**
+ * Combine inferences, first non-empty value wins: Google data, then the LLM, then rules
+ * @returns {Object} - { values, sources } for applyEnrichment
+ */
+function mergeInferences(input, llm, rules) {
+	const candidates = [
+		['google', { type: input.googleType, priceLevel: input.googlePriceLevel }],
+		['llm', llm || {}],
+		['rules', rules],
+	]
+	const values = {}
+	const sources = {}
+	for (const field of ENRICHED_FIELDS) {
+		const found = candidates.find(([, inferred]) => {
+			const value = inferred[field]
+			return value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)
+		})
+		values[field] = found ? found[1][field] : field === 'inferredTags' ? [] : null
+		if (found) sources[field] = found[0]
+	}
+	values.type = toPlaceType(values.type)
+	return { values, sources }
+}
+
+/**
+ * Infer type, vibe, priceLevel and tags for places and store them (see applyEnrichment)
+ * Uses cached Place Details, then the LLM when one is configured, then keyword rules.
+ * Only places that need it (see needsEnrichment) are processed unless `force` is set.
+ * @param {Array} places - Places to consider
+ * @param {Object} options - { force } re-enrich everything, { isCancelled } stop early,
+ *   { onEnriched } (place, sources) called per stored place, { onSkipped } (place) called per
+ *   place that is up to date or was deleted before it could be stored
+ * @returns {Promise<Object>} - { enriched, skipped, sources: { google, llm, rules } } counts,
+ *   where sources counts the stored fields by where they came from
+ */
+export async function enrichPlaces(
+	places,
+	{ force = false, isCancelled = () => false, onEnriched = () => {}, onSkipped = () => {} } = {}
+) {
+	const stale = []
+	for (const place of places) {
+		if (force || needsEnrichment(place)) {
+			stale.push(place)
+		} else {
+			onSkipped(place)
+		}
+	}
+	const summary = {
+		enriched: 0,
+		skipped: places.length - stale.length,
+		sources: { google: 0, llm: 0, rules: 0 },
+	}
+
+	for (let i = 0; i < stale.length; i += LLM_BATCH_SIZE) {
+		if (isCancelled()) break
+
+		const batch = stale.slice(i, i + LLM_BATCH_SIZE).map(place => ({
+			place,
+			input: getEnrichmentInput(place),
+		}))
+
+		let llmResults = null
+		if (isLLMConfigured()) {
+			try {
+				llmResults = await inferWithLLM(batch)
+			} catch (error) {
+				console.error(`Error enriching places with LLM, using rules: ${error.message}`)
+			}
+		}
+
+		batch.forEach(({ place, input }, index) => {
+			const { values, sources } = mergeInferences(
+				input,
+				llmResults?.[index],
+				inferWithRules(place, input)
+			)
+			const updated = applyEnrichment(place.ownerId, place.id, { values, sources, inputHash: hashInput(input) })
+			if (!updated) {
+				summary.skipped++
+				onSkipped(place)
+				return
+			}
+
+			summary.enriched++
+			for (const field of ENRICHED_FIELDS) {
+				const source = updated.fieldSources[field]
+				if (source && source === sources[field]) summary.sources[source]++
+			}
+			onEnriched(updated, sources)
+		})
+	}
+
+	return summary
 }
@@ -0,0 +1,293 @@
+// User accounts and API tokens
+// Users register with a username and password and log in for a bearer token. Every /api route
+// except register, login and read-only share links requires one (see requireAuth in server.js).
+// Users and token hashes are kept in memory and persisted to data/users.json; tokens expire
+// after AUTH_TOKEN_TTL_DAYS (default 30) without use. Set AUTH_ALLOW_REGISTRATION=false to
+// stop new sign-ups once the team has accounts.
+
+import crypto from 'crypto'
+import { promisify } from 'util'
+import { createStorageAdapter, dataFilePath } from './storage.js'
+import { claimUnownedData } from './data.js'
+
+const scrypt = promisify(crypto.scrypt)
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const getTokenTtlMs = () => Number(process.env.AUTH_TOKEN_TTL_DAYS || 30) * DAY_MS
+// Delay before account changes are written to disk
+const PERSIST_DELAY_MS = 500
+// Token last-used times are only updated (and persisted) this often
+const TOUCH_INTERVAL_MS = 60 * 1000
+const PASSWORD_MIN_LENGTH = 8
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/
+// Routes that accept the token as ?access_token= (EventSource streams and download links);
+// anywhere else it would end up in access logs and Referer headers
+const QUERY_TOKEN_PATH = /\/(events|export)$/
+const KEY_LENGTH = 64
+
+/**
+ * Registration or login failure, with the HTTP status to respond with
+ */
+export class AuthError extends Error {
+	constructor(message, status = 400) {
+		super(message)
+		this.name = 'AuthError'
+		this.status = status
+	}
+}
+
+// userId -> { id, username, passwordHash, salt, createdAt }
+const users = new Map()
+// sha256(token) -> { userId, createdAt, lastUsedAt }
+const tokens = new Map()
+
+// Created and loaded on first use, so the environment is read after dotenv has loaded it
+let userStorage = null
+let persistTimer = null
+
+function loadUsers() {
+	if (userStorage) return
+	userStorage = createStorageAdapter(
+		{
+			STORAGE_DRIVER: process.env.STORAGE_DRIVER,
+			STORAGE_FILE: process.env.USERS_FILE,
+		},
+		dataFilePath('users.json')
+	)
+	try {
+		const stored = userStorage.read()
+		for (const user of stored?.users || []) {
+			users.set(user.id, user)
+		}
+		for (const [hash, token] of Object.entries(stored?.tokens || {})) {
+			tokens.set(hash, token)
+		}
+		pruneExpiredTokens()
+	} catch (error) {
+		console.error('Error loading users:', error)
+	}
+}
+
+function flushUsers() {
+	if (persistTimer) {
+		clearTimeout(persistTimer)
+		persistTimer = null
+	}
+	try {
+		userStorage.write({
+			users: Array.from(users.values()),
+			tokens: Object.fromEntries(tokens),
+		})
+	} catch (error) {
+		console.error('Error persisting users:', error)
+	}
+}
+
+function persistUsers() {
+	if (persistTimer) return
+	persistTimer = setTimeout(flushUsers, PERSIST_DELAY_MS)
+}
+
+function isExpired(token, now = Date.now()) {
+	return now - new Date(token.lastUsedAt).getTime() > getTokenTtlMs()
+}
+
+function pruneExpiredTokens() {
+	let removed = 0
+	for (const [hash, token] of tokens) {
+		if (isExpired(token)) {
+			tokens.delete(hash)
+			removed++
+		}
+	}
+	if (removed > 0) persistUsers()
+}
+
+process.on('exit', () => {
+	if (persistTimer) flushUsers()
+})
+
+function hashToken(token) {
+	return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+async function hashPassword(password, salt) {
+	const key = await scrypt(password, salt, KEY_LENGTH)
+	return key.toString('hex')
+}
+
+function findUserByUsername(username) {
+	loadUsers()
+	for (const user of users.values()) {
+		if (user.username === username) return user
+	}
+	return null
+}
+
+// Issue a new token for a user
+function createToken(user) {
+	const token = crypto.randomBytes(32).toString('hex')
+	const now = new Date().toISOString()
+	tokens.set(hashToken(token), { userId: user.id, createdAt: now, lastUsedAt: now })
+	persistUsers()
+	return token
+}
+
+/**
+ * User fields that are safe to return to clients
+ */
+export function toPublicUser(user) {
+	return { id: user.id, username: user.username, createdAt: user.createdAt }
+}
+
+/**
+ * Public fields of a user by ID (null if unknown)
+ */
+export function getUserById(id) {
+	loadUsers()
+	const user = users.get(id)
+	return user ? toPublicUser(user) : null
+}
+
+/**
+ * Public fields of a user by username, ignoring case (null if unknown)
+ */
+export function getUserByUsername(username) {
+	const user = findUserByUsername(String(username || '').trim().toLowerCase())
+	return user ? toPublicUser(user) : null
+}
+
+/**
+ * Create an account and log it in
+ * The first account also takes over places and lists saved before accounts existed.
+ * @returns {Promise<Object>} - { user, token }
+ * @throws {AuthError} - Invalid username or password, name taken, or registration disabled
+ */
+export async function registerUser(username, password) {
+	if (process.env.AUTH_ALLOW_REGISTRATION === 'false') {
+		throw new AuthError('Registration is disabled on this server', 403)
+	}
+
+	const name = typeof username === 'string' ? username.trim().toLowerCase() : ''
+	if (!USERNAME_PATTERN.test(name)) {
+		throw new AuthError(
+			'username must be 3-32 characters: letters, numbers, ".", "_" or "-"'
+		)
+	}
+	if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+		throw new AuthError(`password must be at least ${PASSWORD_MIN_LENGTH} characters`)
+	}
+	if (findUserByUsername(name)) {
+		throw new AuthError('That username is taken', 409)
+	}
+
+	const salt = crypto.randomBytes(16).toString('hex')
+	const passwordHash = await hashPassword(password, salt)
+
+	// Checked again after hashing, with no await before the insert: sign-ups for the same name
+	// (or the first two accounts) that arrive together would otherwise both get through
+	if (findUserByUsername(name)) {
+		throw new AuthError('That username is taken', 409)
+	}
+	const user = {
+		id: `user_${crypto.randomUUID()}`,
+		username: name,
+		salt,
+		passwordHash,
+		createdAt: new Date().toISOString(),
+	}
+	const isFirstUser = users.size === 0
+	users.set(user.id, user)
+	persistUsers()
+
+	if (isFirstUser) {
+		const claimed = claimUnownedData(user.id)
+		if (claimed > 0) {
+			console.log(`Assigned ${claimed} existing places to the first account, ${user.username}`)
+		}
+	}
+
+	return { user: toPublicUser(user), token: createToken(user) }
+}
+
+/**
+ * Check a username and password and issue a token
+ * @returns {Promise<Object>} - { user, token }
+ * @throws {AuthError} - Unknown username or wrong password (401)
+ */
+export async function loginUser(username, password) {
+	const name = typeof username === 'string' ? username.trim().toLowerCase() : ''
+	const user = findUserByUsername(name)
+	if (!user || typeof password !== 'string') {
+		throw new AuthError('Invalid username or password', 401)
+	}
+
+	const expected = Buffer.from(user.passwordHash, 'hex')
+	const actual = Buffer.from(await hashPassword(password, user.salt), 'hex')
+	if (!crypto.timingSafeEqual(expected, actual)) {
+		throw new AuthError('Invalid username or password', 401)
+	}
+
+	return { user: toPublicUser(user), token: createToken(user) }
+}
+
+/**
+ * The user a token belongs to, or null if the token is unknown or expired
+ */
+export function getUserForToken(token) {
+	if (!token) return null
+	loadUsers()
+	const hash = hashToken(token)
+	const entry = tokens.get(hash)
+	if (!entry) return null
+
+	const now = Date.now()
+	if (isExpired(entry, now)) {
+		tokens.delete(hash)
+		persistUsers()
+		return null
+	}
+	if (now - new Date(entry.lastUsedAt).getTime() > TOUCH_INTERVAL_MS) {
+		entry.lastUsedAt = new Date(now).toISOString()
+		persistUsers()
+	}
+	return users.get(entry.userId) || null
+}
+
+/**
+ * Invalidate a token (log out)
+ * @returns {boolean} - Whether the token existed
+ */
+export function revokeToken(token) {
+	loadUsers()
+	const removed = Boolean(token) && tokens.delete(hashToken(token))
+	if (removed) persistUsers()
+	return removed
+}
+
+/**
+ * Token sent with a request: "Authorization: Bearer <token>", or ?access_token= on /events and
+ * /export for clients that can't set headers (EventSource, download links)
+ */
+export function getRequestToken(req) {
+	const header = req.get('authorization') || ''
+	const match = header.match(/^Bearer\s+(\S+)$/i)
+	if (match) return match[1]
+	if (!QUERY_TOKEN_PATH.test(req.path)) return null
+	return typeof req.query.access_token === 'string' ? req.query.access_token : null
+}
+
+/**
+ * Express middleware: reject requests without a valid token, otherwise set req.user
+ */
+export function requireAuth(req, res, next) {
+	const user = getUserForToken(getRequestToken(req))
+	if (!user) {
+		return res.status(401).json({
+			ok: false,
+			error: 'Authentication required',
+		})
+	}
+	req.user = toPublicUser(user)
+	next()
+}
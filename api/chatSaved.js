@@ -1,58 +1,41 @@
-// Chat with saved places using Gemini + Google Places enrichment
-// Note: Using direct fetch calls instead of OpenRouter SDK for better server-side compatibility
-
-import { getAllPlaces, getPlacesByListName } from './data.js'
-import { fetchPlaceDetails } from './placeDetails.js'
-
-// Initialize OpenRouter client - check if API key is available
-const getOpenRouterApiKey = () => {
-	return process.env.OPENROUTER_API_KEY || process.env.GEMINI_API_KEY || null
-}
-
-// Note: We use direct fetch calls instead of OpenRouter SDK for better server-side compatibility
-
-// In-memory session storage (simple map)
-const sessions = new Map()
+// Chat with saved places using an LLM (see llm.js) + Google Places enrichment
+
+import {
+	getAllLists,
+	getAllPlaces,
+	getListTags,
+	getPlaceById,
+} from './data.js'
+import { fetchPlaceDetails, toPriceLevel } from './placeDetails.js'
+import { completeJSON, isLLMConfigured } from './llm.js'
+import { parseIntent } from './intentParser.js'
+import { createChatSessionId, getChatSession, recordChatTurn } from './chatSessions.js'
+import { resolvePlaceReference } from './placeReferences.js'
+import { MAX_ORIGINS, ORIGIN_STRATEGIES, rankPlaces } from './ranking.js'
+import { resolveCoordsWithPlacesAPI } from './coordinateResolver.js'
+import { isValidTimeZone, MEAL_PERIODS } from './utils.js'
+import { MAX_ITINERARY_STEPS, planItinerary } from './itinerary.js'
+import { describeOpenAt, formatTimeOfDay, isPlaceOpen, normalizeOpenAt } from '../shared/openingHours.js'
+
+// Earlier messages sent to the LLM as conversation context
+const MAX_HISTORY_MESSAGES = 12
 
 /**
- * Calculate distance between two coordinates (Haversine formula)
+ * Ask the LLM to understand user intent and update slots
+ * Falls back to the rule-based parser when no LLM is configured or the call fails
+ * @param {Object} parserOptions - { vocabulary, placeNames, referencedPlace, timeZone } for the
+ *   rule-based parser; timeZone is also used to resolve openAt times
+ * @param {Array} history - Earlier turns as [{ role, content }] chat messages
  */
-function calculateDistance(lat1, lng1, lat2, lng2) {
-	const R = 6371 // Earth's radius in km
-	const dLat = ((lat2 - lat1) * Math.PI) / 180
-	const dLng = ((lng2 - lng1) * Math.PI) / 180
-	const a =
-		Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-		Math.cos((lat1 * Math.PI) / 180) *
-			Math.cos((lat2 * Math.PI) / 180) *
-			Math.sin(dLng / 2) *
-			Math.sin(dLng / 2)
-	const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
-	return R * c
-}
-
-/**
- * Call Gemini API to understand user intent and update slots
- */
-async function interpretMessageWithGemini(message, currentSlots = {}) {
-	const apiKey = getOpenRouterApiKey()
-	if (!apiKey) {
-		console.warn('OpenRouter API key not configured. Please set OPENROUTER_API_KEY or GEMINI_API_KEY environment variable.')
-		// Fallback: simple keyword matching
-		return {
-			intentType: "recommendations",
-			slots: currentSlots,
-			targetPlaceName: null,
-			questionType: null,
-			needsFollowUp: false,
-			questions: [],
-			assistantMessage: "I can help you find places from your saved lists. What are you looking for?",
-		}
+async function interpretMessage(message, currentSlots = {}, parserOptions = {}, history = []) {
+	if (!isLLMConfigured()) {
+		// Fallback: rule-based parsing
+		return parseIntent(message, currentSlots, parserOptions)
 	}
 	
 	try {
 		const prompt = `You are a helpful assistant that helps users find places from their saved places list.
-
+${history.length > 0 ? 'The earlier messages of this conversation are included above for context.\n' : ''}
 Current conversation slots (what we know so far):
 ${JSON.stringify(currentSlots, null, 2)}
 
@@ -65,6 +48,7 @@ A) If the user is asking a SPECIFIC QUESTION about a place (e.g., "what time doe
    - Extract the place name from the message or context (e.g., "African BBQ House")
    - Set "targetPlaceName" to the place name (null if unclear)
    - Set "questionType" to one of: "openingHours", "rating", "address", "phone", "website", "openNow", "general"
+   - If they ask whether it is open at a particular time ("is it open Saturday at 11pm?", "will it be open for the next 2 hours?"), use "openNow" and set "openAt"
    - Set "needsFollowUp" to false
    - Don't set any slots - this is just an information request
    - assistantMessage should indicate you'll provide the answer
@@ -76,13 +60,27 @@ B) If the user is looking for RECOMMENDATIONS (e.g., "looking for restaurants",
    - After showing results, you can ask ONE simple follow-up question (optional) to help narrow down further
    - Set "needsFollowUp" to false (we show results first, questions come after)
    - Only populate questions array if you want to suggest a refinement after results (max 1 question)
+   - Use "openNow": true for "open now"; for a specific time or duration ("open Saturday 11pm", "open for the next 2 hours") set the "openAt" slot instead and remove "openNow"
+   - Put the atmosphere or occasion in the "vibe" slot as a short phrase ("cozy date spot", "lively group dinner", "quiet place to work"), not in "category" or "cuisine"
+   - For a place to meet between several locations ("somewhere between Mile End and Old Port"), set the "origins" slot to [{ "label": "Mile End" }, { "label": "Old Port" }] (the user themselves is { "label": "You", "self": true }); set "originStrategy" to "total" if they want the least travel overall, otherwise "minimax"
+
+C) If the user wants a PLAN of several places in a row (e.g., "brunch, then a museum, then dinner"), then:
+   - Set "intentType" to "itinerary"
+   - Set "steps" to one entry per place, in order: [{ "label": "brunch", "category": "brunch", "cuisine": null, "price": "cheap" | "mid" | null, "vibe": null, "mealPeriod": "breakfast" | "brunch" | "lunch" | "dinner" | null, "durationMinutes": 90 | null }]
+   - Set "openAt" to when the day starts ("saturday" alone means the whole day), or null for now
+   - Don't change the slots
+
+"openAt" (slot or top-level field) has the form { "day": "saturday" | "today" | "tomorrow" | null, "time": "23:00" | null, "durationMinutes": 120 | 0 }
+(day null = today, time null = now, or the whole day when a day is given)
 
 Return a JSON object with this structure:
 {
-  "intentType": "informational" | "recommendations",
+  "intentType": "informational" | "recommendations" | "itinerary",
   "slots": { ...updated slots... } (only if intentType is "recommendations"),
   "targetPlaceName": "place name or null" (only if intentType is "informational"),
   "questionType": "openingHours" | "rating" | "address" | "phone" | "website" | "openNow" | "general" | null,
+  "openAt": { ... } or null (only if intentType is "informational" or "itinerary"),
+  "steps": [ ... ] (only if intentType is "itinerary"),
   "needsFollowUp": false,
   "questions": ["one optional question"] (max 1, empty array if none needed, only if intentType is "recommendations"),
   "assistantMessage": "A friendly response explaining what you'll do"
@@ -90,226 +88,101 @@ Return a JSON object with this structure:
 
 Only return valid JSON, no other text.`
 
-		// Check if API key is available
-		if (!apiKey) {
-			throw new Error('OpenRouter API key not configured. Please set OPENROUTER_API_KEY or GEMINI_API_KEY environment variable.')
-		}
-
-		// Use OpenRouter REST API directly (more reliable than SDK for server-side)
-		const httpResponse = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-			method: 'POST',
-			headers: {
-				'Authorization': `Bearer ${apiKey}`,
-				'Content-Type': 'application/json',
-				'HTTP-Referer': 'https://saveMapDemo.local', // Optional: for OpenRouter analytics
-				'X-Title': 'Map Whisperer Chat', // Optional: for OpenRouter analytics
-			},
-			body: JSON.stringify({
-				model: "google/gemini-2.5-flash",
-				messages: [
-					{
-						role: "user",
-						content: prompt
-					}
-				]
-			})
+		const result = await completeJSON([...history, { role: 'user', content: prompt }], {
+			shape: 'object',
 		})
-
-		if (!httpResponse.ok) {
-			const errorText = await httpResponse.text().catch(() => 'Unknown error')
-			throw new Error(`OpenRouter API error: ${httpResponse.status} ${httpResponse.statusText} - ${errorText}`)
+		
+		const timeOptions = { timeZone: parserOptions.timeZone }
+		const slots = { ...(result.slots || currentSlots) }
+		if (slots.openAt) {
+			slots.openAt = normalizeOpenAt(slots.openAt, timeOptions)
+			if (!slots.openAt) delete slots.openAt
+		}
+		if (slots.vibe !== undefined && (typeof slots.vibe !== 'string' || !slots.vibe.trim())) {
+			delete slots.vibe
+		}
+		if (slots.origins !== undefined) {
+			slots.origins = Array.isArray(slots.origins)
+				? slots.origins
+					.filter(origin => typeof origin?.label === 'string' && origin.label.trim())
+					.slice(0, MAX_ORIGINS)
+				: []
+			if (slots.origins.length === 0) delete slots.origins
+		}
+		if (slots.originStrategy !== undefined && !ORIGIN_STRATEGIES.includes(slots.originStrategy)) {
+			delete slots.originStrategy
 		}
 
-		const responseData = await httpResponse.json()
+		// A plan needs at least two usable steps
+		const steps = Array.isArray(result.steps)
+			? result.steps
+				.filter(step => typeof step?.category === 'string' || typeof step?.cuisine === 'string')
+				.map(step => ({
+					label: String(step.label || step.cuisine || step.category),
+					category: typeof step.category === 'string' ? step.category.toLowerCase() : null,
+					cuisine: typeof step.cuisine === 'string' ? step.cuisine.toLowerCase() : null,
+					price: ['cheap', 'mid'].includes(step.price) ? step.price : null,
+					vibe: typeof step.vibe === 'string' && step.vibe.trim() ? step.vibe : null,
+					mealPeriod: MEAL_PERIODS[step.mealPeriod] ? step.mealPeriod : null,
+					durationMinutes: Number.isFinite(step.durationMinutes) && step.durationMinutes > 0
+						? Math.round(step.durationMinutes)
+						: null,
+				}))
+			: []
+		const intentType = result.intentType === 'itinerary' && steps.length < 2
+			? 'recommendations'
+			: result.intentType || "recommendations"
 
-		// OpenRouter response format: data.choices[0].message.content (string)
-		const text = responseData.choices?.[0]?.message?.content || '{}'
-		
-		// Extract JSON from response (handle markdown code blocks if present)
-		const jsonMatch = text.match(/\{[\s\S]*\}/)
-		const jsonText = jsonMatch ? jsonMatch[0] : text
-		
-		const result = JSON.parse(jsonText)
-		
 		return {
-			intentType: result.intentType || "recommendations",
-			slots: result.slots || currentSlots,
+			intentType,
+			slots,
+			steps,
 			targetPlaceName: result.targetPlaceName || null,
+			targetPlaceId: null,
 			questionType: result.questionType || null,
+			openAt: normalizeOpenAt(result.openAt, timeOptions),
 			needsFollowUp: result.needsFollowUp || false,
 			questions: result.questions || [],
 			assistantMessage: result.assistantMessage || "I can help you find places. What are you looking for?",
 		}
 	} catch (error) {
-		console.error('Error calling OpenRouter/Gemini API:', error)
-		// Fallback response
-		return {
-			intentType: "recommendations",
-			slots: currentSlots,
-			targetPlaceName: null,
-			questionType: null,
-			needsFollowUp: false,
-			questions: [],
-			assistantMessage: "I can help you find places from your saved lists. What are you looking for?",
-		}
+		console.error('Error interpreting message with LLM:', error)
+		// Fallback: rule-based parsing
+		return parseIntent(message, currentSlots, parserOptions)
 	}
 }
 
 /**
- * Filter candidates from saved places based on slots
+ * Explanation used when the LLM is unavailable or returns nothing usable
  */
-function filterCandidates(places, slots, listName = null) {
-	let candidates = listName ? getPlacesByListName(listName) : places
-
-	// Filter by category if specified
-	if (slots.category) {
-		const categoryLower = slots.category.toLowerCase()
-		candidates = candidates.filter((p) => {
-			// Check tags, placeTags, type, name
-			const allTags = [
-				...(p.tags || []),
-				...(p.placeTags || []),
-				p.type,
-				p.name,
-			].filter(Boolean).map(t => t.toLowerCase())
-			
-			return allTags.some(tag => tag.includes(categoryLower))
-		})
-	}
-
-	// Filter by cuisine if specified
-	if (slots.cuisine) {
-		const cuisineLower = slots.cuisine.toLowerCase()
-		candidates = candidates.filter((p) => {
-			const allTags = [
-				...(p.tags || []),
-				...(p.placeTags || []),
-				p.name,
-				p.notes,
-			].filter(Boolean).map(t => t.toLowerCase())
-			
-			return allTags.some(tag => tag.includes(cuisineLower))
-		})
-	}
-
-	// Filter by price if specified
-	if (slots.price && slots.price !== 'any') {
-		// Map price to priceLevel: cheap = 0-1, mid = 2
-		const targetLevels = slots.price === 'cheap' ? [0, 1] : [2, 3]
-		candidates = candidates.filter((p) => {
-			if (p.priceLevel === null || p.priceLevel === undefined) return true // Include if unknown
-			return targetLevels.includes(p.priceLevel)
-		})
-	}
-
-	// Limit to top 30-50 candidates for further processing
-	return candidates.slice(0, 50)
+function fallbackExplanation(enrichedData) {
+	return `Great ${enrichedData?.categories?.primaryDisplayName || 'place'} with ${enrichedData?.rating ? `${enrichedData.rating}⭐ rating` : 'good reviews'}.`
 }
 
 /**
- * Score a place based on slots and enriched data
+ * Batch generate explanations for multiple places in ONE LLM call
  */
-function scorePlace(place, slots, enrichedData = null, userLocation = null) {
-	let score = 0
-
-	// Category match (20 points)
-	if (slots.category) {
-		const categoryLower = slots.category.toLowerCase()
-		const allTags = [
-			...(place.tags || []),
-			...(place.placeTags || []),
-			place.type,
-			enrichedData?.categories?.primaryDisplayName,
-		].filter(Boolean).map(t => String(t).toLowerCase())
-		
-		if (allTags.some(tag => tag.includes(categoryLower))) {
-			score += 20
-		}
-	}
-
-	// Cuisine match (15 points)
-	if (slots.cuisine) {
-		const cuisineLower = slots.cuisine.toLowerCase()
-		const allTags = [
-			...(place.tags || []),
-			...(place.placeTags || []),
-			place.name,
-			place.notes,
-			enrichedData?.categories?.primaryDisplayName,
-		].filter(Boolean).map(t => String(t).toLowerCase())
-		
-		if (allTags.some(tag => tag.includes(cuisineLower))) {
-			score += 15
-		}
-	}
-
-	// Price match (10 points)
-	if (slots.price && slots.price !== 'any' && enrichedData?.priceLevel !== null) {
-		const targetLevels = slots.price === 'cheap' ? [0, 1] : [2, 3]
-		if (targetLevels.includes(enrichedData.priceLevel)) {
-			score += 10
-		}
-	}
-
-	// Open now (15 points)
-	if (slots.openNow === true && enrichedData?.openingHours?.openNow === true) {
-		score += 15
-	} else if (slots.openNow === false && enrichedData?.openingHours?.openNow === false) {
-		score += 5 // Partial match
-	}
-
-	// Rating boost (10 points max)
-	if (enrichedData?.rating) {
-		score += Math.min(enrichedData.rating * 2, 10)
-	}
-
-	// Distance (if user location provided, 10 points max)
-	if (userLocation && place.lat && place.lng) {
-		const distance = calculateDistance(
-			userLocation.lat,
-			userLocation.lng,
-			place.lat,
-			place.lng
-		)
-		
-		if (slots.distanceKm && distance <= slots.distanceKm) {
-			score += 10
-		} else if (distance <= 5) {
-			score += 5 // Bonus for nearby places
-		}
-	}
-
-	// Vibe match (10 points)
-	if (slots.vibe && place.vibe) {
-		const vibeLower = slots.vibe.toLowerCase()
-		if (place.vibe.toLowerCase().includes(vibeLower)) {
-			score += 10
-		}
-	}
-
-	return score
+// Price level on the 0-4 scale: Place Details keep Google's enum ("PRICE_LEVEL_MODERATE")
+function getPriceLevel(place, enrichedData) {
+	return toPriceLevel(enrichedData?.priceLevel) ?? place.priceLevel ?? null
 }
 
-/**
- * Batch generate explanations for multiple places in ONE Gemini call
- */
-async function generateBatchExplanations(top5Places, slots) {
-	const apiKey = getOpenRouterApiKey()
-	if (!apiKey) {
+async function generateBatchExplanations(top5Places, slots, timeZone = undefined) {
+	if (!isLLMConfigured()) {
 		// Fallback: simple explanations
-		return top5Places.map(({ enrichedData }) => 
-			`Great ${enrichedData?.categories?.primaryDisplayName || 'place'} with ${enrichedData?.rating ? `${enrichedData.rating}⭐ rating` : 'good reviews'}.`
-		)
+		return top5Places.map(({ enrichedData }) => fallbackExplanation(enrichedData))
 	}
 
 	try {
 		// Build prompt with all places
 		const placesInfo = top5Places.map(({ place, enrichedData }, index) => {
+			const priceLevel = getPriceLevel(place, enrichedData)
 			return `${index + 1}. ${place.name}
    Type: ${enrichedData?.categories?.primaryDisplayName || place.type || 'Unknown'}
    Rating: ${enrichedData?.rating || 'N/A'}${enrichedData?.userRatingCount ? ` (${enrichedData.userRatingCount} reviews)` : ''}
-   Price: ${enrichedData?.priceLevel !== null && enrichedData?.priceLevel !== undefined ? '$'.repeat(enrichedData.priceLevel) : 'Unknown'}
-   Open now: ${enrichedData?.openingHours?.openNow ? 'Yes' : 'No'}`
+   Price: ${priceLevel === null ? 'Unknown' : priceLevel === 0 ? 'Free' : '$'.repeat(priceLevel)}
+   Open now: ${enrichedData?.openingHours?.openNow ? 'Yes' : 'No'}${slots.openAt ? `
+   Open ${describeOpenAt(slots.openAt, { timeZone })}: ${{ true: 'Yes', false: 'No' }[isPlaceOpen(enrichedData?.openingHours, slots.openAt, { timeZone })] || 'Unknown'}` : ''}`
 		}).join('\n\n')
 
 		const prompt = `Generate a one-line explanation (max 80 characters) for why each of these places matches the user's request.
@@ -324,46 +197,7 @@ Example format: ["Explanation for place 1", "Explanation for place 2", ...]
 
 Only return the JSON array, no other text.`
 
-		// Check if API key is available
-		if (!apiKey) {
-			throw new Error('OpenRouter API key not configured. Please set OPENROUTER_API_KEY or GEMINI_API_KEY environment variable.')
-		}
-
-		// Use OpenRouter REST API directly (more reliable than SDK for server-side)
-		const httpResponse = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-			method: 'POST',
-			headers: {
-				'Authorization': `Bearer ${apiKey}`,
-				'Content-Type': 'application/json',
-				'HTTP-Referer': 'https://saveMapDemo.local', // Optional: for OpenRouter analytics
-				'X-Title': 'Map Whisperer Chat', // Optional: for OpenRouter analytics
-			},
-			body: JSON.stringify({
-				model: "google/gemini-2.5-flash",
-				messages: [
-					{
-						role: "user",
-						content: prompt
-					}
-				]
-			})
-		})
-
-		if (!httpResponse.ok) {
-			const errorText = await httpResponse.text().catch(() => 'Unknown error')
-			throw new Error(`OpenRouter API error: ${httpResponse.status} ${httpResponse.statusText} - ${errorText}`)
-		}
-
-		const responseData = await httpResponse.json()
-
-		// OpenRouter response format: data.choices[0].message.content (string)
-		const text = responseData.choices?.[0]?.message?.content || '[]'
-		
-		// Extract JSON array from response
-		const jsonMatch = text.match(/\[[\s\S]*\]/)
-		const jsonText = jsonMatch ? jsonMatch[0] : text
-		
-		const explanations = JSON.parse(jsonText)
+		const explanations = await completeJSON(prompt, { shape: 'array' })
 		
 		// Ensure we have the right number of explanations
 		if (Array.isArray(explanations) && explanations.length === top5Places.length) {
@@ -372,371 +206,554 @@ Only return the JSON array, no other text.`
 		
 		// Fallback if response format is wrong
 		console.warn('Unexpected batch explanations format, using fallback')
-		return top5Places.map(({ enrichedData }) => 
-			`Great ${enrichedData?.categories?.primaryDisplayName || 'place'} with ${enrichedData?.rating ? `${enrichedData.rating}⭐ rating` : 'good reviews'}.`
-		)
+		return top5Places.map(({ enrichedData }) => fallbackExplanation(enrichedData))
 	} catch (error) {
-		console.error('Error generating batch explanations via OpenRouter:', error)
+		console.error('Error generating batch explanations:', error)
 		// Fallback: simple explanations
-		return top5Places.map(({ enrichedData }) => 
-			`Great ${enrichedData?.categories?.primaryDisplayName || 'place'} with ${enrichedData?.rating ? `${enrichedData.rating}⭐ rating` : 'good reviews'}.`
-		)
+		return top5Places.map(({ enrichedData }) => fallbackExplanation(enrichedData))
 	}
 }
 
 /**
- * Generate "why" explanation using Gemini (DEPRECATED - use generateBatchExplanations instead)
- * @deprecated Use generateBatchExplanations for batched generation
+ * Format a ranked candidate for the chat response
+ * @param {Object} candidate - { place, enrichedData, score }
+ * @param {string|null} why - Explanation (null until generated)
  */
-async function _generateWhyExplanation(place, enrichedData, slots) {
-	const apiKey = getOpenRouterApiKey()
-	if (!apiKey) {
-		// Fallback: simple explanation
-		return `Great ${enrichedData?.categories?.primaryDisplayName || 'place'} with ${enrichedData?.rating ? `${enrichedData.rating}⭐ rating` : 'good reviews'}.`
+function formatResult({ place, enrichedData, score, originDistancesKm }, why) {
+	// Format opening hours text
+	let openingHoursText = null
+	if (enrichedData?.openingHours?.weekdayText) {
+		openingHoursText = enrichedData.openingHours.weekdayText.join(', ')
 	}
 
-	try {
-		const prompt = `Generate a one-line explanation (max 80 characters) for why this place matches the user's request.
-
-Place: ${place.name}
-Type: ${enrichedData?.categories?.primaryDisplayName || place.type || 'Unknown'}
-Rating: ${enrichedData?.rating || 'N/A'}${enrichedData?.userRatingCount ? ` (${enrichedData.userRatingCount} reviews)` : ''}
-Price: ${enrichedData?.priceLevel !== null && enrichedData?.priceLevel !== undefined ? '$'.repeat(enrichedData.priceLevel) : 'Unknown'}
-Open now: ${enrichedData?.openingHours?.openNow ? 'Yes' : 'No'}
-User request: ${JSON.stringify(slots)}
-
-Return only the explanation text, nothing else. Keep it concise and friendly.`
-
-		// Use gemini-2.5-flash model
-		const modelsToTry = ['gemini-2.5-flash']
-		let lastError = null
-		
-		for (const modelName of modelsToTry) {
-			try {
-				const response = await fetch(
-					`https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent?key=${apiKey}`,
-					{
-						method: 'POST',
-						headers: {
-							'Content-Type': 'application/json',
-						},
-						body: JSON.stringify({
-							contents: [
-								{
-									parts: [{ text: prompt }],
-								},
-							],
-						}),
-					}
-				)
-
-				if (!response.ok) {
-					const errorText = await response.text().catch(() => 'Unknown error')
-					lastError = new Error(`Gemini API error (${modelName}): ${response.status} ${response.statusText}`)
-					console.error(`Gemini API error (${modelName}):`, response.status, response.statusText, errorText)
-					// Try next model if 404
-					if (response.status === 404 && modelsToTry.indexOf(modelName) < modelsToTry.length - 1) {
-						continue
-					}
-					throw lastError
-				}
+	return {
+		id: place.id,
+		placeId: place.placeId || enrichedData?.placeId || null,
+		name: enrichedData?.name || place.name,
+		address: enrichedData?.address || place.address,
+		rating: enrichedData?.rating || null,
+		userRatingCount: enrichedData?.userRatingCount || null,
+		priceLevel: getPriceLevel(place, enrichedData),
+		primaryType: enrichedData?.categories?.primary || null,
+		primaryTypeDisplayName: enrichedData?.categories?.primaryDisplayName || null,
+		types: enrichedData?.categories?.types || [],
+		openNow: enrichedData?.openingHours?.openNow ?? null,
+		openingHoursText,
+		reviewSummary: enrichedData?.about || null, // Using editorialSummary as review summary
+		why,
+		score,
+		lat: place.lat || null,
+		lng: place.lng || null,
+		// Trip from each of the slots' origins that has coordinates, in order (meeting points only)
+		originDistancesKm: originDistancesKm
+			? originDistancesKm.map(distanceKm => Math.round(distanceKm * 100) / 100)
+			: null,
+	}
+}
 
-				const data = await response.json()
-				const text = data.candidates?.[0]?.content?.parts?.[0]?.text || ''
-				return text.trim() || `Great ${enrichedData?.categories?.primaryDisplayName || 'place'} with ${enrichedData?.rating ? `${enrichedData.rating}⭐ rating` : 'good reviews'}.`
-			} catch (modelError) {
-				// If this is the last model, use fallback
-				if (modelsToTry.indexOf(modelName) === modelsToTry.length - 1) {
-					break
-				}
-				// Otherwise continue to next model
-				lastError = modelError
+/**
+ * Find coordinates for the origins of a meeting-point request, in place
+ * The user ("between me and ...") is their current location; other origins are the user's saved
+ * place of that name, or a Places text search near the user. Coordinates are kept in the slots,
+ * so later turns don't search again.
+ * @param {string} ownerId - User whose saved places are checked
+ * @param {Array} origins - Slot origins [{ label, self, lat, lng }]
+ * @param {Object|null} userLocation - { lat, lng }
+ * @returns {Promise<Array>} - Labels that couldn't be found
+ */
+async function resolveOrigins(ownerId, origins, userLocation) {
+	const unresolved = []
+	const savedPlaces = getAllPlaces(ownerId).filter(place => place.lat && place.lng)
+
+	for (const origin of origins) {
+		if (origin.self) {
+			if (userLocation?.lat && userLocation?.lng) {
+				Object.assign(origin, { lat: userLocation.lat, lng: userLocation.lng })
+			} else {
+				delete origin.lat
+				delete origin.lng
+				unresolved.push('your location')
 			}
+			continue
+		}
+		if (Number.isFinite(origin.lat) && Number.isFinite(origin.lng)) continue
+
+		const label = origin.label.toLowerCase()
+		const saved = savedPlaces.find(place => place.name.toLowerCase() === label)
+		const found = saved || (await resolveCoordsWithPlacesAPI(origin.label, null, null, userLocation))
+		if (found) {
+			Object.assign(origin, { lat: found.lat, lng: found.lng })
+		} else {
+			unresolved.push(origin.label)
 		}
-		
-		// Fallback if all models failed
-		return `Great ${enrichedData?.categories?.primaryDisplayName || 'place'} with ${enrichedData?.rating ? `${enrichedData.rating}⭐ rating` : 'good reviews'}.`
-	} catch (error) {
-		console.error('Error generating explanation:', error)
-		return `Great ${enrichedData?.categories?.primaryDisplayName || 'place'} with ${enrichedData?.rating ? `${enrichedData.rating}⭐ rating` : 'good reviews'}.`
 	}
+
+	return unresolved
 }
 
 /**
- * Main chat endpoint handler
+ * Turn stored session messages into LLM chat messages
+ * Assistant turns list the places they recommended, so the model can refer back to them
  */
-export async function handleChatSaved(req, res) {
-	try {
-		const { message, context = {} } = req.body
+function toModelHistory(ownerId, messages) {
+	return messages.slice(-MAX_HISTORY_MESSAGES).map(({ role, text, resultIds }) => {
+		const names = resultIds
+			.map(id => getPlaceById(ownerId, id)?.name)
+			.filter(Boolean)
+		return {
+			role,
+			content:
+				names.length > 0
+					? `${text}\nRecommended: ${names.map((name, i) => `${i + 1}. ${name}`).join(', ')}`
+					: text,
+		}
+	})
+}
 
-		if (!message || typeof message !== 'string') {
-			return res.status(400).json({
-				ok: false,
-				error: 'Message is required',
-			})
+// Rounded to 10 m
+const roundKm = distanceKm => Math.round(distanceKm * 100) / 100
+
+// Why a stop is where it is in the plan: when to get there and how far it is from the last one
+function describeStop(stop) {
+	const arrival = formatTimeOfDay(stop.arrival.minutes)
+	const hours = stop.openAtArrival === true ? ' Open for your whole visit.' : ''
+	if (stop.walkKm === 0) return `Get there around ${arrival}.${hours}`
+	return `Get there around ${arrival}, a ${stop.walkMinutes} min walk (${roundKm(stop.walkKm)} km).${hours}`
+}
+
+/**
+ * Answer a day-plan request ("brunch, then a museum, then dinner") with one saved place per step,
+ * routed for the least walking and open when you get there (see itinerary.js)
+ * @param {Object} interpretation - From interpretMessage, with steps and openAt (the start)
+ * @param {Object} context - { listName, userLocation, timeZone }
+ * @returns {Promise<Object>} - Chat response in mode 'itinerary': results are the stops in
+ *   order, itinerary has { start, stops: [{ step, label, id, arrival, departure, walkKm,
+ *   walkMinutes, openAtArrival }], skipped: [{ step, label, reason }], totalWalkKm, totalWalkMinutes }
+ */
+async function answerItinerary(ownerId, interpretation, { listName, userLocation, timeZone }, session, emit) {
+	emit({
+		type: 'message',
+		mode: 'itinerary',
+		assistantMessage: interpretation.assistantMessage || 'Planning your day...',
+		updatedSlots: session.slots,
+	})
+
+	const plan = await planItinerary(
+		getAllPlaces(ownerId),
+		interpretation.steps.slice(0, MAX_ITINERARY_STEPS),
+		{ listName, userLocation, timeZone, startAt: interpretation.openAt }
+	)
+
+	const results = plan.stops.map(stop => formatResult(stop, describeStop(stop)))
+	results.forEach((result, index) => {
+		emit({ type: 'result', index, result })
+	})
+
+	const parts = []
+	if (plan.stops.length > 0) {
+		const route = plan.stops
+			.map(stop => `${stop.label} at ${stop.place.name} (${formatTimeOfDay(stop.arrival.minutes)})`)
+			.join(', then ')
+		parts.push(`Here's your plan, starting ${describeOpenAt(plan.start, { timeZone })}: ${route}.`)
+		if (plan.totalWalkKm > 0) {
+			parts.push(`About ${plan.totalWalkMinutes} minutes of walking (${roundKm(plan.totalWalkKm)} km).`)
 		}
+	} else {
+		parts.push("I couldn't plan that from your saved places.")
+	}
+	for (const { label, reason } of plan.skipped) {
+		parts.push(`No ${label}: ${reason.charAt(0).toLowerCase()}${reason.slice(1)}.`)
+	}
 
-		const {
-			sessionId = `session_${Date.now()}`,
-			listName = null,
-			userLocation = null,
-			slots: initialSlots = {},
-		} = context
+	return {
+		ok: true,
+		mode: 'itinerary',
+		assistantMessage: parts.join(' '),
+		updatedSlots: session.slots,
+		results,
+		itinerary: {
+			start: plan.start,
+			stops: plan.stops.map(stop => ({
+				step: stop.step,
+				label: stop.label,
+				id: stop.place.id,
+				arrival: stop.arrival,
+				departure: stop.departure,
+				walkKm: roundKm(stop.walkKm),
+				walkMinutes: stop.walkMinutes,
+				openAtArrival: stop.openAtArrival,
+			})),
+			skipped: plan.skipped,
+			totalWalkKm: roundKm(plan.totalWalkKm),
+			totalWalkMinutes: plan.totalWalkMinutes,
+		},
+		optionalQuestion: null,
+	}
+}
 
-		// Get or create session
-		let session = sessions.get(sessionId) || { slots: initialSlots }
-		
-		// Check if message is a greeting (simple detection)
-		const messageLower = message.toLowerCase().trim()
-		const greetingPatterns = [
-			/^(hi|hello|hey|greetings|howdy|hi there|hello there|hey there)(\s|$|[!.,?])/i,
-			/^(\s|^)(hi|hello|hey)(\s|$|[!.,?])/i,
-		]
-		const isGreeting = greetingPatterns.some(pattern => pattern.test(messageLower)) && 
-			messageLower.split(/\s+/).length <= 5 // Only treat as greeting if short message
-
-		// If it's a greeting and no slots are filled yet, respond with greeting and question
-		if (isGreeting && Object.keys(session.slots).length === 0) {
-			return res.json({
-				ok: true,
-				mode: 'recommendations',
-				assistantMessage: "Hi there! I can help you find places from your saved list. To get started, what kind of place are you looking for?",
-				updatedSlots: session.slots,
-				results: [],
-				optionalQuestion: null,
-			})
+/**
+ * Answer one message: interpret it, rank saved places and explain the picks
+ * @param {string} ownerId - User whose places are searched
+ * @param {string} message - User message
+ * @param {Object} context - { listName, userLocation, origins } userLocation may include the user's
+ *   IANA timezone; origins [{ label, lat, lng }] to meet between when the message names none
+ * @param {Object} session - { slots, history, lastResults, focusPlaceId } from earlier turns
+ * @param {Function} emit - Receives progress events while the turn runs:
+ *   { type: 'message', mode, assistantMessage, updatedSlots }, { type: 'result', index, result },
+ *   { type: 'explanation', index, why }
+ * @returns {Promise<Object>} - Full chat response
+ */
+async function answerMessage(ownerId, message, context, session, emit) {
+	const {
+		listName = null,
+		userLocation = null,
+	} = context
+	// Used for "now" and relative times ("tonight at 9"); invalid zones fall back to the server's
+	const timeZone = userLocation?.timezone && isValidTimeZone(userLocation.timezone)
+		? userLocation.timezone
+		: undefined
+	
+	// Check if message is a greeting (simple detection)
+	const messageLower = message.toLowerCase().trim()
+	const greetingPatterns = [
+		/^(hi|hello|hey|greetings|howdy|hi there|hello there|hey there)(\s|$|[!.,?])/i,
+		/^(\s|^)(hi|hello|hey)(\s|$|[!.,?])/i,
+	]
+	const isGreeting = greetingPatterns.some(pattern => pattern.test(messageLower)) && 
+		messageLower.split(/\s+/).length <= 5 // Only treat as greeting if short message
+
+	// If it's a greeting and no slots are filled yet, respond with greeting and question
+	if (isGreeting && Object.keys(session.slots).length === 0) {
+		return {
+			ok: true,
+			mode: 'recommendations',
+			assistantMessage: "Hi there! I can help you find places from your saved list. To get started, what kind of place are you looking for?",
+			updatedSlots: session.slots,
+			results: [],
+			optionalQuestion: null,
 		}
+	}
+	
+	// Combined: Interpret message AND prepare for batch processing in ONE LLM call
+	// We'll still need to call once for interpretation, but we'll optimize the explanations
+	// "the second one", "the cheaper one", "it" - resolved against the previous results
+	const referencedPlace = resolvePlaceReference(message, session.lastResults, {
+		userLocation,
+		focusPlaceId: session.focusPlaceId,
+	})
+
+	const interpretation = await interpretMessage(message, session.slots, {
+		// List tags double as the cuisine vocabulary for the rule-based parser
+		vocabulary: listName
+			? getListTags(ownerId, listName)
+			: getAllLists(ownerId).flatMap(list => list.listTags),
+		placeNames: getAllPlaces(ownerId).map(p => p.name),
+		referencedPlace,
+		timeZone,
+	}, session.history)
+	
+	// Day plan: one place per step instead of a top 5
+	if (interpretation.intentType === 'itinerary') {
+		return answerItinerary(ownerId, interpretation, { listName, userLocation, timeZone }, session, emit)
+	}
+
+	// Handle informational questions (e.g., "what time does it open", "what's the rating")
+	if (interpretation.intentType === "informational") {
+		// Find the place: by ID, by exact name, then an earlier result the message refers to,
+		// then by fuzzy name match
+		const allPlaces = getAllPlaces(ownerId)
+		const searchName = interpretation.targetPlaceName?.toLowerCase()
+		let targetPlace =
+			(interpretation.targetPlaceId && getPlaceById(ownerId, interpretation.targetPlaceId)) ||
+			(searchName && allPlaces.find(p => p.name && p.name.toLowerCase() === searchName)) ||
+			(referencedPlace && getPlaceById(ownerId, referencedPlace.id)) ||
+			null
 		
-		// Combined: Interpret message AND prepare for batch processing in ONE Gemini call
-		// We'll still need to call once for interpretation, but we'll optimize the explanations
-		const interpretation = await interpretMessageWithGemini(message, session.slots)
+		if (!targetPlace && searchName) {
+			targetPlace = allPlaces.find(p => 
+				p.name && p.name.toLowerCase().includes(searchName) || 
+				searchName.includes(p.name.toLowerCase())
+			)
+		}
 		
-		// Handle informational questions (e.g., "what time does it open", "what's the rating")
-		if (interpretation.intentType === "informational") {
-			// Find the place by name (fuzzy match)
-			const allPlaces = getAllPlaces()
-			let targetPlace = null
-			
-			if (interpretation.targetPlaceName) {
-				const searchName = interpretation.targetPlaceName.toLowerCase()
-				// Try exact match first, then fuzzy match
-				targetPlace = allPlaces.find(p => 
-					p.name && p.name.toLowerCase() === searchName
-				) || allPlaces.find(p => 
-					p.name && p.name.toLowerCase().includes(searchName) || 
-					searchName.includes(p.name.toLowerCase())
-				)
-			}
-			
-			// If place found, fetch details and answer the question
-			if (targetPlace && targetPlace.placeId) {
-				try {
-					const enrichedData = await fetchPlaceDetails(targetPlace.placeId)
-					let answer = ""
-					
-					if (interpretation.questionType === "openingHours" || interpretation.questionType === "openNow") {
-						if (enrichedData?.openingHours?.openNow !== null) {
-							const isOpen = enrichedData.openingHours.openNow
-							if (interpretation.questionType === "openNow") {
-								answer = `${targetPlace.name} is currently ${isOpen ? "**open**" : "**closed**"}.`
-							} else {
-								answer = `${targetPlace.name} is currently ${isOpen ? "**open**" : "**closed**"}.`
-							}
-							
-							if (enrichedData.openingHours.weekdayText && enrichedData.openingHours.weekdayText.length > 0) {
-								answer += `\n\nOpening hours:\n${enrichedData.openingHours.weekdayText.slice(0, 7).join('\n')}`
-							}
-						} else {
-							answer = `I don't have opening hours information for ${targetPlace.name}.`
-						}
-					} else if (interpretation.questionType === "rating") {
-						if (enrichedData?.rating) {
-							const reviewCount = enrichedData.userRatingCount || 0
-							answer = `${targetPlace.name} has a rating of **${enrichedData.rating}⭐**${reviewCount > 0 ? ` (${reviewCount.toLocaleString()} reviews)` : ''}.`
-						} else {
-							answer = `I don't have rating information for ${targetPlace.name}.`
-						}
-					} else if (interpretation.questionType === "address") {
-						answer = `${targetPlace.name} is located at **${enrichedData?.address || targetPlace.address || 'address not available'}**.`
-					} else if (interpretation.questionType === "phone") {
-						if (enrichedData?.contact?.phone) {
-							answer = `You can reach ${targetPlace.name} at **${enrichedData.contact.phone}**.`
+		// If place found, fetch details and answer the question
+		if (targetPlace && targetPlace.placeId) {
+			try {
+				const enrichedData = await fetchPlaceDetails(targetPlace.placeId)
+				let answer = ""
+				
+				const openAt = interpretation.openAt
+				const isOpenAt = openAt ? isPlaceOpen(enrichedData?.openingHours, openAt, { timeZone }) : null
+
+				if (openAt && (interpretation.questionType === "openingHours" || interpretation.questionType === "openNow")) {
+					// "Is it open Saturday at 11pm?"
+					answer = isOpenAt === null
+						? `I don't have opening hours information for ${targetPlace.name}.`
+						: `${targetPlace.name} is ${isOpenAt ? "**open**" : "**closed**"} ${describeOpenAt(openAt, { timeZone })}.`
+					if (isOpenAt !== null && enrichedData.openingHours.weekdayText?.length > 0) {
+						answer += `\n\nOpening hours:\n${enrichedData.openingHours.weekdayText.slice(0, 7).join('\n')}`
+					}
+				} else if (interpretation.questionType === "openingHours" || interpretation.questionType === "openNow") {
+					if (enrichedData?.openingHours?.openNow !== null) {
+						const isOpen = enrichedData.openingHours.openNow
+						if (interpretation.questionType === "openNow") {
+							answer = `${targetPlace.name} is currently ${isOpen ? "**open**" : "**closed**"}.`
 						} else {
-							answer = `I don't have phone number information for ${targetPlace.name}.`
+							answer = `${targetPlace.name} is currently ${isOpen ? "**open**" : "**closed**"}.`
 						}
-					} else if (interpretation.questionType === "website") {
-						if (enrichedData?.contact?.website) {
-							answer = `You can visit ${targetPlace.name}'s website at **${enrichedData.contact.website}**.`
-						} else {
-							answer = `I don't have website information for ${targetPlace.name}.`
+						
+						if (enrichedData.openingHours.weekdayText && enrichedData.openingHours.weekdayText.length > 0) {
+							answer += `\n\nOpening hours:\n${enrichedData.openingHours.weekdayText.slice(0, 7).join('\n')}`
 						}
 					} else {
-						// General question - provide basic info
-						answer = `Here's what I know about ${targetPlace.name}:\n\n`
-						if (enrichedData?.address) answer += `📍 Address: ${enrichedData.address}\n`
-						if (enrichedData?.rating) {
-							const reviewCount = enrichedData.userRatingCount || 0
-							answer += `⭐ Rating: ${enrichedData.rating}${reviewCount > 0 ? ` (${reviewCount.toLocaleString()} reviews)` : ''}\n`
-						}
-						if (enrichedData?.openingHours?.openNow !== null) {
-							answer += `🕐 Status: ${enrichedData.openingHours.openNow ? 'Open now' : 'Closed'}\n`
-						}
-						if (enrichedData?.contact?.phone) answer += `📞 Phone: ${enrichedData.contact.phone}\n`
-						if (enrichedData?.contact?.website) answer += `🌐 Website: ${enrichedData.contact.website}\n`
+						answer = `I don't have opening hours information for ${targetPlace.name}.`
+					}
+				} else if (interpretation.questionType === "rating") {
+					if (enrichedData?.rating) {
+						const reviewCount = enrichedData.userRatingCount || 0
+						answer = `${targetPlace.name} has a rating of **${enrichedData.rating}⭐**${reviewCount > 0 ? ` (${reviewCount.toLocaleString()} reviews)` : ''}.`
+					} else {
+						answer = `I don't have rating information for ${targetPlace.name}.`
+					}
+				} else if (interpretation.questionType === "address") {
+					answer = `${targetPlace.name} is located at **${enrichedData?.address || targetPlace.address || 'address not available'}**.`
+				} else if (interpretation.questionType === "phone") {
+					if (enrichedData?.contact?.phone) {
+						answer = `You can reach ${targetPlace.name} at **${enrichedData.contact.phone}**.`
+					} else {
+						answer = `I don't have phone number information for ${targetPlace.name}.`
+					}
+				} else if (interpretation.questionType === "website") {
+					if (enrichedData?.contact?.website) {
+						answer = `You can visit ${targetPlace.name}'s website at **${enrichedData.contact.website}**.`
+					} else {
+						answer = `I don't have website information for ${targetPlace.name}.`
+					}
+				} else {
+					// General question - provide basic info
+					answer = `Here's what I know about ${targetPlace.name}:\n\n`
+					if (enrichedData?.address) answer += `📍 Address: ${enrichedData.address}\n`
+					if (enrichedData?.rating) {
+						const reviewCount = enrichedData.userRatingCount || 0
+						answer += `⭐ Rating: ${enrichedData.rating}${reviewCount > 0 ? ` (${reviewCount.toLocaleString()} reviews)` : ''}\n`
+					}
+					if (enrichedData?.openingHours?.openNow !== null) {
+						answer += `🕐 Status: ${enrichedData.openingHours.openNow ? 'Open now' : 'Closed'}\n`
 					}
-					
-					return res.json({
-						ok: true,
-						mode: 'recommendations',
-						assistantMessage: answer,
-						updatedSlots: session.slots,
-						results: [],
-						optionalQuestion: null,
-					})
-				} catch (error) {
-					console.error('Error fetching place details for informational question:', error)
-					return res.json({
-						ok: true,
-						mode: 'recommendations',
-						assistantMessage: `I couldn't find detailed information for ${targetPlace.name}. Would you like to see it in a recommendation list?`,
-						updatedSlots: session.slots,
-						results: [],
-						optionalQuestion: null,
-					})
+					if (enrichedData?.contact?.phone) answer += `📞 Phone: ${enrichedData.contact.phone}\n`
+					if (enrichedData?.contact?.website) answer += `🌐 Website: ${enrichedData.contact.website}\n`
 				}
-			} else {
-				// Place not found - ask which place they meant
-				return res.json({
+				
+				return {
+					ok: true,
+					mode: 'recommendations',
+					assistantMessage: answer,
+					updatedSlots: session.slots,
+					results: [],
+					optionalQuestion: null,
+					focusPlaceId: targetPlace.id,
+				}
+			} catch (error) {
+				console.error('Error fetching place details for informational question:', error)
+				return {
 					ok: true,
 					mode: 'recommendations',
-					assistantMessage: interpretation.assistantMessage || "I couldn't find that place in your saved list. Which place are you asking about?",
+					assistantMessage: `I couldn't find detailed information for ${targetPlace.name}. Would you like to see it in a recommendation list?`,
 					updatedSlots: session.slots,
 					results: [],
 					optionalQuestion: null,
-				})
+					focusPlaceId: targetPlace.id,
+				}
 			}
-		}
-		
-		// Update session slots (for recommendation mode)
-		session.slots = interpretation.slots || session.slots
-		sessions.set(sessionId, session)
-
-		// ALWAYS show results first - soft scoring, no hard filtering
-		// Get all places
-		const allPlaces = getAllPlaces()
-		
-		// Score candidates using soft scoring (no hard filtering)
-		const scoredCandidates = filterCandidates(allPlaces, session.slots, listName, userLocation)
-
-		if (scoredCandidates.length === 0) {
-			return res.json({
+		} else if (targetPlace) {
+			// Saved place without a Google Place ID - only the saved address is known
+			return {
 				ok: true,
 				mode: 'recommendations',
-				assistantMessage: "I couldn't find any places matching your criteria. Try adjusting your search!",
+				assistantMessage: interpretation.questionType === "address" && targetPlace.address
+					? `${targetPlace.name} is located at **${targetPlace.address}**.`
+					: `I couldn't find detailed information for ${targetPlace.name}. Would you like to see it in a recommendation list?`,
 				updatedSlots: session.slots,
 				results: [],
-			})
-		}
-
-		// Enrich top candidates (15-20) with Place Details for final ranking
-		// Only enrich places that have placeId (for types/priceLevel/rating/openNow/reviewSummary)
-		const topCandidatesForEnrichment = scoredCandidates.filter(p => p.placeId).slice(0, 20)
-		const enrichedCandidates = await Promise.all(
-			topCandidatesForEnrichment.map(async (place) => {
-				try {
-					const enrichedData = await fetchPlaceDetails(place.placeId)
-					return { place, enrichedData }
-				} catch (error) {
-					console.error(`Error enriching place ${place.id}:`, error)
-					return { place, enrichedData: null }
-				}
-			})
-		)
-
-		// Include places without placeId (won't be enriched but still rankable by basic info)
-		const placesWithoutEnrichment = scoredCandidates
-			.filter(p => !p.placeId)
-			.slice(0, 10)
-			.map(place => ({ place, enrichedData: null }))
-
-		// Combine enriched and non-enriched candidates for final ranking
-		const allCandidatesForRanking = [...enrichedCandidates, ...placesWithoutEnrichment]
-
-		// Score and rank all candidates (enriched data improves scores with types/priceLevel/rating/openNow)
-		const scored = allCandidatesForRanking.map(({ place, enrichedData }) => ({
-			place,
-			enrichedData,
-			score: scorePlace(place, session.slots, enrichedData, userLocation),
-		}))
-
-		// Sort by score (descending)
-		scored.sort((a, b) => b.score - a.score)
-
-		// Get top 5 after final ranking
-		const top5 = scored.slice(0, 5)
-
-		// If no results found, check if we should ask a question to help refine
-		if (top5.length === 0) {
-			// If we have an optional refinement question, return it with empty results
-			const optionalQuestion = interpretation.questions && interpretation.questions.length > 0 
-				? interpretation.questions[0] 
-				: null
-			
-			return res.json({
+				optionalQuestion: null,
+				focusPlaceId: targetPlace.id,
+			}
+		} else {
+			// Place not found - ask which place they meant
+			return {
 				ok: true,
 				mode: 'recommendations',
-				assistantMessage: interpretation.assistantMessage || "I couldn't find any places matching your criteria. Try adjusting your search!",
+				assistantMessage: interpretation.targetPlaceName
+					? `I couldn't find "${interpretation.targetPlaceName}" in your saved list. Which place are you asking about?`
+					: interpretation.assistantMessage || "I couldn't find that place in your saved list. Which place are you asking about?",
 				updatedSlots: session.slots,
 				results: [],
-				optionalQuestion: optionalQuestion, // Include optional question after empty results
-			})
+				optionalQuestion: null,
+			}
 		}
+	}
+	
+	// Update session slots (for recommendation mode)
+	session.slots = interpretation.slots || session.slots
+
+	// Meeting point: the request's origins (e.g. everyone's office) unless the message named some
+	if (!session.slots.origins && Array.isArray(context.origins) && context.origins.length > 0) {
+		session.slots.origins = context.origins
+			.filter(origin => Number.isFinite(origin?.lat) && Number.isFinite(origin?.lng))
+			.slice(0, MAX_ORIGINS)
+			.map(({ label, lat, lng }, index) => ({ label: String(label || `Origin ${index + 1}`), lat, lng }))
+	}
+	let assistantMessage = interpretation.assistantMessage
+	if (session.slots.origins?.length > 0) {
+		const unresolved = await resolveOrigins(ownerId, session.slots.origins, userLocation)
+		if (unresolved.length > 0) {
+			const [verb, pronoun] = unresolved.length === 1 ? ['is', 'it'] : ['are', 'them']
+			const notFound = `I couldn't find where ${unresolved.join(' and ')} ${verb}, so I left ${pronoun} out.`
+			assistantMessage = [assistantMessage, notFound].filter(Boolean).join(' ')
+		}
+	}
 
-		// Batch generate all explanations in ONE Gemini call
-		const explanations = await generateBatchExplanations(top5, session.slots)
-		
-		// Format results with batched explanations
-		const results = top5.map(({ place, enrichedData, score }, index) => {
-			// Format opening hours text
-			let openingHoursText = null
-			if (enrichedData?.openingHours?.weekdayText) {
-				openingHoursText = enrichedData.openingHours.weekdayText.join(', ')
-			}
+	// Acknowledge the request before the (slow) enrichment and explanation steps
+	emit({
+		type: 'message',
+		mode: 'recommendations',
+		assistantMessage: assistantMessage || 'Looking through your saved places...',
+		updatedSlots: session.slots,
+	})
+
+	// ALWAYS show results first - soft scoring, no hard filtering
+	const scored = await rankPlaces(getAllPlaces(ownerId), session.slots, {
+		listName,
+		userLocation,
+		timeZone,
+	})
+
+	if (scored.length === 0) {
+		return {
+			ok: true,
+			mode: 'recommendations',
+			assistantMessage: "I couldn't find any places matching your criteria. Try adjusting your search!",
+			updatedSlots: session.slots,
+			results: [],
+		}
+	}
 
-			return {
-				id: place.id,
-				placeId: place.placeId || enrichedData?.placeId || null,
-				name: enrichedData?.name || place.name,
-				address: enrichedData?.address || place.address,
-				rating: enrichedData?.rating || null,
-				userRatingCount: enrichedData?.userRatingCount || null,
-				priceLevel: enrichedData?.priceLevel ?? place.priceLevel ?? null,
-				primaryType: enrichedData?.categories?.primary || null,
-				primaryTypeDisplayName: enrichedData?.categories?.primaryDisplayName || null,
-				types: enrichedData?.categories?.types || [],
-				openNow: enrichedData?.openingHours?.openNow ?? null,
-				openingHoursText,
-				reviewSummary: enrichedData?.about || null, // Using editorialSummary as review summary
-				why: explanations[index] || `Great ${enrichedData?.categories?.primaryDisplayName || 'place'} with ${enrichedData?.rating ? `${enrichedData.rating}⭐ rating` : 'good reviews'}.`,
-				score,
-				lat: place.lat || null,
-				lng: place.lng || null,
-			}
-		})
+	// Get top 5 after final ranking
+	const top5 = scored.slice(0, 5)
 
-		// Include optional refinement question if provided (after showing results)
+	// If no results found, check if we should ask a question to help refine
+	if (top5.length === 0) {
+		// If we have an optional refinement question, return it with empty results
 		const optionalQuestion = interpretation.questions && interpretation.questions.length > 0 
 			? interpretation.questions[0] 
 			: null
-
-		return res.json({
+		
+		return {
 			ok: true,
 			mode: 'recommendations',
-			assistantMessage: interpretation.assistantMessage || `Here are ${results.length} recommendations based on your saved places:`,
+			assistantMessage: assistantMessage || "I couldn't find any places matching your criteria. Try adjusting your search!",
 			updatedSlots: session.slots,
-			results,
-			optionalQuestion: optionalQuestion, // Optional question to help refine further
-		})
+			results: [],
+			optionalQuestion: optionalQuestion, // Include optional question after empty results
+		}
+	}
+
+	// Send the ranked results first, then fill in the explanations
+	top5.forEach((candidate, index) => {
+		emit({ type: 'result', index, result: formatResult(candidate, null) })
+	})
+
+	// Batch generate all explanations in ONE LLM call
+	const explanations = await generateBatchExplanations(top5, session.slots, timeZone)
+
+	// Format results with batched explanations
+	const results = top5.map((candidate, index) =>
+		formatResult(candidate, explanations[index] || fallbackExplanation(candidate.enrichedData))
+	)
+	results.forEach((result, index) => {
+		emit({ type: 'explanation', index, why: result.why })
+	})
+
+	// Include optional refinement question if provided (after showing results)
+	const optionalQuestion = interpretation.questions && interpretation.questions.length > 0 
+		? interpretation.questions[0] 
+		: null
+
+	return {
+		ok: true,
+		mode: 'recommendations',
+		assistantMessage: assistantMessage || `Here are ${results.length} recommendations based on your saved places:`,
+		updatedSlots: session.slots,
+		results,
+		optionalQuestion: optionalQuestion, // Optional question to help refine further
+	}
+}
+
+// Fields of a result kept in the session to resolve follow-up references
+function toResultSummary(result) {
+	return {
+		id: result.id,
+		name: result.name,
+		priceLevel: result.priceLevel,
+		rating: result.rating,
+		primaryTypeDisplayName: result.primaryTypeDisplayName,
+		types: result.types,
+		openNow: result.openNow,
+		lat: result.lat,
+		lng: result.lng,
+	}
+}
+
+/**
+ * Run one chat turn in a session and record it in the session history
+ * @param {string} ownerId - User ID
+ * @param {string} message - User message
+ * @param {Object} context - { sessionId, listName, userLocation, origins, slots }; a new session is
+ *   started when sessionId is missing or isn't one of the user's sessions
+ * @param {Function} emit - Progress callback (see answerMessage)
+ * @returns {Promise<Object>} - Full chat response, including sessionId
+ */
+async function runChatTurn(ownerId, message, context, emit = () => {}) {
+	const stored = context.sessionId ? getChatSession(ownerId, context.sessionId) : null
+	const sessionId = stored ? stored.id : createChatSessionId()
+	const session = {
+		slots: stored?.slots || context.slots || {},
+		history: stored ? toModelHistory(ownerId, stored.messages) : [],
+		lastResults: stored?.lastResults || [],
+		focusPlaceId: stored?.focusPlaceId || null,
+	}
+
+	const response = await answerMessage(ownerId, message, context, session, emit)
+
+	recordChatTurn(ownerId, sessionId, {
+		message,
+		assistantMessage: [response.assistantMessage, response.optionalQuestion]
+			.filter(Boolean)
+			.join('\n\n'),
+		results: response.results.map(toResultSummary),
+		focusPlaceId: response.focusPlaceId || null,
+		slots: response.updatedSlots,
+		listName: context.listName || null,
+	})
+
+	return { ...response, sessionId }
+}
+
+/**
+ * Main chat endpoint handler
+ */
+export async function handleChatSaved(req, res) {
+	try {
+		const { message, context = {} } = req.body
+
+		if (!message || typeof message !== 'string') {
+			return res.status(400).json({
+				ok: false,
+				error: 'Message is required',
+			})
+		}
+
+		res.json(await runChatTurn(req.user.id, message, context))
 	} catch (error) {
 		console.error('Error in chat-saved endpoint:', error)
 		return res.status(500).json({
@@ -745,3 +762,36 @@ export async function handleChatSaved(req, res) {
 		})
 	}
 }
+
+/**
+ * Streaming chat endpoint handler
+ * Writes newline-delimited JSON events as the turn progresses ("message", "result",
+ * "explanation"), then { type: 'done', response } with the same body handleChatSaved returns,
+ * or { type: 'error', error }
+ */
+export async function handleChatSavedStream(req, res) {
+	const { message, context = {} } = req.body
+
+	if (!message || typeof message !== 'string') {
+		return res.status(400).json({
+			ok: false,
+			error: 'Message is required',
+		})
+	}
+
+	res.writeHead(200, {
+		'Content-Type': 'application/x-ndjson; charset=utf-8',
+		'Cache-Control': 'no-cache',
+		'X-Accel-Buffering': 'no', // Don't let proxies buffer the stream
+	})
+	const send = event => res.write(JSON.stringify(event) + '\n')
+
+	try {
+		const response = await runChatTurn(req.user.id, message, context, send)
+		send({ type: 'done', response })
+	} catch (error) {
+		console.error('Error in chat-saved stream:', error)
+		send({ type: 'error', error: error.message || 'Internal server error' })
+	}
+	res.end()
+}
@@ -0,0 +1,184 @@
+// Chat sessions: slots and message history per conversation
+// Kept in memory and persisted to data/chat-sessions.json; sessions idle longer than
+// CHAT_SESSION_TTL_DAYS (default 30) are dropped. Each session belongs to the user who started
+// it and has a random ID, so it can't be read or continued by guessing the ID.
+
+import { randomUUID } from 'crypto'
+import { createStorageAdapter, dataFilePath } from './storage.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const getSessionTtlMs = () => Number(process.env.CHAT_SESSION_TTL_DAYS || 30) * DAY_MS
+// Delay before session changes are written to disk
+const PERSIST_DELAY_MS = 500
+// Session titles are the first user message, cut to this length
+const TITLE_LENGTH = 60
+
+// sessionId -> { id, ownerId, title, listName, slots, messages, lastResults, focusPlaceId, createdAt, updatedAt }
+// messages: [{ role: 'user' | 'assistant', text, resultIds, createdAt }]
+// lastResults: the most recent recommendations, so follow-ups like "the second one" can be resolved
+// focusPlaceId: the place the conversation was last about (what "it" refers to)
+const sessions = new Map()
+
+// Created and loaded on first use, so the environment is read after dotenv has loaded it
+let sessionStorage = null
+let persistTimer = null
+
+function loadSessions() {
+	if (sessionStorage) return
+	sessionStorage = createStorageAdapter(
+		{
+			STORAGE_DRIVER: process.env.STORAGE_DRIVER,
+			STORAGE_FILE: process.env.CHAT_SESSIONS_FILE,
+		},
+		dataFilePath('chat-sessions.json')
+	)
+	try {
+		const stored = sessionStorage.read()
+		for (const session of stored?.sessions || []) {
+			sessions.set(session.id, session)
+		}
+		pruneExpiredSessions()
+	} catch (error) {
+		console.error('Error loading chat sessions:', error)
+	}
+}
+
+function flushSessions() {
+	if (persistTimer) {
+		clearTimeout(persistTimer)
+		persistTimer = null
+	}
+	try {
+		sessionStorage.write({ sessions: Array.from(sessions.values()) })
+	} catch (error) {
+		console.error('Error persisting chat sessions:', error)
+	}
+}
+
+function persistSessions() {
+	if (persistTimer) return
+	persistTimer = setTimeout(flushSessions, PERSIST_DELAY_MS)
+}
+
+// Drop sessions that haven't been used within the TTL
+function pruneExpiredSessions() {
+	loadSessions()
+	const cutoff = Date.now() - getSessionTtlMs()
+	let removed = 0
+	for (const [id, session] of sessions) {
+		if (new Date(session.updatedAt).getTime() < cutoff) {
+			sessions.delete(id)
+			removed++
+		}
+	}
+	if (removed > 0) persistSessions()
+}
+
+process.on('exit', () => {
+	if (persistTimer) flushSessions()
+})
+
+// Summary shown in the session picker
+function toSessionSummary(session) {
+	const lastMessage = session.messages[session.messages.length - 1]
+	return {
+		id: session.id,
+		title: session.title,
+		listName: session.listName,
+		messageCount: session.messages.length,
+		lastMessage: lastMessage ? lastMessage.text : null,
+		createdAt: session.createdAt,
+		updatedAt: session.updatedAt,
+	}
+}
+
+/**
+ * New, unguessable session ID
+ */
+export function createChatSessionId() {
+	return `session_${randomUUID()}`
+}
+
+/**
+ * Get a user's session by ID (null if it doesn't exist, has expired or is someone else's)
+ */
+export function getChatSession(ownerId, id) {
+	pruneExpiredSessions()
+	const session = sessions.get(id)
+	return session && session.ownerId === ownerId ? session : null
+}
+
+/**
+ * List a user's session summaries, most recently used first
+ */
+export function listChatSessions(ownerId) {
+	pruneExpiredSessions()
+	return Array.from(sessions.values())
+		.filter(session => session.ownerId === ownerId)
+		.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+		.map(toSessionSummary)
+}
+
+/**
+ * Record one chat turn, creating the session on its first message
+ * @param {string} ownerId - User ID
+ * @param {string} id - Session ID (from createChatSessionId for a new session)
+ * @param {Object} turn - { message, assistantMessage, results, focusPlaceId, slots, listName }
+ *   results are summaries of the recommended places ({ id, name, ... }), in ranked order
+ * @returns {Object} - The updated session
+ */
+export function recordChatTurn(
+	ownerId,
+	id,
+	{ message, assistantMessage, results = [], focusPlaceId = null, slots = {}, listName = null }
+) {
+	loadSessions()
+	const now = new Date().toISOString()
+	let session = sessions.get(id)
+	if (session && session.ownerId !== ownerId) {
+		throw new Error('Chat session not found')
+	}
+
+	if (!session) {
+		session = {
+			id,
+			ownerId,
+			title: message.length > TITLE_LENGTH ? `${message.slice(0, TITLE_LENGTH - 1)}…` : message,
+			listName,
+			slots: {},
+			messages: [],
+			lastResults: [],
+			focusPlaceId: null,
+			createdAt: now,
+		}
+		sessions.set(id, session)
+	}
+
+	session.messages.push(
+		{ role: 'user', text: message, resultIds: [], createdAt: now },
+		{ role: 'assistant', text: assistantMessage, resultIds: results.map(r => r.id), createdAt: now }
+	)
+	session.slots = slots
+	// Answers about a single place keep the previous result set to refer back to
+	if (results.length > 0) {
+		session.lastResults = results
+		session.focusPlaceId = null
+	}
+	if (focusPlaceId) {
+		session.focusPlaceId = focusPlaceId
+	}
+	session.updatedAt = now
+
+	persistSessions()
+	return session
+}
+
+/**
+ * Delete a user's session
+ * @returns {boolean} - Whether the session existed
+ */
+export function deleteChatSession(ownerId, id) {
+	const existed = Boolean(getChatSession(ownerId, id)) && sessions.delete(id)
+	if (existed) persistSessions()
+	return existed
+}
@@ -1,6 +1,9 @@
 // Coordinate resolver for saved places
 // Extracts coordinates from Google Maps URLs or uses Google Places API
 
+// Radius of the area text searches prefer when given a location (the API's maximum)
+const NEAR_RADIUS_METERS = 50000
+
 /**
  * Extract coordinates from Google Maps URL using regex patterns
  * @param {string} url - Google Maps URL
@@ -47,12 +50,14 @@ export function extractCoordsFromUrl(url) {
  * @param {string} placeName - Name of the place
  * @param {string} address - Optional address
  * @param {string} defaultCity - Optional default city for context
+ * @param {Object} near - Optional { lat, lng } to prefer results around (e.g. the user)
  * @returns {Promise<Object|null>} - { lat, lng, placeId } or null
  */
 export async function resolveCoordsWithPlacesAPI(
 	placeName,
 	address = null,
-	defaultCity = null
+	defaultCity = null,
+	near = null
 ) {
 	const apiKey = process.env.GOOGLE_PLACES_API_KEY
 	if (!apiKey) {
@@ -83,6 +88,14 @@ export async function resolveCoordsWithPlacesAPI(
 				body: JSON.stringify({
 					textQuery: query,
 					maxResultCount: 1,
+					...(near && {
+						locationBias: {
+							circle: {
+								center: { latitude: near.lat, longitude: near.lng },
+								radius: NEAR_RADIUS_METERS,
+							},
+						},
+					}),
 				}),
 			}
 		)
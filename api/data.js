@@ -1,51 +1,210 @@
-// In-memory storage for places
+import { EventEmitter } from 'events'
+import { randomBytes, randomUUID } from 'crypto'
+import { createStorageAdapter, migrate, SCHEMA_VERSION } from './storage.js'
+
+// Every place and list belongs to one user (ownerId, see auth.js); each function only sees and
+// changes the records of the ownerId it is given. A list's owner can share it with
+// collaborators (viewer or editor role, see getListAccess) and through a read-only share token;
+// changes made by someone else pass their user ID as actorId, and every place added, edited or
+// deleted in a list is recorded in the list's activity log.
+
+// Change notifications for live clients (streamed by GET /api/events)
+// Events: place-added, place-updated, coords-resolved (place), place-deleted ({ id, ownerId }),
+// lists-changed ({ ownerId }) and places-cleared ({ ownerId, placeIds }); clients refetch on the
+// last two
+export const placeEvents = new EventEmitter()
+placeEvents.setMaxListeners(0)
+
+// Places are kept in memory and persisted through a pluggable storage adapter
+// (all users' records in one snapshot)
+let storage = createStorageAdapter()
 let places = []
+let lists = []
+let persistTimer = null
+
+// Delay before a change is written out, so batch imports and coordinate
+// resolution produce one write instead of hundreds
+const PERSIST_DELAY_MS = 200
+
+// Roles a list can be shared with: viewers read, editors also add, edit and delete places
+export const LIST_ROLES = ['viewer', 'editor']
+// Activity entries kept per list (oldest dropped first)
+const MAX_LIST_ACTIVITY = 500
+
+function loadFromStorage() {
+	const stored = storage.read()
+	const snapshot = migrate(stored)
+	places = snapshot.places
+	lists = snapshot.lists
+	// Write back immediately if the snapshot was upgraded from an older schema
+	if (stored && stored.schemaVersion !== snapshot.schemaVersion) {
+		flushStorage()
+	}
+}
+
+function buildSnapshot() {
+	return {
+		schemaVersion: SCHEMA_VERSION,
+		places,
+		lists,
+	}
+}
+
+// Schedule a write of the current state
+function persist() {
+	if (persistTimer) return
+	persistTimer = setTimeout(flushStorage, PERSIST_DELAY_MS)
+}
+
+/**
+ * Write pending changes to storage immediately
+ */
+export function flushStorage() {
+	if (persistTimer) {
+		clearTimeout(persistTimer)
+		persistTimer = null
+	}
+	try {
+		storage.write(buildSnapshot())
+	} catch (error) {
+		console.error('Error persisting places store:', error)
+	}
+}
+
+/**
+ * Swap the storage adapter and reload state from it (e.g. createMemoryAdapter() in tests)
+ */
+export function setStorageAdapter(adapter) {
+	flushStorage()
+	storage = adapter
+	loadFromStorage()
+}
+
+loadFromStorage()
+process.on('exit', flushStorage)
+
+// Fields that can be changed through updatePlace
+export const EDITABLE_PLACE_FIELDS = [
+	'name',
+	'lat',
+	'lng',
+	'address',
+	'listName',
+	'placeTags',
+	'notes',
+	'comment',
+	'url',
+	'type',
+	'vibe',
+	'priceLevel',
+	'inferredTags',
+	'placeId',
+]
+
+// Fields filled in by enrichment (see enrichPlaces in ai.js). fieldSources records where each
+// value came from: "google" (Place Details), "llm", "rules" (keyword inference) or "user";
+// enrichment never overwrites a "user" value.
+export const ENRICHED_FIELDS = ['type', 'vibe', 'priceLevel', 'inferredTags']
+
+// Whether an enriched field holds a value (null and [] don't)
+function hasValue(value) {
+	return value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)
+}
+
+// Combine list tags and place tags (avoid duplicates)
+function combineTags(listTags = [], placeTags = []) {
+	const allTags = [...listTags]
+	for (const tag of placeTags) {
+		if (!allTags.includes(tag)) {
+			allTags.push(tag)
+		}
+	}
+	return allTags
+}
 
 // Generate unique ID
 function generateId() {
 	return Date.now().toString(36) + Math.random().toString(36).substr(2)
 }
 
+// Append an entry to the activity log of the list a place is filed under
+function recordActivity(place, actorId, action, fields = []) {
+	const list = place.listName ? getListByName(place.ownerId, place.listName) : null
+	if (!list) return
+
+	list.activity.push({
+		at: new Date().toISOString(),
+		userId: actorId,
+		action, // "added" | "edited" | "removed" (moved to another list) | "deleted"
+		placeId: place.id,
+		placeName: place.name,
+		fields,
+	})
+	if (list.activity.length > MAX_LIST_ACTIVITY) {
+		list.activity.splice(0, list.activity.length - MAX_LIST_ACTIVITY)
+	}
+}
+
 // Add a place
-export function addPlace(placeData) {
+// Places filed under a list use that list's record for list tags (creating the record if needed)
+// actorId is the user adding it (the owner, or an editor of the list)
+export function addPlace(ownerId, placeData, actorId = ownerId) {
+	const list = placeData.listName
+		? ensureList(ownerId, placeData.listName, placeData.listTags || [])
+		: null
+	const listTags = list ? [...list.listTags] : placeData.listTags || []
+	const placeTags = placeData.placeTags || []
+
 	const place = {
 		id: generateId(),
+		ownerId,
 		name: placeData.name || '',
 		lat: placeData.lat || null,
 		lng: placeData.lng || null,
 		address: placeData.address || null,
 		listName: placeData.listName || null,
-		listTags: placeData.listTags || [],
-		placeTags: placeData.placeTags || [], // Place-specific tags
+		listTags,
+		placeTags, // Place-specific tags
 		notes: placeData.notes || null,
 		url: placeData.url || null,
 		savedAt: placeData.savedAt || null,
-		tags: placeData.tags || [], // Combined tags (list + place)
+		tags: combineTags(listTags, combineTags(placeTags, placeData.tags || [])), // Combined tags (list + place)
 		type: placeData.type || null,
 		vibe: placeData.vibe || null,
 		priceLevel: placeData.priceLevel || null,
+		inferredTags: placeData.inferredTags || [],
 		placeId: placeData.placeId || null,
 		comment: placeData.comment || null,
+		fieldSources: Object.fromEntries(
+			ENRICHED_FIELDS.filter(field => hasValue(placeData[field])).map(field => [field, 'user'])
+		),
+		addedBy: actorId,
 		createdAt: new Date().toISOString(),
 	}
 	places.push(place)
+	recordActivity(place, actorId, 'added')
+	persist()
+	placeEvents.emit('place-added', place)
 	return place
 }
 
+const ownedBy = ownerId => record => record.ownerId === ownerId
+
 // Get all places
-export function getAllPlaces() {
-	return [...places]
+export function getAllPlaces(ownerId) {
+	return places.filter(ownedBy(ownerId))
 }
 
 // Get place by ID
-export function getPlaceById(id) {
-	return places.find(p => p.id === id) || null
+export function getPlaceById(ownerId, id) {
+	return places.find(p => p.id === id && p.ownerId === ownerId) || null
 }
 
 // Check if place already exists (by coordinates and name)
-export function placeExists(name, lat, lng) {
+export function placeExists(ownerId, name, lat, lng) {
 	return places.some(
 		p =>
+			p.ownerId === ownerId &&
 			p.name === name &&
 			Math.abs(p.lat - lat) < 0.0001 &&
 			Math.abs(p.lng - lng) < 0.0001
@@ -53,11 +212,13 @@ export function placeExists(name, lat, lng) {
 }
 
 // Check if place already exists by name + url, or name + note if url is missing
-export function placeExistsByUrl(name, url, note = null) {
+// Pass listName to only check places in that list
+export function placeExistsByUrl(ownerId, name, url, note = null, listName = null) {
 	if (!name) return false
 
 	return places.some(p => {
-		if (p.name !== name) return false
+		if (p.ownerId !== ownerId || p.name !== name) return false
+		if (listName && p.listName !== listName) return false
 
 		// If both have URLs, match by name + url
 		if (url && p.url) {
@@ -79,24 +240,28 @@ export function placeExistsByUrl(name, url, note = null) {
 	})
 }
 
-// Clear all places
-export function clearPlaces() {
-	places = []
+// Clear all of a user's places (and the lists they were filed under)
+export function clearPlaces(ownerId) {
+	const placeIds = places.filter(ownedBy(ownerId)).map(p => p.id)
+	places = places.filter(p => p.ownerId !== ownerId)
+	lists = lists.filter(l => l.ownerId !== ownerId)
+	persist()
+	placeEvents.emit('places-cleared', { ownerId, placeIds })
 }
 
 // Get places count
-export function getPlacesCount() {
-	return places.length
+export function getPlacesCount(ownerId) {
+	return places.filter(ownedBy(ownerId)).length
 }
 
 // Get places by list name
-export function getPlacesByListName(listName) {
-	return places.filter(p => p.listName === listName)
+export function getPlacesByListName(ownerId, listName) {
+	return places.filter(p => p.ownerId === ownerId && p.listName === listName)
 }
 
 // Update place coordinates
-export function updatePlaceCoords(placeId, coords) {
-	const place = places.find(p => p.id === placeId)
+export function updatePlaceCoords(ownerId, placeId, coords) {
+	const place = getPlaceById(ownerId, placeId)
 	if (!place) return null
 
 	if (coords.lat !== undefined) place.lat = coords.lat
@@ -105,5 +270,342 @@ export function updatePlaceCoords(placeId, coords) {
 	if (coords.address !== undefined) place.address = coords.address
 	if (coords.geoStatus !== undefined) place.geoStatus = coords.geoStatus
 
+	persist()
+	placeEvents.emit(
+		coords.lat !== undefined && coords.lng !== undefined ? 'coords-resolved' : 'place-updated',
+		place
+	)
+	return place
+}
+
+// Get the list-level tags of a list
+export function getListTags(ownerId, listName) {
+	const list = getListByName(ownerId, listName)
+	return list ? [...list.listTags] : []
+}
+
+// Update editable fields of a place
+// Moving a place to another list picks up that list's tags; combined tags are recomputed
+// actorId is the user making the change (the owner, or an editor of the list)
+export function updatePlace(ownerId, placeId, updates, actorId = ownerId) {
+	const place = getPlaceById(ownerId, placeId)
+	if (!place) return null
+
+	const changedFields = EDITABLE_PLACE_FIELDS.filter(field => updates[field] !== undefined)
+	if (updates.listName !== undefined && updates.listName !== place.listName) {
+		recordActivity(place, actorId, 'removed', ['listName'])
+	}
+
+	if (updates.listName !== undefined && updates.listName !== place.listName) {
+		place.listTags = updates.listName
+			? [...ensureList(ownerId, updates.listName).listTags]
+			: []
+	}
+
+	for (const field of EDITABLE_PLACE_FIELDS) {
+		if (updates[field] !== undefined) place[field] = updates[field]
+	}
+	for (const field of ENRICHED_FIELDS) {
+		if (updates[field] !== undefined) {
+			place.fieldSources = { ...place.fieldSources, [field]: 'user' }
+		}
+	}
+
+	// Manually placed pins shouldn't be overwritten by coordinate resolution
+	if (updates.lat !== undefined || updates.lng !== undefined) {
+		place.geoStatus = 'manual'
+	}
+
+	place.tags = combineTags(place.listTags, place.placeTags)
+	place.updatedBy = actorId
+	place.updatedAt = new Date().toISOString()
+	recordActivity(place, actorId, 'edited', changedFields)
+
+	persist()
+	placeEvents.emit('place-updated', place)
+	return place
+}
+
+/**
+ * Store enrichment results on a place, skipping fields the user has set
+ * @param {string} ownerId - User the place belongs to
+ * @param {string} placeId - Place ID
+ * @param {Object} enrichment - { values } per ENRICHED_FIELDS field, { sources } where each
+ *   value came from, { inputHash } of the data it was inferred from (to detect stale places)
+ * @returns {Object|null} - Updated place, or null if not found
+ */
+export function applyEnrichment(ownerId, placeId, { values, sources, inputHash }) {
+	const place = getPlaceById(ownerId, placeId)
+	if (!place) return null
+
+	const fieldSources = { ...place.fieldSources }
+	for (const field of ENRICHED_FIELDS) {
+		if (fieldSources[field] === 'user' || values[field] === undefined) continue
+		place[field] = values[field]
+		if (hasValue(values[field])) fieldSources[field] = sources[field]
+		else delete fieldSources[field]
+	}
+	place.fieldSources = fieldSources
+	place.enrichment = { enrichedAt: new Date().toISOString(), inputHash }
+
+	persist()
+	placeEvents.emit('place-updated', place)
 	return place
 }
+
+// Delete a place, returning the removed place
+// actorId is the user deleting it (the owner, or an editor of the list)
+export function deletePlace(ownerId, placeId, actorId = ownerId) {
+	const index = places.findIndex(p => p.id === placeId && p.ownerId === ownerId)
+	if (index === -1) return null
+
+	const [removed] = places.splice(index, 1)
+	recordActivity(removed, actorId, 'deleted')
+	persist()
+	placeEvents.emit('place-deleted', { id: removed.id, ownerId })
+	return removed
+}
+
+// Get all list records
+export function getAllLists(ownerId) {
+	return lists.filter(ownedBy(ownerId))
+}
+
+// Get a list record by name
+export function getListByName(ownerId, name) {
+	return lists.find(l => l.name === name && l.ownerId === ownerId) || null
+}
+
+// Get the list record for a name, creating it if it doesn't exist yet
+export function ensureList(ownerId, name, listTags = []) {
+	const existing = getListByName(ownerId, name)
+	if (existing) return existing
+
+	const list = {
+		id: `list_${randomUUID()}`,
+		ownerId,
+		name,
+		listTags: [...listTags],
+		description: null,
+		color: null,
+		collaborators: [], // [{ userId, role, addedAt }]
+		shareToken: null,
+		activity: [],
+		createdAt: new Date().toISOString(),
+	}
+	lists.push(list)
+	persist()
+	placeEvents.emit('lists-changed', { ownerId })
+	return list
+}
+
+// Create a list record; returns null if a list with that name already exists
+export function createList(ownerId, listData) {
+	if (getListByName(ownerId, listData.name)) return null
+
+	const list = ensureList(ownerId, listData.name, listData.listTags || [])
+	list.description = listData.description || null
+	list.color = listData.color || null
+	persist()
+	return list
+}
+
+// Re-apply a list's tags to every place filed under it
+function applyListTags(list) {
+	for (const place of places) {
+		if (place.ownerId === list.ownerId && place.listName === list.name) {
+			place.listTags = [...list.listTags]
+			place.tags = combineTags(place.listTags, place.placeTags)
+		}
+	}
+}
+
+// Update list-level fields (listTags, description, color)
+export function updateList(ownerId, name, updates) {
+	const list = getListByName(ownerId, name)
+	if (!list) return null
+
+	if (updates.description !== undefined) list.description = updates.description
+	if (updates.color !== undefined) list.color = updates.color
+	if (updates.listTags !== undefined) {
+		list.listTags = [...updates.listTags]
+		applyListTags(list)
+	}
+	list.updatedAt = new Date().toISOString()
+
+	persist()
+	placeEvents.emit('lists-changed', { ownerId })
+	return list
+}
+
+// Rename a list and move its places to the new name
+// Returns null if the list doesn't exist or the new name is taken
+export function renameList(ownerId, name, newName) {
+	const list = getListByName(ownerId, name)
+	if (!list || getListByName(ownerId, newName)) return null
+
+	for (const place of places) {
+		if (place.ownerId === ownerId && place.listName === name) place.listName = newName
+	}
+	list.name = newName
+	list.updatedAt = new Date().toISOString()
+
+	persist()
+	placeEvents.emit('lists-changed', { ownerId })
+	return list
+}
+
+// Merge one list into another
+// Places already in the target (by name + url, or name + note) are dropped as duplicates,
+// the rest move over and take the target's tags, which become the union of both lists' tags
+export function mergeLists(ownerId, sourceName, targetName) {
+	const source = getListByName(ownerId, sourceName)
+	const target = getListByName(ownerId, targetName)
+	if (!source || !target || source === target) return null
+
+	target.listTags = combineTags(target.listTags, source.listTags)
+	target.updatedAt = new Date().toISOString()
+
+	let moved = 0
+	const duplicateIds = []
+	for (const place of getPlacesByListName(ownerId, sourceName)) {
+		if (placeExistsByUrl(ownerId, place.name, place.url, place.notes, targetName)) {
+			duplicateIds.push(place.id)
+			continue
+		}
+		place.listName = targetName
+		moved++
+	}
+
+	places = places.filter(p => !duplicateIds.includes(p.id))
+	lists = lists.filter(l => l !== source)
+	applyListTags(target)
+
+	persist()
+	placeEvents.emit('lists-changed', { ownerId })
+	return {
+		list: target,
+		moved,
+		duplicates: duplicateIds.length,
+	}
+}
+
+// Delete a list and every place filed under it
+// Returns the number of deleted places, or null if the list doesn't exist
+export function deleteList(ownerId, name) {
+	const list = getListByName(ownerId, name)
+	if (!list) return null
+
+	const before = places.length
+	places = places.filter(p => p.ownerId !== ownerId || p.listName !== name)
+	lists = lists.filter(l => l !== list)
+
+	persist()
+	placeEvents.emit('lists-changed', { ownerId })
+	return before - places.length
+}
+
+/**
+ * Give places and lists saved before accounts existed to a user
+ * @returns {number} - Number of places claimed
+ */
+export function claimUnownedData(ownerId) {
+	const unowned = places.filter(p => !p.ownerId)
+	if (unowned.length === 0 && !lists.some(l => !l.ownerId)) return 0
+
+	for (const place of unowned) place.ownerId = ownerId
+	for (const list of lists) {
+		if (!list.ownerId) list.ownerId = ownerId
+	}
+	persist()
+	placeEvents.emit('lists-changed', { ownerId })
+	return unowned.length
+}
+
+/**
+ * A user's access to a list
+ * @returns {Object|null} - { list, role } with role "owner", "editor" or "viewer", or null if
+ *   the list doesn't exist or isn't shared with the user
+ */
+export function getListAccess(userId, listId) {
+	const list = lists.find(l => l.id === listId)
+	if (!list) return null
+	if (list.ownerId === userId) return { list, role: 'owner' }
+
+	const collaborator = list.collaborators.find(c => c.userId === userId)
+	return collaborator ? { list, role: collaborator.role } : null
+}
+
+// Lists other users have shared with a user, as [{ list, role }]
+export function getSharedLists(userId) {
+	return lists
+		.map(list => ({ list, role: list.collaborators.find(c => c.userId === userId)?.role }))
+		.filter(({ role }) => role)
+}
+
+/**
+ * Share a list with a user, or change their role
+ * @returns {Object|null} - The list, or null if it doesn't exist
+ */
+export function setCollaborator(ownerId, listName, userId, role) {
+	const list = getListByName(ownerId, listName)
+	if (!list) return null
+
+	const existing = list.collaborators.find(c => c.userId === userId)
+	if (existing) {
+		existing.role = role
+	} else {
+		list.collaborators.push({ userId, role, addedAt: new Date().toISOString() })
+	}
+	list.updatedAt = new Date().toISOString()
+
+	persist()
+	placeEvents.emit('lists-changed', { ownerId })
+	return list
+}
+
+/**
+ * Stop sharing a list with a user
+ * @returns {boolean} - Whether the user was a collaborator
+ */
+export function removeCollaborator(ownerId, listName, userId) {
+	const list = getListByName(ownerId, listName)
+	const index = list ? list.collaborators.findIndex(c => c.userId === userId) : -1
+	if (index === -1) return false
+
+	list.collaborators.splice(index, 1)
+	persist()
+	placeEvents.emit('lists-changed', { ownerId })
+	return true
+}
+
+/**
+ * Create a read-only share token for a list, replacing any previous one (old links stop working)
+ * @returns {string|null} - The token, or null if the list doesn't exist
+ */
+export function createShareToken(ownerId, listName) {
+	const list = getListByName(ownerId, listName)
+	if (!list) return null
+
+	list.shareToken = randomBytes(18).toString('base64url')
+	persist()
+	return list.shareToken
+}
+
+/**
+ * Turn off a list's share link
+ * @returns {boolean} - Whether the list had one
+ */
+export function revokeShareToken(ownerId, listName) {
+	const list = getListByName(ownerId, listName)
+	if (!list?.shareToken) return false
+
+	list.shareToken = null
+	persist()
+	return true
+}
+
+// The list a share token belongs to
+export function getListByShareToken(token) {
+	return (token && lists.find(l => l.shareToken === token)) || null
+}
@@ -0,0 +1,284 @@
+// Embedding providers for semantic ("vibe") matching
+// Callers use embedTexts and never talk to a provider API directly.
+//
+// Selected by EMBEDDING_PROVIDER:
+//   local  - built-in hashed bag-of-words model, no network (default)
+//   openai - any OpenAI-compatible /embeddings endpoint, e.g. Ollama or llama.cpp running
+//            locally (EMBEDDING_BASE_URL or LLM_BASE_URL, optional EMBEDDING_API_KEY)
+//   gemini - Gemini embedding API (GEMINI_API_KEY)
+// EMBEDDING_MODEL overrides the provider's default model.
+
+import { LLMError, postJSON } from './llm.js'
+
+export const EMBEDDING_PROVIDERS = ['local', 'openai', 'gemini']
+
+const DEFAULT_TIMEOUT_MS = 30000
+// Texts sent per request to remote providers
+const BATCH_SIZE = 64
+
+// Dimensions of the local model's vectors
+const LOCAL_DIMENSIONS = 512
+// Feature weights of the local model: words, vibe concepts, character trigrams (for
+// plurals and typos)
+const WORD_WEIGHT = 1
+const CONCEPT_WEIGHT = 1.5
+const TRIGRAM_WEIGHT = 0.25
+
+// Words that say nothing about a place
+const STOPWORDS = new Set(
+	'a an and are as at be but by for from has have i in is it its me my of on or our so that the their them there this to very was we were with you your place places spot spots somewhere good great nice really'.split(
+		' '
+	)
+)
+
+// Words describing the same kind of atmosphere or occasion. The local model adds a shared
+// feature for each group a text mentions, so "cozy date spot" is close to "intimate,
+// candlelit wine bar" even though no word is shared.
+const VIBE_CONCEPTS = {
+	romantic: ['romantic', 'romance', 'date', 'dates', 'anniversary', 'candlelit', 'candle', 'candles', 'intimate', 'couple', 'couples'],
+	cozy: ['cozy', 'cosy', 'warm', 'snug', 'homey', 'homely', 'fireplace', 'quaint', 'charming', 'intimate', 'comfy', 'comfortable'],
+	lively: ['lively', 'buzzy', 'buzzing', 'bustling', 'vibrant', 'energetic', 'loud', 'busy', 'party', 'fun', 'dancing', 'dj'],
+	quiet: ['quiet', 'calm', 'peaceful', 'relaxed', 'relaxing', 'chill', 'tranquil', 'serene', 'laid', 'mellow'],
+	upscale: ['upscale', 'elegant', 'fancy', 'refined', 'classy', 'sophisticated', 'luxurious', 'chic', 'tasting', 'michelin'],
+	casual: ['casual', 'unpretentious', 'simple', 'easygoing', 'relaxed', 'diner', 'counter', 'takeout', 'quick'],
+	outdoor: ['outdoor', 'outdoors', 'outside', 'patio', 'terrace', 'rooftop', 'garden', 'courtyard', 'sidewalk'],
+	view: ['view', 'views', 'scenic', 'skyline', 'waterfront', 'sunset', 'overlooking', 'lake', 'river', 'ocean'],
+	family: ['family', 'families', 'kids', 'kid', 'children', 'child', 'toddler', 'stroller'],
+	work: ['work', 'working', 'laptop', 'laptops', 'wifi', 'study', 'studying', 'remote', 'outlets'],
+	group: ['group', 'groups', 'friends', 'sharing', 'share', 'shared', 'birthday', 'celebration', 'large'],
+	trendy: ['trendy', 'hip', 'stylish', 'instagrammable', 'modern', 'cool', 'design', 'aesthetic'],
+	authentic: ['authentic', 'traditional', 'local', 'locals', 'hidden', 'gem', 'homemade', 'family-run', 'classic'],
+	drinks: ['cocktail', 'cocktails', 'wine', 'wines', 'beer', 'beers', 'natural', 'speakeasy', 'bar', 'drinks'],
+}
+
+// word -> concept names
+const WORD_CONCEPTS = new Map()
+for (const [concept, words] of Object.entries(VIBE_CONCEPTS)) {
+	for (const word of words) {
+		WORD_CONCEPTS.set(word, [...(WORD_CONCEPTS.get(word) || []), concept])
+	}
+}
+
+// Lower-cased, accent-free words of a text
+function toWords(text) {
+	return (
+		String(text || '')
+			.normalize('NFD')
+			.replace(/\p{M}/gu, '')
+			.toLowerCase()
+			.match(/[\p{L}\p{N}]+(?:-[\p{L}\p{N}]+)*/gu) || []
+	)
+}
+
+// FNV-1a hash of a feature, as a vector index and a sign (signed hashing keeps collisions
+// from always adding up)
+function hashFeature(feature) {
+	let hash = 0x811c9dc5
+	for (let i = 0; i < feature.length; i++) {
+		hash ^= feature.charCodeAt(i)
+		hash = Math.imul(hash, 0x01000193)
+	}
+	hash >>>= 0
+	return { index: hash % LOCAL_DIMENSIONS, sign: hash & 0x80000000 ? -1 : 1 }
+}
+
+/**
+ * Scale a vector to length 1 (all zeros stays all zeros)
+ */
+export function normalizeVector(vector) {
+	const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0))
+	return length > 0 ? vector.map(value => value / length) : vector
+}
+
+/**
+ * Cosine similarity of two vectors (0 when either is empty or they differ in length)
+ */
+export function cosineSimilarity(a, b) {
+	if (!a || !b || a.length !== b.length) return 0
+	let dot = 0
+	let lengthA = 0
+	let lengthB = 0
+	for (let i = 0; i < a.length; i++) {
+		dot += a[i] * b[i]
+		lengthA += a[i] * a[i]
+		lengthB += b[i] * b[i]
+	}
+	return lengthA > 0 && lengthB > 0 ? dot / Math.sqrt(lengthA * lengthB) : 0
+}
+
+// Embed one text with the local model
+function embedLocally(text) {
+	const vector = new Array(LOCAL_DIMENSIONS).fill(0)
+	const add = (feature, weight) => {
+		const { index, sign } = hashFeature(feature)
+		vector[index] += sign * weight
+	}
+
+	for (const word of toWords(text)) {
+		if (STOPWORDS.has(word)) continue
+		// "dates" and "date" are the same word here
+		const stem = word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word
+		add(`w:${stem}`, WORD_WEIGHT)
+		for (const concept of WORD_CONCEPTS.get(word) || WORD_CONCEPTS.get(stem) || []) {
+			add(`c:${concept}`, CONCEPT_WEIGHT)
+		}
+		const padded = ` ${stem} `
+		for (let i = 0; i + 3 <= padded.length; i++) {
+			add(`t:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT)
+		}
+	}
+	return normalizeVector(vector)
+}
+
+/**
+ * Local provider: hashed words, vibe concepts and character trigrams. Runs in-process with
+ * no model download; it only knows the synonyms in VIBE_CONCEPTS, so use a real embedding
+ * model (e.g. Ollama's nomic-embed-text through the "openai" provider) for broader matching.
+ */
+export function createLocalProvider() {
+	return {
+		name: 'local',
+		model: `hashed-${LOCAL_DIMENSIONS}-v1`,
+		embed: async texts => texts.map(embedLocally),
+	}
+}
+
+/**
+ * OpenAI-compatible provider (OpenAI, Ollama's /v1 API, llama.cpp server, vLLM, ...)
+ */
+export function createOpenAICompatibleEmbeddingProvider({
+	baseUrl,
+	apiKey = null,
+	model = 'text-embedding-3-small',
+}) {
+	if (!baseUrl) {
+		throw new Error('EMBEDDING_BASE_URL or LLM_BASE_URL is required for the "openai" embedding provider')
+	}
+	return {
+		name: 'openai',
+		model,
+		embed: async (texts, { timeoutMs }) => {
+			const data = await postJSON(
+				`${baseUrl.replace(/\/+$/, '')}/embeddings`,
+				apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+				{ model, input: texts },
+				{ timeoutMs, label: 'OpenAI-compatible embeddings' }
+			)
+			// Response format: data.data = [{ index, embedding }]
+			const vectors = []
+			for (const item of data.data || []) {
+				vectors[item.index] = item.embedding
+			}
+			return vectors
+		},
+	}
+}
+
+/**
+ * Gemini embedding provider
+ */
+export function createGeminiEmbeddingProvider({ apiKey, model = 'text-embedding-004' }) {
+	return {
+		name: 'gemini',
+		model,
+		embed: async (texts, { timeoutMs }) => {
+			const data = await postJSON(
+				`https://generativelanguage.googleapis.com/v1beta/models/${model}:batchEmbedContents`,
+				{ 'x-goog-api-key': apiKey },
+				{
+					requests: texts.map(text => ({
+						model: `models/${model}`,
+						content: { parts: [{ text }] },
+					})),
+				},
+				{ timeoutMs, label: 'Gemini embeddings' }
+			)
+			return (data.embeddings || []).map(embedding => embedding.values)
+		},
+	}
+}
+
+/**
+ * Create the provider selected by environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Provider (the local one unless another is configured)
+ */
+export function createEmbeddingProvider(env = process.env) {
+	const driver = (env.EMBEDDING_PROVIDER || 'local').toLowerCase()
+	const model = env.EMBEDDING_MODEL || undefined
+
+	switch (driver) {
+		case 'local':
+			return createLocalProvider()
+		case 'openai':
+			return createOpenAICompatibleEmbeddingProvider({
+				baseUrl: env.EMBEDDING_BASE_URL || env.LLM_BASE_URL,
+				apiKey: env.EMBEDDING_API_KEY || env.LLM_API_KEY || null,
+				model,
+			})
+		case 'gemini':
+			if (!env.GEMINI_API_KEY) {
+				throw new Error('GEMINI_API_KEY is required for the "gemini" embedding provider')
+			}
+			return createGeminiEmbeddingProvider({ apiKey: env.GEMINI_API_KEY, model })
+		default:
+			throw new Error(
+				`Unknown EMBEDDING_PROVIDER "${driver}" (expected one of: ${EMBEDDING_PROVIDERS.join(', ')})`
+			)
+	}
+}
+
+// Created on first use, so the environment is read after dotenv has loaded it
+let provider = null
+
+/**
+ * The active provider
+ */
+export function getEmbeddingProvider() {
+	if (!provider) {
+		provider = createEmbeddingProvider()
+	}
+	return provider
+}
+
+/**
+ * Swap the active provider (e.g. createLocalProvider() in tests); pass null to go back to
+ * the environment's provider
+ */
+export function setEmbeddingProvider(nextProvider) {
+	provider = nextProvider
+}
+
+/**
+ * Identifies the active provider and model, so stored vectors from another model aren't
+ * compared with new ones
+ */
+export function getEmbeddingModelKey() {
+	const active = getEmbeddingProvider()
+	return `${active.name}:${active.model}`
+}
+
+/**
+ * Embed texts with the active provider, in batches
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object} options - { timeoutMs }
+ * @returns {Promise<Array<Array<number>>>} - One vector per text, in the same order
+ */
+export async function embedTexts(
+	texts,
+	{ timeoutMs = Number(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS } = {}
+) {
+	const active = getEmbeddingProvider()
+	const vectors = []
+	for (let start = 0; start < texts.length; start += BATCH_SIZE) {
+		const batch = texts.slice(start, start + BATCH_SIZE)
+		const embedded = await active.embed(batch, { timeoutMs })
+		if (embedded.length !== batch.length || [...embedded].some(vector => !Array.isArray(vector))) {
+			throw new LLMError(
+				`${active.name} embeddings returned ${embedded.length} vectors for ${batch.length} texts`
+			)
+		}
+		vectors.push(...embedded)
+	}
+	return vectors
+}
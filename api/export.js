@@ -0,0 +1,231 @@
+// Export saved places to Google Takeout CSV, GeoJSON, KML and GPX
+// CSV and GeoJSON mirror the Takeout layouts read by parseCSV and parseTakeoutExport,
+// so an export can be imported back without losing coordinates or tags
+
+import AdmZip from 'adm-zip'
+
+export const EXPORT_FORMATS = ['csv', 'geojson', 'kml', 'gpx']
+
+function hasCoords(place) {
+	return (
+		typeof place.lat === 'number' &&
+		typeof place.lng === 'number' &&
+		!(place.lat === 0 && place.lng === 0)
+	)
+}
+
+/**
+ * Escape a value for a CSV cell (quotes cells containing separators, quotes or newlines)
+ */
+function escapeCSV(value) {
+	if (value === null || value === undefined) return ''
+	const text = String(value)
+	return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Escape text for XML content and attribute values
+ */
+function escapeXML(value) {
+	if (value === null || value === undefined) return ''
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;')
+}
+
+// Human-readable description used by KML and GPX
+function describePlace(place) {
+	const lines = []
+	if (place.address) lines.push(place.address)
+	if (place.notes) lines.push(`Notes: ${place.notes}`)
+	if (place.comment) lines.push(`Comment: ${place.comment}`)
+	if (place.placeTags && place.placeTags.length > 0) {
+		lines.push(`Tags: ${place.placeTags.join(', ')}`)
+	}
+	return lines.join('\n')
+}
+
+// Make a list name safe to use as a file name
+export function toFileName(name) {
+	return (name || 'places').replace(/[\\/:*?"<>|]+/g, '_').trim() || 'places'
+}
+
+/**
+ * Serialize one list in the Takeout saved-list CSV layout
+ * The first data row carries list metadata (empty Title, description in Note, list tags in Tags)
+ * @param {Array} places - Places in the list
+ * @param {Object} list - { listTags, description }
+ * @returns {string} CSV content
+ */
+export function toCSV(places, list = {}) {
+	const header = ['Title', 'Note', 'URL', 'Tags', 'Comment', 'Latitude', 'Longitude', 'Place ID']
+	const rows = [header]
+
+	const listTags = list.listTags || []
+	if (listTags.length > 0 || list.description) {
+		rows.push(['', list.description || '', '', listTags.join(';'), '', '', '', ''])
+	}
+
+	for (const place of places) {
+		rows.push([
+			place.name,
+			place.notes,
+			place.url,
+			(place.placeTags || []).join(';'),
+			place.comment,
+			hasCoords(place) ? place.lat : '',
+			hasCoords(place) ? place.lng : '',
+			place.placeId,
+		])
+	}
+
+	return rows.map(row => row.map(escapeCSV).join(',')).join('\n') + '\n'
+}
+
+/**
+ * Serialize several lists as a ZIP with one Takeout CSV per list
+ * @param {Array} lists - [{ list, places }]
+ * @returns {Buffer} ZIP content
+ */
+export function toCSVZip(lists) {
+	const zip = new AdmZip()
+	const usedNames = new Set()
+
+	for (const { list, places } of lists) {
+		let fileName = toFileName(list.name)
+		for (let i = 2; usedNames.has(fileName); i++) {
+			fileName = `${toFileName(list.name)} (${i})`
+		}
+		usedNames.add(fileName)
+		zip.addFile(`${fileName}.csv`, Buffer.from(toCSV(places, list), 'utf-8'))
+	}
+
+	return zip.toBuffer()
+}
+
+/**
+ * Serialize places as a GeoJSON FeatureCollection in the Takeout "Saved Places.json" layout
+ * Places without coordinates are kept with a null geometry
+ */
+export function toGeoJSON(places) {
+	return {
+		type: 'FeatureCollection',
+		features: places.map(place => ({
+			type: 'Feature',
+			geometry: hasCoords(place)
+				? { type: 'Point', coordinates: [place.lng, place.lat] }
+				: null,
+			properties: {
+				Title: place.name,
+				'Google Maps URL': place.url || null,
+				Location: {
+					Address: place.address || null,
+					...(hasCoords(place) && {
+						'Geo Coordinates': {
+							Latitude: String(place.lat),
+							Longitude: String(place.lng),
+						},
+					}),
+				},
+				Published: place.savedAt || place.createdAt || null,
+				Comment: place.comment || null,
+				notes: place.notes || null,
+				listName: place.listName || null,
+				listTags: place.listTags || [],
+				placeTags: place.placeTags || [],
+				placeId: place.placeId || null,
+			},
+		})),
+	}
+}
+
+/**
+ * Serialize places as KML, one Folder per list (Google My Maps, Google Earth, QGIS)
+ * Places without coordinates are skipped
+ */
+export function toKML(places, documentName = 'Map Whisperer') {
+	const folders = new Map()
+	for (const place of places.filter(hasCoords)) {
+		const folderName = place.listName || 'Saved Places'
+		if (!folders.has(folderName)) folders.set(folderName, [])
+		folders.get(folderName).push(place)
+	}
+
+	const placemark = place => {
+		const data = [
+			['placeId', place.placeId],
+			['url', place.url],
+			['notes', place.notes],
+			['comment', place.comment],
+			['tags', (place.placeTags || []).join(';')],
+		].filter(([, value]) => value)
+
+		return [
+			'\t\t\t<Placemark>',
+			`\t\t\t\t<name>${escapeXML(place.name)}</name>`,
+			place.address ? `\t\t\t\t<address>${escapeXML(place.address)}</address>` : null,
+			`\t\t\t\t<description>${escapeXML(describePlace(place))}</description>`,
+			data.length > 0 ? '\t\t\t\t<ExtendedData>' : null,
+			...data.map(
+				([key, value]) =>
+					`\t\t\t\t\t<Data name="${key}"><value>${escapeXML(value)}</value></Data>`
+			),
+			data.length > 0 ? '\t\t\t\t</ExtendedData>' : null,
+			`\t\t\t\t<Point><coordinates>${place.lng},${place.lat},0</coordinates></Point>`,
+			'\t\t\t</Placemark>',
+		]
+			.filter(line => line !== null)
+			.join('\n')
+	}
+
+	const folderXML = Array.from(folders.entries()).map(([name, folderPlaces]) =>
+		[
+			'\t\t<Folder>',
+			`\t\t\t<name>${escapeXML(name)}</name>`,
+			...folderPlaces.map(placemark),
+			'\t\t</Folder>',
+		].join('\n')
+	)
+
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<kml xmlns="http://www.opengis.net/kml/2.2">',
+		'\t<Document>',
+		`\t\t<name>${escapeXML(documentName)}</name>`,
+		...folderXML,
+		'\t</Document>',
+		'</kml>',
+		'',
+	].join('\n')
+}
+
+/**
+ * Serialize places as GPX waypoints
+ * Places without coordinates are skipped
+ */
+export function toGPX(places, documentName = 'Map Whisperer') {
+	const waypoints = places.filter(hasCoords).map(place =>
+		[
+			`\t<wpt lat="${place.lat}" lon="${place.lng}">`,
+			`\t\t<name>${escapeXML(place.name)}</name>`,
+			`\t\t<desc>${escapeXML(describePlace(place))}</desc>`,
+			place.url ? `\t\t<link href="${escapeXML(place.url)}"/>` : null,
+			place.listName ? `\t\t<type>${escapeXML(place.listName)}</type>` : null,
+			'\t</wpt>',
+		]
+			.filter(line => line !== null)
+			.join('\n')
+	)
+
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<gpx version="1.1" creator="Map Whisperer" xmlns="http://www.topografix.com/GPX/1/1">',
+		`\t<metadata><name>${escapeXML(documentName)}</name></metadata>`,
+		...waypoints,
+		'</gpx>',
+		'',
+	].join('\n')
+}
@@ -0,0 +1,224 @@
+// Group decision sessions: several people pick a place together
+// The host opens a group on one of their lists and shares its join code. Each participant
+// states preferences (and their own location); the host's places are ranked for everyone at
+// once (see rankPlacesForGroup) and participants vote on the top results.
+// Groups are kept in memory and dropped after GROUP_TTL_HOURS (default 12) without activity.
+
+import { EventEmitter } from 'events'
+import { randomInt } from 'crypto'
+
+// Read when used, so the environment is read after dotenv has loaded it
+const getGroupTtlMs = () => Number(process.env.GROUP_TTL_HOURS || 12) * 60 * 60 * 1000
+export const MAX_GROUP_PARTICIPANTS = 12
+
+// Join codes: no 0/O or 1/I, so they can be read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+const CODE_LENGTH = 6
+
+// 'group-updated' with { code } whenever participants, preferences, results or votes change
+export const groupEvents = new EventEmitter()
+// One listener per open /api/groups/:code/events connection
+groupEvents.setMaxListeners(0)
+
+export class GroupError extends Error {
+	constructor(message, status = 400) {
+		super(message)
+		this.name = 'GroupError'
+		this.status = status
+	}
+}
+
+// code -> { code, hostId, listName, status, participants, results, criteria, votes, createdAt, updatedAt }
+// status: 'gathering' until results are found, then 'voting'
+// participants: Map userId -> { userId, username, preferences, joinedAt }
+// results: [{ placeId, name, address, lat, lng, type, rating, score, boosts, distances }]
+// votes: Map userId -> placeId
+const groups = new Map()
+
+function pruneExpired(now = Date.now()) {
+	const ttl = getGroupTtlMs()
+	for (const [code, group] of groups) {
+		if (now - Date.parse(group.updatedAt) > ttl) {
+			groups.delete(code)
+		}
+	}
+}
+
+function generateCode() {
+	let code
+	do {
+		code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join('')
+	} while (groups.has(code))
+	return code
+}
+
+function touch(group) {
+	group.updatedAt = new Date().toISOString()
+	groupEvents.emit('group-updated', { code: group.code })
+}
+
+/**
+ * Open a group on one of the host's lists (or all their places); the host joins it
+ * @param {Object} host - Public user { id, username }
+ * @param {Object} options - { listName }
+ * @returns {Object} - The group
+ */
+export function createGroup(host, { listName = null } = {}) {
+	pruneExpired()
+	const now = new Date().toISOString()
+	const group = {
+		code: generateCode(),
+		hostId: host.id,
+		listName,
+		status: 'gathering',
+		participants: new Map(),
+		results: [],
+		criteria: null,
+		votes: new Map(),
+		createdAt: now,
+		updatedAt: now,
+	}
+	group.participants.set(host.id, { userId: host.id, username: host.username, preferences: {}, joinedAt: now })
+	groups.set(group.code, group)
+	return group
+}
+
+/**
+ * Look up a group by join code (case-insensitive)
+ * @returns {Object|null} - The group, or null if unknown or expired
+ */
+export function getGroup(code) {
+	pruneExpired()
+	return groups.get(String(code).toUpperCase()) || null
+}
+
+// Group the user takes part in; GroupError 404 otherwise, so codes can't be probed
+export function getParticipantGroup(code, userId) {
+	const group = getGroup(code)
+	if (!group || !group.participants.has(userId)) {
+		throw new GroupError('Group not found', 404)
+	}
+	return group
+}
+
+/**
+ * Join a group by code; joining again is a no-op
+ * @param {string} code - Join code
+ * @param {Object} user - Public user { id, username }
+ * @returns {Object} - The group
+ */
+export function joinGroup(code, user) {
+	const group = getGroup(code)
+	if (!group) throw new GroupError('No group with that code', 404)
+	if (group.participants.has(user.id)) return group
+	if (group.participants.size >= MAX_GROUP_PARTICIPANTS) {
+		throw new GroupError(`Groups are limited to ${MAX_GROUP_PARTICIPANTS} participants`, 409)
+	}
+
+	group.participants.set(user.id, {
+		userId: user.id,
+		username: user.username,
+		preferences: {},
+		joinedAt: new Date().toISOString(),
+	})
+	touch(group)
+	return group
+}
+
+/**
+ * Replace a participant's preferences
+ * @param {Object} preferences - From parseGroupPreferences
+ * @returns {Object} - The group
+ */
+export function setPreferences(code, userId, preferences) {
+	const group = getParticipantGroup(code, userId)
+	group.participants.get(userId).preferences = preferences
+	touch(group)
+	return group
+}
+
+/**
+ * Store freshly ranked results; earlier votes no longer apply
+ * @param {Array} results - [{ placeId, name, ..., distances: [{ userId, distanceKm }] }]
+ * @param {Object} criteria - Merged criteria the results were ranked with
+ * @returns {Object} - The group
+ */
+export function setResults(code, results, criteria) {
+	const group = getGroup(code)
+	if (!group) throw new GroupError('Group not found', 404)
+	group.results = results
+	group.criteria = criteria
+	group.votes.clear()
+	group.status = 'voting'
+	touch(group)
+	return group
+}
+
+/**
+ * Vote for one of the results, or withdraw the vote with null
+ * @returns {Object} - The group
+ */
+export function castVote(code, userId, placeId) {
+	const group = getParticipantGroup(code, userId)
+	if (placeId === null) {
+		group.votes.delete(userId)
+	} else {
+		if (!group.results.some(result => result.placeId === placeId)) {
+			throw new GroupError('You can only vote for one of the results')
+		}
+		group.votes.set(userId, placeId)
+	}
+	touch(group)
+	return group
+}
+
+/**
+ * Group as seen by one participant: other participants' locations are reduced to hasLocation,
+ * results carry the live tally
+ */
+export function toPublicGroup(group, userId) {
+	const usernames = new Map([...group.participants.values()].map(p => [p.userId, p.username]))
+	const voters = placeId =>
+		[...group.votes].filter(([, votedFor]) => votedFor === placeId).map(([voterId]) => usernames.get(voterId))
+
+	const results = group.results.map(({ distances, ...result }) => {
+		const names = voters(result.placeId)
+		return {
+			...result,
+			distances: distances.map(({ userId: memberId, distanceKm }) => ({
+				username: usernames.get(memberId),
+				distanceKm,
+			})),
+			votes: names.length,
+			voters: names,
+		}
+	})
+
+	const { location, ...ownPreferences } = group.participants.get(userId)?.preferences || {}
+
+	return {
+		code: group.code,
+		listName: group.listName,
+		status: group.status,
+		isHost: group.hostId === userId,
+		host: usernames.get(group.hostId),
+		participants: [...group.participants.values()].map(({ userId: memberId, username, preferences }) => {
+			const { location: memberLocation, message: _message, ...shared } = preferences
+			return {
+				username,
+				isHost: memberId === group.hostId,
+				hasPreferences: Object.keys(preferences).length > 0,
+				hasLocation: Boolean(memberLocation),
+				hasVoted: group.votes.has(memberId),
+				preferences: shared,
+			}
+		}),
+		myPreferences: { ...ownPreferences, location: location || null },
+		criteria: group.criteria,
+		results,
+		myVote: group.votes.get(userId) || null,
+		totalVotes: group.votes.size,
+		createdAt: group.createdAt,
+		updatedAt: group.updatedAt,
+	}
+}
@@ -1,41 +1,144 @@
-// Google Takeout export parsing logic
+// Google Takeout export parsing logic (Saved Places.json and saved list CSVs)
 import { parse } from 'csv-parse/sync'
 
 /**
- * Parse Google Takeout export data
- * TODO: Implement actual parsing logic for Google Takeout JSON format
- * Expected format from Google Takeout: Saved Places JSON export
+ * An uploaded file that can't be imported (bad client input, answered with a 400)
  */
-export function parseTakeoutExport(takeoutData) {
-	// Stub implementation
-	// TODO: Parse the actual Google Takeout JSON structure
-	// Google Takeout exports saved places in a specific JSON format
-	// that includes location data, place names, lists, etc.
+export class ImportError extends Error {
+	constructor(message) {
+		super(message)
+		this.name = 'ImportError'
+		this.status = 400
+	}
+}
 
-	const imported = []
-	const duplicates = []
+/**
+ * Read a coordinate value that may be a number or a numeric string
+ */
+function toCoordinate(value) {
+	if (value === null || value === undefined || value === '') return null
+	const num = typeof value === 'number' ? value : parseFloat(value)
+	return Number.isFinite(num) ? num : null
+}
+
+// The strings of a tag array from our own export; anything else is ignored
+function toTags(value) {
+	return Array.isArray(value) ? value.filter(tag => typeof tag === 'string') : []
+}
+
+/**
+ * Normalize one GeoJSON feature from "Saved Places.json" into place data
+ * Handles both Takeout property layouts:
+ *   older: { Title, "Google Maps URL", Location: { Address, "Business Name", "Geo Coordinates" }, Published, Updated }
+ *   newer: { google_maps_url, location: { name, address }, date, Comment }
+ * @returns {Object|null} - Place data, or null if the feature has no usable name
+ */
+function parseTakeoutFeature(feature, listName) {
+	const props = feature?.properties || {}
+	const location = props.Location || props.location || {}
+
+	const name = (
+		props.Title ||
+		location['Business Name'] ||
+		location.name ||
+		''
+	).trim()
+	if (!name) return null
+
+	// Prefer explicit Geo Coordinates, fall back to GeoJSON geometry ([lng, lat])
+	const geo = location['Geo Coordinates'] || {}
+	const coordinates = Array.isArray(feature?.geometry?.coordinates)
+		? feature.geometry.coordinates
+		: []
+	let lat = toCoordinate(geo.Latitude) ?? toCoordinate(coordinates[1])
+	let lng = toCoordinate(geo.Longitude) ?? toCoordinate(coordinates[0])
+
+	// Takeout writes [0, 0] for places it has no position for
+	if (lat === 0 && lng === 0) {
+		lat = null
+		lng = null
+	}
+
+	const url = (props['Google Maps URL'] || props.google_maps_url || '').trim()
+	const address = (location.Address || location.address || '').trim()
+	const comment = (props.Comment || '').trim()
+
+	// notes, listName, listTags, placeTags and placeId are only present in GeoJSON written by our
+	// own export, which can hold several lists
+	const placeTags = toTags(props.placeTags)
+	const ownListName = typeof props.listName === 'string' ? props.listName.trim() : ''
+
+	return {
+		name,
+		lat,
+		lng,
+		address: address || null,
+		url: url || null,
+		savedAt: props.Published || props.date || props.Updated || null,
+		comment: comment || null,
+		notes: typeof props.notes === 'string' ? props.notes : null,
+		listName: ownListName || listName,
+		listTags: toTags(props.listTags),
+		placeTags,
+		tags: [...placeTags],
+		placeId: typeof props.placeId === 'string' ? props.placeId : null,
+	}
+}
+
+/**
+ * Parse a Google Takeout "Saved Places.json" export (GeoJSON FeatureCollection)
+ * @param {Object|string} takeoutData - Parsed JSON or raw JSON string
+ * @param {string} listName - List to file the places under, unless a feature names its own
+ *   (GeoJSON from GET /api/export)
+ * @returns {Object} Parsed data with list metadata, places, and skip/duplicate reports
+ * @throws {ImportError} - Not JSON, or not a FeatureCollection
+ */
+export function parseTakeoutExport(takeoutData, listName = 'Saved Places') {
+	let data = takeoutData
+	if (typeof data === 'string') {
+		try {
+			data = JSON.parse(data)
+		} catch {
+			throw new ImportError('Takeout parsing failed: the file is not valid JSON')
+		}
+	}
+
+	// Accept a FeatureCollection, or a bare array of features
+	const features = Array.isArray(data) ? data : data?.features
+	if (!Array.isArray(features)) {
+		throw new ImportError('Takeout parsing failed: expected a GeoJSON FeatureCollection')
+	}
+
+	const places = []
 	const skipped = []
+	const duplicates = []
+	const seen = new Set()
 
-	// Example structure (to be replaced with actual parsing):
-	// if (Array.isArray(takeoutData)) {
-	//   takeoutData.forEach(item => {
-	//     const place = {
-	//       name: item.title || item.name,
-	//       lat: item.location?.latitude,
-	//       lng: item.location?.longitude,
-	//       address: item.address,
-	//       listName: item.listName,
-	//       notes: item.notes,
-	//       savedAt: item.savedAt,
-	//     }
-	//     // Check for duplicates and add to places
-	//   })
-	// }
+	features.forEach((feature, index) => {
+		const place = parseTakeoutFeature(feature, listName)
+		if (!place) {
+			skipped.push({ index, reason: 'Missing name' })
+			return
+		}
+
+		// Dedupe within the file by URL, or by name + coordinates when URL is missing
+		const key = place.url || `${place.name}|${place.lat}|${place.lng}`
+		if (seen.has(key)) {
+			duplicates.push({ index, name: place.name })
+			return
+		}
+		seen.add(key)
+
+		places.push(place)
+	})
 
 	return {
-		imported,
-		duplicates,
+		listName,
+		listTags: [],
+		places,
+		totalRows: features.length,
 		skipped,
+		duplicates,
 	}
 }
 
@@ -114,11 +217,11 @@ export function parseCSV(csvContent, listName) {
 				listName,
 				listTags: [...listTags], // Store list tags separately for context
 				comment: row.Comment ? row.Comment.trim() : null,
-				// TODO: Extract coordinates from Google Maps URL
-				// TODO: Use Google Places API to enrich with lat/lng, placeId, address
-				lat: null,
-				lng: null,
-				placeId: null,
+				// Latitude/Longitude/Place ID only exist in CSVs written by our own export;
+				// Takeout CSVs leave these null and coordinates are resolved after import
+				lat: toCoordinate(row.Latitude),
+				lng: toCoordinate(row.Longitude),
+				placeId: row['Place ID'] ? row['Place ID'].trim() : null,
 				address: null,
 			}
 
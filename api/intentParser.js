@@ -0,0 +1,419 @@
+// Rule-based intent parser
+// Used by chat when no LLM is configured or the LLM call fails. Produces the same
+// { intentType, slots, targetPlaceName, questionType, ... } shape as the LLM prompt.
+// parseCategory, parseCuisine and parseVibe are also used to enrich places without an LLM (ai.js).
+
+import { describeOpenAt, parseOpenAt } from '../shared/openingHours.js'
+
+// Category synonyms -> the category slot value (matched against place tags and types)
+const CATEGORY_SYNONYMS = {
+	restaurant: ['restaurant', 'restaurants', 'dinner', 'lunch', 'eat', 'food', 'meal'],
+	cafe: ['cafe', 'cafes', 'café', 'cafés', 'coffee', 'coffee shop'],
+	bar: ['bar', 'bars', 'pub', 'pubs', 'drinks', 'cocktail', 'cocktails', 'beer', 'wine bar'],
+	bakery: ['bakery', 'bakeries', 'pastry', 'pastries'],
+	dessert: ['dessert', 'desserts', 'ice cream', 'gelato', 'sweets'],
+	brunch: ['brunch', 'breakfast'],
+	museum: ['museum', 'museums', 'gallery', 'galleries', 'exhibition'],
+	park: ['park', 'parks', 'garden', 'gardens'],
+	shop: ['shop', 'shops', 'shopping', 'store', 'stores', 'boutique'],
+	hotel: ['hotel', 'hotels', 'stay'],
+}
+
+// Plural labels for assistant messages
+const CATEGORY_LABELS = {
+	bakery: 'bakeries',
+	dessert: 'dessert spots',
+	brunch: 'brunch spots',
+}
+
+// Cuisines recognized even when no list uses them as a tag
+const KNOWN_CUISINES = [
+	'african',
+	'american',
+	'bbq',
+	'burger',
+	'chinese',
+	'ethiopian',
+	'french',
+	'greek',
+	'indian',
+	'italian',
+	'japanese',
+	'korean',
+	'lebanese',
+	'mediterranean',
+	'mexican',
+	'middle eastern',
+	'pizza',
+	'ramen',
+	'seafood',
+	'spanish',
+	'sushi',
+	'thai',
+	'turkish',
+	'vegan',
+	'vegetarian',
+	'vietnamese',
+]
+
+const CHEAP_WORDS = ['cheap', 'budget', 'inexpensive', 'affordable', 'not expensive', 'cheap eats']
+const PRICEY_WORDS = ['expensive', 'fancy', 'upscale', 'splurge', 'fine dining', 'high end', 'high-end']
+const ANY_PRICE_PATTERN = /\b(any price|price doesn'?t matter|don'?t care about (the )?price)\b/
+
+// Atmosphere and occasion words, collected into the vibe slot (matched semantically, see placeEmbeddings.js)
+const VIBE_WORDS = [
+	'cozy',
+	'cosy',
+	'romantic',
+	'date night',
+	'date',
+	'anniversary',
+	'intimate',
+	'quiet',
+	'calm',
+	'chill',
+	'relaxed',
+	'laid back',
+	'lively',
+	'buzzy',
+	'trendy',
+	'hip',
+	'casual',
+	'elegant',
+	'outdoor',
+	'patio',
+	'terrace',
+	'rooftop',
+	'view',
+	'family friendly',
+	'kid friendly',
+	'dog friendly',
+	'work',
+	'laptop',
+	'group',
+	'hidden gem',
+	'authentic',
+	'live music',
+]
+
+const OPEN_NOW_PATTERN = /\b(open now|open right now|currently open|still open|open at the moment|open yet)\b/
+
+// Distance phrases without a number, in km
+const DISTANCE_PHRASES = [
+	{ pattern: /\bwalking distance\b|\bwalkable\b|\bwalk to\b/, km: 1 },
+	{ pattern: /\b(near me|nearby|close by|close to me|around here)\b/, km: 2 },
+]
+const DISTANCE_PATTERN =
+	/\b(?:within|under|less than|max(?:imum)?|up to)?\s*(\d+(?:\.\d+)?)\s*(km|kilometers?|kilometres?|mi|miles?|m|meters?|metres?)\b(?:\s*(?:away|radius))?/
+const UNIT_TO_KM = { km: 1, mi: 1.609, m: 0.001 }
+
+// Informational question types, checked in order
+const QUESTION_TYPES = [
+	{
+		type: 'openNow',
+		pattern: /\b(is|are)\b.*\bopen\b(?!ing)|\bwill\b.*\bbe open\b|\bopen (right )?now\b|\bstill open\b|\bclosed (now|today)\b/,
+	},
+	{
+		type: 'openingHours',
+		pattern: /\b(what time|when)\b.*\b(open|close|closes|opens)\b|\b(opening|business) hours\b|\bhours\b/,
+	},
+	{ type: 'rating', pattern: /\brating\b|\brated\b|\breviews?\b|\bstars?\b/ },
+	{ type: 'address', pattern: /\baddress\b|\bwhere is\b|\bwhere's\b|\blocated\b|\blocation\b/ },
+	{ type: 'phone', pattern: /\bphone\b|\bnumber\b|\bcall\b/ },
+	{ type: 'website', pattern: /\bwebsite\b|\bsite\b|\burl\b|\bweb page\b/ },
+	{ type: 'general', pattern: /\btell me about\b|\bwhat do you know about\b|\binfo(rmation)? (on|about)\b/ },
+]
+
+// Follow-ups that ask about a referenced place without a specific question ("what about the second one?")
+const FOLLOW_UP_PATTERN = /^(what|how) about\b|\btell me more\b|\bmore (info|details)\b/
+
+// "somewhere between Mile End and Old Port", "halfway between the office, Jean's and me"
+const ORIGINS_PATTERN =
+	/\b(?:somewhere |halfway |midway |right )?between\s+(.+?)(?=\s+(?:for|that|which|with|open|within|under|tonight|today|tomorrow|on|at)\b|[.!?;]|$)/i
+// Meeting point by the least travel overall instead of the shortest longest trip
+const TOTAL_DISTANCE_PATTERN = /\b(?:total|combined|overall) (?:distance|travel|trip)\b|\bleast (?:total )?travel\b/
+// Origins that stand for the user's own location
+const SELF_ORIGINS = ['me', 'myself', 'my location', 'my place', 'here', 'where i am']
+
+// "brunch, then a museum, then dinner" - the steps of a day plan (see itinerary.js)
+const ITINERARY_SEPARATOR = /\s*,?\s*\b(?:and then|then|followed by|and after that|after that|afterwards)\b\s*|\s*(?:->|→)\s*/
+// Steps named after a meal also say when they happen
+const MEAL_WORDS = ['breakfast', 'brunch', 'lunch', 'dinner']
+
+// "... of X", "... for X", "does X open" - used when no saved place name matches exactly
+const PLACE_NAME_PATTERNS = [
+	/\b(?:does|is|are|did)\s+(.+?)\s+(?:open|close|closed|have|located|rated|still)\b/,
+	/.*\b(?:of|for|at|about|is)\s+(.+?)(?:\s+(?:open|now|today|located))?\s*[?.!]*$/,
+]
+
+function escapeRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// Matches a whole word (or whole phrase)
+function phrasePattern(phrase) {
+	return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(phrase)}($|[^\\p{L}\\p{N}])`, 'u')
+}
+
+function containsPhrase(text, phrase) {
+	return phrasePattern(phrase).test(text)
+}
+
+// Longest saved place name mentioned in the message
+function findPlaceName(text, placeNames) {
+	let best = null
+	for (const name of placeNames) {
+		if (!name) continue
+		const lower = name.toLowerCase()
+		if (lower.length >= 3 && containsPhrase(text, lower) && (!best || lower.length > best.length)) {
+			best = name
+		}
+	}
+	return best
+}
+
+// Category slot value for a lower-cased text (e.g. "cafe" for "coffee")
+export function parseCategory(text) {
+	for (const [category, synonyms] of Object.entries(CATEGORY_SYNONYMS)) {
+		if (synonyms.some(synonym => containsPhrase(text, synonym))) {
+			return category
+		}
+	}
+	return null
+}
+
+// Cuisine in a lower-cased text, from the given tags or KNOWN_CUISINES
+export function parseCuisine(text, vocabulary, category) {
+	const candidates = [...new Set([...vocabulary.map(tag => tag.toLowerCase()), ...KNOWN_CUISINES])]
+		// Longest first, so "middle eastern" wins over "eastern"
+		.sort((a, b) => b.length - a.length)
+
+	const categoryWords = category ? CATEGORY_SYNONYMS[category] : []
+	return (
+		candidates.find(
+			term =>
+				term.length >= 3 &&
+				!categoryWords.includes(term) &&
+				!CATEGORY_SYNONYMS[term] &&
+				containsPhrase(text, term)
+		) || null
+	)
+}
+
+// Day plan steps, or null unless there are at least two and each names a kind of place
+function parseItinerarySteps(text, vocabulary) {
+	const parts = text.split(ITINERARY_SEPARATOR).map(part => part.trim()).filter(Boolean)
+	if (parts.length < 2) return null
+
+	const steps = parts.map(part => {
+		const category = parseCategory(part)
+		const cuisine = parseCuisine(part, vocabulary, category)
+		const mealPeriod = MEAL_WORDS.find(word => containsPhrase(part, word)) || null
+		return {
+			label: [cuisine, mealPeriod || category].filter(Boolean).join(' '),
+			category,
+			cuisine,
+			price: parsePrice(part),
+			vibe: parseVibe(part),
+			mealPeriod,
+		}
+	})
+	return steps.every(step => step.category || step.cuisine) ? steps : null
+}
+
+// Origin labels in their original casing ("between 5 and 7" is a time, not two origins)
+function parseOrigins(message) {
+	const match = message.match(ORIGINS_PATTERN)
+	if (!match) return null
+	const labels = match[1]
+		.split(/\s*,\s*(?:and\s+)?|\s+and\s+|\s*&\s*/)
+		.map(label => label.trim().replace(/^the\s+/i, ''))
+		.filter(Boolean)
+	if (labels.length < 2 || labels.some(label => /^\d/.test(label))) return null
+	return labels.map(label =>
+		SELF_ORIGINS.includes(label.toLowerCase()) ? { label: 'You', self: true } : { label }
+	)
+}
+
+function parsePrice(text) {
+	if (ANY_PRICE_PATTERN.test(text)) return 'any'
+	if (CHEAP_WORDS.some(word => containsPhrase(text, word))) return 'cheap'
+	if (PRICEY_WORDS.some(word => containsPhrase(text, word))) return 'mid'
+	return null
+}
+
+// Vibe words in the order they appear ("cozy date spot" -> "cozy date")
+export function parseVibe(text) {
+	const found = []
+	for (const word of VIBE_WORDS) {
+		const index = text.search(phrasePattern(word))
+		// Skip words inside a longer phrase already found ("date" in "date night")
+		if (index !== -1 && !found.some(match => match.word.includes(word))) {
+			found.push({ word, index })
+		}
+	}
+	return found.length > 0
+		? found.sort((a, b) => a.index - b.index).map(match => match.word).join(' ')
+		: null
+}
+
+function parseDistanceKm(text) {
+	const match = text.match(DISTANCE_PATTERN)
+	if (match) {
+		const unit = match[2].startsWith('k') ? 'km' : match[2].startsWith('mi') ? 'mi' : 'm'
+		return Math.round(parseFloat(match[1]) * UNIT_TO_KM[unit] * 100) / 100
+	}
+	const phrase = DISTANCE_PHRASES.find(({ pattern }) => pattern.test(text))
+	return phrase ? phrase.km : null
+}
+
+function parseQuestionType(text) {
+	const isQuestion =
+		/\?\s*$/.test(text) ||
+		/^(what|when|where|is|are|does|do|how|tell|can|could|which|will)\b/.test(text)
+	if (!isQuestion) return null
+	return QUESTION_TYPES.find(({ pattern }) => pattern.test(text))?.type || null
+}
+
+function guessPlaceName(text) {
+	for (const pattern of PLACE_NAME_PATTERNS) {
+		const match = text.match(pattern)
+		const name = match?.[1]?.replace(/^(the|a)\s+/, '').trim()
+		if (name && !/^(it|there|that|this|they|them|the place)$/.test(name)) {
+			return name
+		}
+	}
+	return null
+}
+
+// Short confirmation of what was understood
+function describeSlots(slots, timeZone) {
+	const parts = []
+	if (slots.price === 'cheap') parts.push('cheap')
+	if (slots.price === 'mid') parts.push('upscale')
+	if (slots.cuisine) parts.push(slots.cuisine)
+	parts.push(
+		slots.category ? CATEGORY_LABELS[slots.category] || `${slots.category}s` : 'places'
+	)
+	let description = parts.join(' ')
+	if (slots.openAt) description += ` that are open ${describeOpenAt(slots.openAt, { timeZone })}`
+	else if (slots.openNow) description += ' that are open now'
+	if (slots.vibe) description += ` with a ${slots.vibe} vibe`
+	if (slots.origins) {
+		const labels = slots.origins.map(origin => (origin.self ? 'you' : origin.label))
+		description += ` between ${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`
+	}
+	if (slots.distanceKm) description += ` within ${slots.distanceKm} km`
+	return description
+}
+
+/**
+ * Parse a chat message without an LLM
+ * @param {string} message - User message
+ * @param {Object} currentSlots - Slots collected so far in the session
+ * @param {Object} options - { vocabulary } tags used as cuisine words (list tags),
+ *   { placeNames } saved place names, for informational questions,
+ *   { referencedPlace } { id, name } of an earlier result the message refers to (see placeReferences.js),
+ *   { timeZone } the user's IANA timezone, for times like "tonight at 9"
+ * @returns {Object} - { intentType, slots, targetPlaceName, targetPlaceId, questionType, openAt,
+ *   needsFollowUp, questions, assistantMessage }, plus { steps } for a day plan ("itinerary"),
+ *   where openAt is when it starts
+ */
+export function parseIntent(
+	message,
+	currentSlots = {},
+	{ vocabulary = [], placeNames = [], referencedPlace = null, timeZone = undefined } = {}
+) {
+	// Origin names are left out of the rest of the parsing ("Little Italy" isn't a cuisine)
+	const origins = parseOrigins(message)
+	const text = (origins ? message.replace(ORIGINS_PATTERN, ' ') : message).toLowerCase().trim()
+	// "saturday 11pm", "for the next 2 hours" (see shared/openingHours.js)
+	const openAt = parseOpenAt(text, { timeZone })
+
+	const category = parseCategory(text)
+	const cuisine = parseCuisine(text, vocabulary, category)
+
+	// Informational question about a place. Without a saved place name, only treat it as one
+	// if it isn't asking for a kind of place ("which cafes have good reviews?")
+	const mentionedPlace = findPlaceName(text, placeNames)
+	const questionType =
+		parseQuestionType(text) ||
+		(referencedPlace && !mentionedPlace && FOLLOW_UP_PATTERN.test(text) ? 'general' : null)
+	if (
+		questionType &&
+		(mentionedPlace ||
+			referencedPlace ||
+			(!category && !cuisine && questionType !== 'openNow'))
+	) {
+		// A place named outright wins over a reference to an earlier result
+		const targetPlaceName =
+			mentionedPlace || referencedPlace?.name || guessPlaceName(text)
+		return {
+			intentType: 'informational',
+			slots: currentSlots,
+			targetPlaceName,
+			targetPlaceId: !mentionedPlace && referencedPlace ? referencedPlace.id : null,
+			questionType,
+			openAt,
+			needsFollowUp: false,
+			questions: [],
+			assistantMessage: targetPlaceName
+				? `Let me look that up for ${targetPlaceName}.`
+				: "Which place are you asking about?",
+		}
+	}
+
+	// Day plan: one place per step, planned as a route (see itinerary.js)
+	const steps = parseItinerarySteps(text, vocabulary)
+	if (steps) {
+		const labels = steps.map(step => step.label)
+		return {
+			intentType: 'itinerary',
+			slots: currentSlots,
+			steps,
+			targetPlaceName: null,
+			targetPlaceId: null,
+			questionType: null,
+			openAt,
+			needsFollowUp: false,
+			questions: [],
+			assistantMessage: `Planning ${labels.join(', then ')} from your saved places.`,
+		}
+	}
+
+	// Recommendations: merge anything new into the existing slots
+	const slots = { ...currentSlots }
+	const price = parsePrice(text)
+	const distanceKm = parseDistanceKm(text)
+	const vibe = parseVibe(text)
+
+	if (category) slots.category = category
+	if (cuisine) slots.cuisine = cuisine
+	if (price) slots.price = price
+	if (vibe) slots.vibe = vibe
+	if (openAt) {
+		slots.openAt = openAt
+		delete slots.openNow
+	} else if (OPEN_NOW_PATTERN.test(text)) {
+		slots.openNow = true
+		delete slots.openAt
+	}
+	if (distanceKm !== null) slots.distanceKm = distanceKm
+	if (origins) slots.origins = origins
+	if (TOTAL_DISTANCE_PATTERN.test(text)) slots.originStrategy = 'total'
+
+	const understood = Object.keys(slots).length > 0
+	return {
+		intentType: 'recommendations',
+		slots,
+		targetPlaceName: null,
+		targetPlaceId: null,
+		questionType: null,
+		openAt: null,
+		needsFollowUp: false,
+		questions: understood && !slots.category ? ['What kind of place are you in the mood for?'] : [],
+		assistantMessage: understood
+			? `Looking for ${describeSlots(slots, timeZone)} in your saved places.`
+			: 'I can help you find places from your saved lists. What are you looking for?',
+	}
+}
@@ -0,0 +1,196 @@
+// Day plans: one saved place per step ("brunch, then a museum, then dinner")
+// Each step is ranked like a chat request; the plan is the combination of the best candidates
+// with the least walking between stops, open (by their opening-hours periods) for the whole stay
+// from the projected arrival. Steps named after a meal wait for that meal period to start and are
+// left out once it is over.
+
+import { rankPlaces } from './ranking.js'
+import { calculateDistance, getLocalTime, MEAL_PERIODS } from './utils.js'
+import { isPlaceOpen, MINUTES_PER_DAY } from '../shared/openingHours.js'
+
+export const MAX_ITINERARY_STEPS = 6
+// Best-ranked places per step the route is chosen from
+const STEP_CANDIDATES = 5
+const WALKING_KM_PER_HOUR = 4.8
+// Ranking points worth a kilometre of walking, so a much better match may be a little further
+const POINTS_PER_KM = 50
+// Cost of leaving a step out, so a step is only skipped when nothing fits
+const SKIP_COST_KM = 100
+// Plans for a day without a time start at 10am
+const DEFAULT_START_MINUTES = 10 * 60
+const DEFAULT_STAY_MINUTES = 60
+// Minutes spent at a stop, by category
+const STAY_MINUTES = {
+	brunch: 75,
+	restaurant: 90,
+	cafe: 45,
+	bar: 90,
+	bakery: 20,
+	dessert: 30,
+	museum: 120,
+	park: 60,
+	shop: 45,
+}
+
+// Week-relative clock (minutes since Sunday 00:00) <-> { day, minutes }
+const toClock = ({ day, minutes }) => day * MINUTES_PER_DAY + minutes
+const fromClock = clock => ({
+	day: Math.floor(clock / MINUTES_PER_DAY) % 7,
+	minutes: clock % MINUTES_PER_DAY,
+})
+
+// When a meal step can start: `clock` itself inside the meal window [start, end) (end may run past
+// midnight, so 00:30 is still late-night), the window's start when it is still ahead that day,
+// or null once the day's window is over (no dinner at 2pm, no brunch at 3pm)
+function getMealClock(clock, window) {
+	const midnight = clock - (clock % MINUTES_PER_DAY)
+	for (const dayStart of [midnight - MINUTES_PER_DAY, midnight]) {
+		if (clock < dayStart + window.end) return Math.max(clock, dayStart + window.start)
+	}
+	return null
+}
+
+const toWalkMinutes = distanceKm => Math.round((distanceKm / WALKING_KM_PER_HOUR) * 60)
+
+// When the plan starts: the requested day and time, 10am on a day without a time, or now
+function getStart(startAt, time, timeZone) {
+	if (startAt?.day !== null && startAt?.day !== undefined) {
+		return { day: startAt.day, minutes: startAt.minutes ?? DEFAULT_START_MINUTES }
+	}
+	return getLocalTime(time, timeZone)
+}
+
+/**
+ * Plan a route through one saved place per step
+ * @param {Array} places - Places to plan from
+ * @param {Array} steps - [{ label, category, cuisine, price, vibe, mealPeriod, durationMinutes }]
+ *   in visiting order (see parseIntent)
+ * @param {Object} options - { listName }, { userLocation } { lat, lng } where the day starts,
+ *   { time, timeZone }, { startAt } { day, minutes } (default now)
+ * @returns {Promise<Object>} - { start, stops, skipped, totalWalkKm, totalWalkMinutes } where
+ *   stops are [{ step, label, place, enrichedData, score, arrival, departure, walkKm,
+ *   walkMinutes, openAtArrival }] (times as { day, minutes }; openAtArrival null when the hours
+ *   are unknown) and skipped are [{ step, label, reason }]
+ */
+export async function planItinerary(
+	places,
+	steps,
+	{ listName = null, userLocation = null, time = new Date(), timeZone = undefined, startAt = null } = {}
+) {
+	const start = getStart(startAt, time, timeZone)
+
+	// Candidates per step, best first; a route needs coordinates
+	const candidates = []
+	for (const step of steps) {
+		const mealWindow = MEAL_PERIODS[step.mealPeriod]
+		const ranked = await rankPlaces(
+			places,
+			{
+				category: step.category,
+				cuisine: step.cuisine,
+				price: step.price,
+				vibe: step.vibe,
+				mealPeriod: mealWindow ? { period: step.mealPeriod, day: start.day, window: mealWindow } : null,
+			},
+			{ listName, userLocation, time, timeZone, enrichLimit: STEP_CANDIDATES * 2 }
+		)
+		candidates.push(ranked.filter(({ place }) => place.lat && place.lng).slice(0, STEP_CANDIDATES))
+	}
+
+	// Most the remaining steps can still lower the cost, to stop following routes that can't win
+	const bestBonus = candidates.map(stepCandidates =>
+		Math.max(0, ...stepCandidates.map(({ score }) => score / POINTS_PER_KM))
+	)
+	const remainingBonus = steps.map((_, index) => bestBonus.slice(index).reduce((sum, bonus) => sum + bonus, 0))
+
+	// Every combination (a step may be left out) is tried; the cheapest route wins
+	let best = null
+	const visit = (index, from, clock, used, stops, skipped, cost) => {
+		if (best && cost - (remainingBonus[index] || 0) >= best.cost) return
+		if (index === steps.length) {
+			best = { stops: [...stops], skipped: [...skipped], cost }
+			return
+		}
+
+		const step = steps[index]
+		const stayMinutes = step.durationMinutes || STAY_MINUTES[step.category] || DEFAULT_STAY_MINUTES
+		const mealWindow = MEAL_PERIODS[step.mealPeriod]
+		let closed = false
+		let tooLate = false
+		for (const candidate of candidates[index]) {
+			if (used.has(candidate.place.id)) continue
+
+			const walkKm = from ? calculateDistance(from.lat, from.lng, candidate.place.lat, candidate.place.lng) : 0
+			let arrivalClock = clock + toWalkMinutes(walkKm)
+			// Wait for the meal to start; past its end the step can't be had that day
+			if (mealWindow) {
+				arrivalClock = getMealClock(arrivalClock, mealWindow)
+				if (arrivalClock === null) {
+					tooLate = true
+					continue
+				}
+			}
+			const arrival = fromClock(arrivalClock)
+
+			const openAtArrival = isPlaceOpen(
+				candidate.enrichedData?.openingHours,
+				{ ...arrival, durationMinutes: stayMinutes },
+				{ time, timeZone }
+			)
+			if (openAtArrival === false) {
+				closed = true
+				continue
+			}
+
+			stops.push({
+				step: index,
+				label: step.label,
+				place: candidate.place,
+				enrichedData: candidate.enrichedData,
+				score: candidate.score,
+				arrival,
+				departure: fromClock(arrivalClock + stayMinutes),
+				walkKm,
+				walkMinutes: toWalkMinutes(walkKm),
+				openAtArrival,
+			})
+			used.add(candidate.place.id)
+			visit(
+				index + 1,
+				candidate.place,
+				arrivalClock + stayMinutes,
+				used,
+				stops,
+				skipped,
+				cost + walkKm - candidate.score / POINTS_PER_KM
+			)
+			used.delete(candidate.place.id)
+			stops.pop()
+		}
+
+		skipped.push({
+			step: index,
+			label: step.label,
+			reason:
+				candidates[index].length === 0
+					? 'No saved place matches'
+					: closed
+						? 'Nothing matching is open then'
+						: tooLate
+							? `Too late for ${step.mealPeriod} by then`
+							: 'No other saved place matches',
+		})
+		visit(index + 1, from, clock, used, stops, skipped, cost + SKIP_COST_KM)
+		skipped.pop()
+	}
+	visit(0, userLocation?.lat && userLocation?.lng ? userLocation : null, toClock(start), new Set(), [], [], 0)
+
+	const totalWalkKm = best.stops.reduce((sum, stop) => sum + stop.walkKm, 0)
+	return {
+		start,
+		stops: best.stops,
+		skipped: best.skipped,
+		totalWalkKm,
+		totalWalkMinutes: toWalkMinutes(totalWalkKm),
+	}
+}
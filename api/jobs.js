@@ -0,0 +1,202 @@
+// Background job queue
+// Jobs run one at a time in the order they were queued, so long-running work
+// (e.g. coordinate resolution against the Places API) never runs in parallel.
+// Job state is kept in memory; only the most recent finished jobs are retained.
+// Each job belongs to the user who queued it; handlers read job.ownerId.
+
+const jobs = new Map()
+const handlers = new Map()
+const queue = []
+let runningJob = null
+
+// Finished jobs kept around for status lookups
+const MAX_FINISHED_JOBS = 100
+
+export const JOB_STATUSES = ['queued', 'running', 'done', 'failed', 'cancelled']
+
+// Generate unique ID
+function generateId() {
+	return 'job_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 6)
+}
+
+/**
+ * Register the function that runs jobs of a given type
+ * The handler receives (job, ctx) where ctx exposes:
+ *   ctx.setTotal(n), ctx.succeed(itemId), ctx.fail(itemId, error, name), ctx.isCancelled()
+ * @param {string} type - Job type (e.g. "resolve-coords")
+ * @param {Function} handler - async (job, ctx) => result
+ */
+export function registerJobHandler(type, handler) {
+	handlers.set(type, handler)
+}
+
+// Public view of a job (drops internal flags)
+function toPublicJob(job) {
+	const { cancelRequested: _cancelRequested, ...publicJob } = job
+	return {
+		...publicJob,
+		errors: [...job.errors],
+	}
+}
+
+/**
+ * Queue a job
+ * @param {string} ownerId - User the job works for
+ * @param {string} type - Registered job type
+ * @param {Object} payload - Handler input; `itemIds` lists the items the job works through
+ * @param {Object} options - { retryOf } ID of the job this one retries
+ * @returns {Object} The queued job
+ */
+export function enqueueJob(ownerId, type, payload = {}, { retryOf = null } = {}) {
+	if (!handlers.has(type)) {
+		throw new Error(`No handler registered for job type "${type}"`)
+	}
+
+	const job = {
+		id: generateId(),
+		ownerId,
+		type,
+		status: 'queued',
+		payload,
+		retryOf,
+		progress: {
+			total: Array.isArray(payload.itemIds) ? payload.itemIds.length : 0,
+			processed: 0,
+			succeeded: 0,
+			failed: 0,
+		},
+		errors: [], // [{ itemId, name, error }]
+		result: null,
+		error: null,
+		createdAt: new Date().toISOString(),
+		startedAt: null,
+		finishedAt: null,
+		cancelRequested: false,
+	}
+
+	jobs.set(job.id, job)
+	queue.push(job)
+	setImmediate(runNext)
+
+	return toPublicJob(job)
+}
+
+// Run the next queued job if nothing is running
+async function runNext() {
+	if (runningJob || queue.length === 0) return
+
+	const job = queue.shift()
+	runningJob = job
+	job.status = 'running'
+	job.startedAt = new Date().toISOString()
+
+	const ctx = {
+		setTotal: total => {
+			job.progress.total = total
+		},
+		succeed: () => {
+			job.progress.processed++
+			job.progress.succeeded++
+		},
+		fail: (itemId, error, name = null) => {
+			job.progress.processed++
+			job.progress.failed++
+			job.errors.push({
+				itemId,
+				name,
+				error: error instanceof Error ? error.message : String(error),
+			})
+		},
+		isCancelled: () => job.cancelRequested,
+	}
+
+	try {
+		job.result = await handlers.get(job.type)(job, ctx)
+		job.status = job.cancelRequested ? 'cancelled' : 'done'
+	} catch (error) {
+		console.error(`Job ${job.id} (${job.type}) failed:`, error)
+		job.status = 'failed'
+		job.error = error.message
+	} finally {
+		job.finishedAt = new Date().toISOString()
+		runningJob = null
+		pruneFinishedJobs()
+		setImmediate(runNext)
+	}
+}
+
+// Drop the oldest finished jobs beyond MAX_FINISHED_JOBS
+function pruneFinishedJobs() {
+	const finished = Array.from(jobs.values()).filter(
+		job => job.finishedAt !== null
+	)
+	for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+		jobs.delete(job.id)
+	}
+}
+
+// A user's job by ID (null if it doesn't exist or is someone else's)
+function findJob(ownerId, id) {
+	const job = jobs.get(id)
+	return job && job.ownerId === ownerId ? job : null
+}
+
+/**
+ * Get a user's job by ID
+ */
+export function getJob(ownerId, id) {
+	const job = findJob(ownerId, id)
+	return job ? toPublicJob(job) : null
+}
+
+/**
+ * List a user's jobs, newest first
+ * @param {string} ownerId - User ID
+ * @param {Object} filters - { type, status }
+ */
+export function listJobs(ownerId, { type = null, status = null } = {}) {
+	return Array.from(jobs.values())
+		.filter(job => job.ownerId === ownerId)
+		.filter(job => (!type || job.type === type) && (!status || job.status === status))
+		.reverse()
+		.map(toPublicJob)
+}
+
+/**
+ * Cancel a job. Queued jobs are removed from the queue; running jobs stop
+ * after the item they are working on.
+ * @returns {Object|null} The job, or null if not found
+ */
+export function cancelJob(ownerId, id) {
+	const job = findJob(ownerId, id)
+	if (!job) return null
+
+	if (job.status === 'queued') {
+		queue.splice(queue.indexOf(job), 1)
+		job.status = 'cancelled'
+		job.finishedAt = new Date().toISOString()
+	} else if (job.status === 'running') {
+		job.cancelRequested = true
+	}
+
+	return toPublicJob(job)
+}
+
+/**
+ * Queue a new job that retries only the failed items of a finished job
+ * @returns {Object|null} The new job, or null if the job doesn't exist or has nothing to retry
+ */
+export function retryJob(ownerId, id) {
+	const job = findJob(ownerId, id)
+	if (!job || job.finishedAt === null) return null
+
+	const failedItemIds = [...new Set(job.errors.map(e => e.itemId).filter(Boolean))]
+	if (failedItemIds.length === 0) return null
+
+	return enqueueJob(
+		ownerId,
+		job.type,
+		{ ...job.payload, itemIds: failedItemIds },
+		{ retryOf: job.id }
+	)
+}
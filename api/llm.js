@@ -0,0 +1,327 @@
+// LLM providers for chat (intent parsing, explanations)
+// Callers use completeText / completeJSON and never talk to a provider API directly.
+//
+// Selected by LLM_PROVIDER:
+//   openrouter - OpenRouter chat completions (OPENROUTER_API_KEY)
+//   gemini     - Gemini REST API directly (GEMINI_API_KEY)
+//   openai     - any OpenAI-compatible endpoint, e.g. a local llama.cpp or Ollama server
+//                (LLM_BASE_URL, optional LLM_API_KEY)
+//   mock       - deterministic canned responses, no network
+// When LLM_PROVIDER isn't set, OpenRouter is used if OPENROUTER_API_KEY is set, then Gemini
+// if GEMINI_API_KEY is set. LLM_MODEL overrides the provider's default model.
+// LLM_TIMEOUT_MS and LLM_MAX_RETRIES tune the shared request handling.
+
+export const LLM_PROVIDERS = ['openrouter', 'gemini', 'openai', 'mock']
+
+const DEFAULT_TIMEOUT_MS = 30000
+const DEFAULT_MAX_RETRIES = 2
+// Base delay between retries, doubled on each attempt
+const RETRY_DELAY_MS = 500
+
+/**
+ * Error from a provider API. `retryable` is set for timeouts, rate limits and 5xx responses.
+ */
+export class LLMError extends Error {
+	constructor(message, { status = null, retryable = false } = {}) {
+		super(message)
+		this.name = 'LLMError'
+		this.status = status
+		this.retryable = retryable
+	}
+}
+
+/**
+ * POST JSON to a provider and return the parsed response, aborting after timeoutMs
+ * (also used by the embedding providers in embeddings.js)
+ */
+export async function postJSON(url, headers, body, { timeoutMs, label }) {
+	const controller = new AbortController()
+	const timer = setTimeout(() => controller.abort(), timeoutMs)
+
+	try {
+		const response = await fetch(url, {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+				...headers,
+			},
+			body: JSON.stringify(body),
+			signal: controller.signal,
+		})
+
+		if (!response.ok) {
+			const errorText = await response.text().catch(() => 'Unknown error')
+			throw new LLMError(
+				`${label} API error: ${response.status} ${response.statusText} - ${errorText}`,
+				{
+					status: response.status,
+					retryable: response.status === 429 || response.status >= 500,
+				}
+			)
+		}
+
+		return await response.json()
+	} catch (error) {
+		if (error.name === 'AbortError') {
+			throw new LLMError(`${label} request timed out after ${timeoutMs}ms`, {
+				retryable: true,
+			})
+		}
+		if (error instanceof LLMError) throw error
+		// Network failures (connection refused, DNS) are worth another try
+		throw new LLMError(`${label} request failed: ${error.message}`, { retryable: true })
+	} finally {
+		clearTimeout(timer)
+	}
+}
+
+/**
+ * Provider for OpenAI-style chat completions (OpenRouter and OpenAI-compatible servers)
+ */
+function createChatCompletionsProvider({ name, label, baseUrl, apiKey, model, headers = {} }) {
+	return {
+		name,
+		model,
+		complete: async ({ messages, temperature, timeoutMs }) => {
+			const data = await postJSON(
+				`${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+				{
+					...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+					...headers,
+				},
+				{
+					model,
+					messages,
+					...(temperature !== undefined && { temperature }),
+				},
+				{ timeoutMs, label }
+			)
+			// Response format: data.choices[0].message.content (string)
+			return data.choices?.[0]?.message?.content || ''
+		},
+	}
+}
+
+/**
+ * OpenRouter provider
+ */
+export function createOpenRouterProvider({
+	apiKey,
+	model = 'google/gemini-2.5-flash',
+	baseUrl = 'https://openrouter.ai/api/v1',
+}) {
+	return createChatCompletionsProvider({
+		name: 'openrouter',
+		label: 'OpenRouter',
+		baseUrl,
+		apiKey,
+		model,
+		headers: {
+			'HTTP-Referer': 'https://saveMapDemo.local', // Optional: for OpenRouter analytics
+			'X-Title': 'Map Whisperer Chat', // Optional: for OpenRouter analytics
+		},
+	})
+}
+
+/**
+ * OpenAI-compatible provider (OpenAI, llama.cpp server, Ollama's /v1 API, vLLM, ...)
+ */
+export function createOpenAICompatibleProvider({ baseUrl, apiKey = null, model = 'default' }) {
+	if (!baseUrl) {
+		throw new Error('LLM_BASE_URL is required for the "openai" provider')
+	}
+	return createChatCompletionsProvider({
+		name: 'openai',
+		label: 'OpenAI-compatible',
+		baseUrl,
+		apiKey,
+		model,
+	})
+}
+
+/**
+ * Gemini REST API provider
+ */
+export function createGeminiProvider({ apiKey, model = 'gemini-2.5-flash' }) {
+	return {
+		name: 'gemini',
+		model,
+		complete: async ({ messages, temperature, timeoutMs }) => {
+			// Gemini takes system instructions separately and calls the assistant role "model"
+			const system = messages.filter(m => m.role === 'system')
+			const contents = messages
+				.filter(m => m.role !== 'system')
+				.map(m => ({
+					role: m.role === 'assistant' ? 'model' : 'user',
+					parts: [{ text: m.content }],
+				}))
+
+			const data = await postJSON(
+				`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`,
+				{ 'x-goog-api-key': apiKey },
+				{
+					contents,
+					...(system.length > 0 && {
+						systemInstruction: { parts: system.map(m => ({ text: m.content })) },
+					}),
+					...(temperature !== undefined && { generationConfig: { temperature } }),
+				},
+				{ timeoutMs, label: 'Gemini' }
+			)
+			return data.candidates?.[0]?.content?.parts?.map(p => p.text || '').join('') || ''
+		},
+	}
+}
+
+/**
+ * Deterministic provider for development and tests
+ * @param {Function} respond - Optional (messages, { json }) => string; defaults to an empty
+ *   JSON object/array for JSON requests and a fixed sentence otherwise
+ */
+export function createMockProvider(respond = null) {
+	return {
+		name: 'mock',
+		model: 'mock',
+		complete: async ({ messages, json }) => {
+			if (respond) return respond(messages, { json })
+			if (json === 'array') return '[]'
+			if (json === 'object') return '{}'
+			return 'This is a mock response.'
+		},
+	}
+}
+
+/**
+ * Create the provider selected by environment
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} - Provider, or null if no provider is configured
+ */
+export function createLLMProvider(env = process.env) {
+	const driver = (
+		env.LLM_PROVIDER ||
+		(env.OPENROUTER_API_KEY ? 'openrouter' : env.GEMINI_API_KEY ? 'gemini' : '')
+	).toLowerCase()
+	const model = env.LLM_MODEL || undefined
+
+	switch (driver) {
+		case '':
+			return null
+		case 'openrouter':
+			return env.OPENROUTER_API_KEY
+				? createOpenRouterProvider({ apiKey: env.OPENROUTER_API_KEY, model })
+				: null
+		case 'gemini':
+			return env.GEMINI_API_KEY
+				? createGeminiProvider({ apiKey: env.GEMINI_API_KEY, model })
+				: null
+		case 'openai':
+			return createOpenAICompatibleProvider({
+				baseUrl: env.LLM_BASE_URL,
+				apiKey: env.LLM_API_KEY || null,
+				model,
+			})
+		case 'mock':
+			return createMockProvider()
+		default:
+			throw new Error(
+				`Unknown LLM_PROVIDER "${driver}" (expected one of: ${LLM_PROVIDERS.join(', ')})`
+			)
+	}
+}
+
+// Created on first use, so the environment is read after dotenv has loaded it
+let provider
+let providerResolved = false
+
+/**
+ * The active provider, or null if none is configured (or the configuration is invalid, so
+ * chat falls back to the rule-based parser)
+ */
+export function getLLMProvider() {
+	if (!providerResolved) {
+		try {
+			provider = createLLMProvider()
+		} catch (error) {
+			console.error(`LLM provider not configured: ${error.message}`)
+			provider = null
+		}
+		providerResolved = true
+	}
+	return provider
+}
+
+/**
+ * Swap the active provider (e.g. createMockProvider() in tests); pass undefined to
+ * go back to the environment's provider
+ */
+export function setLLMProvider(nextProvider) {
+	provider = nextProvider
+	providerResolved = nextProvider !== undefined
+}
+
+/**
+ * Whether chat can use an LLM
+ */
+export function isLLMConfigured() {
+	return getLLMProvider() !== null
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Send a prompt to the active provider, retrying timeouts, rate limits and server errors
+ * @param {string|Array} prompt - A user prompt, or a [{ role, content }] message array
+ * @param {Object} options - { temperature, timeoutMs, maxRetries, json }
+ * @returns {Promise<string>} - Completion text
+ */
+export async function completeText(prompt, options = {}) {
+	const active = getLLMProvider()
+	if (!active) {
+		throw new LLMError(
+			'No LLM provider configured. Set LLM_PROVIDER, OPENROUTER_API_KEY or GEMINI_API_KEY.'
+		)
+	}
+
+	const {
+		temperature,
+		timeoutMs = Number(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+		maxRetries = Number(process.env.LLM_MAX_RETRIES ?? DEFAULT_MAX_RETRIES),
+		json = null,
+	} = options
+	const messages = typeof prompt === 'string' ? [{ role: 'user', content: prompt }] : prompt
+
+	for (let attempt = 0; ; attempt++) {
+		try {
+			return await active.complete({ messages, temperature, timeoutMs, json })
+		} catch (error) {
+			if (!error.retryable || attempt >= maxRetries) throw error
+			console.warn(
+				`LLM request failed (${error.message}), retrying (${attempt + 1}/${maxRetries})`
+			)
+			await sleep(RETRY_DELAY_MS * 2 ** attempt)
+		}
+	}
+}
+
+/**
+ * Extract a JSON value from model output (handles markdown code fences and surrounding prose)
+ * @param {string} text - Model output
+ * @param {string} shape - "object" or "array"
+ * @returns {Object|Array} - Parsed value
+ */
+export function extractJSON(text, shape = 'object') {
+	const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/)
+	const body = fenced ? fenced[1] : text
+	const match = body.match(shape === 'array' ? /\[[\s\S]*\]/ : /\{[\s\S]*\}/)
+	return JSON.parse(match ? match[0] : body)
+}
+
+/**
+ * Send a prompt and parse a JSON object or array from the reply
+ * @param {string|Array} prompt - A user prompt, or a [{ role, content }] message array
+ * @param {Object} options - completeText options plus { shape: "object" | "array" }
+ */
+export async function completeJSON(prompt, { shape = 'object', ...options } = {}) {
+	const text = await completeText(prompt, { ...options, json: shape })
+	return extractJSON(text || (shape === 'array' ? '[]' : '{}'), shape)
+}
@@ -1,75 +1,307 @@
 // Place details fetcher using Google Places API (New) v1
+// Responses are cached per placeId (in memory, persisted to data/place-details-cache.json)
+
+import { createStorageAdapter, dataFilePath } from './storage.js'
+
+const MINUTE_MS = 60 * 1000
+
+// TTLs are read when used, so the environment is read after dotenv has loaded it
+// Static fields (name, address, rating, hours, reviews) rarely change
+const getStaticTtlMs = () =>
+	Number(process.env.PLACE_DETAILS_TTL_HOURS || 24 * 7) * 60 * MINUTE_MS
+// openNow goes stale within the hour, so it is re-checked on its own, much shorter TTL
+const getOpenNowTtlMs = () =>
+	Number(process.env.PLACE_DETAILS_OPEN_NOW_TTL_MINUTES || 15) * MINUTE_MS
+// Delay before cache changes are written to disk
+const PERSIST_DELAY_MS = 2000
+
+// FieldMask specifies which fields to return (required by API)
+// Requesting only the fields we need to minimize response size
+// Field paths use dot notation for nested fields
+const DETAILS_FIELD_MASK = [
+	'displayName',
+	'formattedAddress',
+	'websiteUri',
+	'nationalPhoneNumber',
+	'internationalPhoneNumber',
+	'rating',
+	'userRatingCount',
+	'priceLevel',
+	'primaryType',
+	'primaryTypeDisplayName',
+	'types',
+	'regularOpeningHours.weekdayDescriptions',
+	'regularOpeningHours.openNow',
+	'regularOpeningHours.periods',
+	'reviews.authorAttribution.displayName',
+	'reviews.rating',
+	'reviews.text.text',
+	'reviews.publishTime',
+	'editorialSummary.text',
+].join(',')
+
+const OPEN_NOW_FIELD_MASK = 'regularOpeningHours.openNow'
+
+// placeId -> { details, fetchedAt, openNowFetchedAt } (timestamps in ms)
+const cache = new Map()
+// Requests in progress, so concurrent callers share one API call
+const inflight = new Map()
+const stats = {
+	hits: 0,
+	misses: 0,
+	expired: 0,
+	forcedRefreshes: 0,
+	openNowRefreshes: 0,
+	sharedRequests: 0,
+	errors: 0,
+}
+
+// Created and loaded on first use
+let cacheStorage = null
+let persistTimer = null
+
+function loadCache() {
+	if (cacheStorage) return
+	cacheStorage = createStorageAdapter(
+		{
+			STORAGE_DRIVER: process.env.STORAGE_DRIVER,
+			STORAGE_FILE: process.env.PLACE_DETAILS_CACHE_FILE,
+		},
+		dataFilePath('place-details-cache.json')
+	)
+	try {
+		const stored = cacheStorage.read()
+		for (const [placeId, entry] of Object.entries(stored?.entries || {})) {
+			cache.set(placeId, entry)
+		}
+	} catch (error) {
+		console.error('Error loading place details cache:', error)
+	}
+}
+
+function flushCache() {
+	if (persistTimer) {
+		clearTimeout(persistTimer)
+		persistTimer = null
+	}
+	try {
+		cacheStorage.write({ entries: Object.fromEntries(cache) })
+	} catch (error) {
+		console.error('Error persisting place details cache:', error)
+	}
+}
+
+function persistCache() {
+	if (persistTimer) return
+	persistTimer = setTimeout(flushCache, PERSIST_DELAY_MS)
+}
+
+process.on('exit', () => {
+	if (persistTimer) flushCache()
+})
+
+function isFresh(timestamp, ttl) {
+	return typeof timestamp === 'number' && Date.now() - timestamp < ttl
+}
+
+function getApiKey() {
+	return process.env.GOOGLE_PLACES_API_KEY || process.env.GOOGLE_MAPS_API_KEY || null
+}
+
+// Share one in-progress request per key between concurrent callers
+function dedupe(key, request) {
+	if (inflight.has(key)) {
+		stats.sharedRequests++
+		return inflight.get(key)
+	}
+	const promise = request().finally(() => inflight.delete(key))
+	inflight.set(key, promise)
+	return promise
+}
 
 /**
- * Fetch place details from Google Places API
- * @param {string} placeId - Google Place ID
- * @returns {Promise<Object|null>} - Normalized place details or null
+ * Request a place from the Places API
+ * @returns {Promise<Object|null>} - Raw API response, or null if not found or the request failed
  */
-export async function fetchPlaceDetails(placeId) {
-	const apiKey = process.env.GOOGLE_PLACES_API_KEY || process.env.GOOGLE_MAPS_API_KEY
-	if (!apiKey) {
-		console.warn('Google Places API key not configured')
-		return null
-	}
+async function requestPlace(placeId, fieldMask, apiKey) {
+	// Google Places API (New) v1 Place Details endpoint
+	const url = `https://places.googleapis.com/v1/places/${placeId}`
 
-	if (!placeId) {
+	const response = await fetch(url, {
+		method: 'GET',
+		headers: {
+			'Content-Type': 'application/json',
+			'X-Goog-Api-Key': apiKey,
+			'X-Goog-FieldMask': fieldMask,
+		},
+	})
+
+	if (!response.ok) {
+		if (response.status === 404) {
+			return null // Place not found
+		}
+		console.error('Google Places API error:', response.status, response.statusText)
+		stats.errors++
 		return null
 	}
 
+	return response.json()
+}
+
+// Fetch full details and store them in the cache
+async function fetchAndCache(placeId, apiKey) {
 	try {
-		// Google Places API (New) v1 Place Details endpoint
-		const url = `https://places.googleapis.com/v1/places/${placeId}`
-		
-		// FieldMask specifies which fields to return (required by API)
-		// Requesting only the fields we need to minimize response size
-		// Field paths use dot notation for nested fields
-		const fieldMask = [
-			'displayName',
-			'formattedAddress',
-			'websiteUri',
-			'nationalPhoneNumber',
-			'internationalPhoneNumber',
-			'rating',
-			'userRatingCount',
-			'priceLevel',
-			'primaryType',
-			'primaryTypeDisplayName',
-			'types',
-			'regularOpeningHours.weekdayDescriptions',
-			'regularOpeningHours.openNow',
-			'regularOpeningHours.periods',
-			'reviews.authorAttribution.displayName',
-			'reviews.rating',
-			'reviews.text.text',
-			'reviews.publishTime',
-			'editorialSummary.text',
-		].join(',')
-
-		const response = await fetch(url, {
-			method: 'GET',
-			headers: {
-				'Content-Type': 'application/json',
-				'X-Goog-Api-Key': apiKey,
-				'X-Goog-FieldMask': fieldMask,
-			},
-		})
-
-		if (!response.ok) {
-			if (response.status === 404) {
-				return null // Place not found
-			}
-			console.error('Google Places API error:', response.status, response.statusText)
-			return null
+		const data = await requestPlace(placeId, DETAILS_FIELD_MASK, apiKey)
+		if (!data) {
+			// Keep serving what we had if the API is failing
+			return cache.get(placeId)?.details || null
 		}
 
-		const data = await response.json()
-
 		// Normalize the response
-		return normalizePlaceDetails(data, placeId)
+		const details = normalizePlaceDetails(data, placeId)
+		const now = Date.now()
+		cache.set(placeId, { details, fetchedAt: now, openNowFetchedAt: now })
+		persistCache()
+		return details
 	} catch (error) {
 		console.error('Error fetching place details:', error)
+		stats.errors++
+		return cache.get(placeId)?.details || null
+	}
+}
+
+// Refresh only openNow of a cached entry
+async function refreshOpenNow(placeId, entry, apiKey) {
+	try {
+		const data = await requestPlace(placeId, OPEN_NOW_FIELD_MASK, apiKey)
+		if (data) {
+			entry.details = {
+				...entry.details,
+				openingHours: {
+					...entry.details.openingHours,
+					openNow: data.regularOpeningHours?.openNow ?? null,
+				},
+			}
+			entry.openNowFetchedAt = Date.now()
+			persistCache()
+		}
+	} catch (error) {
+		console.error('Error refreshing opening status:', error)
+		stats.errors++
+	}
+	return entry.details
+}
+
+/**
+ * Fetch place details from Google Places API, using the cache when fresh
+ * @param {string} placeId - Google Place ID
+ * @param {Object} options - { forceRefresh } bypass the cache and refetch
+ * @returns {Promise<Object|null>} - Normalized place details or null
+ */
+export async function fetchPlaceDetails(placeId, { forceRefresh = false } = {}) {
+	if (!placeId) {
 		return null
 	}
+
+	loadCache()
+	const entry = cache.get(placeId)
+
+	if (!forceRefresh && entry && isFresh(entry.fetchedAt, getStaticTtlMs())) {
+		if (!entry.details.openingHours || isFresh(entry.openNowFetchedAt, getOpenNowTtlMs())) {
+			stats.hits++
+			return entry.details
+		}
+
+		const apiKey = getApiKey()
+		if (!apiKey) {
+			stats.hits++
+			return entry.details
+		}
+		stats.openNowRefreshes++
+		return dedupe(`${placeId}:openNow`, () => refreshOpenNow(placeId, entry, apiKey))
+	}
+
+	if (forceRefresh) {
+		stats.forcedRefreshes++
+	} else if (entry) {
+		stats.expired++
+	} else {
+		stats.misses++
+	}
+
+	const apiKey = getApiKey()
+	if (!apiKey) {
+		console.warn('Google Places API key not configured')
+		return entry?.details || null
+	}
+
+	return dedupe(placeId, () => fetchAndCache(placeId, apiKey))
+}
+
+/**
+ * Place details already in the cache, however old, without calling the API
+ * (for filtering many places at once; doesn't count towards the cache stats)
+ * @returns {Object|null}
+ */
+export function getCachedPlaceDetails(placeId) {
+	loadCache()
+	return (placeId && cache.get(placeId)?.details) || null
+}
+
+/**
+ * Cache size, TTLs and hit/miss counters
+ */
+export function getPlaceDetailsCacheStats() {
+	loadCache()
+	const lookups =
+		stats.hits + stats.misses + stats.expired + stats.openNowRefreshes + stats.forcedRefreshes
+	return {
+		size: cache.size,
+		ttlMinutes: {
+			static: getStaticTtlMs() / MINUTE_MS,
+			openNow: getOpenNowTtlMs() / MINUTE_MS,
+		},
+		...stats,
+		hitRate: lookups > 0 ? stats.hits / lookups : null,
+	}
+}
+
+/**
+ * Drop cached places, or the whole cache when no placeIds are given
+ * @param {Array<string>|null} placeIds - Google placeIds to drop
+ * @returns {number} - Number of entries removed
+ */
+export function clearPlaceDetailsCache(placeIds = null) {
+	loadCache()
+	let removed = 0
+	if (placeIds) {
+		for (const placeId of placeIds) {
+			if (cache.delete(placeId)) removed++
+		}
+	} else {
+		removed = cache.size
+		cache.clear()
+	}
+	persistCache()
+	return removed
+}
+
+// Google's priceLevel enum -> the 0-4 scale used on places
+const GOOGLE_PRICE_LEVELS = {
+	PRICE_LEVEL_FREE: 0,
+	PRICE_LEVEL_INEXPENSIVE: 1,
+	PRICE_LEVEL_MODERATE: 2,
+	PRICE_LEVEL_EXPENSIVE: 3,
+	PRICE_LEVEL_VERY_EXPENSIVE: 4,
+}
+
+/**
+ * A details priceLevel (Google's enum, e.g. "PRICE_LEVEL_MODERATE") on the 0-4 scale
+ * @returns {number|null}
+ */
+export function toPriceLevel(value) {
+	if (Number.isInteger(value) && value >= 0 && value <= 4) return value
+	return GOOGLE_PRICE_LEVELS[value] ?? null
 }
 
 /**
@@ -84,7 +316,7 @@ function normalizePlaceDetails(data, placeId) {
 	if (data.regularOpeningHours) {
 		openingHours = {
 			weekdayText: data.regularOpeningHours.weekdayDescriptions || [],
-			openNow: data.regularOpeningHours.openNow || null,
+			openNow: data.regularOpeningHours.openNow ?? null,
 			periods: data.regularOpeningHours.periods || null, // Store periods for time calculations
 		}
 	}
@@ -0,0 +1,166 @@
+// Embedding index of saved places, for matching vibes like "cozy date spot"
+// Each place is embedded from its name, notes, tags, type, vibe, editorial summary and review
+// snippets (see embeddings.js for the model). Vectors are keyed by the saved place's id (not its
+// Google placeId), kept in memory, persisted to data/place-embeddings.json, and re-embedded when
+// a place's text changes (e.g. once its Place Details are fetched).
+
+import { createHash } from 'crypto'
+import { getListByName, placeEvents } from './data.js'
+import { getCachedPlaceDetails } from './placeDetails.js'
+import { createStorageAdapter, dataFilePath } from './storage.js'
+import { cosineSimilarity, embedTexts, getEmbeddingModelKey } from './embeddings.js'
+
+// Delay before index changes are written to disk
+const PERSIST_DELAY_MS = 2000
+// Review text used per review, in characters
+const REVIEW_LENGTH = 300
+// Query vectors kept between chat turns (cleared when full)
+const QUERY_CACHE_SIZE = 200
+
+// place.id -> { hash, vector }, all from the model in `modelKey`
+let entries = new Map()
+let modelKey = null
+// query text -> vector
+const queryCache = new Map()
+
+// Created and loaded on first use, so the environment is read after dotenv has loaded it
+let indexStorage = null
+let persistTimer = null
+
+function loadIndex() {
+	if (indexStorage) return
+	indexStorage = createStorageAdapter(
+		{
+			STORAGE_DRIVER: process.env.STORAGE_DRIVER,
+			STORAGE_FILE: process.env.PLACE_EMBEDDINGS_FILE,
+		},
+		dataFilePath('place-embeddings.json')
+	)
+	try {
+		const stored = indexStorage.read()
+		if (stored?.modelKey) {
+			modelKey = stored.modelKey
+			entries = new Map(Object.entries(stored.entries || {}))
+		}
+	} catch (error) {
+		console.error('Error loading place embeddings:', error)
+	}
+}
+
+function flushIndex() {
+	if (persistTimer) {
+		clearTimeout(persistTimer)
+		persistTimer = null
+	}
+	try {
+		indexStorage.write({ modelKey, entries: Object.fromEntries(entries) })
+	} catch (error) {
+		console.error('Error persisting place embeddings:', error)
+	}
+}
+
+function persistIndex() {
+	if (persistTimer) return
+	persistTimer = setTimeout(flushIndex, PERSIST_DELAY_MS)
+}
+
+process.on('exit', () => {
+	if (persistTimer) flushIndex()
+})
+
+placeEvents.on('place-deleted', ({ id }) => {
+	loadIndex()
+	if (entries.delete(id)) persistIndex()
+})
+placeEvents.on('places-cleared', ({ placeIds }) => {
+	loadIndex()
+	for (const id of placeIds) entries.delete(id)
+	persistIndex()
+})
+
+// Vectors from another model can't be compared with the active one's
+function ensureModel() {
+	loadIndex()
+	const activeKey = getEmbeddingModelKey()
+	if (modelKey !== activeKey) {
+		modelKey = activeKey
+		entries.clear()
+		queryCache.clear()
+	}
+}
+
+/**
+ * Text a place is embedded from
+ */
+export function getPlaceEmbeddingText(place) {
+	const details = getCachedPlaceDetails(place.placeId)
+	const listTags = getListByName(place.ownerId, place.listName)?.listTags || place.listTags || []
+	return [
+		place.name,
+		details?.categories?.primaryDisplayName || place.type,
+		[...(place.placeTags || []), ...listTags, ...(place.inferredTags || [])].join(', '),
+		place.vibe,
+		place.notes,
+		place.comment,
+		details?.about,
+		...(details?.reviews || []).map(review => review.text?.slice(0, REVIEW_LENGTH)),
+	]
+		.filter(Boolean)
+		.join('\n')
+}
+
+function hashText(text) {
+	return createHash('sha1').update(text).digest('hex')
+}
+
+/**
+ * Make sure every place has an up-to-date vector, embedding the new and changed ones
+ * @returns {Promise<number>} - Number of places embedded
+ */
+export async function updatePlaceEmbeddings(places) {
+	ensureModel()
+	const pending = []
+	for (const place of places) {
+		const text = getPlaceEmbeddingText(place)
+		const hash = hashText(text)
+		if (entries.get(place.id)?.hash !== hash) {
+			pending.push({ id: place.id, text, hash })
+		}
+	}
+	if (pending.length === 0) return 0
+
+	const vectors = await embedTexts(pending.map(({ text }) => text))
+	pending.forEach(({ id, hash }, index) => {
+		// Rounded, so the persisted index stays a reasonable size
+		entries.set(id, { hash, vector: vectors[index].map(value => Math.round(value * 1e5) / 1e5) })
+	})
+	persistIndex()
+	return pending.length
+}
+
+async function embedQuery(text) {
+	if (!queryCache.has(text)) {
+		const [vector] = await embedTexts([text])
+		if (queryCache.size >= QUERY_CACHE_SIZE) queryCache.clear()
+		queryCache.set(text, vector)
+	}
+	return queryCache.get(text)
+}
+
+/**
+ * Similarity of each place to a vibe description
+ * @param {string} vibe - e.g. "cozy date spot"
+ * @param {Array} places - Places to compare
+ * @returns {Promise<Map>} - place id -> cosine similarity (-1 to 1, higher is closer)
+ */
+export async function getVibeSimilarities(vibe, places) {
+	await updatePlaceEmbeddings(places)
+	const query = await embedQuery(vibe.trim().toLowerCase())
+
+	const similarities = new Map()
+	for (const place of places) {
+		const entry = entries.get(place.id)
+		if (entry) similarities.set(place.id, cosineSimilarity(query, entry.vector))
+	}
+	return similarities
+}
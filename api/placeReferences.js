@@ -0,0 +1,147 @@
+// Resolve references to previously recommended places in chat
+// ("the second one", "it", "the cheaper one", "that ramen place") to a specific result
+
+import { calculateDistance } from './utils.js'
+import { toPriceLevel } from './placeDetails.js'
+
+const ORDINALS = [
+	{ index: 0, pattern: /\b(first|1st|#1|number one|top one)\b/ },
+	{ index: 1, pattern: /\b(second|2nd|#2|number two)\b/ },
+	{ index: 2, pattern: /\b(third|3rd|#3|number three)\b/ },
+	{ index: 3, pattern: /\b(fourth|4th|#4|number four)\b/ },
+	{ index: 4, pattern: /\b(fifth|5th|#5|number five)\b/ },
+	{ index: -1, pattern: /\b(last|final) (one|place|spot|option)\b/ },
+]
+
+// Pick the result with the lowest (direction 1) or highest (-1) known value
+function pickBy(results, getValue, direction) {
+	const known = results.filter(result => typeof getValue(result) === 'number')
+	if (known.length === 0) return null
+	return known.reduce((best, result) =>
+		(getValue(result) - getValue(best)) * direction < 0 ? result : best
+	)
+}
+
+// Comparatives and superlatives: "the cheaper one", "the best rated", "the closest"
+// (without "the", "something cheaper" is a new search rather than a reference)
+const COMPARISONS = [
+	{
+		pattern: /\bthe (cheaper|cheapest|least expensive|less expensive|more affordable)\b/,
+		// Sessions saved before price levels were normalized hold Google's enum strings
+		pick: results => pickBy(results, r => toPriceLevel(r.priceLevel), 1),
+	},
+	{
+		pattern: /\bthe (pricier|priciest|more expensive|most expensive|fancier|fanciest)\b/,
+		pick: results => pickBy(results, r => toPriceLevel(r.priceLevel), -1),
+	},
+	{
+		pattern: /\bthe (better|best|higher|highest|top)[ -]rated\b|\bthe best one\b/,
+		pick: results => pickBy(results, r => r.rating, -1),
+	},
+	{
+		pattern: /\bthe (closer|closest|nearer|nearest)\b/,
+		pick: (results, { userLocation }) =>
+			userLocation
+				? pickBy(
+						results,
+						r =>
+							r.lat && r.lng
+								? calculateDistance(userLocation.lat, userLocation.lng, r.lat, r.lng)
+								: null,
+						1
+				  )
+				: null,
+	},
+	{
+		pattern: /\b(the )?(one|place) (that'?s|that is) open\b|\bopen one\b/,
+		pick: results => results.find(r => r.openNow === true) || null,
+	},
+]
+
+const PRONOUN_PATTERN = /\b(it|its|it's|they|that one|this one|that place|this place)\b/
+
+// "that ramen place", "the italian one" - a description has to point at a single place
+const DESCRIPTION_PATTERN = /\b(that|this|the)\b.*\b(one|place|spot)\b/
+
+// Words that say nothing about which place is meant
+const STOP_WORDS = new Set([
+	'the', 'that', 'this', 'one', 'place', 'spot', 'what', 'about', 'is', 'are', 'does', 'do',
+	'open', 'now', 'how', 'and', 'a', 'an', 'of', 'for', 'to', 'it', 'there', 'time', 'when',
+	'where', 'rating', 'address', 'phone', 'website', 'hours', 'close', 'closes', 'opens',
+	'they', 'its', 'have', 'has', 'any', 'with', 'in', 'at', 'me', 'tell', 'more',
+])
+
+function words(text) {
+	return (text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || []
+}
+
+// Result whose name or type words appear in the message ("that ramen place", "the Blue Bottle one")
+function matchByDescription(text, results) {
+	const messageWords = new Set(words(text).filter(word => !STOP_WORDS.has(word)))
+	if (messageWords.size === 0) return null
+
+	let best = null
+	let bestScore = 0
+	for (const result of results) {
+		const resultWords = new Set([
+			...words(result.name),
+			...words(result.primaryTypeDisplayName),
+			...(result.types || []).flatMap(type => words(type.replace(/_/g, ' '))),
+		])
+		const score = [...messageWords].filter(word => resultWords.has(word)).length
+		if (score > bestScore) {
+			best = result
+			bestScore = score
+		} else if (score === bestScore && score > 0) {
+			best = null // Ambiguous between two results
+		}
+	}
+	return best
+}
+
+/**
+ * Resolve a reference in a chat message to one of the previously recommended places
+ * @param {string} message - User message
+ * @param {Array} lastResults - Previous result set: [{ id, name, priceLevel, rating,
+ *   primaryTypeDisplayName, types, openNow, lat, lng }] in ranked order
+ * @param {Object} options - { userLocation, focusPlaceId } focusPlaceId is the place the
+ *   conversation was last about, used for pronouns
+ * @returns {Object|null} - { id, name, reason } or null if nothing is referenced
+ */
+export function resolvePlaceReference(
+	message,
+	lastResults = [],
+	{ userLocation = null, focusPlaceId = null } = {}
+) {
+	if (!lastResults || lastResults.length === 0) return null
+	const text = message.toLowerCase()
+	const found = (result, reason) => (result ? { id: result.id, name: result.name, reason } : null)
+
+	const ordinal = ORDINALS.find(({ pattern }) => pattern.test(text))
+	if (ordinal) {
+		const index = ordinal.index === -1 ? lastResults.length - 1 : ordinal.index
+		return found(lastResults[index], 'ordinal')
+	}
+
+	const comparison = COMPARISONS.find(({ pattern }) => pattern.test(text))
+	if (comparison) {
+		return found(comparison.pick(lastResults, { userLocation }), 'comparison')
+	}
+
+	if (DESCRIPTION_PATTERN.test(text)) {
+		const described = matchByDescription(text, lastResults)
+		if (described) {
+			return found(described, 'description')
+		}
+	}
+
+	if (PRONOUN_PATTERN.test(text)) {
+		const focused = lastResults.find(result => result.id === focusPlaceId)
+		// "it" only points somewhere when there is an obvious candidate
+		if (focused || lastResults.length === 1) {
+			return found(focused || lastResults[0], 'pronoun')
+		}
+	}
+
+	return null
+}
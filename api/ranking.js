@@ -0,0 +1,514 @@
+// Ranking of saved places against structured criteria
+// Shared by chat (slots from the conversation), POST /api/recommend and group sessions: filter
+// candidates, order them by vibe, score them with cached Place Details, refresh details for the
+// best ones and score again. With several origins, places are also ranked as meeting points.
+
+import { fetchPlaceDetails, getCachedPlaceDetails, toPriceLevel } from './placeDetails.js'
+import { getVibeSimilarities } from './placeEmbeddings.js'
+import { calculateDistance, getMealPeriodBoosts } from './utils.js'
+import { isPlaceOpen } from '../shared/openingHours.js'
+
+// Candidates kept after filtering, before scoring (chat)
+export const MAX_CANDIDATES = 50
+// Candidates whose Place Details are fetched (or refreshed) before the final ranking
+export const ENRICH_LIMIT = 20
+// Points for the candidate closest to the requested vibe (see placeEmbeddings.js)
+const VIBE_POINTS = 20
+// Points for the candidate with the fairest trips across a group (see rankPlacesForGroup)
+const FAIRNESS_POINTS = 20
+// Points for the best meeting point between the origins
+const MEETING_POINTS = 25
+
+// How a meeting point is chosen: shortest longest trip, or least travel overall
+export const ORIGIN_STRATEGIES = ['minimax', 'total']
+// Origins a meeting point can be ranked for
+export const MAX_ORIGINS = 10
+
+// Price slot values -> price levels
+const PRICE_LEVELS = {
+	cheap: [0, 1],
+	mid: [2, 3],
+}
+
+/**
+ * Normalize criteria: chat's single category and price slots become categories and priceLevels
+ * @param {Object} criteria - Chat slots, or the structured context of POST /api/recommend:
+ *   { category | categories, cuisine, tags, price ("cheap" | "mid" | "any") | priceRange { min, max },
+ *   openNow, openAt, minRating, distanceKm (preferred), maxDistanceKm (required), vibe,
+ *   excludeIds, mealPeriod (see getMealPeriod), origins [{ label, lat, lng }] to meet between
+ *   (origins without coordinates are ignored), originStrategy (see ORIGIN_STRATEGIES) }
+ */
+function toCriteria(criteria) {
+	const categories = criteria.categories || (criteria.category ? [criteria.category] : [])
+	let priceLevels = null
+	if (criteria.priceRange) {
+		priceLevels = []
+		for (let level = criteria.priceRange.min ?? 0; level <= (criteria.priceRange.max ?? 4); level++) {
+			priceLevels.push(level)
+		}
+	} else if (PRICE_LEVELS[criteria.price]) {
+		priceLevels = PRICE_LEVELS[criteria.price]
+	}
+	return {
+		...criteria,
+		categories: categories.map(category => category.toLowerCase()),
+		tags: (criteria.tags || []).map(tag => tag.toLowerCase()),
+		priceLevels,
+		excludeIds: new Set(criteria.excludeIds || []),
+		origins: (criteria.origins || []).filter(
+			origin => Number.isFinite(origin?.lat) && Number.isFinite(origin?.lng)
+		),
+		originStrategy: criteria.originStrategy === 'total' ? 'total' : 'minimax',
+	}
+}
+
+// Lower-cased tags, types and names a category or tag is matched against
+function getKeywords(place, enrichedData, ...extra) {
+	return [
+		...(place.tags || []),
+		...(place.placeTags || []),
+		...(place.inferredTags || []),
+		place.type,
+		enrichedData?.categories?.primaryDisplayName,
+		...extra,
+	]
+		.filter(Boolean)
+		.map(keyword => String(keyword).toLowerCase())
+}
+
+const matchesAny = (keywords, terms) =>
+	terms.some(term => keywords.some(keyword => keyword.includes(term)))
+
+function getDistanceKm(place, userLocation) {
+	if (!userLocation || !place.lat || !place.lng) return null
+	return calculateDistance(userLocation.lat, userLocation.lng, place.lat, place.lng)
+}
+
+// Distance from each origin, or null for a place without coordinates
+function getOriginDistancesKm(place, origins) {
+	if (origins.length === 0 || !place.lat || !place.lng) return null
+	return origins.map(origin => getDistanceKm(place, origin))
+}
+
+// The longest trip (minimax) or all trips added up (total)
+function getMeetingCostKm(distances, strategy) {
+	if (!distances) return null
+	return strategy === 'total' ? distances.reduce((sum, distance) => sum + distance, 0) : Math.max(...distances)
+}
+
+/**
+ * Filter candidates by the hard criteria: categories, cuisine, tags, price, max distance,
+ * excluded IDs, and known ratings below minRating
+ * With origins, places need coordinates and maxDistanceKm applies to the trip from every origin.
+ * @param {Array} places - Places to filter
+ * @param {Object} criteria - See toCriteria
+ * @param {Object} options - { listName } only one list, { userLocation } { lat, lng }
+ */
+export function filterCandidates(places, criteria, { listName = null, userLocation = null } = {}) {
+	const {
+		categories,
+		cuisine,
+		tags,
+		priceLevels,
+		maxDistanceKm,
+		minRating,
+		excludeIds,
+		origins,
+	} = toCriteria(criteria)
+	let candidates = listName ? places.filter(p => p.listName === listName) : places
+
+	if (excludeIds.size > 0) {
+		candidates = candidates.filter(p => !excludeIds.has(p.id))
+	}
+
+	if (categories.length > 0) {
+		candidates = candidates.filter(p => matchesAny(getKeywords(p, null, p.name), categories))
+	}
+
+	if (cuisine) {
+		const cuisineLower = cuisine.toLowerCase()
+		candidates = candidates.filter(p =>
+			matchesAny(getKeywords(p, null, p.name, p.notes), [cuisineLower])
+		)
+	}
+
+	if (tags.length > 0) {
+		candidates = candidates.filter(p => matchesAny(getKeywords(p, null), tags))
+	}
+
+	if (priceLevels) {
+		candidates = candidates.filter(p => {
+			if (p.priceLevel === null || p.priceLevel === undefined) return true // Include if unknown
+			return priceLevels.includes(p.priceLevel)
+		})
+	}
+
+	if (origins.length > 0) {
+		candidates = candidates.filter(p => {
+			const distances = getOriginDistancesKm(p, origins)
+			return distances !== null && (!maxDistanceKm || distances.every(distance => distance <= maxDistanceKm))
+		})
+	} else if (maxDistanceKm) {
+		candidates = candidates.filter(p => {
+			const distance = getDistanceKm(p, userLocation)
+			return distance !== null && distance <= maxDistanceKm
+		})
+	}
+
+	if (minRating) {
+		candidates = candidates.filter(p => {
+			const rating = getCachedPlaceDetails(p.placeId)?.rating
+			return !rating || rating >= minRating // Include if unknown
+		})
+	}
+
+	return candidates
+}
+
+/**
+ * Vibe points per place: VIBE_POINTS for the closest candidate down to 0 for the furthest, so
+ * the blend doesn't depend on the embedding model's similarity range
+ * @returns {Map|null} - place id -> points
+ */
+function toVibePoints(vibeSimilarities, places) {
+	if (!vibeSimilarities) return null
+	const values = places.map(place => vibeSimilarities.get(place.id)).filter(value => value !== undefined)
+	if (values.length === 0) return null
+	const min = Math.min(...values)
+	const range = Math.max(...values) - min
+	return new Map(
+		places
+			.filter(place => vibeSimilarities.has(place.id))
+			.map(place => [
+				place.id,
+				range > 0 ? ((vibeSimilarities.get(place.id) - min) / range) * VIBE_POINTS : 0,
+			])
+	)
+}
+
+/**
+ * Meeting points per place: MEETING_POINTS for the lowest meeting cost down to 0 for the highest
+ * @returns {Map|null} - place id -> points, null without origins
+ */
+function toMeetingPoints(candidates) {
+	const costs = candidates.filter(({ meetingCostKm }) => meetingCostKm !== null)
+	if (costs.length === 0) return null
+	const values = costs.map(({ meetingCostKm }) => meetingCostKm)
+	const best = Math.min(...values)
+	const range = Math.max(...values) - best
+	return new Map(
+		costs.map(({ place, meetingCostKm }) => [
+			place.id,
+			range > 0 ? ((best + range - meetingCostKm) / range) * MEETING_POINTS : MEETING_POINTS,
+		])
+	)
+}
+
+/**
+ * Score a place against the criteria and list what contributed
+ * @param {Object} place - Saved place
+ * @param {Object} criteria - From toCriteria
+ * @param {Object|null} enrichedData - Place Details
+ * @param {Object} options - { userLocation }, { time, timeZone } for opening hours,
+ *   { vibePoints } semantic closeness to criteria.vibe (see toVibePoints),
+ *   { originDistancesKm, meetingPoints } with origins (see toMeetingPoints)
+ * @returns {Object} - { score, boosts: [{ reason, points }] }
+ */
+function scoreCandidate(
+	place,
+	criteria,
+	enrichedData,
+	{ userLocation, time, timeZone, vibePoints, originDistancesKm, meetingPoints }
+) {
+	let score = 0
+	const boosts = []
+	const boost = (reason, points) => {
+		if (!points) return
+		score += points
+		boosts.push({ reason, points: Math.round(points * 10) / 10 })
+	}
+
+	// Category match (20 points)
+	if (criteria.categories.length > 0 && matchesAny(getKeywords(place, enrichedData), criteria.categories)) {
+		boost('category', 20)
+	}
+
+	// Cuisine match (15 points)
+	if (
+		criteria.cuisine &&
+		matchesAny(getKeywords(place, enrichedData, place.name, place.notes), [criteria.cuisine.toLowerCase()])
+	) {
+		boost('cuisine', 15)
+	}
+
+	// Tag matches (5 points each, 15 max)
+	if (criteria.tags.length > 0) {
+		const keywords = getKeywords(place, enrichedData)
+		const matched = criteria.tags.filter(tag => matchesAny(keywords, [tag])).length
+		boost('tags', Math.min(matched * 5, 15))
+	}
+
+	// Price match (10 points)
+	const priceLevel = Number.isInteger(place.priceLevel)
+		? place.priceLevel
+		: toPriceLevel(enrichedData?.priceLevel)
+	if (criteria.priceLevels && priceLevel !== null && criteria.priceLevels.includes(priceLevel)) {
+		boost('price', 10)
+	}
+
+	// Open at the requested time (15 points)
+	if (criteria.openAt) {
+		if (isPlaceOpen(enrichedData?.openingHours, criteria.openAt, { time, timeZone }) === true) {
+			boost('open', 15)
+		}
+	} else if (criteria.openNow === true || criteria.openNow === false) {
+		const isOpen = isPlaceOpen(enrichedData?.openingHours, null, { time, timeZone })
+		if (criteria.openNow === true && isOpen === true) {
+			boost('open now', 15)
+		} else if (criteria.openNow === false && isOpen === false) {
+			boost('closed now', 5) // Partial match
+		}
+	}
+
+	// Meal period (POST /api/recommend with a time of day)
+	const withDetails = {
+		...place,
+		categories: enrichedData?.categories,
+		openingHours: enrichedData?.openingHours,
+	}
+	for (const { reason, points } of getMealPeriodBoosts(withDetails, criteria.mealPeriod)) {
+		boost(reason, points)
+	}
+
+	// Rating boost (10 points max)
+	if (enrichedData?.rating) {
+		boost('rating', Math.min(enrichedData.rating * 2, 10))
+	}
+
+	// Meeting point between origins (up to 25 points), plus 10 if every trip is within distanceKm;
+	// the user's own distance doesn't count then
+	const distance = criteria.origins.length > 0 ? null : getDistanceKm(place, userLocation)
+	if (originDistancesKm) {
+		boost('meeting point', meetingPoints || 0)
+		if (criteria.distanceKm && originDistancesKm.every(tripKm => tripKm <= criteria.distanceKm)) {
+			boost('distance', 10)
+		}
+	}
+
+	// Distance (if user location provided, 10 points max)
+	if (distance !== null) {
+		if (criteria.distanceKm && distance <= criteria.distanceKm) {
+			boost('distance', 10)
+		} else if (distance <= 5) {
+			boost('nearby', 5) // Bonus for nearby places
+		}
+	}
+
+	// Vibe match: semantic similarity (up to 20 points), plus 10 for a saved vibe containing it
+	if (criteria.vibe) {
+		boost('vibe', vibePoints || 0)
+		if (place.vibe && place.vibe.toLowerCase().includes(criteria.vibe.toLowerCase())) {
+			boost('saved vibe', 10)
+		}
+	}
+
+	return { score: Math.round(score * 10) / 10, boosts }
+}
+
+/**
+ * Order candidates by how close they are to the requested vibe
+ * @returns {Promise<Object>} - { candidates, vibeSimilarities } (similarities are null without a
+ *   vibe, or if embedding failed)
+ */
+async function orderByVibe(candidates, vibe) {
+	if (!vibe) return { candidates, vibeSimilarities: null }
+	try {
+		const vibeSimilarities = await getVibeSimilarities(vibe, candidates)
+		const similarity = place => vibeSimilarities.get(place.id) ?? -1
+		return {
+			candidates: [...candidates].sort((a, b) => similarity(b) - similarity(a)),
+			vibeSimilarities,
+		}
+	} catch (error) {
+		console.error('Error ranking places by vibe:', error)
+		return { candidates, vibeSimilarities: null }
+	}
+}
+
+/**
+ * Rank places against criteria
+ * @param {Array} places - Places to rank
+ * @param {Object} criteria - See toCriteria
+ * @param {Object} options - { listName }, { userLocation } { lat, lng }, { time, timeZone },
+ *   { maxCandidates } candidates scored (default MAX_CANDIDATES), { enrichLimit } best
+ *   candidates whose Place Details are fetched before the final ranking (default ENRICH_LIMIT)
+ * @returns {Promise<Array>} - [{ place, enrichedData, score, boosts, distanceKm,
+ *   originDistancesKm, meetingCostKm }], best first (the origin fields are null without origins)
+ */
+export async function rankPlaces(
+	places,
+	criteria,
+	{
+		listName = null,
+		userLocation = null,
+		time = new Date(),
+		timeZone = undefined,
+		maxCandidates = MAX_CANDIDATES,
+		enrichLimit = ENRICH_LIMIT,
+	} = {}
+) {
+	const normalized = toCriteria(criteria)
+	const filtered = filterCandidates(places, criteria, { listName, userLocation })
+	const ordered = await orderByVibe(filtered, normalized.vibe)
+	const withTrips = ordered.candidates.map(place => {
+		const originDistancesKm = getOriginDistancesKm(place, normalized.origins)
+		const meetingCostKm = getMeetingCostKm(originDistancesKm, normalized.originStrategy)
+		return { place, originDistancesKm, meetingCostKm }
+	})
+	// Without a vibe, the best meeting points are the ones scored
+	if (!ordered.vibeSimilarities && normalized.origins.length > 0) {
+		withTrips.sort((a, b) => a.meetingCostKm - b.meetingCostKm)
+	}
+	const trips = withTrips.slice(0, maxCandidates)
+	const candidates = trips.map(({ place }) => place)
+	const vibePoints = toVibePoints(ordered.vibeSimilarities, candidates)
+	const meetingPoints = toMeetingPoints(trips)
+
+	const score = candidate => {
+		Object.assign(
+			candidate,
+			scoreCandidate(candidate.place, normalized, candidate.enrichedData, {
+				userLocation,
+				time,
+				timeZone,
+				vibePoints: vibePoints?.get(candidate.place.id),
+				originDistancesKm: candidate.originDistancesKm,
+				meetingPoints: meetingPoints?.get(candidate.place.id),
+			})
+		)
+		return candidate
+	}
+	const byScore = (a, b) => b.score - a.score
+
+	// First pass with whatever details are cached
+	const scored = trips
+		.map(({ place, originDistancesKm, meetingCostKm }) => score({
+			place,
+			enrichedData: getCachedPlaceDetails(place.placeId),
+			distanceKm: getDistanceKm(place, userLocation),
+			originDistancesKm,
+			meetingCostKm,
+		}))
+		.sort(byScore)
+
+	// Fetch fresh details (types/priceLevel/rating/openNow) for the best candidates and rescore them
+	await Promise.all(
+		scored
+			.filter(candidate => candidate.place.placeId)
+			.slice(0, enrichLimit)
+			.map(async candidate => {
+				try {
+					candidate.enrichedData = (await fetchPlaceDetails(candidate.place.placeId)) || candidate.enrichedData
+					score(candidate)
+				} catch (error) {
+					console.error(`Error enriching place ${candidate.place.id}:`, error)
+				}
+			})
+	)
+
+	// Ratings may only be known now
+	return scored
+		.filter(({ enrichedData }) => !normalized.minRating || !enrichedData?.rating || enrichedData.rating >= normalized.minRating)
+		.sort(byScore)
+}
+
+/**
+ * Merge group members' preferences into one set of criteria
+ * Categories and cuisines: anyone's (candidates match at least one); price: the levels every
+ * member accepts, or no price filter when they don't overlap; vibes: all of them.
+ * @param {Array} preferences - [{ category, cuisine, price ("cheap" | "mid" | "any"), vibe }]
+ * @returns {Object} - Criteria for rankPlaces, plus { priceConflict }
+ */
+export function mergeGroupCriteria(preferences) {
+	const categories = [
+		...new Set(preferences.flatMap(({ category, cuisine }) => [category, cuisine]).filter(Boolean)),
+	]
+
+	let priceLevels = [0, 1, 2, 3, 4]
+	for (const { price } of preferences) {
+		if (PRICE_LEVELS[price]) {
+			priceLevels = priceLevels.filter(level => PRICE_LEVELS[price].includes(level))
+		}
+	}
+	const priceConflict = priceLevels.length === 0
+	const priceRange =
+		!priceConflict && priceLevels.length < 5
+			? { min: Math.min(...priceLevels), max: Math.max(...priceLevels) }
+			: null
+
+	const vibes = [...new Set(preferences.map(({ vibe }) => vibe).filter(Boolean))]
+
+	return {
+		categories,
+		priceRange,
+		priceConflict,
+		vibe: vibes.length > 0 ? vibes.join(' ') : null,
+	}
+}
+
+/**
+ * Rank places for a group: merged preferences, each member's max distance from their own
+ * location as a hard limit, and points for trips that are short and similar for everyone
+ * @param {Array} places - Places to rank
+ * @param {Array} members - [{ userId, preferences: { category, cuisine, price, vibe,
+ *   location: { lat, lng }, maxDistanceKm } }]
+ * @param {Object} options - { listName }, { time, timeZone }
+ * @returns {Promise<Object>} - { criteria, results: [{ place, enrichedData, score, boosts,
+ *   memberDistances: [{ userId, distanceKm }] }] } best first
+ */
+export async function rankPlacesForGroup(places, members, { listName = null, time, timeZone } = {}) {
+	const criteria = mergeGroupCriteria(members.map(member => member.preferences))
+	const located = members.filter(member => member.preferences.location)
+
+	const reachable = places.filter(place =>
+		located.every(({ preferences: { location, maxDistanceKm } }) => {
+			if (!maxDistanceKm) return true
+			const distance = getDistanceKm(place, location)
+			return distance !== null && distance <= maxDistanceKm
+		})
+	)
+	const results = await rankPlaces(reachable, criteria, { listName, time, timeZone })
+
+	// Unfairness: the longest trip, plus half the gap between the longest and shortest
+	const unfairness = new Map()
+	for (const result of results) {
+		result.memberDistances = located.map(({ userId, preferences: { location } }) => ({
+			userId,
+			distanceKm: getDistanceKm(result.place, location),
+		}))
+		const distances = result.memberDistances.map(({ distanceKm }) => distanceKm).filter(d => d !== null)
+		if (distances.length > 0) {
+			const longest = Math.max(...distances)
+			unfairness.set(result, longest + (longest - Math.min(...distances)) / 2)
+		}
+	}
+
+	// FAIRNESS_POINTS for the fairest candidate down to 0 for the least fair, as with vibe points
+	if (unfairness.size > 0) {
+		const values = [...unfairness.values()]
+		const best = Math.min(...values)
+		const range = Math.max(...values) - best
+		for (const [result, value] of unfairness) {
+			const points = range > 0 ? ((best + range - value) / range) * FAIRNESS_POINTS : 0
+			if (points > 0) {
+				result.score = Math.round((result.score + points) * 10) / 10
+				result.boosts.push({ reason: 'fair distance', points: Math.round(points * 10) / 10 })
+			}
+		}
+	}
+
+	return {
+		criteria,
+		results: results.sort((a, b) => b.score - a.score),
+	}
+}
@@ -8,31 +8,103 @@ import {
 	placeExistsByUrl,
 	getPlacesByListName,
 	updatePlaceCoords,
+	getPlaceById,
+	updatePlace,
+	deletePlace,
+	EDITABLE_PLACE_FIELDS,
+	getAllLists,
+	getListByName,
+	createList,
+	updateList,
+	renameList,
+	mergeLists,
+	deleteList,
+	LIST_ROLES,
+	getListAccess,
+	getSharedLists,
+	setCollaborator,
+	removeCollaborator,
+	createShareToken,
+	revokeShareToken,
+	getListByShareToken,
+	getListTags,
+	placeEvents,
 } from './data.js'
-import { parseTakeoutExport, validatePlaceData, parseCSV } from './import.js'
-import { getRecommendations } from './ai.js'
-import { enrichPlaces } from './ai.js'
+import { ImportError, parseTakeoutExport, validatePlaceData, parseCSV } from './import.js'
+import {
+	getRecommendations,
+	parseRecommendationContext,
+	getGroupRecommendations,
+	parseGroupPreferences,
+} from './ai.js'
+import { enrichPlaces, needsEnrichment } from './ai.js'
 import { resolvePlaceCoords } from './coordinateResolver.js'
-import { fetchPlaceDetails } from './placeDetails.js'
-import { handleChatSaved } from './chatSaved.js'
+import {
+	fetchPlaceDetails,
+	getCachedPlaceDetails,
+	getPlaceDetailsCacheStats,
+	clearPlaceDetailsCache,
+} from './placeDetails.js'
+import { filterPlaces, parseFilterQuery } from '../shared/placeFilters.js'
+import { searchPlaces } from './search.js'
+import { isValidTimeZone } from './utils.js'
+import { handleChatSaved, handleChatSavedStream } from './chatSaved.js'
+import { listChatSessions, getChatSession, deleteChatSession } from './chatSessions.js'
+import {
+	AuthError,
+	registerUser,
+	loginUser,
+	revokeToken,
+	getRequestToken,
+	requireAuth,
+	getUserById,
+	getUserByUsername,
+} from './auth.js'
+import {
+	GroupError,
+	createGroup,
+	getParticipantGroup,
+	joinGroup,
+	setPreferences,
+	setResults,
+	castVote,
+	toPublicGroup,
+	groupEvents,
+} from './groupSessions.js'
+import {
+	registerJobHandler,
+	enqueueJob,
+	getJob,
+	listJobs,
+	cancelJob,
+	retryJob,
+	JOB_STATUSES,
+} from './jobs.js'
+import {
+	EXPORT_FORMATS,
+	toCSV,
+	toCSVZip,
+	toGeoJSON,
+	toKML,
+	toGPX,
+	toFileName,
+} from './export.js'
 
 /**
- * Helper function to resolve coordinates in batches
- * Processes specific places without coordinates in batches of 20 to avoid API overload
- * @param {Array} placeIds - Array of place IDs to resolve (optional, if not provided resolves all)
- * @param {number} batchSize - Number of places to process per batch
- * @param {string} defaultCity - Optional default city for context
+ * Job handler: resolve coordinates in batches
+ * Processes specific places without coordinates in batches to avoid API overload
+ * Payload:
+ *   itemIds - Array of place IDs to resolve (optional, if not provided resolves all)
+ *   batchSize - Number of places to process per batch
+ *   defaultCity - Optional default city for context
  */
-async function resolveCoordinatesInBatches(
-	placeIds = null,
-	batchSize = 20,
-	defaultCity = null
-) {
+async function resolveCoordinatesInBatches(job, ctx) {
+	const { itemIds: placeIds = null, batchSize = 20, defaultCity = null } = job.payload
 	let placesToResolve
 
 	if (placeIds && Array.isArray(placeIds) && placeIds.length > 0) {
 		// Resolve only the specified places
-		const allPlaces = getAllPlaces()
+		const allPlaces = getAllPlaces(job.ownerId)
 		placesToResolve = allPlaces.filter(
 			p =>
 				placeIds.includes(p.id) &&
@@ -40,12 +112,14 @@ async function resolveCoordinatesInBatches(
 		)
 	} else {
 		// Resolve all places without coordinates (fallback)
-		const allPlaces = getAllPlaces()
+		const allPlaces = getAllPlaces(job.ownerId)
 		placesToResolve = allPlaces.filter(
 			p => !p.lat || !p.lng || p.lat === null || p.lng === null
 		)
 	}
 
+	ctx.setTotal(placesToResolve.length)
+
 	if (placesToResolve.length === 0) {
 		return { resolved: 0, failed: 0 }
 	}
@@ -59,11 +133,15 @@ async function resolveCoordinatesInBatches(
 
 		// Process batch with a small delay between API calls to avoid rate limiting
 		for (const place of batch) {
+			if (ctx.isCancelled()) {
+				return { resolved: totalResolved, failed: totalFailed }
+			}
+
 			try {
 				const result = await resolvePlaceCoords(place, defaultCity)
 
 				if (result.resolved) {
-					updatePlaceCoords(place.id, {
+					updatePlaceCoords(job.ownerId, place.id, {
 						lat: result.lat,
 						lng: result.lng,
 						placeId: result.placeId,
@@ -71,8 +149,11 @@ async function resolveCoordinatesInBatches(
 						geoStatus: result.geoStatus,
 					})
 					totalResolved++
+					ctx.succeed(place.id)
 				} else {
+					updatePlaceCoords(job.ownerId, place.id, { geoStatus: result.geoStatus })
 					totalFailed++
+					ctx.fail(place.id, 'No coordinates found from URL or Places API', place.name)
 				}
 
 				// Small delay between API calls to avoid rate limiting
@@ -80,6 +161,7 @@ async function resolveCoordinatesInBatches(
 			} catch (error) {
 				console.error(`Error resolving place ${place.id}:`, error)
 				totalFailed++
+				ctx.fail(place.id, error, place.name)
 			}
 		}
 
@@ -89,9 +171,201 @@ async function resolveCoordinatesInBatches(
 		}
 	}
 
+	console.log(
+		`Coordinate resolution completed: ${totalResolved} resolved, ${totalFailed} failed (out of ${placesToResolve.length} places)`
+	)
+
 	return { resolved: totalResolved, failed: totalFailed }
 }
 
+registerJobHandler('resolve-coords', resolveCoordinatesInBatches)
+
+/**
+ * Job handler: infer type, vibe, priceLevel and tags (see enrichPlaces in ai.js)
+ * Payload:
+ *   itemIds - Array of place IDs to enrich
+ *   force - Re-enrich places that are up to date
+ */
+async function enrichPlacesJob(job, ctx) {
+	const { itemIds: placeIds = [], force = false } = job.payload
+	const ids = new Set(placeIds)
+	const placesToEnrich = getAllPlaces(job.ownerId).filter(p => ids.has(p.id))
+
+	ctx.setTotal(placesToEnrich.length)
+
+	const summary = await enrichPlaces(placesToEnrich, {
+		force,
+		isCancelled: ctx.isCancelled,
+		onEnriched: place => ctx.succeed(place.id),
+		// Up to date (e.g. enriched by another job since this one was queued) counts as done
+		onSkipped: place => ctx.succeed(place.id),
+	})
+
+	console.log(
+		`Enrichment completed: ${summary.enriched} enriched, ${summary.skipped} already up to date`
+	)
+	return summary
+}
+
+registerJobHandler('enrich-places', enrichPlacesJob)
+
+/**
+ * Queue coordinate resolution for newly imported places
+ * @param {string} ownerId - User who imported them
+ * @param {Array} placeIds - IDs of newly imported places
+ * @param {string} defaultCity - Optional default city for context
+ * @returns {string|null} - Job ID, or null if there is nothing to resolve
+ */
+function resolveInBackground(ownerId, placeIds, defaultCity = null) {
+	if (!placeIds || placeIds.length === 0) return null
+
+	const job = enqueueJob(ownerId, 'resolve-coords', {
+		itemIds: placeIds,
+		batchSize: 20,
+		defaultCity,
+	})
+	return job.id
+}
+
+/**
+ * Validate place fields from a create or update request
+ * Coordinate checks reuse validatePlaceData against the place as it would be after the change
+ * @param {Object} updates - Fields from the request body
+ * @param {Object} place - Existing place (empty object when creating)
+ * @returns {string|null} - Error message, or null if valid
+ */
+function getPlaceFieldsError(updates, place = {}) {
+	if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+		return 'Request body must be an object'
+	}
+
+	if (
+		updates.name !== undefined &&
+		(typeof updates.name !== 'string' || updates.name.trim() === '')
+	) {
+		return 'Name must be a non-empty string'
+	}
+
+	if (updates.lat !== undefined || updates.lng !== undefined) {
+		// The values that will be stored: an explicit null replaces the current coordinate
+		const written = field => (updates[field] !== undefined ? updates[field] : place[field])
+		const candidate = {
+			name: written('name'),
+			lat: written('lat'),
+			lng: written('lng'),
+		}
+		if (!validatePlaceData(candidate)) {
+			return 'lat and lng must be valid numeric coordinates'
+		}
+	}
+
+	if (
+		updates.placeTags !== undefined &&
+		(!Array.isArray(updates.placeTags) ||
+			updates.placeTags.some(tag => typeof tag !== 'string'))
+	) {
+		return 'placeTags must be an array of strings'
+	}
+
+	if (
+		updates.inferredTags !== undefined &&
+		(!Array.isArray(updates.inferredTags) ||
+			updates.inferredTags.some(tag => typeof tag !== 'string'))
+	) {
+		return 'inferredTags must be an array of strings'
+	}
+
+	if (
+		updates.priceLevel !== undefined &&
+		updates.priceLevel !== null &&
+		!(
+			Number.isInteger(updates.priceLevel) &&
+			updates.priceLevel >= 0 &&
+			updates.priceLevel <= 4
+		)
+	) {
+		return 'priceLevel must be an integer from 0 to 4'
+	}
+
+	const stringFields = ['address', 'listName', 'notes', 'comment', 'url', 'type', 'vibe', 'placeId']
+	for (const field of stringFields) {
+		if (
+			updates[field] !== undefined &&
+			updates[field] !== null &&
+			typeof updates[field] !== 'string'
+		) {
+			return `${field} must be a string or null`
+		}
+	}
+
+	return null
+}
+
+/**
+ * Validate list fields from a create or update request
+ * @returns {string|null} - Error message, or null if valid
+ */
+function getListFieldsError(fields) {
+	if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+		return 'Request body must be an object'
+	}
+
+	if (
+		fields.name !== undefined &&
+		(typeof fields.name !== 'string' || fields.name.trim() === '')
+	) {
+		return 'Name must be a non-empty string'
+	}
+
+	if (
+		fields.listTags !== undefined &&
+		(!Array.isArray(fields.listTags) ||
+			fields.listTags.some(tag => typeof tag !== 'string'))
+	) {
+		return 'listTags must be an array of strings'
+	}
+
+	if (
+		fields.description !== undefined &&
+		fields.description !== null &&
+		typeof fields.description !== 'string'
+	) {
+		return 'description must be a string or null'
+	}
+
+	if (
+		fields.color !== undefined &&
+		fields.color !== null &&
+		!/^#[0-9a-f]{6}$/i.test(fields.color)
+	) {
+		return 'color must be a hex color like #34A853'
+	}
+
+	return null
+}
+
+// Shape a list record for responses (same keys GET /api/places has always used)
+function formatList(list, count) {
+	return {
+		id: list.id,
+		listName: list.name,
+		listTags: list.listTags,
+		description: list.description,
+		color: list.color,
+		createdAt: list.createdAt,
+		count,
+	}
+}
+
+// Keep only the fields clients are allowed to set
+function pickEditableFields(body) {
+	const fields = {}
+	for (const field of EDITABLE_PLACE_FIELDS) {
+		if (body[field] !== undefined) fields[field] = body[field]
+	}
+	return fields
+}
+
 const router = express.Router()
 
 // Configure multer for file uploads (memory storage)
@@ -123,12 +397,12 @@ router.post('/import', async (req, res) => {
 					continue
 				}
 
-				if (placeExists(placeData.name, placeData.lat, placeData.lng)) {
+				if (placeExists(req.user.id, placeData.name, placeData.lat, placeData.lng)) {
 					duplicates++
 					continue
 				}
 
-				const place = addPlace(placeData)
+				const place = addPlace(req.user.id, placeData)
 				imported++
 				if (placesPreview.length < 5) {
 					placesPreview.push({
@@ -140,22 +414,41 @@ router.post('/import', async (req, res) => {
 			}
 		}
 
-		// Handle Google Takeout export format
+		// Handle Google Takeout "Saved Places.json" export format
+		let takeoutList = null
+		let importedPlaceIds = []
 		if (takeoutData) {
-			const _parsed = parseTakeoutExport(takeoutData)
-			// TODO: Process parsed data and add to places
-			// For now, this is a stub
+			const result = processTakeoutFile(
+				req.user.id,
+				takeoutData,
+				req.body.listName || 'Saved Places'
+			)
+			takeoutList = result.list
+			imported += result.imported
+			duplicates += result.duplicates
+			skipped += result.skipped
+			importedPlaceIds = result.importedPlaceIds
+			for (const preview of result.placesPreview) {
+				if (placesPreview.length < 5) {
+					placesPreview.push(preview)
+				}
+			}
 		}
 
+		// Takeout places without a position still need resolving
+		const jobId = resolveInBackground(req.user.id, importedPlaceIds)
+
 		res.json({
 			ok: true,
 			imported,
 			duplicates,
 			skipped,
 			placesPreview,
+			...(takeoutList && { list: takeoutList }),
+			jobId, // Coordinate resolution job (GET /api/jobs/:id)
 		})
 	} catch (error) {
-		res.status(500).json({
+		res.status(error instanceof ImportError ? error.status : 500).json({
 			ok: false,
 			error: error.message,
 		})
@@ -163,12 +456,10 @@ router.post('/import', async (req, res) => {
 })
 
 /**
- * Helper function to process a single CSV file
+ * Helper function to add a parsed list (from CSV or Takeout JSON) to a user's places
  * Returns imported place IDs for coordinate resolution
  */
-function processCSVFile(csvContent, listName) {
-	const parsed = parseCSV(csvContent, listName)
-
+function importParsedList(ownerId, parsed) {
 	let imported = 0
 	let duplicates = 0
 	let skipped = 0
@@ -182,20 +473,25 @@ function processCSVFile(csvContent, listName) {
 			continue
 		}
 
-		// Check for duplicates by name + url or name + note
+		// Check for duplicates by name + url or name + note,
+		// and by name + coordinates when the source already has a position
 		if (
 			placeExistsByUrl(
+				ownerId,
 				placeData.name,
 				placeData.url,
 				placeData.notes
-			)
+			) ||
+			(placeData.lat !== null &&
+				placeData.lng !== null &&
+				placeExists(ownerId, placeData.name, placeData.lat, placeData.lng))
 		) {
 			duplicates++
 			continue
 		}
 
 		// Add place
-		const place = addPlace(placeData)
+		const place = addPlace(ownerId, placeData)
 		imported++
 		importedPlaceIds.push(place.id) // Track this newly imported place
 
@@ -225,9 +521,32 @@ function processCSVFile(csvContent, listName) {
 	}
 }
 
+/**
+ * Helper function to process a single CSV file
+ */
+function processCSVFile(ownerId, csvContent, listName) {
+	return importParsedList(ownerId, parseCSV(csvContent, listName))
+}
+
+/**
+ * Helper function to process a Google Takeout "Saved Places.json" export
+ * Duplicates and skipped features found while parsing are added to the totals
+ */
+function processTakeoutFile(ownerId, takeoutContent, listName) {
+	const parsed = parseTakeoutExport(takeoutContent, listName)
+	const result = importParsedList(ownerId, parsed)
+
+	return {
+		...result,
+		duplicates: result.duplicates + parsed.duplicates.length,
+		skipped: result.skipped + parsed.skipped.length,
+	}
+}
+
 /**
  * POST /api/import-csv
- * Import saved places from CSV file upload or ZIP file containing multiple CSVs
+ * Import saved places from a CSV file, a Takeout "Saved Places.json" file,
+ * or a ZIP file containing any mix of the two
  */
 router.post('/import-csv', upload.single('file'), async (req, res) => {
 	try {
@@ -241,25 +560,27 @@ router.post('/import-csv', upload.single('file'), async (req, res) => {
 		const filename = req.file.originalname || 'unknown'
 		const fileExtension = filename.toLowerCase().split('.').pop()
 		const isZip = fileExtension === 'zip'
+		const isJson = fileExtension === 'json' || fileExtension === 'geojson'
 
 		// Handle ZIP file
 		if (isZip) {
 			const zip = new AdmZip(req.file.buffer)
 			const zipEntries = zip.getEntries()
 
-			// Filter for CSV files only
-			const csvEntries = zipEntries.filter(
-				entry => entry.entryName.toLowerCase().endsWith('.csv')
-			)
+			// Filter for CSV and Takeout JSON files only
+			const importEntries = zipEntries.filter(entry => {
+				const entryName = entry.entryName.toLowerCase()
+				return /\.(csv|json|geojson)$/.test(entryName)
+			})
 
-			if (csvEntries.length === 0) {
+			if (importEntries.length === 0) {
 				return res.status(400).json({
 					ok: false,
-					error: 'No CSV files found in ZIP archive',
+					error: 'No CSV or JSON files found in ZIP archive',
 				})
 			}
 
-			// Process each CSV file
+			// Process each file
 			const lists = []
 			let totalImported = 0
 			let totalDuplicates = 0
@@ -267,20 +588,32 @@ router.post('/import-csv', upload.single('file'), async (req, res) => {
 			const allPlacesPreview = []
 			const allImportedPlaceIds = [] // Track all newly imported place IDs
 
-			for (const entry of csvEntries) {
-				// Extract list name from filename (remove .csv extension)
+			for (const entry of importEntries) {
+				const entryIsJson = /\.(json|geojson)$/i.test(entry.entryName)
+
+				// Extract list name from filename (remove extension)
 				const entryListName =
 					entry.entryName
 						.split('/')
 						.pop()
-						.replace(/\.csv$/i, '')
+						.replace(/\.(csv|json|geojson)$/i, '')
 						.trim() || 'Untitled List'
 
-				// Get CSV content
-				const csvContent = entry.getData().toString('utf-8')
-
-				// Process CSV
-				const result = processCSVFile(csvContent, entryListName)
+				// Get file content
+				const content = entry.getData().toString('utf-8')
+
+				// Process file; Takeout archives contain other JSON files we can't import
+				let result
+				if (entryIsJson) {
+					try {
+						result = processTakeoutFile(req.user.id, content, entryListName)
+					} catch (error) {
+						console.warn(`Skipping ${entry.entryName}: ${error.message}`)
+						continue
+					}
+				} else {
+					result = processCSVFile(req.user.id, content, entryListName)
+				}
 
 				lists.push(result.list)
 				totalImported += result.imported
@@ -303,8 +636,15 @@ router.post('/import-csv', upload.single('file'), async (req, res) => {
 				}
 			}
 
+			// Resolve coordinates in a background job (async, non-blocking)
+			// Only resolve coordinates for newly imported places
+			// Extract default city from first list name if available
+			const defaultCity =
+				lists.length > 0 && lists[0].listName ? lists[0].listName : null
+			const jobId = resolveInBackground(req.user.id, allImportedPlaceIds, defaultCity)
+
 			// Send response immediately
-			res.json({
+			return res.json({
 				ok: true,
 				type: 'zip',
 				lists, // Array of all imported lists with their metadata
@@ -312,80 +652,46 @@ router.post('/import-csv', upload.single('file'), async (req, res) => {
 				duplicates: totalDuplicates,
 				skipped: totalSkipped,
 				placesPreview: allPlacesPreview,
+				jobId, // Coordinate resolution job (GET /api/jobs/:id)
 			})
-
-			// Resolve coordinates in background (async, non-blocking)
-			// Only resolve coordinates for newly imported places
-			if (allImportedPlaceIds.length > 0) {
-				// Extract default city from first list name if available
-				const defaultCity =
-					lists.length > 0 && lists[0].listName
-						? lists[0].listName
-						: null
-
-				// Resolve coordinates for only the newly imported places
-				// Wrap in setTimeout to ensure it runs after response is sent
-				setTimeout(() => {
-					resolveCoordinatesInBatches(allImportedPlaceIds, 20, defaultCity)
-						.then(({ resolved, failed }) => {
-							console.log(
-								`Coordinate resolution completed: ${resolved} resolved, ${failed} failed (out of ${allImportedPlaceIds.length} newly imported places)`
-							)
-						})
-						.catch(error => {
-							console.error('Error during coordinate resolution:', error)
-							// Don't crash the server - just log the error
-						})
-				}, 100) // Small delay to ensure response is fully sent
-			}
 		}
 
-		// Handle single CSV file
+		// Handle single CSV or Takeout JSON file
 		const listName =
 			req.body.listName ||
-			filename.replace(/\.csv$/i, '').trim() ||
+			filename.replace(/\.(csv|json|geojson)$/i, '').trim() ||
 			'Untitled List'
 
 		// Convert buffer to string
-		const csvContent = req.file.buffer.toString('utf-8')
+		const content = req.file.buffer.toString('utf-8')
+
+		// Process file
+		const result = isJson
+			? processTakeoutFile(req.user.id, content, listName)
+			: processCSVFile(req.user.id, content, listName)
 
-		// Process CSV
-		const result = processCSVFile(csvContent, listName)
+		// Resolve coordinates in a background job (async, non-blocking)
+		// Only resolve coordinates for newly imported places
+		// Use list name as default city for better context (Takeout places already carry positions)
+		const jobId = resolveInBackground(
+			req.user.id,
+			result.importedPlaceIds,
+			isJson ? null : listName || null
+		)
 
 		// Send response immediately
 		res.json({
 			ok: true,
-			type: 'csv',
+			type: isJson ? 'json' : 'csv',
 			list: result.list,
 			imported: result.imported,
 			duplicates: result.duplicates,
 			skipped: result.skipped,
 			placesPreview: result.placesPreview,
+			jobId, // Coordinate resolution job (GET /api/jobs/:id)
 		})
-
-		// Resolve coordinates in background (async, non-blocking)
-		// Only resolve coordinates for newly imported places
-		if (result.importedPlaceIds && result.importedPlaceIds.length > 0) {
-			// Use list name as default city for better context
-			const defaultCity = listName || null
-
-			// Resolve coordinates for only the newly imported places
-			// Wrap in setTimeout to ensure it runs after response is sent
-			setTimeout(() => {
-				resolveCoordinatesInBatches(result.importedPlaceIds, 20, defaultCity)
-					.then(({ resolved, failed }) => {
-						console.log(
-							`Coordinate resolution completed: ${resolved} resolved, ${failed} failed (out of ${result.importedPlaceIds.length} newly imported places)`
-						)
-					})
-					.catch(error => {
-						console.error('Error during coordinate resolution:', error)
-						// Don't crash the server - just log the error
-					})
-			}, 100) // Small delay to ensure response is fully sent
-		}
 	} catch (error) {
-		res.status(500).json({
+		res.status(error instanceof ImportError ? error.status : 500).json({
 			ok: false,
 			error: error.message,
 		})
@@ -395,9 +701,21 @@ router.post('/import-csv', upload.single('file'), async (req, res) => {
 /**
  * GET /api/places
  * Get all saved places with optional filtering
+ * Query: listName, category/type, priceLevel, vibe, limit, offset, plus the place list filters
+ * (see parseFilterQuery in shared/placeFilters.js): q, tags, distance + lat/lng, openStatus,
+ * openDay, openTime, openFor, timezone, types, rating
+ * Status, type and rating filters use cached Place Details only; places without them don't match
  */
 router.get('/places', (req, res) => {
 	try {
+		const { filters, userLocation, error } = parseFilterQuery(req.query)
+		if (error) {
+			return res.status(400).json({
+				ok: false,
+				error,
+			})
+		}
+
 		const {
 			category,
 			type,
@@ -407,11 +725,11 @@ router.get('/places', (req, res) => {
 			offset,
 			listName,
 		} = req.query
-		let places = getAllPlaces()
+		let places = getAllPlaces(req.user.id)
 
 		// Filter by list name if provided
 		if (listName) {
-			places = getPlacesByListName(listName)
+			places = getPlacesByListName(req.user.id, listName)
 		}
 
 		// Apply filters
@@ -428,6 +746,11 @@ router.get('/places', (req, res) => {
 			places = places.filter(p => p.vibe === vibe)
 		}
 
+		places = filterPlaces(places, filters, {
+			getDetails: place => getCachedPlaceDetails(place.placeId),
+			userLocation,
+		})
+
 		const totalCount = places.length
 
 		// Apply pagination
@@ -445,8 +768,8 @@ router.get('/places', (req, res) => {
 		if (listName) {
 			// Single list: extract metadata and remove from places
 			let responseListName = listName
-			let responseListTags = []
-			if (places.length > 0) {
+			let responseListTags = getListByName(req.user.id, listName)?.listTags || []
+			if (responseListTags.length === 0 && places.length > 0) {
 				responseListTags = places[0].listTags || []
 			}
 
@@ -475,7 +798,7 @@ router.get('/places', (req, res) => {
 
 		// All places: keep listName in each place, remove only listTags and tags
 		// Get unique lists for metadata and count places per list
-		const allPlacesInStorage = getAllPlaces() // Get all places from storage for accurate counts
+		const allPlacesInStorage = getAllPlaces(req.user.id) // Get all the user's places for accurate counts
 		const uniqueLists = new Map()
 		const listCounts = new Map()
 
@@ -489,14 +812,20 @@ router.get('/places', (req, res) => {
 			}
 		})
 
-		// Build unique lists map from filtered places (for listTags)
+		// Build unique lists map from filtered places, with metadata from the list records
 		places.forEach(place => {
 			if (place.listName && !uniqueLists.has(place.listName)) {
-				uniqueLists.set(place.listName, {
-					listName: place.listName,
-					listTags: place.listTags || [],
-					count: listCounts.get(place.listName) || 0, // Add count from all stored places
-				})
+				const list = getListByName(req.user.id, place.listName)
+				uniqueLists.set(
+					place.listName,
+					list
+						? formatList(list, listCounts.get(place.listName) || 0) // Add count from all stored places
+						: {
+								listName: place.listName,
+								listTags: place.listTags || [],
+								count: listCounts.get(place.listName) || 0,
+							}
+				)
 			}
 		})
 
@@ -528,20 +857,41 @@ router.get('/places', (req, res) => {
 })
 
 /**
- * POST /api/recommend
- * Get AI-powered recommendations based on context
+ * POST /api/places
+ * Add a single place manually
  */
-router.post('/recommend', async (req, res) => {
+router.post('/places', (req, res) => {
 	try {
-		const context = req.body
-		const places = getAllPlaces()
+		const fields = pickEditableFields(req.body || {})
+
+		if (!validatePlaceData(fields)) {
+			return res.status(400).json({
+				ok: false,
+				error: 'name, lat and lng are required',
+			})
+		}
 
-		const result = await getRecommendations(places, context)
+		const error = getPlaceFieldsError(fields)
+		if (error) {
+			return res.status(400).json({
+				ok: false,
+				error,
+			})
+		}
 
-		res.json({
+		if (placeExists(req.user.id, fields.name, fields.lat, fields.lng)) {
+			return res.status(409).json({
+				ok: false,
+				error: 'A place with this name and location already exists',
+			})
+		}
+
+		// addPlace files the place under its list record and combines tags
+		const place = addPlace(req.user.id, fields)
+
+		res.status(201).json({
 			ok: true,
-			interpreted: result.interpreted,
-			results: result.results,
+			place,
 		})
 	} catch (error) {
 		res.status(500).json({
@@ -552,17 +902,32 @@ router.post('/recommend', async (req, res) => {
 })
 
 /**
- * POST /api/enrich
- * Enrich places with AI-generated metadata
+ * GET /api/search?q=&listName=&limit=
+ * Full-text search over saved places, best matches first (see search.js)
+ * Each result has the name ranges to highlight and snippets from the other matching fields
  */
-router.post('/enrich', async (req, res) => {
+router.get('/search', (req, res) => {
 	try {
-		const places = getAllPlaces()
-		const enrichedCount = await enrichPlaces(places)
+		const { q, listName, limit } = req.query
+
+		if (!q || typeof q !== 'string' || !q.trim()) {
+			return res.status(400).json({
+				ok: false,
+				error: 'q is required',
+			})
+		}
+
+		const { words, results } = searchPlaces(req.user.id, q, {
+			listName: listName || null,
+			limit: limit ? parseInt(limit) || undefined : undefined,
+		})
 
 		res.json({
 			ok: true,
-			enrichedCount,
+			query: q,
+			words,
+			count: results.length,
+			results,
 		})
 	} catch (error) {
 		res.status(500).json({
@@ -573,79 +938,69 @@ router.post('/enrich', async (req, res) => {
 })
 
 /**
- * POST /api/resolve-coords
- * Resolve coordinates for saved places using URL extraction or Google Places API
+ * GET /api/places/:id
+ * Get a single saved place
  */
-router.post('/resolve-coords', async (req, res) => {
+router.get('/places/:id', (req, res) => {
 	try {
-		const { listName, limit, defaultCity } = req.body
+		const place = getPlaceById(req.user.id, req.params.id)
 
-		// Get places to resolve
-		let placesToResolve = getAllPlaces()
-
-		// Filter by list name if provided
-		if (listName) {
-			placesToResolve = getPlacesByListName(listName)
+		if (!place) {
+			return res.status(404).json({
+				ok: false,
+				error: 'Place not found',
+			})
 		}
 
-		// Filter places that don't have coordinates yet
-		placesToResolve = placesToResolve.filter(
-			p => !p.lat || !p.lng || p.lat === null || p.lng === null
-		)
-
-		// Apply limit if provided
-		const limitNum = limit ? parseInt(limit) : undefined
-		if (limitNum && limitNum > 0) {
-			placesToResolve = placesToResolve.slice(0, limitNum)
-		}
+		res.json({
+			ok: true,
+			place,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
 
-		const requested = placesToResolve.length
-		let resolved = 0
-		let failed = 0
-		const preview = []
+/**
+ * PATCH /api/places/:id
+ * Edit a place: notes, tags, list, pin position, etc.
+ */
+router.patch('/places/:id', (req, res) => {
+	try {
+		const place = getPlaceById(req.user.id, req.params.id)
 
-		// Resolve coordinates for each place
-		for (const place of placesToResolve) {
-			try {
-				const result = await resolvePlaceCoords(place, defaultCity || null)
+		if (!place) {
+			return res.status(404).json({
+				ok: false,
+				error: 'Place not found',
+			})
+		}
 
-				if (result.resolved) {
-					// Update place with coordinates
-					updatePlaceCoords(place.id, {
-						lat: result.lat,
-						lng: result.lng,
-						placeId: result.placeId,
-						address: result.address,
-						geoStatus: result.geoStatus,
-					})
+		const fields = pickEditableFields(req.body || {})
 
-					resolved++
+		if (Object.keys(fields).length === 0) {
+			return res.status(400).json({
+				ok: false,
+				error: `No editable fields provided (allowed: ${EDITABLE_PLACE_FIELDS.join(', ')})`,
+			})
+		}
 
-					// Add to preview (first 5)
-					if (preview.length < 5) {
-						preview.push({
-							id: place.id,
-							name: place.name,
-							lat: result.lat,
-							lng: result.lng,
-							geoStatus: result.geoStatus,
-						})
-					}
-				} else {
-					failed++
-				}
-			} catch (error) {
-				console.error(`Error resolving place ${place.id}:`, error)
-				failed++
-			}
+		const error = getPlaceFieldsError(fields, place)
+		if (error) {
+			return res.status(400).json({
+				ok: false,
+				error,
+			})
 		}
 
+		const updatedPlace = updatePlace(req.user.id, place.id, fields)
+
 		res.json({
 			ok: true,
-			requested,
-			resolved,
-			failed,
-			preview,
+			place: updatedPlace,
 		})
 	} catch (error) {
 		res.status(500).json({
@@ -656,23 +1011,14 @@ router.post('/resolve-coords', async (req, res) => {
 })
 
 /**
- * GET /api/place-details/:placeId
- * Get detailed information for a place using Google Places API
+ * DELETE /api/places/:id
+ * Delete a place
  */
-router.get('/place-details/:placeId', async (req, res) => {
+router.delete('/places/:id', (req, res) => {
 	try {
-		const { placeId } = req.params
-
-		if (!placeId) {
-			return res.status(400).json({
-				ok: false,
-				error: 'Place ID is required',
-			})
-		}
-
-		const placeDetails = await fetchPlaceDetails(placeId)
+		const place = deletePlace(req.user.id, req.params.id)
 
-		if (!placeDetails) {
+		if (!place) {
 			return res.status(404).json({
 				ok: false,
 				error: 'Place not found',
@@ -681,20 +1027,1624 @@ router.get('/place-details/:placeId', async (req, res) => {
 
 		res.json({
 			ok: true,
-			place: placeDetails,
+			place,
 		})
 	} catch (error) {
 		res.status(500).json({
 			ok: false,
-			error: error.message || 'Failed to fetch place details',
+			error: error.message,
 		})
 	}
 })
 
 /**
- * POST /api/chat-saved
- * Chat with saved places using Gemini + Google Places enrichment
+ * GET /api/events
+ * Server-Sent Events stream of changes to the user's places and lists
+ * Place payloads have the same shape as entries in GET /api/places
+ * EventSource can't send headers, so the token may be passed as ?access_token=
  */
-router.post('/chat-saved', handleChatSaved)
+router.get('/events', (req, res) => {
+	res.writeHead(200, {
+		'Content-Type': 'text/event-stream',
+		'Cache-Control': 'no-cache',
+		Connection: 'keep-alive',
+	})
+	// Ask the browser to reconnect after 3 seconds if the connection drops
+	res.write('retry: 3000\n\n')
+
+	const send = (event, data = {}) => {
+		res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+	}
+
+	const stripPlace = place => {
+		const { listTags: _listTags, tags: _tags, ...placeCleaned } = place
+		return placeCleaned
+	}
+
+	// Only the user's own changes are sent
+	const ownerId = req.user.id
+	const ifOwned = listener => data => {
+		if (data.ownerId === ownerId) listener(data)
+	}
+
+	const listeners = {
+		'place-added': ifOwned(place => send('place-added', stripPlace(place))),
+		'place-updated': ifOwned(place => send('place-updated', stripPlace(place))),
+		'coords-resolved': ifOwned(place => send('coords-resolved', stripPlace(place))),
+		'place-deleted': ifOwned(({ id }) => send('place-deleted', { id })),
+		'lists-changed': ifOwned(() => send('lists-changed')),
+		'places-cleared': ifOwned(() => send('places-cleared')),
+	}
+
+	for (const [event, listener] of Object.entries(listeners)) {
+		placeEvents.on(event, listener)
+	}
+
+	// Comment lines keep proxies from closing an idle connection
+	const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000)
+
+	req.on('close', () => {
+		clearInterval(heartbeat)
+		for (const [event, listener] of Object.entries(listeners)) {
+			placeEvents.off(event, listener)
+		}
+	})
+})
+
+/**
+ * GET /api/lists
+ * Get all list records with place counts
+ */
+router.get('/lists', (req, res) => {
+	try {
+		const lists = getAllLists(req.user.id).map(list =>
+			formatList(list, getPlacesByListName(req.user.id, list.name).length)
+		)
+
+		res.json({
+			ok: true,
+			lists,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * POST /api/lists
+ * Create an empty list
+ */
+router.post('/lists', (req, res) => {
+	try {
+		const { name, listTags, description, color } = req.body || {}
+
+		const error = !name
+			? 'Name is required'
+			: getListFieldsError({ name, listTags, description, color })
+		if (error) {
+			return res.status(400).json({
+				ok: false,
+				error,
+			})
+		}
+
+		const list = createList(req.user.id, { name: name.trim(), listTags, description, color })
+		if (!list) {
+			return res.status(409).json({
+				ok: false,
+				error: 'A list with this name already exists',
+			})
+		}
+
+		res.status(201).json({
+			ok: true,
+			list: formatList(list, 0),
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * PATCH /api/lists/:listName
+ * Rename a list and/or edit its tags, description or color
+ */
+router.patch('/lists/:listName', (req, res) => {
+	try {
+		const { listName } = req.params
+		const { name, listTags, description, color } = req.body || {}
+
+		if (!getListByName(req.user.id, listName)) {
+			return res.status(404).json({
+				ok: false,
+				error: 'List not found',
+			})
+		}
+
+		const error = getListFieldsError({ name, listTags, description, color })
+		if (error) {
+			return res.status(400).json({
+				ok: false,
+				error,
+			})
+		}
+
+		let currentName = listName
+		if (name !== undefined && name.trim() !== listName) {
+			if (!renameList(req.user.id, listName, name.trim())) {
+				return res.status(409).json({
+					ok: false,
+					error: 'A list with this name already exists',
+				})
+			}
+			currentName = name.trim()
+		}
+
+		const list = updateList(req.user.id, currentName, { listTags, description, color })
+
+		res.json({
+			ok: true,
+			list: formatList(list, getPlacesByListName(req.user.id, list.name).length),
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * POST /api/lists/:listName/merge
+ * Merge a list into another list ({ into: "Target list" })
+ * Places already saved in the target are dropped as duplicates
+ */
+router.post('/lists/:listName/merge', (req, res) => {
+	try {
+		const { listName } = req.params
+		const { into } = req.body || {}
+
+		if (!into || typeof into !== 'string') {
+			return res.status(400).json({
+				ok: false,
+				error: 'Target list ("into") is required',
+			})
+		}
+
+		if (into === listName) {
+			return res.status(400).json({
+				ok: false,
+				error: 'Cannot merge a list into itself',
+			})
+		}
+
+		if (!getListByName(req.user.id, listName) || !getListByName(req.user.id, into)) {
+			return res.status(404).json({
+				ok: false,
+				error: 'List not found',
+			})
+		}
+
+		const result = mergeLists(req.user.id, listName, into)
+
+		res.json({
+			ok: true,
+			list: formatList(result.list, getPlacesByListName(req.user.id, result.list.name).length),
+			moved: result.moved,
+			duplicates: result.duplicates,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * DELETE /api/lists/:listName
+ * Delete a list and all of its places
+ */
+router.delete('/lists/:listName', (req, res) => {
+	try {
+		const deletedPlaces = deleteList(req.user.id, req.params.listName)
+
+		if (deletedPlaces === null) {
+			return res.status(404).json({
+				ok: false,
+				error: 'List not found',
+			})
+		}
+
+		res.json({
+			ok: true,
+			listName: req.params.listName,
+			deletedPlaces,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+// Entries of a list's activity log, newest first, with usernames
+function formatActivity(list, limit) {
+	return list.activity
+		.slice(-limit)
+		.reverse()
+		.map(entry => ({
+			...entry,
+			username: getUserById(entry.userId)?.username || null,
+		}))
+}
+
+// Parse ?limit= for activity logs (default 100, max 500)
+function toActivityLimit(limit) {
+	return Math.min(Math.max(parseInt(limit) || 100, 1), 500)
+}
+
+// Who a list is shared with, for its owner
+function formatSharing(list) {
+	return {
+		listName: list.name,
+		collaborators: list.collaborators.map(({ userId, role, addedAt }) => ({
+			userId,
+			username: getUserById(userId)?.username || null,
+			role,
+			addedAt,
+		})),
+		shareToken: list.shareToken,
+	}
+}
+
+// Place fields shown through a share link (no account IDs)
+function toSharedPlace(place) {
+	const {
+		ownerId: _ownerId,
+		addedBy: _addedBy,
+		updatedBy: _updatedBy,
+		listTags: _listTags,
+		tags: _tags,
+		...sharedPlace
+	} = place
+	return sharedPlace
+}
+
+/**
+ * Look up a list shared with the requesting user, responding with 404 (no access) or
+ * 403 (viewer attempting a change) when they can't use it
+ * @param {boolean} edit - Whether the request changes places
+ * @returns {Object|null} - { list, role }, or null if a response was sent
+ */
+function getListAccessOrRespond(req, res, { edit = false } = {}) {
+	const access = getListAccess(req.user.id, req.params.listId)
+	if (!access) {
+		res.status(404).json({
+			ok: false,
+			error: 'List not found',
+		})
+		return null
+	}
+	if (edit && access.role === 'viewer') {
+		res.status(403).json({
+			ok: false,
+			error: 'You have view-only access to this list',
+		})
+		return null
+	}
+	return access
+}
+
+/**
+ * GET /api/lists/:listName/sharing
+ * Collaborators of a list and its share token (null when there is no share link)
+ */
+router.get('/lists/:listName/sharing', (req, res) => {
+	try {
+		const list = getListByName(req.user.id, req.params.listName)
+
+		if (!list) {
+			return res.status(404).json({
+				ok: false,
+				error: 'List not found',
+			})
+		}
+
+		res.json({
+			ok: true,
+			...formatSharing(list),
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * PUT /api/lists/:listName/collaborators/:username
+ * Share a list with another user, or change their role ({ role: "viewer" | "editor" })
+ */
+router.put('/lists/:listName/collaborators/:username', (req, res) => {
+	try {
+		const { role } = req.body || {}
+
+		if (!LIST_ROLES.includes(role)) {
+			return res.status(400).json({
+				ok: false,
+				error: `role must be one of: ${LIST_ROLES.join(', ')}`,
+			})
+		}
+
+		const collaborator = getUserByUsername(req.params.username)
+		if (!collaborator) {
+			return res.status(404).json({
+				ok: false,
+				error: 'User not found',
+			})
+		}
+
+		if (collaborator.id === req.user.id) {
+			return res.status(400).json({
+				ok: false,
+				error: 'You already own this list',
+			})
+		}
+
+		const list = setCollaborator(req.user.id, req.params.listName, collaborator.id, role)
+		if (!list) {
+			return res.status(404).json({
+				ok: false,
+				error: 'List not found',
+			})
+		}
+
+		res.json({
+			ok: true,
+			...formatSharing(list),
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * DELETE /api/lists/:listName/collaborators/:username
+ * Stop sharing a list with a user
+ */
+router.delete('/lists/:listName/collaborators/:username', (req, res) => {
+	try {
+		const collaborator = getUserByUsername(req.params.username)
+
+		if (!collaborator || !removeCollaborator(req.user.id, req.params.listName, collaborator.id)) {
+			return res.status(404).json({
+				ok: false,
+				error: 'Collaborator not found',
+			})
+		}
+
+		res.json({
+			ok: true,
+			...formatSharing(getListByName(req.user.id, req.params.listName)),
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * POST /api/lists/:listName/share-link
+ * Create a read-only share link (GET /api/shared/:token); replaces the previous link
+ */
+router.post('/lists/:listName/share-link', (req, res) => {
+	try {
+		const shareToken = createShareToken(req.user.id, req.params.listName)
+
+		if (!shareToken) {
+			return res.status(404).json({
+				ok: false,
+				error: 'List not found',
+			})
+		}
+
+		res.status(201).json({
+			ok: true,
+			shareToken,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * DELETE /api/lists/:listName/share-link
+ * Turn off a list's share link
+ */
+router.delete('/lists/:listName/share-link', (req, res) => {
+	try {
+		if (!revokeShareToken(req.user.id, req.params.listName)) {
+			return res.status(404).json({
+				ok: false,
+				error: 'Share link not found',
+			})
+		}
+
+		res.json({
+			ok: true,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * GET /api/lists/:listName/activity?limit=
+ * Who added, edited, moved or deleted which place in a list, newest first (default 100)
+ */
+router.get('/lists/:listName/activity', (req, res) => {
+	try {
+		const list = getListByName(req.user.id, req.params.listName)
+
+		if (!list) {
+			return res.status(404).json({
+				ok: false,
+				error: 'List not found',
+			})
+		}
+
+		res.json({
+			ok: true,
+			activity: formatActivity(list, toActivityLimit(req.query.limit)),
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * GET /api/shared-lists
+ * Lists other users have shared with you, with your role and the owner's username
+ */
+router.get('/shared-lists', (req, res) => {
+	try {
+		const lists = getSharedLists(req.user.id).map(({ list, role }) => ({
+			...formatList(list, getPlacesByListName(list.ownerId, list.name).length),
+			owner: getUserById(list.ownerId)?.username || null,
+			role,
+		}))
+
+		res.json({
+			ok: true,
+			lists,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * GET /api/shared-lists/:listId
+ * A list shared with you and its places
+ */
+router.get('/shared-lists/:listId', (req, res) => {
+	try {
+		const access = getListAccessOrRespond(req, res)
+		if (!access) return
+		const { list, role } = access
+		const places = getPlacesByListName(list.ownerId, list.name)
+
+		res.json({
+			ok: true,
+			list: {
+				...formatList(list, places.length),
+				owner: getUserById(list.ownerId)?.username || null,
+				role,
+			},
+			places,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * POST /api/shared-lists/:listId/places
+ * Add a place to a list shared with you (editors only)
+ */
+router.post('/shared-lists/:listId/places', (req, res) => {
+	try {
+		const access = getListAccessOrRespond(req, res, { edit: true })
+		if (!access) return
+		const { list } = access
+		const fields = { ...pickEditableFields(req.body || {}), listName: list.name }
+
+		if (!validatePlaceData(fields)) {
+			return res.status(400).json({
+				ok: false,
+				error: 'name, lat and lng are required',
+			})
+		}
+
+		const error = getPlaceFieldsError(fields)
+		if (error) {
+			return res.status(400).json({
+				ok: false,
+				error,
+			})
+		}
+
+		if (placeExists(list.ownerId, fields.name, fields.lat, fields.lng)) {
+			return res.status(409).json({
+				ok: false,
+				error: 'A place with this name and location already exists',
+			})
+		}
+
+		const place = addPlace(list.ownerId, fields, req.user.id)
+
+		res.status(201).json({
+			ok: true,
+			place,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * PATCH /api/shared-lists/:listId/places/:id
+ * Edit a place in a list shared with you (editors only; places can't be moved to another list)
+ */
+router.patch('/shared-lists/:listId/places/:id', (req, res) => {
+	try {
+		const access = getListAccessOrRespond(req, res, { edit: true })
+		if (!access) return
+		const { list } = access
+		const place = getPlaceById(list.ownerId, req.params.id)
+
+		if (!place || place.listName !== list.name) {
+			return res.status(404).json({
+				ok: false,
+				error: 'Place not found',
+			})
+		}
+
+		const fields = pickEditableFields(req.body || {})
+
+		if (fields.listName !== undefined && fields.listName !== list.name) {
+			return res.status(400).json({
+				ok: false,
+				error: "Places can't be moved out of a shared list",
+			})
+		}
+
+		if (Object.keys(fields).length === 0) {
+			return res.status(400).json({
+				ok: false,
+				error: `No editable fields provided (allowed: ${EDITABLE_PLACE_FIELDS.join(', ')})`,
+			})
+		}
+
+		const error = getPlaceFieldsError(fields, place)
+		if (error) {
+			return res.status(400).json({
+				ok: false,
+				error,
+			})
+		}
+
+		const updatedPlace = updatePlace(list.ownerId, place.id, fields, req.user.id)
+
+		res.json({
+			ok: true,
+			place: updatedPlace,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * DELETE /api/shared-lists/:listId/places/:id
+ * Delete a place from a list shared with you (editors only)
+ */
+router.delete('/shared-lists/:listId/places/:id', (req, res) => {
+	try {
+		const access = getListAccessOrRespond(req, res, { edit: true })
+		if (!access) return
+		const { list } = access
+		const place = getPlaceById(list.ownerId, req.params.id)
+
+		if (!place || place.listName !== list.name) {
+			return res.status(404).json({
+				ok: false,
+				error: 'Place not found',
+			})
+		}
+
+		res.json({
+			ok: true,
+			place: deletePlace(list.ownerId, place.id, req.user.id),
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * GET /api/shared-lists/:listId/activity?limit=
+ * Activity log of a list shared with you, newest first (see GET /api/lists/:listName/activity)
+ */
+router.get('/shared-lists/:listId/activity', (req, res) => {
+	try {
+		const access = getListAccessOrRespond(req, res)
+		if (!access) return
+
+		res.json({
+			ok: true,
+			activity: formatActivity(access.list, toActivityLimit(req.query.limit)),
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * GET /api/export?format=csv|geojson|kml|gpx&listName=
+ * Download saved places (all lists, or one list) as a file
+ * CSV exports of more than one list are returned as a ZIP with one CSV per list
+ */
+router.get('/export', (req, res) => {
+	try {
+		const format = (req.query.format || 'csv').toLowerCase()
+		const { listName } = req.query
+
+		if (!EXPORT_FORMATS.includes(format)) {
+			return res.status(400).json({
+				ok: false,
+				error: `Unsupported format "${format}" (expected one of: ${EXPORT_FORMATS.join(', ')})`,
+			})
+		}
+
+		const list = listName ? getListByName(req.user.id, listName) : null
+		if (listName && !list) {
+			return res.status(404).json({
+				ok: false,
+				error: 'List not found',
+			})
+		}
+
+		const places = listName ? getPlacesByListName(req.user.id, listName) : getAllPlaces(req.user.id)
+		const baseName = toFileName(listName || 'Saved Places')
+
+		const send = (content, contentType, extension) => {
+			res.setHeader('Content-Type', contentType)
+			res.setHeader(
+				'Content-Disposition',
+				`attachment; filename="${baseName}.${extension}"`
+			)
+			res.send(content)
+		}
+
+		switch (format) {
+			case 'csv': {
+				if (list) {
+					return send(toCSV(places, list), 'text/csv; charset=utf-8', 'csv')
+				}
+				// One CSV per list, plus any places not filed under a list
+				const lists = getAllLists(req.user.id).map(l => ({
+					list: l,
+					places: getPlacesByListName(req.user.id, l.name),
+				}))
+				const unlisted = places.filter(p => !p.listName)
+				if (unlisted.length > 0) {
+					lists.push({ list: { name: 'Unlisted' }, places: unlisted })
+				}
+				return send(toCSVZip(lists), 'application/zip', 'zip')
+			}
+			case 'geojson':
+				return send(
+					JSON.stringify(toGeoJSON(places), null, 2),
+					'application/geo+json; charset=utf-8',
+					'geojson'
+				)
+			case 'kml':
+				return send(
+					toKML(places, listName || 'Map Whisperer'),
+					'application/vnd.google-earth.kml+xml; charset=utf-8',
+					'kml'
+				)
+			case 'gpx':
+				return send(
+					toGPX(places, listName || 'Map Whisperer'),
+					'application/gpx+xml; charset=utf-8',
+					'gpx'
+				)
+		}
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * POST /api/recommend
+ * Rank saved places for a structured request, with the same scoring as chat
+ * Body: { location: { lat, lng } (or userLat/userLng), timeZone, time, timeOfDay, openNow,
+ *   openAt, priceRange: { min, max } (or priceLevel), categories (or category), tags, vibe,
+ *   minRating, maxDistanceKm, excludeIds, listName, limit (default 10, max 50), offset,
+ *   origins: [{ label, lat, lng }], originStrategy: "minimax" (default) | "total" }
+ * timeOfDay defaults to the meal period at `time` (default now) in `timeZone`;
+ * each result carries its score and the boosts that produced it; `total` counts all matches.
+ * With origins (e.g. everyone's office), places are ranked as meeting points: by the longest
+ * trip from any origin (minimax) or by all trips added up (total); maxDistanceKm then applies
+ * to every trip.
+ */
+router.post('/recommend', async (req, res) => {
+	try {
+		const { context, error } = parseRecommendationContext(req.body || {})
+		if (error) {
+			return res.status(400).json({
+				ok: false,
+				error,
+			})
+		}
+
+		const result = await getRecommendations(getAllPlaces(req.user.id), context)
+
+		res.json({
+			ok: true,
+			...result,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * POST /api/enrich
+ * Queue inference of type, vibe, priceLevel and tags for places that are missing them or stale
+ * Body: { listName } only one list, { placeIds } only these places, { force } re-enrich all
+ * Returns the job ID (GET /api/jobs/:id) and how many places were queued; jobId is null
+ * when every place is up to date
+ */
+router.post('/enrich', async (req, res) => {
+	try {
+		const { listName, placeIds, force = false } = req.body || {}
+
+		if (
+			placeIds !== undefined &&
+			(!Array.isArray(placeIds) || placeIds.some(id => typeof id !== 'string'))
+		) {
+			return res.status(400).json({
+				ok: false,
+				error: 'placeIds must be an array of strings',
+			})
+		}
+
+		let places = listName ? getPlacesByListName(req.user.id, listName) : getAllPlaces(req.user.id)
+		if (placeIds) {
+			const ids = new Set(placeIds)
+			places = places.filter(p => ids.has(p.id))
+		}
+		const queued = force ? places : places.filter(place => needsEnrichment(place))
+
+		const job =
+			queued.length > 0
+				? enqueueJob(req.user.id, 'enrich-places', {
+						itemIds: queued.map(place => place.id),
+						force: Boolean(force),
+					})
+				: null
+
+		res.json({
+			ok: true,
+			jobId: job?.id || null,
+			queued: queued.length,
+			upToDate: places.length - queued.length,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * POST /api/resolve-coords
+ * Resolve coordinates for saved places using URL extraction or Google Places API
+ */
+router.post('/resolve-coords', async (req, res) => {
+	try {
+		const { listName, limit, defaultCity } = req.body
+
+		// Get places to resolve
+		let placesToResolve = getAllPlaces(req.user.id)
+
+		// Filter by list name if provided
+		if (listName) {
+			placesToResolve = getPlacesByListName(req.user.id, listName)
+		}
+
+		// Filter places that don't have coordinates yet
+		placesToResolve = placesToResolve.filter(
+			p => !p.lat || !p.lng || p.lat === null || p.lng === null
+		)
+
+		// Apply limit if provided
+		const limitNum = limit ? parseInt(limit) : undefined
+		if (limitNum && limitNum > 0) {
+			placesToResolve = placesToResolve.slice(0, limitNum)
+		}
+
+		const requested = placesToResolve.length
+		let resolved = 0
+		let failed = 0
+		const preview = []
+
+		// Resolve coordinates for each place
+		for (const place of placesToResolve) {
+			try {
+				const result = await resolvePlaceCoords(place, defaultCity || null)
+
+				if (result.resolved) {
+					// Update place with coordinates
+					updatePlaceCoords(req.user.id, place.id, {
+						lat: result.lat,
+						lng: result.lng,
+						placeId: result.placeId,
+						address: result.address,
+						geoStatus: result.geoStatus,
+					})
+
+					resolved++
+
+					// Add to preview (first 5)
+					if (preview.length < 5) {
+						preview.push({
+							id: place.id,
+							name: place.name,
+							lat: result.lat,
+							lng: result.lng,
+							geoStatus: result.geoStatus,
+						})
+					}
+				} else {
+					failed++
+				}
+			} catch (error) {
+				console.error(`Error resolving place ${place.id}:`, error)
+				failed++
+			}
+		}
+
+		res.json({
+			ok: true,
+			requested,
+			resolved,
+			failed,
+			preview,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * GET /api/jobs
+ * List background jobs, newest first (optional ?type= and ?status= filters)
+ */
+router.get('/jobs', (req, res) => {
+	try {
+		const { type, status } = req.query
+
+		if (status && !JOB_STATUSES.includes(status)) {
+			return res.status(400).json({
+				ok: false,
+				error: `Invalid status (expected one of: ${JOB_STATUSES.join(', ')})`,
+			})
+		}
+
+		res.json({
+			ok: true,
+			jobs: listJobs(req.user.id, { type, status }),
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * GET /api/jobs/:id
+ * Get job status, progress counts and per-item errors
+ */
+router.get('/jobs/:id', (req, res) => {
+	try {
+		const job = getJob(req.user.id, req.params.id)
+
+		if (!job) {
+			return res.status(404).json({
+				ok: false,
+				error: 'Job not found',
+			})
+		}
+
+		res.json({
+			ok: true,
+			job,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a queued or running job
+ */
+router.post('/jobs/:id/cancel', (req, res) => {
+	try {
+		const job = cancelJob(req.user.id, req.params.id)
+
+		if (!job) {
+			return res.status(404).json({
+				ok: false,
+				error: 'Job not found',
+			})
+		}
+
+		res.json({
+			ok: true,
+			job,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * POST /api/jobs/:id/retry
+ * Queue a new job for the failed items of a finished job
+ */
+router.post('/jobs/:id/retry', (req, res) => {
+	try {
+		const existingJob = getJob(req.user.id, req.params.id)
+
+		if (!existingJob) {
+			return res.status(404).json({
+				ok: false,
+				error: 'Job not found',
+			})
+		}
+
+		const job = retryJob(req.user.id, existingJob.id)
+
+		if (!job) {
+			return res.status(400).json({
+				ok: false,
+				error: existingJob.finishedAt
+					? 'Job has no failed items to retry'
+					: 'Job has not finished yet',
+			})
+		}
+
+		res.status(201).json({
+			ok: true,
+			job,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * GET /api/place-details-cache/stats
+ * Place Details cache size, TTLs and hit/miss counters
+ */
+router.get('/place-details-cache/stats', (req, res) => {
+	try {
+		res.json({
+			ok: true,
+			stats: getPlaceDetailsCacheStats(),
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * DELETE /api/place-details-cache
+ * Clear the cached Place Details of the user's places (the cache is shared by all accounts,
+ * so other users' entries are kept)
+ * Query: placeId (optional) - only drop this place
+ */
+router.delete('/place-details-cache', (req, res) => {
+	try {
+		const ownPlaceIds = new Set(
+			getAllPlaces(req.user.id)
+				.map(place => place.placeId)
+				.filter(Boolean)
+		)
+		const { placeId } = req.query
+		if (placeId && !ownPlaceIds.has(placeId)) {
+			return res.status(404).json({
+				ok: false,
+				error: 'Place not found',
+			})
+		}
+
+		const removed = clearPlaceDetailsCache(placeId ? [placeId] : [...ownPlaceIds])
+
+		res.json({
+			ok: true,
+			removed,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * GET /api/place-details/:placeId
+ * Get detailed information for a place using Google Places API
+ * Served from the server-side cache; pass ?refresh=true to bypass it
+ */
+router.get('/place-details/:placeId', async (req, res) => {
+	try {
+		const { placeId } = req.params
+
+		if (!placeId) {
+			return res.status(400).json({
+				ok: false,
+				error: 'Place ID is required',
+			})
+		}
+
+		const placeDetails = await fetchPlaceDetails(placeId, {
+			forceRefresh: req.query.refresh === 'true',
+		})
+
+		if (!placeDetails) {
+			return res.status(404).json({
+				ok: false,
+				error: 'Place not found',
+			})
+		}
+
+		res.json({
+			ok: true,
+			place: placeDetails,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message || 'Failed to fetch place details',
+		})
+	}
+})
+
+/**
+ * POST /api/chat-saved
+ * Chat with saved places using Gemini + Google Places enrichment
+ */
+router.post('/chat-saved', handleChatSaved)
+
+/**
+ * POST /api/chat-saved/stream
+ * Same as /chat-saved, streamed as newline-delimited JSON events
+ * (message, result, explanation, then done with the full response)
+ */
+router.post('/chat-saved/stream', handleChatSavedStream)
+
+/**
+ * GET /api/chat-sessions
+ * List chat sessions, most recently used first
+ */
+router.get('/chat-sessions', (req, res) => {
+	try {
+		res.json({
+			ok: true,
+			sessions: listChatSessions(req.user.id),
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * GET /api/chat-sessions/:id
+ * Get a chat session with its full message history
+ */
+router.get('/chat-sessions/:id', (req, res) => {
+	try {
+		const session = getChatSession(req.user.id, req.params.id)
+
+		if (!session) {
+			return res.status(404).json({
+				ok: false,
+				error: 'Chat session not found',
+			})
+		}
+
+		res.json({
+			ok: true,
+			session,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * DELETE /api/chat-sessions/:id
+ * Delete a chat session
+ */
+router.delete('/chat-sessions/:id', (req, res) => {
+	try {
+		if (!deleteChatSession(req.user.id, req.params.id)) {
+			return res.status(404).json({
+				ok: false,
+				error: 'Chat session not found',
+			})
+		}
+
+		res.json({
+			ok: true,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+// Group routes: GroupError carries its own status (404 for unknown codes, 409 when full)
+function sendGroupError(res, error) {
+	if (error instanceof GroupError) {
+		return res.status(error.status).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+	res.status(500).json({
+		ok: false,
+		error: error.message,
+	})
+}
+
+/**
+ * POST /api/groups
+ * Start a group decision on your places; returns the group with its join code
+ * Body: { listName } (optional, all lists if omitted)
+ */
+router.post('/groups', (req, res) => {
+	try {
+		const { listName = null } = req.body || {}
+
+		if (listName !== null && !getListByName(req.user.id, listName)) {
+			return res.status(404).json({
+				ok: false,
+				error: `List "${listName}" not found`,
+			})
+		}
+
+		const group = createGroup(req.user, { listName })
+
+		res.status(201).json({
+			ok: true,
+			group: toPublicGroup(group, req.user.id),
+		})
+	} catch (error) {
+		sendGroupError(res, error)
+	}
+})
+
+/**
+ * POST /api/groups/:code/join
+ * Join a group with the code its host shared
+ */
+router.post('/groups/:code/join', (req, res) => {
+	try {
+		const group = joinGroup(req.params.code, req.user)
+
+		res.json({
+			ok: true,
+			group: toPublicGroup(group, req.user.id),
+		})
+	} catch (error) {
+		sendGroupError(res, error)
+	}
+})
+
+/**
+ * GET /api/groups/:code
+ * Participants, preferences, results and the vote tally (participants only)
+ */
+router.get('/groups/:code', (req, res) => {
+	try {
+		const group = getParticipantGroup(req.params.code, req.user.id)
+
+		res.json({
+			ok: true,
+			group: toPublicGroup(group, req.user.id),
+		})
+	} catch (error) {
+		sendGroupError(res, error)
+	}
+})
+
+/**
+ * PUT /api/groups/:code/preferences
+ * Set your preferences for the group; replaces earlier ones
+ * Body: { message, category, cuisine, price: "cheap" | "mid" | "any", vibe,
+ *   maxDistanceKm, location: { lat, lng } } - all optional; maxDistanceKm is measured from
+ *   location. A free-text message is parsed like a chat message.
+ */
+router.put('/groups/:code/preferences', (req, res) => {
+	try {
+		const group = getParticipantGroup(req.params.code, req.user.id)
+
+		// The host's list tags double as cuisine words, as in chat
+		const vocabulary = group.listName
+			? getListTags(group.hostId, group.listName)
+			: getAllLists(group.hostId).flatMap(list => list.listTags)
+		const { preferences, error } = parseGroupPreferences(req.body || {}, { vocabulary })
+		if (error) {
+			return res.status(400).json({
+				ok: false,
+				error,
+			})
+		}
+
+		res.json({
+			ok: true,
+			group: toPublicGroup(setPreferences(group.code, req.user.id, preferences), req.user.id),
+		})
+	} catch (error) {
+		sendGroupError(res, error)
+	}
+})
+
+/**
+ * POST /api/groups/:code/recommend
+ * Rank the host's places for everyone's preferences and locations (host only)
+ * Categories and cuisines: anyone's; price: what everyone accepts; each participant's
+ * maxDistanceKm is a hard limit from their own location, and places with short, similar trips
+ * for everyone score higher. Replaces earlier results and clears the votes.
+ * Body: { timeZone } (optional, for opening hours)
+ */
+router.post('/groups/:code/recommend', async (req, res) => {
+	try {
+		const group = getParticipantGroup(req.params.code, req.user.id)
+
+		if (group.hostId !== req.user.id) {
+			return res.status(403).json({
+				ok: false,
+				error: 'Only the host can look for places',
+			})
+		}
+
+		const { timeZone } = req.body || {}
+		if (timeZone && !isValidTimeZone(timeZone)) {
+			return res.status(400).json({
+				ok: false,
+				error: `Unknown timeZone "${timeZone}"`,
+			})
+		}
+
+		const members = [...group.participants.values()].map(({ userId, preferences }) => ({
+			userId,
+			preferences,
+		}))
+		const { criteria, results } = await getGroupRecommendations(getAllPlaces(group.hostId), members, {
+			listName: group.listName,
+			timeZone: timeZone || undefined,
+		})
+
+		res.json({
+			ok: true,
+			group: toPublicGroup(setResults(group.code, results, criteria), req.user.id),
+		})
+	} catch (error) {
+		sendGroupError(res, error)
+	}
+})
+
+/**
+ * PUT /api/groups/:code/vote
+ * Vote for one of the group's results, or withdraw your vote
+ * Body: { placeId } (null to withdraw)
+ */
+router.put('/groups/:code/vote', (req, res) => {
+	try {
+		const { placeId } = req.body || {}
+
+		if (placeId !== null && typeof placeId !== 'string') {
+			return res.status(400).json({
+				ok: false,
+				error: 'placeId must be a string or null',
+			})
+		}
+
+		res.json({
+			ok: true,
+			group: toPublicGroup(castVote(req.params.code, req.user.id, placeId), req.user.id),
+		})
+	} catch (error) {
+		sendGroupError(res, error)
+	}
+})
+
+/**
+ * GET /api/groups/:code/events
+ * Server-Sent Events stream of the group: a 'group' event with the full group (as from
+ * GET /api/groups/:code) on connect and whenever it changes
+ */
+router.get('/groups/:code/events', (req, res) => {
+	let group
+	try {
+		group = getParticipantGroup(req.params.code, req.user.id)
+	} catch (error) {
+		return sendGroupError(res, error)
+	}
+
+	res.writeHead(200, {
+		'Content-Type': 'text/event-stream',
+		'Cache-Control': 'no-cache',
+		Connection: 'keep-alive',
+	})
+	res.write('retry: 3000\n\n')
+
+	const sendGroup = () => {
+		res.write(`event: group\ndata: ${JSON.stringify(toPublicGroup(group, req.user.id))}\n\n`)
+	}
+	const listener = ({ code }) => {
+		if (code === group.code) sendGroup()
+	}
+
+	sendGroup()
+	groupEvents.on('group-updated', listener)
+	const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000)
+
+	req.on('close', () => {
+		clearInterval(heartbeat)
+		groupEvents.off('group-updated', listener)
+	})
+})
+
+// Routes that don't need a token: account register and login, and read-only share links.
+// Mounted in server.js ahead of requireAuth.
+export const publicRouter = express.Router()
+
+// Respond to a failed register or login
+function sendAuthError(res, error) {
+	if (error instanceof AuthError) {
+		return res.status(error.status).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+	res.status(500).json({
+		ok: false,
+		error: error.message,
+	})
+}
+
+/**
+ * POST /api/auth/register
+ * Create an account ({ username, password }) and log it in
+ * Returns { user, token }; send the token as "Authorization: Bearer <token>"
+ */
+publicRouter.post('/auth/register', async (req, res) => {
+	try {
+		const { username, password } = req.body || {}
+		const { user, token } = await registerUser(username, password)
+
+		res.status(201).json({
+			ok: true,
+			user,
+			token,
+		})
+	} catch (error) {
+		sendAuthError(res, error)
+	}
+})
+
+/**
+ * POST /api/auth/login
+ * Log in with { username, password }; returns { user, token }
+ */
+publicRouter.post('/auth/login', async (req, res) => {
+	try {
+		const { username, password } = req.body || {}
+		const { user, token } = await loginUser(username, password)
+
+		res.json({
+			ok: true,
+			user,
+			token,
+		})
+	} catch (error) {
+		sendAuthError(res, error)
+	}
+})
+
+/**
+ * POST /api/auth/logout
+ * Revoke the token the request was made with
+ */
+publicRouter.post('/auth/logout', requireAuth, (req, res) => {
+	try {
+		revokeToken(getRequestToken(req))
+
+		res.json({
+			ok: true,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * GET /api/auth/me
+ * The logged-in user
+ */
+publicRouter.get('/auth/me', requireAuth, (req, res) => {
+	res.json({
+		ok: true,
+		user: req.user,
+	})
+})
+
+/**
+ * GET /api/shared/:token
+ * Read-only view of a shared list and its places (no login needed; see POST
+ * /api/lists/:listName/share-link)
+ */
+publicRouter.get('/shared/:token', (req, res) => {
+	try {
+		const list = getListByShareToken(req.params.token)
+
+		if (!list) {
+			return res.status(404).json({
+				ok: false,
+				error: 'Shared list not found',
+			})
+		}
+
+		const places = getPlacesByListName(list.ownerId, list.name)
+		const { id: _id, ...sharedList } = formatList(list, places.length)
+
+		res.json({
+			ok: true,
+			list: {
+				...sharedList,
+				owner: getUserById(list.ownerId)?.username || null,
+			},
+			places: places.map(toSharedPlace),
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message,
+		})
+	}
+})
+
+/**
+ * GET /api/shared/:token/place-details/:placeId
+ * Place Details for a place in a shared list (see GET /api/place-details/:placeId)
+ */
+publicRouter.get('/shared/:token/place-details/:placeId', async (req, res) => {
+	try {
+		const list = getListByShareToken(req.params.token)
+		const { placeId } = req.params
+
+		if (!list || !getPlacesByListName(list.ownerId, list.name).some(p => p.placeId === placeId)) {
+			return res.status(404).json({
+				ok: false,
+				error: 'Place not found',
+			})
+		}
+
+		const placeDetails = await fetchPlaceDetails(placeId)
+
+		if (!placeDetails) {
+			return res.status(404).json({
+				ok: false,
+				error: 'Place not found',
+			})
+		}
+
+		res.json({
+			ok: true,
+			place: placeDetails,
+		})
+	} catch (error) {
+		res.status(500).json({
+			ok: false,
+			error: error.message || 'Failed to fetch place details',
+		})
+	}
+})
 
 export default router
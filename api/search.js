@@ -0,0 +1,238 @@
+// Full-text search over saved places
+// Matches query words against names, notes, comments, tags, addresses and cached Place Details (type,
+// editorial summary, review text). Matching ignores case and accents ("montreal" finds
+// "Montréal"), accepts prefixes ("ram" finds "ramen") and small typos ("ramne" finds "ramen").
+
+import { getAllPlaces, getListByName, getPlacesByListName } from './data.js'
+import { getCachedPlaceDetails } from './placeDetails.js'
+
+// Searched fields, with how much a match in each counts towards the score
+const FIELDS = [
+	{ field: 'name', label: 'Name', weight: 5, get: ({ place }) => place.name },
+	{ field: 'placeTags', label: 'Tags', weight: 3, get: ({ place }) => (place.placeTags || []).join(', ') },
+	{ field: 'listTags', label: 'List tags', weight: 2, get: ({ listTags }) => listTags.join(', ') },
+	{ field: 'inferredTags', label: 'Suggested tags', weight: 2, get: ({ place }) => (place.inferredTags || []).join(', ') },
+	{ field: 'type', label: 'Type', weight: 2, get: ({ details }) => details?.categories?.primaryDisplayName },
+	{ field: 'notes', label: 'Notes', weight: 1.5, get: ({ place }) => place.notes },
+	{ field: 'comment', label: 'Comment', weight: 1.5, get: ({ place }) => place.comment },
+	{ field: 'address', label: 'Address', weight: 1, get: ({ place }) => place.address },
+	{ field: 'summary', label: 'Summary', weight: 1, get: ({ details }) => details?.about },
+	...[0, 1, 2].map(index => ({
+		field: 'review',
+		label: 'Review',
+		weight: 0.5,
+		get: ({ details }) => details?.reviews?.[index]?.text,
+	})),
+]
+
+// Match quality: exact word, prefix of a word, word within the allowed typos
+const EXACT = 1
+const PREFIX = 0.8
+const TYPO = 0.6
+// Bonus when the whole query appears as a phrase in the name
+const NAME_PHRASE_BONUS = 2
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 200
+// Characters of context kept around the first match in a snippet
+const SNIPPET_CONTEXT = 60
+// Snippets returned per result (the name is highlighted separately)
+const MAX_SNIPPETS = 2
+// Tokenized texts kept between searches (cleared when full)
+const TOKEN_CACHE_SIZE = 20000
+
+// text -> tokens, so unchanged places aren't re-tokenized on every keystroke
+const tokenCache = new Map()
+
+/**
+ * Lower-case and strip accents, keeping a map from each normalized character back to its
+ * position in the original text (so highlights line up with the original)
+ */
+function normalizeText(text) {
+	let normalized = ''
+	const positions = []
+	for (let index = 0; index < text.length; index++) {
+		const folded = text[index].normalize('NFD').replace(/\p{M}/gu, '').toLowerCase()
+		normalized += folded
+		for (let i = 0; i < folded.length; i++) positions.push(index)
+	}
+	return { normalized, positions }
+}
+
+// Words of a text as { word, start, end } with start/end in the original text
+function tokenize(text) {
+	const { normalized, positions } = normalizeText(text)
+	return Array.from(normalized.matchAll(/[\p{L}\p{N}]+/gu), match => ({
+		word: match[0],
+		start: positions[match.index],
+		end: positions[match.index + match[0].length - 1] + 1,
+	}))
+}
+
+function tokenizeCached(text) {
+	let tokens = tokenCache.get(text)
+	if (!tokens) {
+		if (tokenCache.size >= TOKEN_CACHE_SIZE) tokenCache.clear()
+		tokens = tokenize(text)
+		tokenCache.set(text, tokens)
+	}
+	return tokens
+}
+
+// Typos allowed for a query word of this length
+function allowedTypos(length) {
+	if (length <= 3) return 0
+	if (length <= 7) return 1
+	return 2
+}
+
+// Edit distance (insertions, deletions, substitutions and swapped neighbours),
+// or max + 1 once it is known to be larger than max
+function editDistance(a, b, max) {
+	if (Math.abs(a.length - b.length) > max) return max + 1
+
+	let previousPrevious = null
+	let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i]
+		let rowMin = i
+		for (let j = 1; j <= b.length; j++) {
+			const cost = a[i - 1] === b[j - 1] ? 0 : 1
+			let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+			if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+				value = Math.min(value, previousPrevious[j - 2] + 1)
+			}
+			current.push(value)
+			rowMin = Math.min(rowMin, value)
+		}
+		if (rowMin > max) return max + 1
+		previousPrevious = previous
+		previous = current
+	}
+	return previous[b.length]
+}
+
+// How well a word of the text matches a query word (0 = no match)
+function matchQuality(queryWord, word) {
+	if (word === queryWord) return EXACT
+	if (queryWord.length >= 2 && word.startsWith(queryWord)) return PREFIX
+
+	const typos = allowedTypos(queryWord.length)
+	if (typos === 0) return 0
+	// Also compare against the start of longer words, so typos in a prefix still match
+	const distance = Math.min(
+		editDistance(queryWord, word, typos),
+		word.length > queryWord.length ? editDistance(queryWord, word.slice(0, queryWord.length), typos) : Infinity
+	)
+	return distance <= typos ? TYPO * (1 - (distance - 1) * 0.25) : 0
+}
+
+// Cut a text down to the context around its highlights, shifting the highlights to match
+function toSnippet(text, highlights) {
+	const first = highlights[0][0]
+	const start = first > SNIPPET_CONTEXT ? text.lastIndexOf(' ', first - SNIPPET_CONTEXT) + 1 : 0
+	const cutAt = text.indexOf(' ', highlights[0][1] + SNIPPET_CONTEXT)
+	const end = cutAt === -1 ? text.length : cutAt
+
+	const prefix = start > 0 ? '…' : ''
+	const offset = prefix.length - start
+	return {
+		text: `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+		highlights: highlights
+			.filter(([from, to]) => from >= start && to <= end)
+			.map(([from, to]) => [from + offset, to + offset]),
+	}
+}
+
+/**
+ * Search a user's saved places
+ * @param {string} ownerId - User ID
+ * @param {string} query - Search text
+ * @param {Object} options - { listName } only search one list, { limit } max results (default 50)
+ * @returns {Object} - { words, results: [{ id, name, score, nameHighlights, snippets }] }
+ *   nameHighlights: [[start, end]] character ranges of the name to highlight;
+ *   snippets: [{ field, label, text, highlights }] from the other fields that matched
+ */
+export function searchPlaces(ownerId, query, { listName = null, limit = DEFAULT_LIMIT } = {}) {
+	const queryWords = [...new Set(tokenize(String(query || '')).map(token => token.word))]
+	if (queryWords.length === 0) {
+		return { words: [], results: [] }
+	}
+
+	const places = listName ? getPlacesByListName(ownerId, listName) : getAllPlaces(ownerId)
+	const phrase = queryWords.join(' ')
+	// Each distinct word is only compared once per query word
+	const qualityCache = queryWords.map(() => new Map())
+	const qualityOf = (queryIndex, word) => {
+		const cache = qualityCache[queryIndex]
+		if (!cache.has(word)) cache.set(word, matchQuality(queryWords[queryIndex], word))
+		return cache.get(word)
+	}
+	const listTagsCache = new Map()
+
+	const results = []
+	for (const place of places) {
+		if (!listTagsCache.has(place.listName)) {
+			listTagsCache.set(place.listName, getListByName(ownerId, place.listName)?.listTags || place.listTags || [])
+		}
+		const source = {
+			place,
+			listTags: listTagsCache.get(place.listName),
+			details: getCachedPlaceDetails(place.placeId),
+		}
+
+		// Best match per query word, and the highlighted ranges per field
+		const best = queryWords.map(() => 0)
+		const matchedFields = []
+		for (const { field, label, weight, get } of FIELDS) {
+			const text = get(source)
+			if (!text) continue
+
+			const highlights = []
+			for (const token of tokenizeCached(text)) {
+				let matched = false
+				queryWords.forEach((_, queryIndex) => {
+					const quality = qualityOf(queryIndex, token.word)
+					if (quality > 0) {
+						matched = true
+						best[queryIndex] = Math.max(best[queryIndex], quality * weight)
+					}
+				})
+				if (matched) highlights.push([token.start, token.end])
+			}
+			if (highlights.length > 0) {
+				matchedFields.push({ field, label, text, highlights })
+			}
+		}
+
+		// Every query word has to match somewhere
+		if (best.some(score => score === 0)) continue
+
+		let score = best.reduce((sum, value) => sum + value, 0)
+		if (queryWords.length > 1 && normalizeText(place.name || '').normalized.includes(phrase)) {
+			score += NAME_PHRASE_BONUS
+		}
+
+		const nameMatch = matchedFields.find(match => match.field === 'name')
+		results.push({
+			id: place.id,
+			name: place.name,
+			score: Math.round(score * 100) / 100,
+			nameHighlights: nameMatch ? nameMatch.highlights : [],
+			snippets: matchedFields
+				.filter(match => match.field !== 'name')
+				.slice(0, MAX_SNIPPETS)
+				.map(({ field, label, text, highlights }) => ({
+					field,
+					label,
+					...toSnippet(text, highlights),
+				})),
+		})
+	}
+
+	results.sort((a, b) => b.score - a.score || (a.name || '').localeCompare(b.name || ''))
+	return {
+		words: queryWords,
+		results: results.slice(0, Math.min(Math.max(1, limit), MAX_LIMIT)),
+	}
+}
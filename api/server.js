@@ -1,10 +1,10 @@
+// Load environment variables first: modules below read them when they're imported
+import 'dotenv/config'
+import { constants } from 'os'
 import express from 'express'
 import cors from 'cors'
-import dotenv from 'dotenv'
-import routes from './routes.js'
-
-// Load environment variables
-dotenv.config()
+import routes, { publicRouter } from './routes.js'
+import { requireAuth } from './auth.js'
 
 const app = express()
 const PORT = process.env.PORT || 3001
@@ -18,8 +18,11 @@ app.get('/health', (req, res) => {
 	res.json({ ok: true, status: 'healthy' })
 })
 
-// API routes
-app.use('/api', routes)
+// Routes that don't need a token (register, login, read-only share links)
+app.use('/api', publicRouter)
+
+// API routes: every other /api call needs a logged-in user
+app.use('/api', requireAuth, routes)
 
 // 404 handler
 app.use((req, res) => {
@@ -38,6 +41,12 @@ app.use((err, req, res, next) => {
 	})
 })
 
+// Exit on Ctrl+C, termination and nodemon restarts (SIGUSR2), so the stores' 'exit'
+// handlers write out changes that are still waiting to be persisted
+for (const signal of ['SIGINT', 'SIGTERM', 'SIGUSR2']) {
+	process.once(signal, () => process.exit(128 + constants.signals[signal]))
+}
+
 // Start server
 app.listen(PORT, () => {
 	console.log(`Server running on http://localhost:${PORT}`)
@@ -0,0 +1,163 @@
+// Storage adapters for the places store
+// data.js keeps its working set in memory and hands full snapshots to an adapter to persist
+
+import fs from 'fs'
+import path from 'path'
+import { randomUUID } from 'crypto'
+import { fileURLToPath } from 'url'
+
+const DATA_DIR = fileURLToPath(new URL('../data/', import.meta.url))
+const DEFAULT_DATA_FILE = path.join(DATA_DIR, 'store.json')
+
+/**
+ * Path of a file in the data/ directory
+ */
+export function dataFilePath(fileName) {
+	return path.join(DATA_DIR, fileName)
+}
+
+/**
+ * Ordered schema migrations. Each entry upgrades a snapshot to `version`.
+ * Version 0 is any legacy snapshot: a bare places array or a saved GET /api/places response.
+ */
+const migrations = [
+	{
+		version: 1,
+		up: data => ({
+			places: Array.isArray(data) ? data : data?.places || [],
+		}),
+	},
+	{
+		// First-class list records, derived from the listName/listTags carried by each place
+		version: 2,
+		up: data => {
+			const lists = new Map()
+			for (const place of data.places) {
+				if (place.listName && !lists.has(place.listName)) {
+					lists.set(place.listName, {
+						name: place.listName,
+						listTags: place.listTags || [],
+						description: null,
+						color: null,
+						createdAt: place.createdAt || new Date().toISOString(),
+					})
+				}
+			}
+			return { ...data, lists: Array.from(lists.values()) }
+		},
+	},
+	{
+		// Places and lists belong to a user account. Existing data has no owner until the
+		// first account is registered and claims it (see claimUnownedData in data.js)
+		version: 3,
+		up: data => ({
+			...data,
+			places: data.places.map(place => ({ ...place, ownerId: place.ownerId ?? null })),
+			lists: data.lists.map(list => ({ ...list, ownerId: list.ownerId ?? null })),
+		}),
+	},
+	{
+		// Shared lists: an ID collaborators and share links refer to, collaborators with roles,
+		// a read-only share token and an activity log of place changes (see data.js)
+		version: 4,
+		up: data => ({
+			...data,
+			lists: data.lists.map(list => ({
+				...list,
+				id: list.id ?? `list_${randomUUID()}`,
+				collaborators: list.collaborators ?? [],
+				shareToken: list.shareToken ?? null,
+				activity: list.activity ?? [],
+			})),
+		}),
+	},
+]
+
+export const SCHEMA_VERSION = migrations[migrations.length - 1].version
+
+/**
+ * Upgrade a stored snapshot to the current schema version
+ * @param {Object|Array|null} data - Snapshot as read by an adapter
+ * @returns {Object} - Snapshot at SCHEMA_VERSION
+ */
+export function migrate(data) {
+	if (!data) {
+		return migrate({ schemaVersion: 0 })
+	}
+
+	const fromVersion = Array.isArray(data) ? 0 : data.schemaVersion || 0
+	if (fromVersion > SCHEMA_VERSION) {
+		throw new Error(
+			`Store schema version ${fromVersion} is newer than supported version ${SCHEMA_VERSION}`
+		)
+	}
+
+	let migrated = data
+	for (const migration of migrations) {
+		if (migration.version > fromVersion) {
+			migrated = { ...migration.up(migrated), schemaVersion: migration.version }
+		}
+	}
+	return migrated
+}
+
+/**
+ * In-memory adapter (nothing survives a restart). Used by tests and STORAGE_DRIVER=memory.
+ * @param {Object|null} initial - Optional snapshot to start from
+ */
+export function createMemoryAdapter(initial = null) {
+	let snapshot = initial ? structuredClone(initial) : null
+
+	return {
+		name: 'memory',
+		read: () => (snapshot ? structuredClone(snapshot) : null),
+		write: data => {
+			snapshot = structuredClone(data)
+		},
+	}
+}
+
+/**
+ * JSON file adapter. Writes go to a temp file first and are renamed into place
+ * so a crash mid-write never leaves a truncated store behind.
+ * @param {string} filePath - Path of the JSON store file
+ */
+export function createJsonFileAdapter(filePath = DEFAULT_DATA_FILE) {
+	return {
+		name: 'json',
+		filePath,
+		read: () => {
+			if (!fs.existsSync(filePath)) return null
+			const content = fs.readFileSync(filePath, 'utf-8')
+			return content.trim() ? JSON.parse(content) : null
+		},
+		write: data => {
+			fs.mkdirSync(path.dirname(filePath), { recursive: true })
+			const tmpPath = `${filePath}.tmp`
+			fs.writeFileSync(tmpPath, JSON.stringify(data, null, '\t'))
+			fs.renameSync(tmpPath, filePath)
+		},
+	}
+}
+
+/**
+ * Create the adapter selected by environment
+ * STORAGE_DRIVER: "json" (default) or "memory"
+ * STORAGE_FILE: path of the JSON store (defaults to data/store.json)
+ * @param {Object} env - Environment variables
+ * @param {string} defaultFile - JSON file used when STORAGE_FILE isn't set
+ */
+export function createStorageAdapter(env = process.env, defaultFile = DEFAULT_DATA_FILE) {
+	const driver = (env.STORAGE_DRIVER || 'json').toLowerCase()
+
+	switch (driver) {
+		case 'memory':
+			return createMemoryAdapter()
+		case 'json':
+			return createJsonFileAdapter(
+				env.STORAGE_FILE ? path.resolve(env.STORAGE_FILE) : defaultFile
+			)
+		default:
+			throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "json" or "memory")`)
+	}
+}
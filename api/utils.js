@@ -1,82 +1,144 @@
-// Distance and scoring utilities
+// Distance, meal period and time utilities
 
-/**
- * Calculate distance between two coordinates using Haversine formula
- * Returns distance in kilometers
- */
-export function calculateDistance(lat1, lng1, lat2, lng2) {
-	const R = 6371 // Earth's radius in kilometers
-	const dLat = toRadians(lat2 - lat1)
-	const dLng = toRadians(lng2 - lng1)
-
-	const a =
-		Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-		Math.cos(toRadians(lat1)) *
-			Math.cos(toRadians(lat2)) *
-			Math.sin(dLng / 2) *
-			Math.sin(dLng / 2)
-
-	const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
-	return R * c
+import { MINUTES_PER_DAY, getLocalTime, isOpenDuring } from '../shared/openingHours.js'
+
+export { calculateDistance } from '../shared/geo.js'
+export { getLocalTime, isOpenDuring, isValidTimeZone } from '../shared/openingHours.js'
+
+// Meal periods as local [start, end) minutes after midnight; late-night runs past midnight
+export const MEAL_PERIODS = {
+	breakfast: { start: 5 * 60, end: 10 * 60 },
+	brunch: { start: 10 * 60, end: 11 * 60 + 30 },
+	lunch: { start: 11 * 60 + 30, end: 16 * 60 },
+	dinner: { start: 16 * 60, end: 22 * 60 },
+	'late-night': { start: 22 * 60, end: 29 * 60 },
+}
+
+// Loose timeOfDay values accepted alongside the meal period names
+const TIME_OF_DAY_ALIASES = {
+	morning: 'breakfast',
+	midday: 'lunch',
+	noon: 'lunch',
+	afternoon: 'lunch',
+	evening: 'dinner',
+	night: 'late-night',
+	'late night': 'late-night',
+	latenight: 'late-night',
+}
+
+// Points per meal period for places matching the keywords (place type, tags, Google types)
+const MEAL_PERIOD_BOOSTS = {
+	breakfast: [
+		{ keywords: ['cafe', 'coffee', 'bakery', 'breakfast'], points: 15 },
+		{ keywords: ['bar', 'pub', 'night_club', 'cocktail'], points: -10 },
+	],
+	brunch: [
+		{ keywords: ['brunch', 'cafe', 'coffee', 'bakery', 'breakfast'], points: 15 },
+		{ keywords: ['night_club'], points: -10 },
+	],
+	lunch: [
+		{ keywords: ['restaurant', 'sandwich', 'deli', 'food', 'lunch'], points: 10 },
+		{ keywords: ['night_club'], points: -10 },
+	],
+	dinner: [
+		{ keywords: ['restaurant', 'dinner'], points: 10 },
+		{ keywords: ['bar', 'wine'], points: 5 },
+	],
+	'late-night': [
+		{ keywords: ['bar', 'pub', 'night_club', 'cocktail', 'late'], points: 15 },
+		{ keywords: ['cafe', 'coffee', 'bakery', 'breakfast', 'brunch'], points: -10 },
+	],
 }
 
-function toRadians(degrees) {
-	return degrees * (Math.PI / 180)
+// Points taken off places whose opening hours show they are closed for the whole window
+const CLOSED_PENALTY = 25
+
+function findMealPeriod(minutes) {
+	for (const [period, { start, end }] of Object.entries(MEAL_PERIODS)) {
+		if (
+			(minutes >= start && minutes < end) ||
+			(minutes + MINUTES_PER_DAY >= start && minutes + MINUTES_PER_DAY < end)
+		) {
+			return period
+		}
+	}
+	return 'late-night'
 }
 
 /**
- * Score a place based on various factors
- * Returns a score from 0-100
+ * Work out the meal period and time window a request is about
+ * @param {Object} context - { timeOfDay } a meal period or alias ("morning", "evening"), "any" to disable,
+ *   { time } requested time (default now), { timeZone } the user's IANA timezone
+ * @returns {Object|null} - { period, day, window: { start, end } } with the window in minutes after
+ *   midnight of `day` (end may run past midnight), or null for timeOfDay "any"
  */
-export function scorePlace(place, context = {}) {
-	let score = 50 // Base score
-
-	// Distance scoring (closer = higher score)
-	if (context.userLat && context.userLng) {
-		const distance = calculateDistance(
-			context.userLat,
-			context.userLng,
-			place.lat,
-			place.lng
-		)
-		// Closer places get higher scores (max 30 points for distance)
-		const distanceScore = Math.max(0, 30 - distance * 2)
-		score += distanceScore
-	}
+export function getMealPeriod(context = {}) {
+	const requested = String(context.timeOfDay || '').toLowerCase().trim()
+	if (requested === 'any') return null
 
-	// Time of day scoring
-	if (context.timeOfDay && place.type) {
-		// TODO: Implement time-based scoring logic
-		// e.g., breakfast places score higher in morning
-	}
+	const { day, minutes } = getLocalTime(context.time || new Date(), context.timeZone)
+	const named = MEAL_PERIODS[requested] ? requested : TIME_OF_DAY_ALIASES[requested]
 
-	// Category/type matching
-	if (context.category && place.type === context.category) {
-		score += 20
+	if (named) {
+		// A named period covers the whole period on the requested day
+		return { period: named, day, window: { ...MEAL_PERIODS[named] } }
 	}
 
-	// Price level matching
-	if (context.priceLevel !== undefined && place.priceLevel === context.priceLevel) {
-		score += 10
+	// Otherwise the window runs from the requested time to the end of its period
+	const period = findMealPeriod(minutes)
+	const { end } = MEAL_PERIODS[period]
+	const start = minutes < MEAL_PERIODS[period].start ? minutes + MINUTES_PER_DAY : minutes
+	return {
+		period,
+		day: start >= MINUTES_PER_DAY ? (day + 6) % 7 : day,
+		window: { start, end },
 	}
+}
 
-	// Vibe/mood matching
-	if (context.vibe && place.vibe === context.vibe) {
-		score += 10
-	}
+// Lower-cased words describing what a place is
+function getPlaceKeywords(place) {
+	return [
+		place.type,
+		...(place.tags || []),
+		...(place.placeTags || []),
+		...(place.types || []),
+		...(place.categories?.types || []),
+		place.categories?.primary,
+	]
+		.filter(Boolean)
+		.map(keyword => String(keyword).toLowerCase())
+}
 
-	return Math.min(100, Math.max(0, score))
+// Whole-word match, so "bar" matches "wine bar" and "bars" but not "barbecue"
+function matchesKeyword(keyword, match) {
+	if (match.includes('_')) return keyword.includes(match)
+	return keyword
+		.split(/[\s_\-/&,]+/)
+		.some(word => word === match || word === `${match}s` || word === `${match}es`)
 }
 
 /**
- * Sort places by score (descending)
+ * Points for how well a place suits a meal period: its kind of place, and a penalty
+ * when its opening hours show it closed for the whole window
+ * @param {Object} place - Place, optionally merged with Place Details
+ * @param {Object|null} mealPeriod - From getMealPeriod
+ * @returns {Array} - [{ reason, points }]
  */
-export function sortByScore(places, context) {
-	return places
-		.map(place => ({
-			place,
-			score: scorePlace(place, context),
-		}))
-		.sort((a, b) => b.score - a.score)
-		.map(item => item.place)
+export function getMealPeriodBoosts(place, mealPeriod) {
+	if (!mealPeriod) return []
+	const boosts = []
+
+	const keywords = getPlaceKeywords(place)
+	for (const { keywords: matches, points } of MEAL_PERIOD_BOOSTS[mealPeriod.period]) {
+		if (keywords.some(keyword => matches.some(match => matchesKeyword(keyword, match)))) {
+			boosts.push({ reason: mealPeriod.period, points })
+			break
+		}
+	}
+
+	const periods = place.regularOpeningHours?.periods || place.openingHours?.periods
+	if (isOpenDuring(periods, mealPeriod.day, mealPeriod.window) === false) {
+		boosts.push({ reason: `closed during ${mealPeriod.period}`, points: -CLOSED_PENALTY })
+	}
+	return boosts
 }
@@ -0,0 +1,33 @@
+// Geo helpers, shared by the API and the frontend
+
+const EARTH_RADIUS_KM = 6371
+
+function toRadians(degrees) {
+	return degrees * (Math.PI / 180)
+}
+
+/**
+ * Calculate distance between two coordinates using Haversine formula
+ * Returns distance in kilometers
+ */
+export function calculateDistance(lat1, lng1, lat2, lng2) {
+	const dLat = toRadians(lat2 - lat1)
+	const dLng = toRadians(lng2 - lng1)
+
+	const a =
+		Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+		Math.cos(toRadians(lat1)) *
+			Math.cos(toRadians(lat2)) *
+			Math.sin(dLng / 2) *
+			Math.sin(dLng / 2)
+
+	const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+	return EARTH_RADIUS_KM * c
+}
+
+/**
+ * Whether a value has usable lat/lng coordinates
+ */
+export function hasCoordinates(point) {
+	return Boolean(point) && Number.isFinite(point.lat) && Number.isFinite(point.lng)
+}
@@ -0,0 +1,376 @@
+// Opening hours engine, shared by the API and the frontend
+// Works on Places API regularOpeningHours.periods: [{ open: { day, hour, minute }, close }] with
+// day 0 = Sunday in the place's local time. A period without a close is open 24 hours.
+//
+// Moments are { day, minutes }: a weekday and minutes after midnight of that day (minutes may
+// run past midnight, e.g. 25 * 60 for 1am the next day).
+// openAt values (chat slots and the status filter) are { day, minutes, durationMinutes }:
+//   day null = today, minutes null = now (or the whole day when a day is given),
+//   durationMinutes = how long the place has to stay open
+
+export const MINUTES_PER_DAY = 24 * 60
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY
+
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+const SHORT_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+/**
+ * Whether a string is an IANA timezone this runtime knows
+ */
+export function isValidTimeZone(timeZone) {
+	try {
+		new Intl.DateTimeFormat('en-US', { timeZone })
+		return true
+	} catch {
+		return false
+	}
+}
+
+/**
+ * Local weekday (0 = Sunday) and minutes after midnight of a time in a timezone
+ * @param {Date|string|number} time - Time to convert (default now)
+ * @param {string} timeZone - IANA timezone (default the runtime's)
+ */
+export function getLocalTime(time = new Date(), timeZone = undefined) {
+	const parts = new Intl.DateTimeFormat('en-US', {
+		timeZone,
+		weekday: 'short',
+		hour: 'numeric',
+		minute: 'numeric',
+		hourCycle: 'h23',
+	}).formatToParts(new Date(time))
+	const get = type => parts.find(part => part.type === type)?.value
+
+	return {
+		day: SHORT_WEEKDAYS.indexOf(get('weekday')),
+		minutes: Number(get('hour')) * 60 + Number(get('minute')),
+	}
+}
+
+function toWeekMinutes(point) {
+	return point.day * MINUTES_PER_DAY + (point.hour || 0) * 60 + (point.minute || 0)
+}
+
+// Opening periods as [start, end) minutes from the start of the week, repeated for the weeks
+// either side (so times around Saturday night line up) and merged where one period runs
+// straight into the next. null if the hours are unknown.
+function toIntervals(periods) {
+	if (!Array.isArray(periods) || periods.length === 0) return null
+
+	// Open 24 hours
+	if (periods.some(({ open, close }) => open && !close)) {
+		return [{ start: -Infinity, end: Infinity }]
+	}
+
+	const week = periods
+		.filter(({ open, close }) => open && close)
+		.map(({ open, close }) => {
+			const start = toWeekMinutes(open)
+			let end = toWeekMinutes(close)
+			if (end <= start) end += MINUTES_PER_WEEK
+			return { start, end }
+		})
+
+	const intervals = [-MINUTES_PER_WEEK, 0, MINUTES_PER_WEEK]
+		.flatMap(shift => week.map(({ start, end }) => ({ start: start + shift, end: end + shift })))
+		.sort((a, b) => a.start - b.start)
+
+	const merged = []
+	for (const interval of intervals) {
+		const last = merged[merged.length - 1]
+		if (last && interval.start <= last.end) {
+			last.end = Math.max(last.end, interval.end)
+		} else {
+			merged.push(interval)
+		}
+	}
+	return merged
+}
+
+function toMoment({ day, minutes }) {
+	return day * MINUTES_PER_DAY + minutes
+}
+
+/**
+ * Whether opening hours overlap a window
+ * @param {Array} periods - regularOpeningHours.periods
+ * @param {number} day - Weekday of the window (0 = Sunday)
+ * @param {Object} window - { start, end } minutes after midnight of `day` (end may run past midnight)
+ * @returns {boolean|null} - null if the hours are unknown
+ */
+export function isOpenDuring(periods, day, window) {
+	const intervals = toIntervals(periods)
+	if (!intervals) return null
+
+	const start = day * MINUTES_PER_DAY + window.start
+	const end = day * MINUTES_PER_DAY + window.end
+	return intervals.some(interval => interval.start < end && interval.end > start)
+}
+
+/**
+ * Whether a place stays open from a moment for the given number of minutes
+ * @param {Array} periods - regularOpeningHours.periods
+ * @param {Object} at - { day, minutes }
+ * @param {number} durationMinutes - 0 to only check the moment itself
+ * @returns {boolean|null} - null if the hours are unknown
+ */
+export function isOpenFor(periods, at, durationMinutes = 0) {
+	const intervals = toIntervals(periods)
+	if (!intervals) return null
+
+	const moment = toMoment(at)
+	const interval = intervals.find(({ start, end }) => start <= moment && moment < end)
+	return Boolean(interval) && interval.end >= moment + durationMinutes
+}
+
+/**
+ * Whether a place is open at a moment
+ * @returns {boolean|null} - null if the hours are unknown
+ */
+export function isOpenAt(periods, at) {
+	return isOpenFor(periods, at, 0)
+}
+
+/**
+ * Open/closed status at a moment and when it next changes
+ * @param {Array} periods - regularOpeningHours.periods
+ * @param {Object} at - { day, minutes }
+ * @param {Object} options - { soonMinutes } how close a change counts as "soon" (default 30)
+ * @returns {Object|null} - { status: 'open' | 'closed', action: 'closes' | 'opens', minutesUntilChange, soon }
+ *   minutesUntilChange is null when nothing changes (open 24 hours, or never opens);
+ *   null if the hours are unknown
+ */
+export function getOpeningStatus(periods, at, { soonMinutes = 30 } = {}) {
+	const intervals = toIntervals(periods)
+	if (!intervals) return null
+
+	const moment = toMoment(at)
+	const current = intervals.find(({ start, end }) => start <= moment && moment < end)
+	const changeAt = current ? current.end : intervals.find(({ start }) => start > moment)?.start
+	const minutesUntilChange = Number.isFinite(changeAt) ? changeAt - moment : null
+
+	return {
+		status: current ? 'open' : 'closed',
+		action: current ? 'closes' : 'opens',
+		minutesUntilChange,
+		soon: minutesUntilChange !== null && minutesUntilChange <= soonMinutes,
+	}
+}
+
+const DAY_PATTERN = /\b(sunday|monday|tuesday|wednesday|thursday|friday|saturday)s?\b/
+const RELATIVE_DAY_PATTERN = /\b(today|tonight|this evening|tomorrow)\b/
+const CLOCK_PATTERN = /\b(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)(?![\p{L}])/u
+const TWENTY_FOUR_HOUR_PATTERN = /\b([01]?\d|2[0-3]):([0-5]\d)\b/
+const BARE_HOUR_PATTERN = /\b(?:at|around|by|until|till) (\d{1,2})\b(?!\s*(?:[:.]|km|mi|m\b|min|hours?|hrs?|%))/
+// Words that make a bare "at 9" a time of day rather than a count ("top 5 at 10 places")
+const TIME_CONTEXT_PATTERN =
+	/\b(open|opens|opening|closes?|closing|morning|afternoon|evening|night|tonight|o'?clock|breakfast|brunch|lunch|dinner|supper)\b/
+const NAMED_TIMES = [
+	{ pattern: /\b(noon|midday)\b/, minutes: 12 * 60 },
+	{ pattern: /\bmidnight\b/, minutes: MINUTES_PER_DAY },
+]
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, 'half an': 0.5, 'half a': 0.5 }
+const DURATION_PATTERN =
+	/\bfor (?:the next |another |at least |a good )?(\d+(?:\.\d+)?|an?|one|two|three|four|five|six|half an?) (hours?|hrs?|minutes?|mins?)\b/
+const IN_PATTERN = /\bin (\d+(?:\.\d+)?|an?|one|two|three|half an?) (hours?|hrs?|minutes?|mins?)\b/
+// "tonight" without a time
+const EVENING_MINUTES = 20 * 60
+
+function toMinutes(amount, unit) {
+	const value = NUMBER_WORDS[amount] ?? parseFloat(amount)
+	return Math.round(value * (unit.startsWith('h') ? 60 : 1))
+}
+
+// bareHour: whether "at 9" alone counts as a time (only with a day or time word nearby)
+function parseClock(text, evening, bareHour = true) {
+	const clock = text.match(CLOCK_PATTERN)
+	if (clock) {
+		const hour = Number(clock[1]) % 12 + (clock[3].startsWith('p') ? 12 : 0)
+		return hour * 60 + Number(clock[2] || 0)
+	}
+
+	const twentyFourHour = text.match(TWENTY_FOUR_HOUR_PATTERN)
+	if (twentyFourHour) {
+		return Number(twentyFourHour[1]) * 60 + Number(twentyFourHour[2])
+	}
+
+	const named = NAMED_TIMES.find(({ pattern }) => pattern.test(text))
+	if (named) return named.minutes
+
+	// "at 9": afternoon/evening for 1-6, or anything "tonight"
+	const bare = bareHour && text.match(BARE_HOUR_PATTERN)
+	if (bare && Number(bare[1]) >= 1 && Number(bare[1]) <= 12) {
+		const hour = Number(bare[1])
+		return ((evening || hour <= 6) && hour < 12 ? hour + 12 : hour) * 60
+	}
+
+	return null
+}
+
+/**
+ * Parse the time a question is about: "saturday 11pm", "tonight at 9", "tomorrow 8:30am",
+ * "on sunday", "at noon", "dinner at 8", "for the next 2 hours", "in 30 minutes"
+ * @param {string} text - Message or phrase
+ * @param {Object} options - { time } reference time (default now), { timeZone } IANA timezone
+ * @returns {Object|null} - openAt ({ day, minutes, durationMinutes }) or null if no time is mentioned
+ */
+export function parseOpenAt(text, { time = new Date(), timeZone = undefined } = {}) {
+	const lower = String(text || '').toLowerCase()
+	const now = getLocalTime(time, timeZone)
+
+	const duration = lower.match(DURATION_PATTERN)
+	const durationMinutes = duration ? toMinutes(duration[1], duration[2]) : 0
+
+	// "in 30 minutes": a moment relative to now
+	const offset = lower.match(IN_PATTERN)
+	if (offset) {
+		const minutes = now.minutes + toMinutes(offset[1], offset[2])
+		return {
+			day: (now.day + Math.floor(minutes / MINUTES_PER_DAY)) % 7,
+			minutes: minutes % MINUTES_PER_DAY,
+			durationMinutes,
+		}
+	}
+
+	const dayName = lower.match(DAY_PATTERN)?.[1]
+	const relativeDay = lower.match(RELATIVE_DAY_PATTERN)?.[1]
+	// "dinner at 8" is 8pm, like "tonight at 8"
+	const evening =
+		relativeDay === 'tonight' || relativeDay === 'this evening' || /\b(evening|night|dinner|supper)\b/.test(lower)
+	const timeContext = Boolean(dayName || relativeDay) || TIME_CONTEXT_PATTERN.test(lower)
+	let minutes = parseClock(lower, evening, timeContext)
+
+	let day = null
+	if (dayName) {
+		day = WEEKDAY_NAMES.indexOf(dayName[0].toUpperCase() + dayName.slice(1))
+	} else if (relativeDay === 'tomorrow') {
+		day = (now.day + 1) % 7
+	} else if (relativeDay) {
+		day = now.day
+		if (minutes === null && relativeDay !== 'today') minutes = EVENING_MINUTES
+	}
+
+	if (day === null && minutes === null && !durationMinutes) return null
+	// A time of day on its own means today
+	if (day === null && minutes !== null) day = now.day
+	return { day, minutes, durationMinutes }
+}
+
+/**
+ * Normalize an openAt value: parses phrases ("saturday 11pm") and accepts day names,
+ * "today"/"tomorrow" and "HH:MM" times as the LLM returns them
+ * @param {Object|string|null} openAt
+ * @param {Object} options - { time, timeZone } for phrases relative to now
+ * @returns {Object|null} - { day, minutes, durationMinutes } or null
+ */
+export function normalizeOpenAt(openAt, { time = new Date(), timeZone = undefined } = {}) {
+	if (!openAt) return null
+	if (typeof openAt === 'string') return parseOpenAt(openAt, { time, timeZone })
+	if (typeof openAt !== 'object') return null
+
+	let day = null
+	if (typeof openAt.day === 'number' && openAt.day >= 0 && openAt.day <= 6) {
+		day = Math.floor(openAt.day)
+	} else if (typeof openAt.day === 'string') {
+		const name = openAt.day.toLowerCase().trim()
+		const today = getLocalTime(time, timeZone).day
+		if (name === 'tomorrow') day = (today + 1) % 7
+		else if (name === 'today' || name === 'tonight') day = today
+		else {
+			const index = WEEKDAY_NAMES.findIndex(weekday => weekday.toLowerCase().startsWith(name.slice(0, 3)))
+			day = index === -1 ? null : index
+		}
+	}
+
+	let minutes = null
+	const clock = openAt.minutes ?? openAt.time
+	if (typeof clock === 'number' && clock >= 0 && clock <= MINUTES_PER_DAY) {
+		minutes = Math.round(clock)
+	} else if (typeof clock === 'string' && /^\d{1,2}:\d{2}$/.test(clock.trim())) {
+		const [hours, mins] = clock.trim().split(':').map(Number)
+		minutes = hours * 60 + mins
+	} else if (typeof clock === 'string') {
+		minutes = parseClock(clock.toLowerCase(), false)
+	}
+
+	const durationMinutes = Math.max(0, Math.round(Number(openAt.durationMinutes) || 0))
+	if (day === null && minutes === null && !durationMinutes) return null
+	if (day === null && minutes !== null) day = getLocalTime(time, timeZone).day
+	return { day, minutes, durationMinutes }
+}
+
+/**
+ * Whether a place is open at an openAt time (or now)
+ * Uses the periods when known; for "now" the Places API openNow flag is used instead
+ * @param {Object} openingHours - Place Details openingHours: { openNow, periods }
+ * @param {Object|null} openAt - { day, minutes, durationMinutes } (null for now)
+ * @param {Object} options - { time, timeZone } what "now" is
+ * @returns {boolean|null} - null if it can't be told
+ */
+export function isPlaceOpen(openingHours, openAt = null, { time = new Date(), timeZone = undefined } = {}) {
+	if (!openingHours) return null
+	const { periods, openNow } = openingHours
+	const durationMinutes = openAt?.durationMinutes || 0
+
+	// A day without a time: open at some point that day
+	if (openAt && openAt.day !== null && openAt.day !== undefined && (openAt.minutes === null || openAt.minutes === undefined)) {
+		return isOpenDuring(periods, openAt.day, { start: 0, end: MINUTES_PER_DAY })
+	}
+
+	const isNow = !openAt || openAt.minutes === null || openAt.minutes === undefined
+	if (isNow && !durationMinutes && typeof openNow === 'boolean') {
+		return openNow
+	}
+
+	const at = isNow ? getLocalTime(time, timeZone) : { day: openAt.day, minutes: openAt.minutes }
+	return isOpenFor(periods, at, durationMinutes)
+}
+
+/**
+ * "23:30" for minutes after midnight ("" for null), as time inputs and query strings use
+ */
+export function toClockString(minutes) {
+	if (minutes === null || minutes === undefined) return ''
+	return `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+}
+
+/**
+ * "11pm", "9:30am", "noon", "midnight"
+ */
+export function formatTimeOfDay(minutes) {
+	const normalized = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY
+	if (normalized === 0) return 'midnight'
+	if (normalized === 12 * 60) return 'noon'
+
+	const hours = Math.floor(normalized / 60)
+	const mins = normalized % 60
+	return `${hours % 12 || 12}${mins ? `:${String(mins).padStart(2, '0')}` : ''}${hours < 12 ? 'am' : 'pm'}`
+}
+
+function formatDuration(minutes) {
+	if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`
+	if (minutes < 60) return `${minutes} minutes`
+	return `${Math.round((minutes / 60) * 10) / 10} hours`
+}
+
+/**
+ * Describe an openAt value: "on Saturday at 11pm", "for the next 2 hours", "on Sunday"
+ * @param {Object|null} openAt
+ * @param {Object} options - { time, timeZone } to say "today" instead of today's weekday
+ */
+export function describeOpenAt(openAt, { time = new Date(), timeZone = undefined } = {}) {
+	if (!openAt) return 'now'
+	const hasDay = openAt.day !== null && openAt.day !== undefined
+	const hasTime = openAt.minutes !== null && openAt.minutes !== undefined
+	const isToday = hasDay && openAt.day === getLocalTime(time, timeZone).day
+
+	const parts = []
+	if (hasDay && !(isToday && hasTime)) {
+		parts.push(isToday ? 'today' : `on ${WEEKDAY_NAMES[openAt.day]}`)
+	}
+	if (hasTime) parts.push(`at ${formatTimeOfDay(openAt.minutes)}`)
+	if (openAt.durationMinutes) {
+		parts.push(`for ${hasTime ? '' : 'the next '}${formatDuration(openAt.durationMinutes)}`)
+	}
+	return parts.join(' ') || 'now'
+}
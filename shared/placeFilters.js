@@ -0,0 +1,288 @@
+// Saved-place filter pipeline, shared by the place list, the map and GET /api/places
+//
+// Filters: { searchQuery, tags, distances, openStatus, openAt, types, rating }
+//   searchQuery - text matched against name, address, tags and notes, or ranked by the
+//     server-side search (GET /api/search) when its results are passed in
+//   tags - place tags; a place needs at least one of them
+//   distances - max distances in km; a place needs to be within any of them (needs a user location)
+//   openStatus - 'open' | 'closed' | null, at openAt (see openingHours.js; null = now)
+//   types - type labels ("Cafe", "Coffee Shop"); a place needs its primary type or one of its types
+//   rating - whole-star rating; matches places whose rating rounds down to it (3.3 -> 3)
+// Status, type and rating come from Place Details, so places without details don't match them.
+
+import { calculateDistance, hasCoordinates } from './geo.js'
+import {
+	MINUTES_PER_DAY,
+	isPlaceOpen,
+	isValidTimeZone,
+	normalizeOpenAt,
+	toClockString,
+} from './openingHours.js'
+
+export const OPEN_STATUSES = ['open', 'closed']
+
+// Google types offered in the type filter (matched as substrings, so "restaurant" covers "italian_restaurant")
+const FILTERABLE_TYPES = [
+	'restaurant',
+	'park',
+	'supermarket',
+	'store',
+	'cafe',
+	'bar',
+	'museum',
+	'library',
+	'gym',
+	'pharmacy',
+	'hospital',
+	'school',
+	'hotel',
+	'gas_station',
+	'bank',
+	'atm',
+	'shopping_mall',
+]
+
+/**
+ * Label for a Google type: "coffee_shop" -> "Coffee Shop"
+ */
+export function formatTypeLabel(type) {
+	return String(type)
+		.replace(/_/g, ' ')
+		.split(' ')
+		.map(word => word.charAt(0).toUpperCase() + word.slice(1))
+		.join(' ')
+}
+
+function getPrimaryTypeLabel(details) {
+	const primary = details?.categories?.primaryDisplayName
+	return typeof primary === 'string' ? primary : primary?.text || null
+}
+
+function getTypeNames(details) {
+	const types = details?.categories?.types
+	if (!Array.isArray(types)) return []
+	return types.map(type => (typeof type === 'string' ? type : type?.text || type)).filter(Boolean)
+}
+
+/**
+ * Type labels available to filter on, from the Place Details of the saved places
+ * @param {Array} detailsList - Place Details objects
+ * @returns {Array<string>} - Sorted labels
+ */
+export function getFilterableTypes(detailsList) {
+	const labels = new Set()
+	for (const details of detailsList) {
+		const primary = getPrimaryTypeLabel(details)
+		if (primary) labels.add(primary)
+
+		for (const type of getTypeNames(details)) {
+			if (FILTERABLE_TYPES.some(filterable => type.toLowerCase().includes(filterable))) {
+				labels.add(formatTypeLabel(type))
+			}
+		}
+	}
+	return Array.from(labels).sort()
+}
+
+/**
+ * Whether any filter narrows the list (searchQuery isn't counted)
+ */
+export function hasActiveFilters(filters = {}) {
+	return (
+		(filters.tags?.length || 0) > 0 ||
+		(filters.distances?.length || 0) > 0 ||
+		(filters.openStatus !== null && filters.openStatus !== undefined) ||
+		(filters.types?.length || 0) > 0 ||
+		(filters.rating !== null && filters.rating !== undefined)
+	)
+}
+
+function matchesSearch(place, query) {
+	return (
+		place.name?.toLowerCase().includes(query) ||
+		place.address?.toLowerCase().includes(query) ||
+		(place.placeTags || []).some(tag => tag.toLowerCase().includes(query)) ||
+		place.notes?.toLowerCase().includes(query) ||
+		false
+	)
+}
+
+function matchesTypes(details, types) {
+	const primary = getPrimaryTypeLabel(details)
+	if (primary && types.includes(primary)) return true
+	return getTypeNames(details).some(type => types.includes(formatTypeLabel(type)))
+}
+
+/**
+ * Filter saved places
+ * @param {Array} places - Saved places
+ * @param {Object} filters - See the top of this file
+ * @param {Object} options - { getDetails } returns the Place Details of a place (or null),
+ *   { userLocation } { lat, lng, timezone } for distances and "now", { time } what "now" is,
+ *   { searchResults } ranked [{ id }] from GET /api/search for searchQuery (null to match locally)
+ * @returns {Array} - Matching places, in their original order or in search rank order
+ */
+export function filterPlaces(
+	places,
+	filters = {},
+	{ getDetails = () => null, userLocation = null, time = new Date(), searchResults = null } = {}
+) {
+	const { searchQuery, tags, distances, openStatus, openAt = null, types, rating } = filters
+	let filtered = places
+
+	const query = searchQuery?.toLowerCase().trim()
+	if (query && searchResults) {
+		const placesById = new Map(places.map(place => [place.id, place]))
+		filtered = searchResults.map(result => placesById.get(result.id)).filter(Boolean)
+	} else if (query) {
+		filtered = filtered.filter(place => matchesSearch(place, query))
+	}
+
+	if (tags?.length > 0) {
+		filtered = filtered.filter(place => (place.placeTags || []).some(tag => tags.includes(tag)))
+	}
+
+	// Without a user location there is nothing to measure from, so distances are ignored
+	if (distances?.length > 0 && hasCoordinates(userLocation)) {
+		filtered = filtered.filter(place => {
+			if (!hasCoordinates(place)) return false
+			const distance = calculateDistance(userLocation.lat, userLocation.lng, place.lat, place.lng)
+			return distances.some(maxDistance => distance <= maxDistance)
+		})
+	}
+
+	if (openStatus === 'open' || openStatus === 'closed') {
+		const timeOptions = { time, timeZone: userLocation?.timezone || undefined }
+		filtered = filtered.filter(place => {
+			const isOpen = isPlaceOpen(getDetails(place)?.openingHours, openAt, timeOptions)
+			if (isOpen === null) return false
+			return openStatus === 'open' ? isOpen : !isOpen
+		})
+	}
+
+	if (types?.length > 0) {
+		filtered = filtered.filter(place => {
+			const details = getDetails(place)
+			return Boolean(details?.categories) && matchesTypes(details, types)
+		})
+	}
+
+	if (rating !== null && rating !== undefined) {
+		filtered = filtered.filter(place => {
+			const details = getDetails(place)
+			return Boolean(details?.rating) && Math.floor(details.rating) === rating
+		})
+	}
+
+	return filtered
+}
+
+function toList(value) {
+	if (value === undefined || value === null || value === '') return []
+	return (Array.isArray(value) ? value : [value])
+		.flatMap(item => String(item).split(','))
+		.map(item => item.trim())
+		.filter(Boolean)
+}
+
+/**
+ * Query string parameters for a set of filters (the inverse of parseFilterQuery)
+ * @param {Object} filters - See the top of this file
+ * @param {Object} userLocation - { lat, lng, timezone }
+ * @returns {URLSearchParams}
+ */
+export function toFilterQuery(filters = {}, userLocation = null) {
+	const params = new URLSearchParams()
+	if (filters.searchQuery?.trim()) params.set('q', filters.searchQuery.trim())
+	if (filters.tags?.length > 0) params.set('tags', filters.tags.join(','))
+	if (filters.distances?.length > 0) params.set('distance', filters.distances.join(','))
+	if (filters.openStatus) params.set('openStatus', filters.openStatus)
+	if (filters.openStatus && filters.openAt) {
+		const { day, minutes, durationMinutes } = filters.openAt
+		if (day !== null && day !== undefined) params.set('openDay', String(day))
+		if (minutes !== null && minutes !== undefined) {
+			params.set('openTime', toClockString(minutes))
+		}
+		if (durationMinutes) params.set('openFor', String(durationMinutes))
+	}
+	if (filters.types?.length > 0) params.set('types', filters.types.join(','))
+	if (filters.rating !== null && filters.rating !== undefined) params.set('rating', String(filters.rating))
+	if (hasCoordinates(userLocation)) {
+		params.set('lat', String(userLocation.lat))
+		params.set('lng', String(userLocation.lng))
+	}
+	if (userLocation?.timezone) params.set('timezone', userLocation.timezone)
+	return params
+}
+
+/**
+ * Read filters from query string parameters
+ * q, tags (comma-separated), distance (km, comma-separated), lat, lng, timezone,
+ * openStatus ('open' | 'closed'), openDay (0-6, 0 = Sunday), openTime ('HH:MM'), openFor (minutes),
+ * types (comma-separated labels), rating (1-5)
+ * @param {Object} query - Parsed query string (e.g. Express req.query)
+ * @returns {Object} - { filters, userLocation, error } error is a message for the first invalid parameter
+ */
+export function parseFilterQuery(query = {}) {
+	const filters = {
+		searchQuery: query.q ? String(query.q) : '',
+		tags: toList(query.tags),
+		distances: toList(query.distance).map(Number),
+		openStatus: query.openStatus ? String(query.openStatus) : null,
+		openAt: null,
+		types: toList(query.types),
+		rating: query.rating !== undefined && query.rating !== '' ? Number(query.rating) : null,
+	}
+	let userLocation = null
+	const result = error => ({ filters, userLocation, error: error || null })
+
+	if (query.lat !== undefined || query.lng !== undefined) {
+		userLocation = { lat: Number(query.lat), lng: Number(query.lng) }
+		if (!hasCoordinates(userLocation)) return result('lat and lng must be numbers')
+	}
+	if (query.timezone) {
+		if (!isValidTimeZone(String(query.timezone))) {
+			return result('timezone must be a valid IANA timezone (e.g., "America/Toronto")')
+		}
+		userLocation = { ...userLocation, timezone: String(query.timezone) }
+	}
+
+	if (filters.distances.some(distance => !Number.isFinite(distance) || distance <= 0)) {
+		return result('distance must be a positive number of kilometers')
+	}
+	if (filters.distances.length > 0 && !hasCoordinates(userLocation)) {
+		return result('distance requires lat and lng')
+	}
+	if (filters.openStatus !== null && !OPEN_STATUSES.includes(filters.openStatus)) {
+		return result(`openStatus must be one of: ${OPEN_STATUSES.join(', ')}`)
+	}
+	if (filters.rating !== null && !(Number.isInteger(filters.rating) && filters.rating >= 1 && filters.rating <= 5)) {
+		return result('rating must be a whole number from 1 to 5')
+	}
+
+	if (query.openDay !== undefined || query.openTime !== undefined || query.openFor !== undefined) {
+		const day = query.openDay !== undefined && query.openDay !== '' ? Number(query.openDay) : null
+		const time = query.openTime ? String(query.openTime).match(/^(\d{1,2}):(\d{2})$/) : null
+		const durationMinutes = query.openFor !== undefined && query.openFor !== '' ? Number(query.openFor) : 0
+
+		if (day !== null && !(Number.isInteger(day) && day >= 0 && day <= 6)) {
+			return result('openDay must be a weekday from 0 (Sunday) to 6')
+		}
+		// 00:00 to 23:59, or 24:00 for the end of the day
+		const openMinutes = time ? Number(time[1]) * 60 + Number(time[2]) : null
+		if (query.openTime && (!time || Number(time[2]) >= 60 || openMinutes > MINUTES_PER_DAY)) {
+			return result('openTime must be a time like 23:30')
+		}
+		if (!(Number.isInteger(durationMinutes) && durationMinutes >= 0)) {
+			return result('openFor must be a whole number of minutes')
+		}
+
+		// A time without a day means today, in the user's timezone
+		filters.openAt = normalizeOpenAt(
+			{ day, minutes: openMinutes, durationMinutes },
+			{ timeZone: userLocation?.timezone }
+		)
+	}
+
+	return result()
+}
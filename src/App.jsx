@@ -2,19 +2,35 @@ import React, { useState } from "react";
 import Header from "./components/Header/Header";
 import LeftPanel from "./components/LeftPanel/LeftPanel";
 import MapPanel from "./components/MapPanel/MapPanel";
+import LoginPanel from "./components/LoginPanel/LoginPanel";
+import useAuth from "./hooks/useAuth";
 import useGeolocation from "./hooks/useGeolocation";
+import usePlaceSearch from "./hooks/usePlaceSearch";
+import { openSharedList } from "./hooks/usePlacesStore";
 import "./App.scss";
 
+// /shared/:token opens a list someone shared, read-only and without logging in
+const sharedToken = window.location.pathname.match(/^\/shared\/([\w-]+)\/?$/)?.[1] || null;
+if (sharedToken) {
+  openSharedList(sharedToken);
+}
+
 const App = () => {
+  const { user } = useAuth();
   const { location, error, loading } = useGeolocation();
   const [selectedPlaceId, setSelectedPlaceId] = useState(null);
   const [selectedTags, setSelectedTags] = useState([]);
   const [selectedDistance, setSelectedDistance] = useState([]);
   const [selectedOpenStatus, setSelectedOpenStatus] = useState(null);
+  const [selectedOpenAt, setSelectedOpenAt] = useState(null); // null = now, else { day, minutes, durationMinutes }
   const [selectedTypes, setSelectedTypes] = useState([]);
   const [selectedMinRating, setSelectedMinRating] = useState(null);
   const [searchQuery, setSearchQuery] = useState("");
+  // Server search covers the user's own places, so share links filter client-side only
+  const { results: searchResults } = usePlaceSearch(sharedToken ? "" : searchQuery);
   const [recommendedPlaceIds, setRecommendedPlaceIds] = useState([]);
+  const [meetingOrigins, setMeetingOrigins] = useState([]); // [{ label, lat, lng }] of a meeting-point chat
+  const [itinerary, setItinerary] = useState(null); // Day plan from chat: { stops: [{ id, label, arrival }] }
   const [isLoadingMarkers, setIsLoadingMarkers] = useState(false);
   const [markerProgress, setMarkerProgress] = useState(0);
 
@@ -38,6 +54,10 @@ const App = () => {
     setSelectedOpenStatus(status);
   };
 
+  const handleOpenAtChange = (openAt) => {
+    setSelectedOpenAt(openAt);
+  };
+
   const handleTypesChange = (types) => {
     setSelectedTypes(types);
   };
@@ -50,6 +70,7 @@ const App = () => {
     setSelectedTags([]);
     setSelectedDistance([]);
     setSelectedOpenStatus(null);
+    setSelectedOpenAt(null);
     setSelectedTypes([]);
     setSelectedMinRating(null);
   };
@@ -67,10 +88,15 @@ const App = () => {
     setMarkerProgress(progress);
   };
 
+  if (!user && !sharedToken) {
+    return <LoginPanel />;
+  }
+
   return (
     <div className="app">
       <Header isLoadingMarkers={isLoadingMarkers} markerProgress={markerProgress} />
-      <div className="app__main-content">
+      {/* Keyed by user so chat and import state don't carry over to the next account */}
+      <div className="app__main-content" key={user?.id || sharedToken}>
         <LeftPanel 
           onPlaceSelect={handlePlaceSelect}
           selectedTags={selectedTags}
@@ -79,18 +105,24 @@ const App = () => {
           onDistanceChange={handleDistanceChange}
           selectedOpenStatus={selectedOpenStatus}
           onOpenStatusChange={handleOpenStatusChange}
+          selectedOpenAt={selectedOpenAt}
+          onOpenAtChange={handleOpenAtChange}
           selectedTypes={selectedTypes}
           onTypesChange={handleTypesChange}
           selectedMinRating={selectedMinRating}
           onMinRatingChange={handleMinRatingChange}
           onClearFilters={handleClearFilters}
           searchQuery={searchQuery}
+          searchResults={searchResults}
           onSearchChange={handleSearchChange}
           onClearSearch={handleClearSearch}
           selectedPlaceId={selectedPlaceId}
           userLocation={location}
           onRecommendedPlaceIdsChange={setRecommendedPlaceIds}
+          onMeetingOriginsChange={setMeetingOrigins}
+          onItineraryChange={setItinerary}
           onMarkerLoadingChange={handleMarkerLoadingChange}
+          readOnly={Boolean(sharedToken)}
         />
         <MapPanel 
           userLocation={location} 
@@ -102,10 +134,14 @@ const App = () => {
           selectedTags={selectedTags}
           selectedDistance={selectedDistance}
           searchQuery={searchQuery}
+          searchResults={searchResults}
           selectedOpenStatus={selectedOpenStatus}
+          selectedOpenAt={selectedOpenAt}
           selectedTypes={selectedTypes}
           selectedMinRating={selectedMinRating}
           recommendedPlaceIds={recommendedPlaceIds}
+          meetingOrigins={meetingOrigins}
+          itinerary={itinerary}
         />
       </div>
     </div>
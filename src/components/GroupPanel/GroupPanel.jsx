@@ -0,0 +1,293 @@
+import React, { useEffect, useState } from "react";
+import { authFetch, withAccessToken } from "../../hooks/useAuth";
+import "./GroupPanel.scss";
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:3001";
+
+const PRICE_OPTIONS = [
+  { value: "", label: "No preference" },
+  { value: "cheap", label: "Cheap" },
+  { value: "mid", label: "Mid-range or nicer" },
+  { value: "any", label: "Any price" },
+];
+
+const EMPTY_PREFERENCES = { message: "", cuisine: "", price: "", maxDistanceKm: "", useLocation: true };
+
+// Form fields from the preferences the server has for us
+const toForm = (preferences) => ({
+  message: preferences?.message || "",
+  cuisine: preferences?.cuisine || "",
+  price: preferences?.price || "",
+  maxDistanceKm: preferences?.maxDistanceKm ?? "",
+  useLocation: true,
+});
+
+const describePreferences = ({ category, cuisine, price, vibe, maxDistanceKm }) =>
+  [cuisine || category, price && price !== "any" && price, vibe, maxDistanceKm && `≤ ${maxDistanceKm} km`]
+    .filter(Boolean)
+    .join(" · ") || "anything";
+
+// Group decision: start a group on the current list (or join one by code), state preferences,
+// and vote on the places found for everyone. Updates from other participants arrive over
+// /api/groups/:code/events.
+const GroupPanel = ({ listName = null, userLocation, onPlaceSelect, onClose }) => {
+  const [group, setGroup] = useState(null);
+  const [joinCode, setJoinCode] = useState("");
+  const [form, setForm] = useState(EMPTY_PREFERENCES);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const code = group?.code;
+
+  // Live participants, results and tally
+  useEffect(() => {
+    if (!code) return undefined;
+    const eventSource = new EventSource(
+      withAccessToken(`${API_BASE_URL}/api/groups/${encodeURIComponent(code)}/events`)
+    );
+    eventSource.addEventListener("group", (event) => setGroup(JSON.parse(event.data)));
+    return () => eventSource.close();
+  }, [code]);
+
+  // POST/PUT to a group endpoint; the response carries the updated group
+  const request = async (path, method, body) => {
+    setError(null);
+    setBusy(true);
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/groups${path}`, {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body || {}),
+      });
+      const data = await response.json();
+      if (!data.ok) {
+        throw new Error(data.error || "Something went wrong");
+      }
+      setGroup(data.group);
+      return data.group;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    const created = await request("", "POST", { listName });
+    if (created) setForm(EMPTY_PREFERENCES);
+  };
+
+  const handleJoin = async (event) => {
+    event.preventDefault();
+    const joined = await request(`/${encodeURIComponent(joinCode.trim())}/join`, "POST");
+    if (joined) setForm(toForm(joined.myPreferences));
+  };
+
+  const handleSavePreferences = (event) => {
+    event.preventDefault();
+    const hasLocation = form.useLocation && userLocation?.lat && userLocation?.lng;
+    request(`/${code}/preferences`, "PUT", {
+      message: form.message || null,
+      cuisine: form.cuisine || null,
+      price: form.price || null,
+      maxDistanceKm: hasLocation && form.maxDistanceKm !== "" ? Number(form.maxDistanceKm) : null,
+      location: hasLocation ? { lat: userLocation.lat, lng: userLocation.lng } : null,
+    });
+  };
+
+  const handleFindPlaces = () => {
+    request(`/${code}/recommend`, "POST", { timeZone: userLocation?.timezone || undefined });
+  };
+
+  const handleVote = (placeId) => {
+    request(`/${code}/vote`, "PUT", { placeId: group.myVote === placeId ? null : placeId });
+  };
+
+  const handleLeave = () => {
+    setGroup(null);
+    setJoinCode("");
+    setError(null);
+  };
+
+  const updateForm = (field) => (event) => {
+    const value = event.target.type === "checkbox" ? event.target.checked : event.target.value;
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  // Start or join
+  if (!group) {
+    return (
+      <div className="group-panel">
+        <div className="group-panel__header">
+          <h3 className="group-panel__title">Decide together</h3>
+          <button className="group-panel__close" onClick={onClose}>Close</button>
+        </div>
+        <p className="group-panel__hint">
+          Start a group on {listName ? `"${listName}"` : "your places"} and share the code, or join a friend's group.
+        </p>
+        <button className="group-panel__primary" onClick={handleCreate} disabled={busy}>
+          Start a group
+        </button>
+        <form className="group-panel__join" onSubmit={handleJoin}>
+          <input
+            className="group-panel__input group-panel__input--code"
+            placeholder="Join code"
+            value={joinCode}
+            onChange={(e) => setJoinCode(e.target.value.toUpperCase())}
+            maxLength={6}
+            required
+          />
+          <button className="group-panel__secondary" type="submit" disabled={busy}>
+            Join
+          </button>
+        </form>
+        {error && <p className="group-panel__error" role="alert">{error}</p>}
+      </div>
+    );
+  }
+
+  const maxVotes = Math.max(1, ...group.results.map((result) => result.votes));
+
+  return (
+    <div className="group-panel">
+      <div className="group-panel__header">
+        <h3 className="group-panel__title">
+          Group <span className="group-panel__code">{group.code}</span>
+        </h3>
+        <button className="group-panel__close" onClick={handleLeave}>Leave</button>
+      </div>
+      <p className="group-panel__hint">
+        {group.isHost ? "Share this code with everyone who's coming." : `Hosted by ${group.host}, from their saved places`}
+        {group.listName && ` · ${group.listName}`}
+      </p>
+
+      {/* Participants */}
+      <ul className="group-panel__participants">
+        {group.participants.map((participant) => (
+          <li key={participant.username} className="group-panel__participant">
+            <span className="group-panel__participant-name">
+              {participant.username}
+              {participant.isHost && " (host)"}
+            </span>
+            <span className="group-panel__participant-preferences">
+              {participant.hasPreferences ? describePreferences(participant.preferences) : "no preferences yet"}
+              {participant.hasLocation && " · 📍"}
+              {participant.hasVoted && " · voted"}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {/* My preferences */}
+      <form className="group-panel__preferences" onSubmit={handleSavePreferences}>
+        <input
+          className="group-panel__input"
+          placeholder="What are you in the mood for? e.g. cozy ramen"
+          value={form.message}
+          onChange={updateForm("message")}
+        />
+        <div className="group-panel__row">
+          <input
+            className="group-panel__input"
+            placeholder="Cuisine"
+            value={form.cuisine}
+            onChange={updateForm("cuisine")}
+          />
+          <select className="group-panel__input" value={form.price} onChange={updateForm("price")}>
+            {PRICE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="group-panel__row">
+          <label className="group-panel__checkbox">
+            <input
+              type="checkbox"
+              checked={form.useLocation}
+              onChange={updateForm("useLocation")}
+              disabled={!userLocation?.lat}
+            />
+            Use my location
+          </label>
+          <input
+            className="group-panel__input group-panel__input--distance"
+            type="number"
+            min="0.1"
+            step="0.1"
+            placeholder="Max km"
+            value={form.maxDistanceKm}
+            onChange={updateForm("maxDistanceKm")}
+            disabled={!form.useLocation || !userLocation?.lat}
+          />
+        </div>
+        <button className="group-panel__secondary" type="submit" disabled={busy}>
+          Save my preferences
+        </button>
+      </form>
+
+      {group.isHost && (
+        <button className="group-panel__primary" onClick={handleFindPlaces} disabled={busy}>
+          {group.results.length > 0 ? "Find places again" : "Find places"}
+        </button>
+      )}
+
+      {error && <p className="group-panel__error" role="alert">{error}</p>}
+
+      {/* Results and tally */}
+      {group.status === "voting" && (
+        <div className="group-panel__results">
+          {group.criteria?.priceConflict && (
+            <p className="group-panel__hint">Your budgets don't overlap, so price was ignored.</p>
+          )}
+          {group.results.length === 0 ? (
+            <p className="group-panel__hint">Nothing fits everyone. Try loosening distances or cuisines.</p>
+          ) : (
+            <>
+              <p className="group-panel__hint">
+                {group.totalVotes} of {group.participants.length} voted
+              </p>
+              {group.results.map((result) => (
+                <div
+                  key={result.placeId}
+                  className={`group-panel__result${group.myVote === result.placeId ? " group-panel__result--voted" : ""}`}
+                >
+                  <div className="group-panel__result-info" onClick={() => group.isHost && onPlaceSelect && onPlaceSelect(result.placeId)}>
+                    <h4 className="group-panel__result-name">{result.name}</h4>
+                    {result.distances.length > 0 && (
+                      <p className="group-panel__result-distances">
+                        {result.distances
+                          .filter(({ distanceKm }) => distanceKm !== null)
+                          .map(({ username, distanceKm }) => `${username} ${distanceKm} km`)
+                          .join(" · ")}
+                      </p>
+                    )}
+                    <div className="group-panel__tally">
+                      <div
+                        className="group-panel__tally-bar"
+                        style={{ width: `${(result.votes / maxVotes) * 100}%` }}
+                      />
+                    </div>
+                    <p className="group-panel__result-voters">
+                      {result.votes} {result.votes === 1 ? "vote" : "votes"}
+                      {result.voters.length > 0 && ` · ${result.voters.join(", ")}`}
+                    </p>
+                  </div>
+                  <button
+                    className="group-panel__vote"
+                    onClick={() => handleVote(result.placeId)}
+                    disabled={busy}
+                  >
+                    {group.myVote === result.placeId ? "Voted" : "Vote"}
+                  </button>
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GroupPanel;
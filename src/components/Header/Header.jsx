@@ -1,8 +1,11 @@
 import React from "react";
 import HeaderLoadingWalker from "./HeaderLoadingWalker";
+import useAuth, { logout } from "../../hooks/useAuth";
 import "./Header.scss";
 
 const Header = ({ isLoadingMarkers = false, markerProgress = 0 }) => {
+  const { user } = useAuth();
+
   return (
     <header className="header">
       <div className="header__content">
@@ -15,6 +18,14 @@ const Header = ({ isLoadingMarkers = false, markerProgress = 0 }) => {
           isLoading={isLoadingMarkers} 
           progress={markerProgress} 
         />
+        {user && (
+          <div className="header__account">
+            <span className="header__username">{user.username}</span>
+            <button className="header__logout-button" type="button" onClick={logout}>
+              Log out
+            </button>
+          </div>
+        )}
       </div>
     </header>
   );
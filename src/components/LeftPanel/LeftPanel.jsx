@@ -1,20 +1,34 @@
 import React, { useState, useRef, useEffect } from "react";
 import PlaceCard from "../PlaceCard/PlaceCard";
+import GroupPanel from "../GroupPanel/GroupPanel";
+import usePlacesStore, { getPlaceDetailsUrl } from "../../hooks/usePlacesStore";
+import { authFetch } from "../../hooks/useAuth";
+import { WEEKDAY_NAMES, describeOpenAt, formatTimeOfDay, getLocalTime, toClockString } from "../../../shared/openingHours.js";
+import { filterPlaces, getFilterableTypes, hasActiveFilters } from "../../../shared/placeFilters.js";
 import "./LeftPanel.scss";
 
-// Helper function to calculate distance between two coordinates (Haversine formula)
-const calculateDistance = (lat1, lng1, lat2, lng2) => {
-  const R = 6371; // Earth's radius in km
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLng = ((lng2 - lng1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLng / 2) *
-      Math.sin(dLng / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distance in km
+// Stable empty list used before data is loaded
+const NO_ITEMS = [];
+
+// Read a newline-delimited JSON response body, calling onEvent for each line as it arrives
+const readNDJSON = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop(); // Keep the incomplete last line for the next chunk
+    lines.filter((line) => line.trim()).forEach((line) => onEvent(JSON.parse(line)));
+  }
+
+  if (buffer.trim()) {
+    onEvent(JSON.parse(buffer));
+  }
 };
 
 const LeftPanel = ({ 
@@ -25,23 +39,28 @@ const LeftPanel = ({
   onDistanceChange,
   selectedOpenStatus,
   onOpenStatusChange,
+  selectedOpenAt = null,
+  onOpenAtChange,
   selectedTypes,
   onTypesChange,
   selectedMinRating,
   onMinRatingChange,
   onClearFilters,
   searchQuery,
+  searchResults = null,
   onSearchChange,
   onClearSearch,
   selectedPlaceId,
   userLocation,
   onRecommendedPlaceIdsChange,
+  onMeetingOriginsChange,
+  onItineraryChange,
   onMarkerLoadingChange,
+  readOnly = false, // Shared list link: browse and filter only (no import, chat or sharing)
 }) => {
   const [importStatus, setImportStatus] = useState("idle"); // idle, processing, done
-  const [dataLoaded, setDataLoaded] = useState(false);
-  const [lists, setLists] = useState([]);
-  const [places, setPlaces] = useState([]);
+  const [dataLoaded, setDataLoaded] = useState(readOnly);
+  const [shareLinkStatus, setShareLinkStatus] = useState(null); // null, "copied", "error"
   const [isListExpanded, setIsListExpanded] = useState(false);
   const [isFiltersDropdownOpen, setIsFiltersDropdownOpen] = useState(false);
   const [openFilterSection, setOpenFilterSection] = useState(null); // 'tags', 'distance', 'status', 'types', 'rating', 'price', or null
@@ -51,13 +70,23 @@ const LeftPanel = ({
   const [chatInput, setChatInput] = useState("");
   const [chatSessionId, setChatSessionId] = useState(null);
   const [chatSlots, setChatSlots] = useState({});
+  const [isSessionPickerOpen, setIsSessionPickerOpen] = useState(false);
+  const [isGroupOpen, setIsGroupOpen] = useState(false);
+  const [chatSessions, setChatSessions] = useState([]);
   const [isLoadingResponse, setIsLoadingResponse] = useState(false);
+  const [coordsJobId, setCoordsJobId] = useState(null);
+  const [coordsJob, setCoordsJob] = useState(null);
   const fileInputRef = useRef(null);
   const filtersDropdownRef = useRef(null);
   const placesListRef = useRef(null);
   const chatInputRef = useRef(null);
   const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:3001";
 
+  // Lists and places come from the shared live store once data is loaded
+  const placesStore = usePlacesStore();
+  const lists = dataLoaded ? placesStore.lists : NO_ITEMS;
+  const places = dataLoaded ? placesStore.places : NO_ITEMS;
+
   const distanceOptions = [
     { value: null, label: "All" },
     { value: 5, label: "< 5 km" },
@@ -86,33 +115,68 @@ const LeftPanel = ({
     };
   }, [isFiltersDropdownOpen]);
 
-  // Fetch lists and places when data is loaded
+  // Follow the coordinate resolution job started by the import
   useEffect(() => {
-    if (!dataLoaded) return;
+    if (!coordsJobId) return;
 
-    const fetchListsAndPlaces = async () => {
+    let cancelled = false;
+    let timeoutId = null;
+
+    const pollJob = async () => {
       try {
-        const response = await fetch(`${API_BASE_URL}/api/places`);
+        const response = await authFetch(`${API_BASE_URL}/api/jobs/${coordsJobId}`);
         const data = await response.json();
+        if (cancelled) return;
 
-        if (data.ok) {
-          if (data.lists && data.lists.length > 0) {
-            setLists(data.lists);
-          }
-          if (data.places && data.places.length > 0) {
-            setPlaces(data.places);
+        if (data.ok && data.job) {
+          setCoordsJob(data.job);
+          if (data.job.status === "queued" || data.job.status === "running") {
+            timeoutId = setTimeout(pollJob, 2000);
           }
         }
       } catch (error) {
-        console.error("Error fetching lists and places:", error);
+        console.error("Error fetching coordinate job status:", error);
+        if (!cancelled) {
+          timeoutId = setTimeout(pollJob, 5000);
+        }
       }
     };
 
-    fetchListsAndPlaces();
-  }, [dataLoaded, API_BASE_URL]);
+    pollJob();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [coordsJobId, API_BASE_URL]);
 
-  // Calculate marker loading progress based on places with coordinates
+  const handleRetryCoords = async () => {
+    if (!coordsJob) return;
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/jobs/${coordsJob.id}/retry`, {
+        method: "POST",
+      });
+      const data = await response.json();
+      if (data.ok && data.job) {
+        setCoordsJob(data.job);
+        setCoordsJobId(data.job.id);
+      }
+    } catch (error) {
+      console.error("Error retrying coordinate job:", error);
+    }
+  };
+
+  // Calculate marker loading progress from the coordinate job, or from places with coordinates
   useEffect(() => {
+    if (coordsJob) {
+      const { total, processed } = coordsJob.progress;
+      const isLoading = coordsJob.status === "queued" || coordsJob.status === "running";
+      if (onMarkerLoadingChange) {
+        onMarkerLoadingChange(isLoading, total > 0 ? processed / total : 1);
+      }
+      return;
+    }
+
     if (!places || places.length === 0) {
       if (onMarkerLoadingChange) {
         onMarkerLoadingChange(false, 0);
@@ -133,7 +197,7 @@ const LeftPanel = ({
     if (onMarkerLoadingChange) {
       onMarkerLoadingChange(isLoading, progress);
     }
-  }, [places, onMarkerLoadingChange]);
+  }, [places, coordsJob, onMarkerLoadingChange]);
 
   // Get unique tags from all places
   const uniqueTags = React.useMemo(() => {
@@ -158,7 +222,7 @@ const LeftPanel = ({
         const batch = placesToFetch.slice(i, i + batchSize);
         const promises = batch.map(async (place) => {
           try {
-            const response = await fetch(`${API_BASE_URL}/api/place-details/${place.placeId}`);
+            const response = await authFetch(getPlaceDetailsUrl(place.placeId));
             const data = await response.json();
             if (data.ok && data.place) {
               return { placeId: place.placeId, details: data.place };
@@ -194,146 +258,39 @@ const LeftPanel = ({
   }, [places, API_BASE_URL]);
 
   // Get unique types from place details
-  const uniqueTypes = React.useMemo(() => {
-    const typesSet = new Set();
-    Object.values(placeDetailsCache).forEach((details) => {
-      if (details?.categories?.primaryDisplayName) {
-        const type = typeof details.categories.primaryDisplayName === 'string'
-          ? details.categories.primaryDisplayName
-          : details.categories.primaryDisplayName?.text;
-        if (type) {
-          typesSet.add(type);
-        }
-      }
-      // Also check types array for common types
-      if (details?.categories?.types && Array.isArray(details.categories.types)) {
-        details.categories.types.forEach(type => {
-          const typeStr = typeof type === 'string' ? type : type?.text || type;
-          // Filter for relevant types
-          const relevantTypes = ['restaurant', 'park', 'supermarket', 'store', 'cafe', 'bar', 'museum', 'library', 'gym', 'pharmacy', 'hospital', 'school', 'hotel', 'gas_station', 'bank', 'atm', 'shopping_mall'];
-          if (relevantTypes.some(rt => typeStr.toLowerCase().includes(rt))) {
-            const displayType = typeStr.replace(/_/g, ' ').split(' ').map(word => 
-              word.charAt(0).toUpperCase() + word.slice(1)
-            ).join(' ');
-            typesSet.add(displayType);
-          }
-        });
-      }
-    });
-    return Array.from(typesSet).sort();
-  }, [placeDetailsCache]);
-
-  // Filter places based on search query, selected tags, and distance
-  const filteredPlaces = React.useMemo(() => {
-    let filtered = places;
-
-    // Filter by search query (name, tags, address)
-    if (searchQuery && searchQuery.trim() !== "") {
-      const query = searchQuery.toLowerCase().trim();
-      filtered = filtered.filter((place) => {
-        // Search in name
-        if (place.name && place.name.toLowerCase().includes(query)) {
-          return true;
-        }
-        // Search in address
-        if (place.address && place.address.toLowerCase().includes(query)) {
-          return true;
-        }
-        // Search in tags
-        if (place.placeTags && place.placeTags.length > 0) {
-          if (place.placeTags.some((tag) => tag.toLowerCase().includes(query))) {
-            return true;
-          }
-        }
-        // Search in notes
-        if (place.notes && place.notes.toLowerCase().includes(query)) {
-          return true;
-        }
-        return false;
-      });
-    }
-
-    // Filter by tags
-    if (selectedTags && selectedTags.length > 0) {
-      filtered = filtered.filter((place) => {
-        if (!place.placeTags || place.placeTags.length === 0) {
-          return false;
-        }
-        // Check if place has at least one of the selected tags
-        return place.placeTags.some((tag) => selectedTags.includes(tag));
-      });
-    }
-
-    // Filter by distance (multiple distances allowed)
-    if (selectedDistance && selectedDistance.length > 0 && userLocation && userLocation.lat && userLocation.lng) {
-      filtered = filtered.filter((place) => {
-        if (!place.lat || !place.lng) {
-          return false;
-        }
-        const distance = calculateDistance(
-          userLocation.lat,
-          userLocation.lng,
-          place.lat,
-          place.lng
-        );
-        // Check if distance falls within any of the selected ranges
-        return selectedDistance.some(maxDistance => distance <= maxDistance);
-      });
-    }
-
-    // Filter by open status
-    if (selectedOpenStatus !== null) {
-      filtered = filtered.filter((place) => {
-        const details = placeDetailsCache[place.placeId];
-        if (!details?.openingHours) return false;
-        const isOpen = details.openingHours.openNow;
-        return selectedOpenStatus === 'open' ? isOpen === true : isOpen === false;
-      });
-    }
-
-    // Filter by types
-    if (selectedTypes && selectedTypes.length > 0) {
-      filtered = filtered.filter((place) => {
-        const details = placeDetailsCache[place.placeId];
-        if (!details?.categories) return false;
-        
-        const primaryType = typeof details.categories.primaryDisplayName === 'string'
-          ? details.categories.primaryDisplayName
-          : details.categories.primaryDisplayName?.text;
-        
-        if (primaryType && selectedTypes.includes(primaryType)) {
-          return true;
-        }
-        
-        // Check types array
-        if (details.categories.types && Array.isArray(details.categories.types)) {
-          return details.categories.types.some(type => {
-            const typeStr = typeof type === 'string' ? type : type?.text || type;
-            const displayType = typeStr.replace(/_/g, ' ').split(' ').map(word => 
-              word.charAt(0).toUpperCase() + word.slice(1)
-            ).join(' ');
-            return selectedTypes.includes(displayType);
-          });
-        }
-        
-        return false;
-      });
-    }
-
-    // Filter by rating (exact match - round down rating, e.g., 3.3 -> 3)
-    if (selectedMinRating !== null) {
-      filtered = filtered.filter((place) => {
-        const details = placeDetailsCache[place.placeId];
-        if (!details?.rating) return false;
-        // Round down the rating and check for exact match (e.g., 3.3 -> 3, matches rating 3)
-        const ratingFloor = Math.floor(details.rating);
-        return ratingFloor === selectedMinRating;
-      });
-    }
-
+  const uniqueTypes = React.useMemo(
+    () => getFilterableTypes(Object.values(placeDetailsCache)),
+    [placeDetailsCache]
+  );
 
-    return filtered;
-  }, [places, searchQuery, selectedTags, selectedDistance, selectedOpenStatus, selectedTypes, selectedMinRating, userLocation, placeDetailsCache]);
+  // Filter places based on search query, selected tags, distance, status, types and rating
+  const filters = React.useMemo(
+    () => ({
+      searchQuery,
+      tags: selectedTags,
+      distances: selectedDistance,
+      openStatus: selectedOpenStatus,
+      openAt: selectedOpenAt,
+      types: selectedTypes,
+      rating: selectedMinRating,
+    }),
+    [searchQuery, selectedTags, selectedDistance, selectedOpenStatus, selectedOpenAt, selectedTypes, selectedMinRating]
+  );
+  const filteredPlaces = React.useMemo(
+    () =>
+      filterPlaces(places, filters, {
+        getDetails: (place) => placeDetailsCache[place.placeId],
+        userLocation,
+        searchResults,
+      }),
+    [places, filters, userLocation, placeDetailsCache, searchResults]
+  );
+  // Highlighted name and snippets per place, while the search box has server results
+  const searchMatches = React.useMemo(
+    () => new Map((searchResults || []).map((result) => [result.id, result])),
+    [searchResults]
+  );
+  const filtersActive = hasActiveFilters(filters);
 
   // Scroll to selected place when selectedPlaceId changes
   useEffect(() => {
@@ -362,6 +319,36 @@ const LeftPanel = ({
     }
   };
 
+  // Weekday in the user's timezone, for the "Today" option of the status time picker
+  const today = getLocalTime(new Date(), userLocation?.timezone || undefined).day;
+
+  // Merge a change into the status filter time; "now" without a duration is stored as null
+  const updateOpenAt = (changes) => {
+    if (!onOpenAtChange) return;
+    const next = { day: null, minutes: null, durationMinutes: 0, ...selectedOpenAt, ...changes };
+    onOpenAtChange(next.day === null && !next.durationMinutes ? null : next);
+  };
+
+  // Copy the list's read-only share link, creating it on first use
+  const handleCopyShareLink = async () => {
+    const listPath = `${API_BASE_URL}/api/lists/${encodeURIComponent(lists[0].listName)}`;
+    try {
+      const sharing = await (await authFetch(`${listPath}/sharing`)).json();
+      let shareToken = sharing.ok ? sharing.shareToken : null;
+      if (!shareToken) {
+        const created = await (await authFetch(`${listPath}/share-link`, { method: "POST" })).json();
+        shareToken = created.ok ? created.shareToken : null;
+      }
+      if (!shareToken) throw new Error("No share link");
+
+      await navigator.clipboard.writeText(`${window.location.origin}/shared/${shareToken}`);
+      setShareLinkStatus("copied");
+    } catch (error) {
+      console.error("Error copying share link:", error);
+      setShareLinkStatus("error");
+    }
+  };
+
   const handleFileSelect = async (event) => {
     const file = event.target.files[0];
     if (!file) return;
@@ -370,9 +357,10 @@ const LeftPanel = ({
     const fileName = file.name.toLowerCase();
     const isCSV = fileName.endsWith(".csv");
     const isZIP = fileName.endsWith(".zip");
+    const isJSON = fileName.endsWith(".json") || fileName.endsWith(".geojson");
 
-    if (!isCSV && !isZIP) {
-      alert("Please upload a CSV or ZIP file");
+    if (!isCSV && !isZIP && !isJSON) {
+      alert("Please upload a CSV, JSON or ZIP file");
       return;
     }
 
@@ -384,7 +372,7 @@ const LeftPanel = ({
       formData.append("file", file);
 
       // Start API call and minimum delay timer simultaneously
-      const apiCall = fetch(`${API_BASE_URL}/api/import-csv`, {
+      const apiCall = authFetch(`${API_BASE_URL}/api/import-csv`, {
         method: "POST",
         body: formData,
       });
@@ -397,6 +385,12 @@ const LeftPanel = ({
       const data = await response.json();
 
       if (data.ok) {
+        // Track coordinate resolution for the newly imported places
+        if (data.jobId) {
+          setCoordsJob(null);
+          setCoordsJobId(data.jobId);
+        }
+
         // Show done state for 5 seconds
         setImportStatus("done");
         setTimeout(() => {
@@ -470,6 +464,78 @@ const LeftPanel = ({
     setIsChatOpen(false);
   };
 
+  const handleNewChat = () => {
+    setChatMessages([]);
+    setChatSessionId(`session_${Date.now()}`);
+    setChatSlots({});
+    setIsSessionPickerOpen(false);
+  };
+
+  // Load past conversations for the session picker
+  const handleOpenSessionPicker = async () => {
+    setIsSessionPickerOpen(true);
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/chat-sessions`);
+      const data = await response.json();
+      if (data.ok) {
+        setChatSessions(data.sessions || []);
+      }
+    } catch (error) {
+      console.error("Error loading chat sessions:", error);
+    }
+  };
+
+  // Resume a past conversation, rebuilding result cards from the saved places
+  const handleResumeSession = async (sessionId) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/chat-sessions/${encodeURIComponent(sessionId)}`);
+      const data = await response.json();
+      if (!data.ok) {
+        throw new Error(data.error || "Failed to load chat session");
+      }
+
+      const placesById = new Map(places.map((place) => [place.id, place]));
+      setChatMessages(
+        data.session.messages.map((message, index) => ({
+          id: `${data.session.id}-${index}`,
+          type: message.role === "user" ? "user" : "agent",
+          text: message.text,
+          results: (message.resultIds || [])
+            .map((id) => placesById.get(id))
+            .filter(Boolean)
+            .map((place) => ({
+              id: place.id,
+              placeId: place.placeId,
+              name: place.name,
+              address: place.address,
+            })),
+        }))
+      );
+      setChatSessionId(data.session.id);
+      setChatSlots(data.session.slots || {});
+      setIsSessionPickerOpen(false);
+    } catch (error) {
+      console.error("Error resuming chat session:", error);
+    }
+  };
+
+  const handleDeleteSession = async (sessionId) => {
+    try {
+      const response = await authFetch(`${API_BASE_URL}/api/chat-sessions/${encodeURIComponent(sessionId)}`, {
+        method: "DELETE",
+      });
+      const data = await response.json();
+      if (data.ok) {
+        setChatSessions((prev) => prev.filter((session) => session.id !== sessionId));
+        if (sessionId === chatSessionId) {
+          handleNewChat();
+        }
+      }
+    } catch (error) {
+      console.error("Error deleting chat session:", error);
+    }
+  };
+
   const handleSendMessage = async () => {
     if (chatInput.trim() === "" || isLoadingResponse) return;
     
@@ -485,9 +551,23 @@ const LeftPanel = ({
     setChatInput("");
     setIsLoadingResponse(true);
 
+    // The agent reply is created by the first streamed event and filled in as more arrive
+    const agentMessageId = Date.now() + 1;
+    const updateAgentMessage = (update) => {
+      setChatMessages((prev) => {
+        if (!prev.some((message) => message.id === agentMessageId)) {
+          return [
+            ...prev,
+            update({ id: agentMessageId, type: "agent", text: "", results: [], streaming: true }),
+          ];
+        }
+        return prev.map((message) => (message.id === agentMessageId ? update(message) : message));
+      });
+    };
+
     try {
-      // Call chat API
-      const response = await fetch(`${API_BASE_URL}/api/chat-saved`, {
+      // Call streaming chat API
+      const response = await authFetch(`${API_BASE_URL}/api/chat-saved/stream`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
@@ -495,24 +575,63 @@ const LeftPanel = ({
         body: JSON.stringify({
           message: userMessageText,
           context: {
-            sessionId: chatSessionId || `session_${Date.now()}`,
+            sessionId: chatSessionId, // null starts a new session; the server picks its ID
             listName: lists.length > 0 ? lists[0].listName : null,
             userLocation: userLocation && userLocation.lat && userLocation.lng ? {
               lat: userLocation.lat,
               lng: userLocation.lng,
+              timezone: userLocation.timezone || null,
             } : null,
             slots: chatSlots,
           },
         }),
       });
 
-      const data = await response.json();
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || "Failed to get response");
+      }
 
-      if (!data.ok) {
-        throw new Error(data.error || "Failed to get response");
+      let data = null;
+      await readNDJSON(response, (event) => {
+        switch (event.type) {
+          case "message":
+            setIsLoadingResponse(false);
+            updateAgentMessage((message) => ({ ...message, text: event.assistantMessage }));
+            break;
+          case "result":
+            updateAgentMessage((message) => {
+              const results = [...message.results];
+              results[event.index] = event.result;
+              return { ...message, results };
+            });
+            break;
+          case "explanation":
+            updateAgentMessage((message) => ({
+              ...message,
+              results: message.results.map((result, index) =>
+                index === event.index ? { ...result, why: event.why } : result
+              ),
+            }));
+            break;
+          case "done":
+            data = event.response;
+            break;
+          case "error":
+            throw new Error(event.error);
+          default:
+            break;
+        }
+      });
+
+      if (!data || !data.ok) {
+        throw new Error(data?.error || "Failed to get response");
       }
 
       // Update session ID and slots
+      if (data.sessionId) {
+        setChatSessionId(data.sessionId);
+      }
       if (data.updatedSlots) {
         setChatSlots(data.updatedSlots);
       }
@@ -520,12 +639,11 @@ const LeftPanel = ({
       // Handle different response modes
       if (data.mode === "follow_up") {
         // Old mode - just questions (backwards compatibility)
-        const assistantMessage = {
-          id: Date.now() + 1,
-          type: "agent",
+        updateAgentMessage((message) => ({
+          ...message,
           text: data.assistantMessage,
-        };
-        setChatMessages((prev) => [...prev, assistantMessage]);
+          streaming: false,
+        }));
 
         // Add follow-up questions
         if (data.questions && data.questions.length > 0) {
@@ -538,15 +656,48 @@ const LeftPanel = ({
             setChatMessages((prev) => [...prev, questionMessage]);
           });
         }
+      } else if (data.mode === "itinerary") {
+        // Day plan: the results are the stops, in order
+        updateAgentMessage((message) => ({
+          ...message,
+          text: data.assistantMessage,
+          results: data.results || [],
+          itinerary: data.itinerary,
+          streaming: false,
+        }));
+
+        // The map draws the route through the stops instead of meeting-point origins
+        if (onItineraryChange) {
+          onItineraryChange(data.itinerary);
+        }
+        if (onMeetingOriginsChange) {
+          onMeetingOriginsChange([]);
+        }
+        if (onRecommendedPlaceIdsChange) {
+          onRecommendedPlaceIdsChange((data.results || []).map((result) => result.id));
+        }
       } else if (data.mode === "recommendations") {
-        // Always show results first - combine assistant message with results
-        const resultsMessage = {
-          id: Date.now() + 1,
-          type: "agent",
+        // Meeting point: the origins that were found, in the order of each result's originDistancesKm
+        const origins = (data.updatedSlots?.origins || []).filter(
+          (origin) => Number.isFinite(origin.lat) && Number.isFinite(origin.lng)
+        );
+
+        // Always show results first - the final response replaces the streamed message
+        updateAgentMessage((message) => ({
+          ...message,
           text: data.assistantMessage,
           results: data.results || [],
-        };
-        setChatMessages((prev) => [...prev, resultsMessage]);
+          origins,
+          streaming: false,
+        }));
+
+        // Origins are drawn on the map with the recommendations
+        if (onMeetingOriginsChange) {
+          onMeetingOriginsChange(origins);
+        }
+        if (onItineraryChange) {
+          onItineraryChange(null);
+        }
 
         // Track recommended place IDs from the most recent chat recommendations
         // Notify parent component about recommended places for map highlighting
@@ -567,6 +718,9 @@ const LeftPanel = ({
       }
     } catch (error) {
       console.error("Error sending chat message:", error);
+      setChatMessages((prev) =>
+        prev.map((message) => (message.id === agentMessageId ? { ...message, streaming: false } : message))
+      );
       const errorMessage = {
         id: Date.now() + 1,
         type: "agent",
@@ -620,88 +774,173 @@ const LeftPanel = ({
               <span>Back</span>
             </button>
             <h2 className="left-panel__chat-title">map whisperer</h2>
+            <div className="left-panel__chat-header-actions">
+              <button
+                className="left-panel__chat-header-button"
+                onClick={() => {
+                  setIsGroupOpen(!isGroupOpen);
+                  setIsSessionPickerOpen(false);
+                }}
+              >
+                {isGroupOpen ? "Chat" : "Group"}
+              </button>
+              <button
+                className="left-panel__chat-header-button"
+                onClick={isSessionPickerOpen ? () => setIsSessionPickerOpen(false) : handleOpenSessionPicker}
+              >
+                {isSessionPickerOpen ? "Close" : "History"}
+              </button>
+              <button className="left-panel__chat-header-button" onClick={handleNewChat}>
+                New
+              </button>
+            </div>
           </div>
 
-          {/* Chat Messages */}
-          <div className="left-panel__chat-messages">
-            {chatMessages.length === 0 ? (
-              <div className="left-panel__chat-empty">
-                <p>Start a conversation to get personalized recommendations.</p>
-              </div>
-            ) : (
-              chatMessages.map((message) => (
-                <div key={message.id}>
+          {/* Session Picker */}
+          {isSessionPickerOpen && (
+            <div className="left-panel__chat-sessions">
+              {chatSessions.length === 0 ? (
+                <p className="left-panel__chat-sessions-empty">No past conversations yet.</p>
+              ) : (
+                chatSessions.map((session) => (
                   <div
-                    className={`left-panel__chat-message left-panel__chat-message--${message.type}`}
+                    key={session.id}
+                    className={`left-panel__chat-session${session.id === chatSessionId ? " left-panel__chat-session--active" : ""}`}
+                    onClick={() => handleResumeSession(session.id)}
                   >
-                    <div className="left-panel__chat-message-indicator">
-                      {message.type === "user" ? "u" : "a"}
-                    </div>
-                    <div className="left-panel__chat-message-bubble">
-                      {message.text}
+                    <div className="left-panel__chat-session-info">
+                      <h4 className="left-panel__chat-session-title">{session.title}</h4>
+                      <p className="left-panel__chat-session-meta">
+                        {session.messageCount} messages · {new Date(session.updatedAt).toLocaleDateString()}
+                      </p>
                     </div>
+                    <button
+                      className="left-panel__chat-session-delete"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleDeleteSession(session.id);
+                      }}
+                      aria-label="Delete conversation"
+                    >
+                      ×
+                    </button>
                   </div>
-                  {/* Show recommendations if available */}
-                  {message.results && message.results.length > 0 && (
-                    <div className="left-panel__chat-results">
-                      {message.results.map((result) => (
-                        <div
-                          key={result.id}
-                          className="left-panel__chat-result-card"
-                          onClick={() => onPlaceSelect && onPlaceSelect(result.id)}
-                        >
-                          <h4 className="left-panel__chat-result-name">{result.name}</h4>
-                          {result.primaryTypeDisplayName && (
-                            <p className="left-panel__chat-result-type">{result.primaryTypeDisplayName}</p>
-                          )}
-                          {result.rating && (
-                            <p className="left-panel__chat-result-rating">
-                              ⭐ {result.rating.toFixed(1)}
-                              {result.userRatingCount && ` (${result.userRatingCount} reviews)`}
-                            </p>
-                          )}
-                          {result.address && (
-                            <p className="left-panel__chat-result-address">{result.address}</p>
-                          )}
-                          {result.why && (
-                            <p className="left-panel__chat-result-why">{result.why}</p>
-                          )}
-                        </div>
-                      ))}
-                    </div>
-                  )}
+                ))
+              )}
+            </div>
+          )}
+
+          {/* Group decision - kept mounted so switching back to the chat keeps the group */}
+          <div className={`left-panel__chat-group${isGroupOpen ? "" : " left-panel__chat-group--hidden"}`}>
+            <GroupPanel
+              listName={lists.length > 0 ? lists[0].listName : null}
+              userLocation={userLocation}
+              onPlaceSelect={onPlaceSelect}
+              onClose={() => setIsGroupOpen(false)}
+            />
+          </div>
+
+          {!isGroupOpen && (
+            <>
+            {/* Chat Messages */}
+            <div className="left-panel__chat-messages">
+              {chatMessages.length === 0 ? (
+                <div className="left-panel__chat-empty">
+                  <p>Start a conversation to get personalized recommendations.</p>
                 </div>
-              ))
-            )}
-            {isLoadingResponse && (
-              <div className="left-panel__chat-message left-panel__chat-message--agent">
-                <div className="left-panel__chat-message-indicator">a</div>
-                <div className="left-panel__chat-message-bubble">
-                  <span className="left-panel__chat-typing">Thinking...</span>
+              ) : (
+                chatMessages.map((message) => (
+                  <div key={message.id}>
+                    <div
+                      className={`left-panel__chat-message left-panel__chat-message--${message.type}`}
+                    >
+                      <div className="left-panel__chat-message-indicator">
+                        {message.type === "user" ? "u" : "a"}
+                      </div>
+                      <div className="left-panel__chat-message-bubble">
+                        {message.text}
+                      </div>
+                    </div>
+                    {/* Show recommendations if available */}
+                    {message.results && message.results.length > 0 && (
+                      <div className="left-panel__chat-results">
+                        {message.results.map((result, index) => (
+                          <div
+                            key={result.id}
+                            className="left-panel__chat-result-card"
+                            onClick={() => onPlaceSelect && onPlaceSelect(result.id)}
+                          >
+                            {message.itinerary?.stops[index] && (
+                              <p className="left-panel__chat-result-step">
+                                {index + 1} · {message.itinerary.stops[index].label} ·{" "}
+                                {formatTimeOfDay(message.itinerary.stops[index].arrival.minutes)}
+                              </p>
+                            )}
+                            <h4 className="left-panel__chat-result-name">{result.name}</h4>
+                            {result.primaryTypeDisplayName && (
+                              <p className="left-panel__chat-result-type">{result.primaryTypeDisplayName}</p>
+                            )}
+                            {result.rating && (
+                              <p className="left-panel__chat-result-rating">
+                                ⭐ {result.rating.toFixed(1)}
+                                {result.userRatingCount && ` (${result.userRatingCount} reviews)`}
+                              </p>
+                            )}
+                            {result.address && (
+                              <p className="left-panel__chat-result-address">{result.address}</p>
+                            )}
+                            {result.originDistancesKm && message.origins?.length > 0 && (
+                              <p className="left-panel__chat-result-trips">
+                                {result.originDistancesKm
+                                  .map((distanceKm, index) => `${distanceKm} km from ${message.origins[index]?.self ? "you" : message.origins[index]?.label}`)
+                                  .join(" · ")}
+                              </p>
+                            )}
+                            {result.why ? (
+                              <p className="left-panel__chat-result-why">{result.why}</p>
+                            ) : message.streaming && (
+                              <p className="left-panel__chat-result-why left-panel__chat-result-why--pending">
+                                Working out why it fits...
+                              </p>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ))
+              )}
+              {isLoadingResponse && (
+                <div className="left-panel__chat-message left-panel__chat-message--agent">
+                  <div className="left-panel__chat-message-indicator">a</div>
+                  <div className="left-panel__chat-message-bubble">
+                    <span className="left-panel__chat-typing">Thinking...</span>
+                  </div>
                 </div>
-              </div>
-            )}
-          </div>
+              )}
+            </div>
 
-          {/* Chat Input */}
-          <div className="left-panel__chat-input-container">
-            <textarea
-              ref={chatInputRef}
-              className="left-panel__chat-input-field"
-              placeholder="Type your message..."
-              value={chatInput}
-              onChange={(e) => setChatInput(e.target.value)}
-              onKeyPress={handleChatInputKeyPress}
-              rows={1}
-            />
-            <button 
-              className="left-panel__chat-send-button" 
-              onClick={handleSendMessage}
-              disabled={isLoadingResponse}
-            >
-              Send (Enter)
-            </button>
-          </div>
+            {/* Chat Input */}
+            <div className="left-panel__chat-input-container">
+              <textarea
+                ref={chatInputRef}
+                className="left-panel__chat-input-field"
+                placeholder="Type your message..."
+                value={chatInput}
+                onChange={(e) => setChatInput(e.target.value)}
+                onKeyPress={handleChatInputKeyPress}
+                rows={1}
+              />
+              <button 
+                className="left-panel__chat-send-button" 
+                onClick={handleSendMessage}
+                disabled={isLoadingResponse}
+              >
+                Send (Enter)
+              </button>
+            </div>
+            </>
+          )}
         </div>
       </div>
     );
@@ -737,7 +976,7 @@ const LeftPanel = ({
               <input
                 ref={fileInputRef}
                 type="file"
-                accept=".csv,.zip"
+                accept=".csv,.json,.geojson,.zip"
                 onChange={handleFileSelect}
                 className="left-panel__file-input"
                 id="file-input"
@@ -754,11 +993,39 @@ const LeftPanel = ({
         )}
 
         {/* List Section - Show when data is loaded */}
+        {readOnly && placesStore.error && (
+          <section className="left-panel__section">
+            <p className="left-panel__text">This link doesn't work anymore: {placesStore.error}.</p>
+          </section>
+        )}
+
         {dataLoaded && lists.length > 0 && (
           <section className="left-panel__section left-panel__list-section">
             <h3 className="left-panel__list-title">
               List: <span className="left-panel__list-name">{lists[0].listName}</span>
             </h3>
+            {readOnly ? (
+              <p className="left-panel__shared-note">
+                Shared by {lists[0].owner || "another user"} · view only
+              </p>
+            ) : (
+              <p className="left-panel__shared-note">
+                <button className="left-panel__share-link-button" onClick={handleCopyShareLink}>
+                  Copy view-only link
+                </button>
+                {shareLinkStatus === "copied" && " Link copied."}
+                {shareLinkStatus === "error" && " Couldn't create a link."}
+              </p>
+            )}
+            {coordsJob?.status === "done" && coordsJob.progress.failed > 0 && (
+              <p className="left-panel__coords-failed">
+                Couldn't locate {coordsJob.progress.failed} place
+                {coordsJob.progress.failed === 1 ? "" : "s"} on the map.{" "}
+                <button className="left-panel__coords-retry" onClick={handleRetryCoords}>
+                  Retry
+                </button>
+              </p>
+            )}
             <button
               className="left-panel__list-toggle"
               onClick={() => setIsListExpanded(!isListExpanded)}
@@ -824,7 +1091,7 @@ const LeftPanel = ({
                       onClick={() => setIsFiltersDropdownOpen(!isFiltersDropdownOpen)}
                     >
                       <span className="left-panel__filter-label">Filters</span>
-                      {((selectedTags && selectedTags.length > 0) || (selectedDistance && selectedDistance.length > 0) || selectedOpenStatus !== null || (selectedTypes && selectedTypes.length > 0) || selectedMinRating !== null) && (
+                      {filtersActive && (
                         <span className="left-panel__filter-count">Active</span>
                       )}
                       <svg
@@ -997,6 +1264,57 @@ const LeftPanel = ({
                                 />
                                 <span className="left-panel__filter-radio-text">Closed</span>
                               </label>
+                              {selectedOpenStatus !== null && (
+                                <div className="left-panel__filter-time">
+                                  <div className="left-panel__filter-time-row">
+                                    <select
+                                      className="left-panel__filter-time-select"
+                                      value={selectedOpenAt?.day ?? "now"}
+                                      onChange={(e) =>
+                                        updateOpenAt(
+                                          e.target.value === "now"
+                                            ? { day: null, minutes: null }
+                                            : { day: Number(e.target.value) }
+                                        )
+                                      }
+                                      aria-label="Day"
+                                    >
+                                      <option value="now">Now</option>
+                                      {WEEKDAY_NAMES.map((name, day) => (
+                                        <option key={name} value={day}>
+                                          {day === today ? `Today (${name})` : name}
+                                        </option>
+                                      ))}
+                                    </select>
+                                    <input
+                                      type="time"
+                                      className="left-panel__filter-time-input"
+                                      value={toClockString(selectedOpenAt?.minutes)}
+                                      disabled={selectedOpenAt?.day === null || selectedOpenAt?.day === undefined}
+                                      onChange={(e) => {
+                                        const [hours, minutes] = e.target.value.split(":").map(Number);
+                                        updateOpenAt({ minutes: e.target.value ? hours * 60 + minutes : null });
+                                      }}
+                                      aria-label="Time"
+                                    />
+                                  </div>
+                                  <select
+                                    className="left-panel__filter-time-select"
+                                    value={selectedOpenAt?.durationMinutes || 0}
+                                    onChange={(e) => updateOpenAt({ durationMinutes: Number(e.target.value) })}
+                                    aria-label="For how long"
+                                  >
+                                    <option value={0}>At that time</option>
+                                    <option value={60}>For 1 hour</option>
+                                    <option value={120}>For 2 hours</option>
+                                    <option value={180}>For 3 hours</option>
+                                  </select>
+                                  <p className="left-panel__filter-time-summary">
+                                    {selectedOpenStatus === "open" ? "Open" : "Closed"}{" "}
+                                    {describeOpenAt(selectedOpenAt, { timeZone: userLocation?.timezone || undefined })}
+                                  </p>
+                                </div>
+                              )}
                             </div>
                           )}
                         </div>
@@ -1109,7 +1427,7 @@ const LeftPanel = ({
                         </div>
 
                         {/* Clear Filters Button */}
-                        {((selectedTags && selectedTags.length > 0) || (selectedDistance && selectedDistance.length > 0) || selectedOpenStatus !== null || (selectedTypes && selectedTypes.length > 0) || selectedMinRating !== null) && (
+                        {filtersActive && (
                           <div className="left-panel__filter-clear-inline">
                             <button
                               className="left-panel__filter-clear"
@@ -1124,7 +1442,7 @@ const LeftPanel = ({
                     )}
                   </div>
                   {/* Reset Filters Link */}
-                  {((selectedTags && selectedTags.length > 0) || (selectedDistance && selectedDistance.length > 0) || selectedOpenStatus !== null || (selectedTypes && selectedTypes.length > 0) || selectedMinRating !== null) && (
+                  {filtersActive && (
                     <div className="left-panel__filter-reset-container">
                       <button
                         className="left-panel__filter-reset"
@@ -1146,6 +1464,7 @@ const LeftPanel = ({
                         isSelected={selectedPlaceId === place.id}
                         onClick={() => onPlaceSelect && onPlaceSelect(place.id)}
                         userTimezone={userLocation?.timezone || null}
+                        searchMatch={searchMatches.get(place.id) || null}
                       />
                     ))
                   ) : (
@@ -1160,7 +1479,7 @@ const LeftPanel = ({
         )}
 
         {/* Chat Start Section - Only show after data is loaded */}
-        {dataLoaded && (
+        {dataLoaded && !readOnly && (
           <section className="left-panel__section">
             <label className="left-panel__label">Ask for recommendations</label>
             <p className="left-panel__chat-prompt">
@@ -1213,7 +1532,7 @@ const LeftPanel = ({
                 </div>
                 <div className="left-panel__how-it-works-content">
                   <h4 className="left-panel__how-it-works-step-title">Upload your file</h4>
-                  <p className="left-panel__how-it-works-step-text">Upload your Google Maps export (CSV).</p>
+                  <p className="left-panel__how-it-works-step-text">Upload your Google Maps export (CSV, Saved Places JSON, or the Takeout ZIP).</p>
                 </div>
               </div>
 
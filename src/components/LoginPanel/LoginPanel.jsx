@@ -0,0 +1,78 @@
+import React, { useState } from "react";
+import { login, register } from "../../hooks/useAuth";
+import "./LoginPanel.scss";
+
+// Shown instead of the app while logged out: log in, or create an account
+const LoginPanel = () => {
+  const [mode, setMode] = useState("login"); // "login" | "register"
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const isRegister = mode === "register";
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError(null);
+    setSubmitting(true);
+    try {
+      await (isRegister ? register : login)(username, password);
+    } catch (err) {
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setMode(isRegister ? "login" : "register");
+    setError(null);
+  };
+
+  return (
+    <div className="login-panel">
+      <form className="login-panel__form" onSubmit={handleSubmit}>
+        <img src="/logo.svg" alt="Map Whisperer Logo" className="login-panel__logo" />
+        <h1 className="login-panel__title">Map Whisperer</h1>
+        <p className="login-panel__subtitle">
+          {isRegister ? "Create an account for your saved places" : "Log in to your saved places"}
+        </p>
+
+        <label className="login-panel__label" htmlFor="login-username">Username</label>
+        <input
+          id="login-username"
+          className="login-panel__input"
+          type="text"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          required
+        />
+
+        <label className="login-panel__label" htmlFor="login-password">Password</label>
+        <input
+          id="login-password"
+          className="login-panel__input"
+          type="password"
+          autoComplete={isRegister ? "new-password" : "current-password"}
+          minLength={isRegister ? 8 : undefined}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+        />
+
+        {error && <p className="login-panel__error" role="alert">{error}</p>}
+
+        <button className="login-panel__submit" type="submit" disabled={submitting}>
+          {submitting ? "Please wait..." : isRegister ? "Create account" : "Log in"}
+        </button>
+
+        <button className="login-panel__switch" type="button" onClick={toggleMode}>
+          {isRegister ? "Already have an account? Log in" : "New here? Create an account"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginPanel;
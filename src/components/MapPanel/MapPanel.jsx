@@ -1,5 +1,8 @@
 import React, { useState, useEffect } from "react";
-import { GoogleMap, LoadScript, Marker, InfoWindow } from "@react-google-maps/api";
+import { GoogleMap, LoadScript, Marker, InfoWindow, Polyline } from "@react-google-maps/api";
+import usePlacesStore, { getPlaceDetailsUrl } from "../../hooks/usePlacesStore";
+import { authFetch } from "../../hooks/useAuth";
+import { filterPlaces } from "../../../shared/placeFilters.js";
 import "./MapPanel.scss";
 
 const mapContainerStyle = {
@@ -42,21 +45,6 @@ const createDirectionIcon = (google, heading) => {
 };
 
 
-// Helper function to calculate distance between two coordinates (Haversine formula)
-const calculateDistance = (lat1, lng1, lat2, lng2) => {
-  const R = 6371; // Earth's radius in km
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLng = ((lng2 - lng1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLng / 2) *
-      Math.sin(dLng / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distance in km
-};
-
 // Helper function to create green marker icon for recommended places
 const createRecommendedIcon = (google) => {
   if (!google || !google.maps || !google.maps.SymbolPath) return null;
@@ -71,15 +59,66 @@ const createRecommendedIcon = (google) => {
   };
 };
 
-const MapPanel = ({ userLocation, selectedPlaceId, onPlaceSelect, onPlaceDeselect, selectedTags = [], selectedDistance = [], searchQuery = "", selectedOpenStatus, selectedTypes, selectedMinRating, recommendedPlaceIds = [] }) => {
+// Origin of a meeting-point search (an office, someone's home); takes google.maps
+const createOriginIcon = (maps) => {
+  if (!maps || !maps.SymbolPath) return null;
+
+  return {
+    path: maps.SymbolPath.CIRCLE,
+    fillColor: "#7C3AED", // Purple
+    fillOpacity: 1,
+    strokeColor: "#ffffff",
+    strokeWeight: 2,
+    scale: 11,
+  };
+};
+
+// Line from each origin to the chosen meeting point
+const meetingLineOptions = {
+  strokeColor: "#7C3AED",
+  strokeOpacity: 0.8,
+  strokeWeight: 3,
+  clickable: false,
+};
+
+// Numbered stop of a day plan; takes google.maps
+const createStopIcon = (maps) => {
+  if (!maps || !maps.SymbolPath) return null;
+
+  return {
+    path: maps.SymbolPath.CIRCLE,
+    fillColor: "#EA580C", // Orange
+    fillOpacity: 1,
+    strokeColor: "#ffffff",
+    strokeWeight: 2,
+    scale: 12,
+  };
+};
+
+// Route through the stops of a day plan, in order
+const routeLineOptions = {
+  strokeColor: "#EA580C",
+  strokeOpacity: 0.9,
+  strokeWeight: 4,
+  clickable: false,
+};
+
+const MapPanel = ({ userLocation, selectedPlaceId, onPlaceSelect, onPlaceDeselect, selectedTags = [], selectedDistance = [], searchQuery = "", searchResults = null, selectedOpenStatus, selectedOpenAt = null, selectedTypes, selectedMinRating, recommendedPlaceIds = [], meetingOrigins = [], itinerary = null }) => {
   const [mapCenter, setMapCenter] = useState(defaultCenter);
   const [map, setMap] = useState(null);
   const [googleMaps, setGoogleMaps] = useState(null);
-  const [places, setPlaces] = useState([]);
   const [placeDetailsCache, setPlaceDetailsCache] = useState({});
   const [internalSelectedPlaceId, setInternalSelectedPlaceId] = useState(null);
   const apiKey = import.meta.env.VITE_GOOGLE_MAPS_API_KEY;
-  const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:3001";
+
+  // Places come from the shared live store; only places with coordinates can be drawn
+  const { places: storePlaces } = usePlacesStore();
+  const places = React.useMemo(
+    () => storePlaces.filter(
+      (place) => place.lat && place.lng && place.lat !== null && place.lng !== null
+    ),
+    [storePlaces]
+  );
 
   // Use external selectedPlaceId if provided, otherwise use internal state
   const currentSelectedPlaceId = selectedPlaceId !== undefined ? selectedPlaceId : internalSelectedPlaceId;
@@ -94,6 +133,43 @@ const MapPanel = ({ userLocation, selectedPlaceId, onPlaceSelect, onPlaceDeselec
     }
   }, [userLocation]);
 
+  // Meeting point: the selected recommendation, or the top one
+  const meetingPlace = React.useMemo(() => {
+    if (meetingOrigins.length === 0) return null;
+    const chosenId = recommendedPlaceIds.includes(currentSelectedPlaceId)
+      ? currentSelectedPlaceId
+      : recommendedPlaceIds[0];
+    return places.find((place) => place.id === chosenId) || null;
+  }, [meetingOrigins, recommendedPlaceIds, currentSelectedPlaceId, places]);
+
+  // Show every origin and the meeting point when a meeting-point search comes back
+  React.useEffect(() => {
+    if (!map || !googleMaps || meetingOrigins.length === 0) return;
+    const bounds = new googleMaps.LatLngBounds();
+    meetingOrigins.forEach((origin) => bounds.extend({ lat: origin.lat, lng: origin.lng }));
+    if (meetingPlace) {
+      bounds.extend({ lat: meetingPlace.lat, lng: meetingPlace.lng });
+    }
+    map.fitBounds(bounds, 64);
+  }, [map, googleMaps, meetingOrigins, meetingPlace]);
+
+  // Day plan stops with their places, in visiting order
+  const itineraryStops = React.useMemo(
+    () =>
+      (itinerary?.stops || [])
+        .map((stop) => ({ ...stop, place: places.find((place) => place.id === stop.id) }))
+        .filter((stop) => stop.place),
+    [itinerary, places]
+  );
+
+  // Show the whole route when a plan comes back
+  React.useEffect(() => {
+    if (!map || !googleMaps || itineraryStops.length === 0) return;
+    const bounds = new googleMaps.LatLngBounds();
+    itineraryStops.forEach(({ place }) => bounds.extend({ lat: place.lat, lng: place.lng }));
+    map.fitBounds(bounds, 64);
+  }, [map, googleMaps, itineraryStops]);
+
   const handleCenterToLocation = () => {
     if (userLocation && userLocation.lat && userLocation.lng && map) {
       map.setCenter({
@@ -127,116 +203,28 @@ const MapPanel = ({ userLocation, selectedPlaceId, onPlaceSelect, onPlaceDeselec
     }
   };
 
-  // Filter places based on search query, selected tags, and distance
-  const filteredPlaces = React.useMemo(() => {
-    let filtered = places;
-
-    // Filter by search query (name, tags, address)
-    if (searchQuery && searchQuery.trim() !== "") {
-      const query = searchQuery.toLowerCase().trim();
-      filtered = filtered.filter((place) => {
-        // Search in name
-        if (place.name && place.name.toLowerCase().includes(query)) {
-          return true;
-        }
-        // Search in address
-        if (place.address && place.address.toLowerCase().includes(query)) {
-          return true;
-        }
-        // Search in tags
-        if (place.placeTags && place.placeTags.length > 0) {
-          if (place.placeTags.some((tag) => tag.toLowerCase().includes(query))) {
-            return true;
-          }
+  // Filter places the same way as the place list
+  const filteredPlaces = React.useMemo(
+    () =>
+      filterPlaces(
+        places,
+        {
+          searchQuery,
+          tags: selectedTags,
+          distances: selectedDistance,
+          openStatus: selectedOpenStatus,
+          openAt: selectedOpenAt,
+          types: selectedTypes,
+          rating: selectedMinRating,
+        },
+        {
+          getDetails: (place) => placeDetailsCache[place.placeId],
+          userLocation,
+          searchResults,
         }
-        // Search in notes
-        if (place.notes && place.notes.toLowerCase().includes(query)) {
-          return true;
-        }
-        return false;
-      });
-    }
-
-    // Filter by tags
-    if (selectedTags && selectedTags.length > 0) {
-      filtered = filtered.filter((place) => {
-        if (!place.placeTags || place.placeTags.length === 0) {
-          return false;
-        }
-        // Check if place has at least one of the selected tags
-        return place.placeTags.some((tag) => selectedTags.includes(tag));
-      });
-    }
-
-    // Filter by distance
-    if (selectedDistance && selectedDistance.length > 0 && userLocation && userLocation.lat && userLocation.lng) {
-      filtered = filtered.filter((place) => {
-        if (!place.lat || !place.lng) {
-          return false;
-        }
-        const distance = calculateDistance(
-          userLocation.lat,
-          userLocation.lng,
-          place.lat,
-          place.lng
-        );
-        // Check if distance falls within any of the selected ranges
-        return selectedDistance.some(maxDistance => distance <= maxDistance);
-      });
-    }
-
-    // Filter by open status
-    if (selectedOpenStatus !== null) {
-      filtered = filtered.filter((place) => {
-        const details = placeDetailsCache[place.placeId];
-        if (!details?.openingHours) return false;
-        const isOpen = details.openingHours.openNow;
-        return selectedOpenStatus === 'open' ? isOpen === true : isOpen === false;
-      });
-    }
-
-    // Filter by types
-    if (selectedTypes && selectedTypes.length > 0) {
-      filtered = filtered.filter((place) => {
-        const details = placeDetailsCache[place.placeId];
-        if (!details?.categories) return false;
-        
-        const primaryType = typeof details.categories.primaryDisplayName === 'string'
-          ? details.categories.primaryDisplayName
-          : details.categories.primaryDisplayName?.text;
-        
-        if (primaryType && selectedTypes.includes(primaryType)) {
-          return true;
-        }
-        
-        // Check types array
-        if (details.categories.types && Array.isArray(details.categories.types)) {
-          return details.categories.types.some(type => {
-            const typeStr = typeof type === 'string' ? type : type?.text || type;
-            const displayType = typeStr.replace(/_/g, ' ').split(' ').map(word => 
-              word.charAt(0).toUpperCase() + word.slice(1)
-            ).join(' ');
-            return selectedTypes.includes(displayType);
-          });
-        }
-        
-        return false;
-      });
-    }
-
-    // Filter by rating (exact match - round down rating, e.g., 3.3 -> 3)
-    if (selectedMinRating !== null) {
-      filtered = filtered.filter((place) => {
-        const details = placeDetailsCache[place.placeId];
-        if (!details?.rating) return false;
-        // Round down the rating and check for exact match (e.g., 3.3 -> 3, matches rating 3)
-        const ratingFloor = Math.floor(details.rating);
-        return ratingFloor === selectedMinRating;
-      });
-    }
-
-    return filtered;
-  }, [places, searchQuery, selectedTags, selectedDistance, userLocation, selectedOpenStatus, selectedTypes, selectedMinRating, placeDetailsCache]);
+      ),
+    [places, searchQuery, searchResults, selectedTags, selectedDistance, userLocation, selectedOpenStatus, selectedOpenAt, selectedTypes, selectedMinRating, placeDetailsCache]
+  );
 
   // Center map on selected place when it changes
   useEffect(() => {
@@ -276,35 +264,6 @@ const MapPanel = ({ userLocation, selectedPlaceId, onPlaceSelect, onPlaceDeselec
     checkGoogleMaps();
   }, []);
 
-  // Fetch places from API
-  useEffect(() => {
-    const fetchPlaces = async () => {
-      try {
-        const response = await fetch(`${API_BASE_URL}/api/places`);
-        const data = await response.json();
-
-        if (data.ok && data.places) {
-          // Filter places that have coordinates
-          const placesWithCoords = data.places.filter(
-            (place) => place.lat && place.lng && place.lat !== null && place.lng !== null
-          );
-          console.log(`Loaded ${placesWithCoords.length} places with coordinates`);
-          setPlaces(placesWithCoords);
-        } else {
-          console.log("No places found in API response:", data);
-        }
-      } catch (error) {
-        console.error("Error fetching places:", error);
-      }
-    };
-
-    // Fetch places on mount and then periodically to get updates
-    fetchPlaces();
-    const interval = setInterval(fetchPlaces, 5000); // Refresh every 5 seconds
-
-    return () => clearInterval(interval);
-  }, [API_BASE_URL]);
-
   // Fetch place details for places that have placeId (needed for filtering by types, rating, price, openStatus)
   useEffect(() => {
     const fetchPlaceDetails = async () => {
@@ -317,7 +276,7 @@ const MapPanel = ({ userLocation, selectedPlaceId, onPlaceSelect, onPlaceDeselec
         const batch = placesToFetch.slice(i, i + batchSize);
         const promises = batch.map(async (place) => {
           try {
-            const response = await fetch(`${API_BASE_URL}/api/place-details/${place.placeId}`);
+            const response = await authFetch(getPlaceDetailsUrl(place.placeId));
             const data = await response.json();
             if (data.ok && data.place) {
               return { placeId: place.placeId, details: data.place };
@@ -350,7 +309,7 @@ const MapPanel = ({ userLocation, selectedPlaceId, onPlaceSelect, onPlaceDeselec
       fetchPlaceDetails();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [places, API_BASE_URL]);
+  }, [places]);
 
   if (!apiKey) {
     return (
@@ -454,6 +413,50 @@ const MapPanel = ({ userLocation, selectedPlaceId, onPlaceSelect, onPlaceDeselec
              );
            })}
 
+          {/* Meeting-point origins, each joined to the chosen place */}
+          {googleMaps &&
+           meetingOrigins.map((origin, index) => (
+             <React.Fragment key={`origin-${index}`}>
+               <Marker
+                 position={{ lat: origin.lat, lng: origin.lng }}
+                 title={origin.label}
+                 label={{ text: origin.label.charAt(0).toUpperCase(), color: "#ffffff", fontWeight: "bold" }}
+                 icon={createOriginIcon(googleMaps)}
+                 zIndex={300}
+               />
+               {meetingPlace && (
+                 <Polyline
+                   path={[
+                     { lat: origin.lat, lng: origin.lng },
+                     { lat: meetingPlace.lat, lng: meetingPlace.lng },
+                   ]}
+                   options={meetingLineOptions}
+                 />
+               )}
+             </React.Fragment>
+           ))}
+
+          {/* Day plan: numbered stops joined in visiting order */}
+          {googleMaps && itineraryStops.length > 0 && (
+            <>
+              <Polyline
+                path={itineraryStops.map(({ place }) => ({ lat: place.lat, lng: place.lng }))}
+                options={routeLineOptions}
+              />
+              {itineraryStops.map(({ place, label }, index) => (
+                <Marker
+                  key={`stop-${place.id}`}
+                  position={{ lat: place.lat, lng: place.lng }}
+                  title={`${index + 1}. ${label}: ${place.name}`}
+                  label={{ text: String(index + 1), color: "#ffffff", fontWeight: "bold" }}
+                  icon={createStopIcon(googleMaps)}
+                  zIndex={400}
+                  onClick={() => handleMarkerClick(place.id)}
+                />
+              ))}
+            </>
+          )}
+
           {/* User location marker - only render when Google Maps is loaded */}
           {userLocation && 
            userLocation.lat && 
@@ -1,21 +1,40 @@
 import React, { useState, useEffect, useRef } from "react";
+import { getLocalTime, getOpeningStatus as getStatusAt } from "../../../shared/openingHours.js";
+import { authFetch } from "../../hooks/useAuth";
+import { getPlaceDetailsUrl } from "../../hooks/usePlacesStore";
 import "./PlaceCard.scss";
 
-const PlaceCard = ({ place, onClick, isSelected = false, userTimezone = null }) => {
+// Text with [start, end) character ranges wrapped in <mark>
+const Highlighted = ({ text, ranges }) => {
+  if (!ranges || ranges.length === 0) return text;
+
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end], index) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(
+      <mark key={index} className="place-card__highlight">
+        {text.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  parts.push(text.slice(position));
+  return parts;
+};
+
+const PlaceCard = ({ place, onClick, isSelected = false, userTimezone = null, searchMatch = null }) => {
   const [placeDetails, setPlaceDetails] = useState(null);
   const [isOpeningHoursOpen, setIsOpeningHoursOpen] = useState(false);
   const openingHoursRef = useRef(null);
   const cardRef = useRef(null);
-  const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:3001";
 
   // Fetch place details if placeId exists
   useEffect(() => {
     if (place?.placeId) {
       const fetchDetails = async () => {
         try {
-          const response = await fetch(
-            `${API_BASE_URL}/api/place-details/${place.placeId}`
-          );
+          const response = await authFetch(getPlaceDetailsUrl(place.placeId));
           const data = await response.json();
           if (data.ok && data.place) {
             setPlaceDetails(data.place);
@@ -26,7 +45,7 @@ const PlaceCard = ({ place, onClick, isSelected = false, userTimezone = null })
       };
       fetchDetails();
     }
-  }, [place?.placeId, API_BASE_URL]);
+  }, [place?.placeId]);
 
   // Close opening hours popup when clicking outside
   useEffect(() => {
@@ -64,155 +83,19 @@ const PlaceCard = ({ place, onClick, isSelected = false, userTimezone = null })
   // Calculate if place opens or closes soon (within 30 minutes)
   const getOpeningStatus = () => {
     if (!placeDetails?.openingHours) return null;
-    
-    const isOpenNow = placeDetails.openingHours.openNow;
-    const periods = placeDetails.openingHours.periods;
-    
-    if (!periods || periods.length === 0) {
-      // Fallback: if we have openNow, use it
-      return {
-        status: isOpenNow ? 'open' : 'closed',
-        soon: false
-      };
-    }
 
-    // Use timezone-aware date if userTimezone is provided
-    // Get current time components in the user's timezone
-    let currentDay, currentHours, currentMinutes;
-    const utcDate = new Date();
-    
-    if (userTimezone) {
-      // Get time components in the user's timezone
-      const formatter = new Intl.DateTimeFormat('en-US', {
-        timeZone: userTimezone,
-        weekday: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit',
-        hour12: false,
-      });
-      const parts = formatter.formatToParts(utcDate);
-      
-      // Get weekday (0 = Sunday, 1 = Monday, etc.)
-      // Intl.DateTimeFormat with weekday: 'short' returns 3-letter abbreviations (Sun, Mon, Tue, etc.)
-      const weekdayStr = parts.find(p => p.type === 'weekday')?.value?.toLowerCase().substring(0, 3) || '';
-      const weekdayMap = { 'sun': 0, 'mon': 1, 'tue': 2, 'wed': 3, 'thu': 4, 'fri': 5, 'sat': 6 };
-      currentDay = weekdayMap[weekdayStr] ?? utcDate.getDay(); // Fallback to local time if mapping fails
-      
-      // Get hours and minutes
-      currentHours = parseInt(parts.find(p => p.type === 'hour')?.value || '0', 10);
-      currentMinutes = parseInt(parts.find(p => p.type === 'minute')?.value || '0', 10);
-    } else {
-      // Fall back to local time
-      currentDay = utcDate.getDay();
-      currentHours = utcDate.getHours();
-      currentMinutes = utcDate.getMinutes();
-    }
-    
-    // Create a date object for compatibility (though we'll use the components directly)
-    const now = new Date();
-    // Google Places API periods use: 0 = Sunday, 1 = Monday, ..., 6 = Saturday
-    // JavaScript getDay(): 0 = Sunday, 1 = Monday, ..., 6 = Saturday
-    // So they match!
-    const googleDay = currentDay;
-    
-    // Find periods for today
-    const todayPeriods = periods.filter(p => p.open?.day === googleDay);
-    
-    if (todayPeriods.length === 0) {
-      // Check if there are periods for tomorrow (might open soon)
-      const tomorrowDay = (googleDay + 1) % 7;
-      const tomorrowPeriods = periods.filter(p => p.open?.day === tomorrowDay);
-      
-      if (tomorrowPeriods.length > 0) {
-        // Check if it opens early tomorrow (within 30 minutes of midnight)
-        const minutesUntilMidnight = (24 * 60) - (currentHours * 60 + currentMinutes);
-        if (minutesUntilMidnight <= 30) {
-          const firstOpenTime = tomorrowPeriods[0].open?.time || '0000';
-          const openMinutes = parseInt(firstOpenTime.substring(0, 2)) * 60 + parseInt(firstOpenTime.substring(2, 4));
-          const totalMinutes = minutesUntilMidnight + openMinutes;
-          if (totalMinutes <= 30) {
-            return { status: 'closed', soon: true, action: 'opens' };
-          }
-        }
-      }
-      
+    const { openNow, periods } = placeDetails.openingHours;
+    // Periods are in the place's local time; the user's timezone stands in for it
+    const status = getStatusAt(periods, getLocalTime(new Date(), userTimezone || undefined));
+
+    if (!status) {
+      // Fallback: if we have openNow, use it
       return {
-        status: 'closed',
+        status: openNow ? 'open' : 'closed',
         soon: false
       };
     }
-
-    const currentTime = currentHours * 60 + currentMinutes; // Current time in minutes (in user's timezone)
-    
-    // Check each period for today
-    for (const period of todayPeriods) {
-      const openTime = period.open?.time || '0000';
-      const closeTime = period.close?.time || '2359';
-      
-      const openMinutes = parseInt(openTime.substring(0, 2)) * 60 + parseInt(openTime.substring(2, 4));
-      const closeMinutes = parseInt(closeTime.substring(0, 2)) * 60 + parseInt(closeTime.substring(2, 4));
-      
-      // Handle periods that span midnight
-      if (closeMinutes < openMinutes) {
-        // Period spans midnight
-        if (currentTime >= openMinutes || currentTime < closeMinutes) {
-          // Currently open
-          const minutesUntilClose = currentTime < closeMinutes 
-            ? closeMinutes - currentTime 
-            : (24 * 60 - currentTime) + closeMinutes;
-          
-          if (minutesUntilClose <= 30) {
-            return { status: 'open', soon: true, action: 'closes' };
-          }
-          return { status: 'open', soon: false };
-        } else {
-          // Currently closed
-          const minutesUntilOpen = openMinutes - currentTime;
-          if (minutesUntilOpen > 0 && minutesUntilOpen <= 30) {
-            return { status: 'closed', soon: true, action: 'opens' };
-          }
-          return { status: 'closed', soon: false };
-        }
-      } else {
-        // Normal period (same day)
-        if (currentTime >= openMinutes && currentTime < closeMinutes) {
-          // Currently open
-          const minutesUntilClose = closeMinutes - currentTime;
-          if (minutesUntilClose <= 30) {
-            return { status: 'open', soon: true, action: 'closes' };
-          }
-          return { status: 'open', soon: false };
-        } else if (currentTime < openMinutes) {
-          // Closed, will open today
-          const minutesUntilOpen = openMinutes - currentTime;
-          if (minutesUntilOpen <= 30) {
-            return { status: 'closed', soon: true, action: 'opens' };
-          }
-          return { status: 'closed', soon: false };
-        } else {
-          // Closed, already closed today - check tomorrow
-          const tomorrowDay = (googleDay + 1) % 7;
-          const tomorrowPeriods = periods.filter(p => p.open?.day === tomorrowDay);
-          if (tomorrowPeriods.length > 0) {
-            const minutesUntilMidnight = (24 * 60) - currentTime;
-            const firstOpenTime = tomorrowPeriods[0].open?.time || '0000';
-            const openMinutesTomorrow = parseInt(firstOpenTime.substring(0, 2)) * 60 + parseInt(firstOpenTime.substring(2, 4));
-            const totalMinutes = minutesUntilMidnight + openMinutesTomorrow;
-            if (totalMinutes <= 30) {
-              return { status: 'closed', soon: true, action: 'opens' };
-            }
-          }
-          return { status: 'closed', soon: false };
-        }
-      }
-    }
-    
-    // Fallback
-    return {
-      status: isOpenNow ? 'open' : 'closed',
-      soon: false
-    };
+    return status;
   };
 
   const currentDayHours = getCurrentDayHours();
@@ -233,7 +116,21 @@ const PlaceCard = ({ place, onClick, isSelected = false, userTimezone = null })
     >
       <div className="place-card__content">
         <div className="place-card__main">
-          <h4 className="place-card__name">{place.name || "Unnamed Place"}</h4>
+          <h4 className="place-card__name">
+            {place.name ? <Highlighted text={place.name} ranges={searchMatch?.nameHighlights} /> : "Unnamed Place"}
+          </h4>
+
+          {/* Where the search query matched, besides the name */}
+          {searchMatch?.snippets?.length > 0 && (
+            <div className="place-card__search-snippets">
+              {searchMatch.snippets.map((snippet, index) => (
+                <p key={index} className="place-card__search-snippet">
+                  <span className="place-card__label">{snippet.label}:</span>{" "}
+                  <Highlighted text={snippet.text} ranges={snippet.highlights} />
+                </p>
+              ))}
+            </div>
+          )}
           
           {/* Primary Display Name */}
           {placeDetails?.categories?.primaryDisplayName && (
@@ -0,0 +1,96 @@
+import { useSyncExternalStore } from "react";
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:3001";
+
+// Where the session survives page reloads
+const STORAGE_KEY = "mapWhisperer.auth";
+
+// Shared auth store: { user, token } of the logged-in account, or nulls when logged out.
+// Every /api call except register and login needs the token (see authFetch).
+const readStoredAuth = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored?.token && stored?.user) return stored;
+  } catch {
+    // Missing or corrupt - start logged out
+  }
+  return { user: null, token: null };
+};
+
+let state = readStoredAuth();
+const listeners = new Set();
+
+const setState = (next) => {
+  state = next;
+  if (next.token) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+  listeners.forEach((listener) => listener());
+};
+
+const clearSession = () => setState({ user: null, token: null });
+
+// fetch() with the logged-in user's token; a 401 means the token expired or was revoked,
+// so the user is logged out
+export const authFetch = async (url, options = {}) => {
+  const headers = new Headers(options.headers);
+  if (state.token) {
+    headers.set("Authorization", `Bearer ${state.token}`);
+  }
+
+  const response = await fetch(url, { ...options, headers });
+  if (response.status === 401 && state.token) {
+    clearSession();
+  }
+  return response;
+};
+
+// URL with the token as ?access_token=, for EventSource (which can't send headers)
+export const withAccessToken = (url) => {
+  if (!state.token) return url;
+  const separator = url.includes("?") ? "&" : "?";
+  return `${url}${separator}access_token=${encodeURIComponent(state.token)}`;
+};
+
+// POST /api/auth/register or /api/auth/login; throws with the server's message on failure
+const authenticate = async (action, username, password) => {
+  const response = await fetch(`${API_BASE_URL}/api/auth/${action}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username, password }),
+  });
+  const data = await response.json();
+
+  if (!data.ok) {
+    throw new Error(data.error || "Could not log in");
+  }
+  setState({ user: data.user, token: data.token });
+  return data.user;
+};
+
+export const login = (username, password) => authenticate("login", username, password);
+
+export const register = (username, password) => authenticate("register", username, password);
+
+export const logout = async () => {
+  try {
+    await authFetch(`${API_BASE_URL}/api/auth/logout`, { method: "POST" });
+  } catch (error) {
+    console.error("Error logging out:", error);
+  }
+  clearSession();
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const getSnapshot = () => state;
+
+// Returns { user, token } and re-renders on login and logout
+const useAuth = () => useSyncExternalStore(subscribe, getSnapshot);
+
+export default useAuth;
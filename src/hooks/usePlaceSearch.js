@@ -0,0 +1,49 @@
+import { useState, useEffect } from "react";
+import { authFetch } from "./useAuth";
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:3001";
+
+// Wait for typing to pause before searching
+const DEBOUNCE_MS = 250;
+
+// Server-side full-text search (GET /api/search) for the search box.
+// results is null while there is no query, before the first response, or if the search
+// failed - callers fall back to plain client-side matching then.
+const usePlaceSearch = (query) => {
+  const [search, setSearch] = useState({ query: "", results: null });
+  const trimmed = (query || "").trim();
+
+  useEffect(() => {
+    if (!trimmed) return;
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(async () => {
+      try {
+        const response = await authFetch(
+          `${API_BASE_URL}/api/search?q=${encodeURIComponent(trimmed)}&limit=200`,
+          { signal: controller.signal }
+        );
+        const data = await response.json();
+        setSearch({ query: trimmed, results: data.ok ? data.results : null });
+      } catch (error) {
+        if (error.name !== "AbortError") {
+          console.error("Error searching places:", error);
+          setSearch({ query: trimmed, results: null });
+        }
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      controller.abort();
+      clearTimeout(timeoutId);
+    };
+  }, [trimmed]);
+
+  // Results for an older query are stale
+  return {
+    results: trimmed && search.query === trimmed ? search.results : null,
+    loading: Boolean(trimmed) && search.query !== trimmed,
+  };
+};
+
+export default usePlaceSearch;
@@ -0,0 +1,174 @@
+import { useSyncExternalStore } from "react";
+import { authFetch, withAccessToken } from "./useAuth";
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:3001";
+
+// Delay before queued live updates are applied, so a burst of events
+// (e.g. a 354-place import) causes one re-render instead of hundreds
+const FLUSH_DELAY_MS = 100;
+
+// Shared places store: loaded once from /api/places, then kept current by the
+// /api/events stream. All components read the same state through usePlacesStore().
+// On a share link (/shared/:token) it holds that read-only list instead, loaded once.
+let state = { places: [], lists: [], loaded: false };
+let sharedToken = null;
+const listeners = new Set();
+let eventSource = null;
+let pendingUpserts = new Map();
+let pendingDeletes = new Set();
+let flushTimer = null;
+
+const setState = (updates) => {
+  state = { ...state, ...updates };
+  listeners.forEach((listener) => listener());
+};
+
+// Fetch the full places payload (initial load, and resync after list changes or reconnects)
+export const refreshPlaces = async () => {
+  try {
+    const response = await authFetch(`${API_BASE_URL}/api/places`);
+    const data = await response.json();
+
+    if (data.ok) {
+      setState({
+        places: data.places || [],
+        lists: data.lists || [],
+        loaded: true,
+      });
+    }
+  } catch (error) {
+    console.error("Error fetching lists and places:", error);
+  }
+};
+
+// Show a read-only shared list instead of the user's places (call before rendering)
+export const openSharedList = (token) => {
+  sharedToken = token;
+};
+
+// Load a shared list (GET /api/shared/:token); lists[0] is the shared list
+const loadSharedList = async () => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/shared/${encodeURIComponent(sharedToken)}`);
+    const data = await response.json();
+
+    setState({
+      places: data.ok ? data.places : [],
+      lists: data.ok ? [data.list] : [],
+      loaded: true,
+      error: data.ok ? null : data.error,
+    });
+  } catch (error) {
+    console.error("Error fetching shared list:", error);
+    setState({ loaded: true, error: "Couldn't load the shared list" });
+  }
+};
+
+// URL of a place's Google details; share links can only fetch places in the shared list
+export const getPlaceDetailsUrl = (placeId) =>
+  sharedToken
+    ? `${API_BASE_URL}/api/shared/${encodeURIComponent(sharedToken)}/place-details/${placeId}`
+    : `${API_BASE_URL}/api/place-details/${placeId}`;
+
+// Apply queued place events in one update
+const flushPending = () => {
+  flushTimer = null;
+  if (pendingUpserts.size === 0 && pendingDeletes.size === 0) return;
+
+  const upserts = pendingUpserts;
+  const deletes = pendingDeletes;
+  pendingUpserts = new Map();
+  pendingDeletes = new Set();
+
+  const places = state.places
+    .filter((place) => !deletes.has(place.id))
+    .map((place) => {
+      const updated = upserts.get(place.id);
+      if (updated) {
+        upserts.delete(place.id);
+        return updated;
+      }
+      return place;
+    });
+
+  // Whatever is left in upserts is new
+  setState({ places: [...places, ...upserts.values()] });
+};
+
+const scheduleFlush = () => {
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushPending, FLUSH_DELAY_MS);
+  }
+};
+
+const handlePlaceEvent = (event) => {
+  const place = JSON.parse(event.data);
+  pendingDeletes.delete(place.id);
+  pendingUpserts.set(place.id, place);
+  scheduleFlush();
+};
+
+const handlePlaceDeleted = (event) => {
+  const { id } = JSON.parse(event.data);
+  pendingUpserts.delete(id);
+  pendingDeletes.add(id);
+  scheduleFlush();
+};
+
+const connect = () => {
+  if (sharedToken) {
+    if (!state.loaded) loadSharedList();
+    return;
+  }
+  if (eventSource) return;
+
+  if (typeof EventSource === "undefined") {
+    refreshPlaces();
+    return;
+  }
+
+  eventSource = new EventSource(withAccessToken(`${API_BASE_URL}/api/events`));
+
+  eventSource.addEventListener("place-added", handlePlaceEvent);
+  eventSource.addEventListener("place-updated", handlePlaceEvent);
+  eventSource.addEventListener("coords-resolved", handlePlaceEvent);
+  eventSource.addEventListener("place-deleted", handlePlaceDeleted);
+  // List renames, merges and deletes touch many places at once - just refetch
+  eventSource.addEventListener("lists-changed", refreshPlaces);
+  eventSource.addEventListener("places-cleared", refreshPlaces);
+
+  // Load on first connect, and resync after reconnecting in case events were missed
+  eventSource.addEventListener("open", refreshPlaces);
+};
+
+// Also forgets the places, so the next account to log in doesn't see them
+const disconnect = () => {
+  if (eventSource) {
+    eventSource.close();
+    eventSource = null;
+  }
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  pendingUpserts = new Map();
+  pendingDeletes = new Set();
+  state = { places: [], lists: [], loaded: false };
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  connect();
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      disconnect();
+    }
+  };
+};
+
+const getSnapshot = () => state;
+
+// Returns { places, lists, loaded } and re-renders when the server reports changes
+const usePlacesStore = () => useSyncExternalStore(subscribe, getSnapshot);
+
+export default usePlacesStore;